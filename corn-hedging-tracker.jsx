@@ -1,6 +1,33 @@
-import { useState, useMemo, useCallback } from "react";
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from "recharts";
+import { Fragment, useState, useMemo, useCallback, useRef, useEffect } from "react";
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from "recharts";
 import { useFirebaseState } from "./src/useFirebaseState";
+import { useAuth, signInWithEmail, signInWithGoogle, createAccount, signOutUser, userStamp, authErrorMessage } from "./src/useAuth";
+import { appendAudit, hedgeDiff, fetchAuditPage, fetchAuditAfter, fetchAuditEntries } from "./src/auditLog";
+import { exportTable, exportPositionReport } from "./src/reports";
+import { rollBack } from "./src/history";
+import { HEDGE_IMPORT_FIELDS, readSpreadsheet, guessMapping, validateImportRows, markDuplicates } from "./src/hedgeImport";
+import { useSyncStatus, dismissSyncError, replayQueuedWrites } from "./src/syncStatus";
+import { ENTITY_ROLES, permissionsFor, useRoleRecord, useUserDirectory, registerUser, saveRoleRecord, claimFirstAdmin } from "./src/permissions";
+import { contractKey, contractLabel, latestSettlement, hedgeContractKey, parseSettlementFile, contractCode, parseContractCode, parseContractKey } from "./src/settlements";
+import { EXPIRY_ALERT_DAYS, contractCalendar, hedgeContractCode, expiryAlerts, contractLadder, deferredContracts } from "./src/contracts";
+import { DEFAULT_CALENDAR, CALENDAR_NAMES } from "./src/calendars";
+import { offsetKindsFor, offsetsOf, offsetQuantity, openQuantity, isClosed, hedgeStatus, offsetPnl, offsetError, exercisedFutures } from "./src/lifecycle";
+import { hedgePnl, summarizePnl } from "./src/pnl";
+import { optionValuation } from "./src/options";
+import { hedgeExposure, cashExposure } from "./src/exposure";
+import { ENTITY_TYPES, DEFAULT_ENTITIES, LEGACY_PRODUCER, entityList, consumes, produces, normalizeProduction, entityNameError } from "./src/entities";
+import { DEFAULT_COMMODITY, DEFAULT_COMMODITIES, TON, commodityList, subTypesOf, commodityOf, subTypeConversion, productionEquivalent, unitLabel, normalizeConsumption, commodityError } from "./src/commodities";
+import { entityPositions } from "./src/positions";
+import { normalizePolicy, policyOf, checkPolicy, policyError, describePolicy } from "./src/policy";
+import { scenarioImpact, payoffCurve } from "./src/scenarios";
+import { SCHEDULE_KINDS, SCHEDULE_CURVES, DEFAULT_CURVES, curveSchedule, monthlyShares, coveringContract, exposureLadder } from "./src/schedules";
+import { transferError } from "./src/transfers";
+import { USAGE_FIELDS, daysInMonth, usageProjection } from "./src/usage";
+import { QUARTERS, DEFAULT_LIVESTOCK, livestockSettings, marginGrid } from "./src/livestock";
+import { INVENTORY_KINDS, DEFAULT_BINS, binList, inventoryChange, inventoryOf, inventoryByType, actualProduction, binBalances, undeliveredSales, storagePosition, inventoryError } from "./src/inventory";
+import { LEDGER_KINDS, CALL_WARNING_MOVE, DEFAULT_MARGINS, DEFAULT_ACCOUNTS, accountList, accountActivity, marginStatus, ledgerError } from "./src/accounts";
+import { LOCATION_KINDS, DEFAULT_LOCATIONS, locationList, locationNameError, referenceFutures, latestBasis, cashPrice, seasonalBasis, cashValuation } from "./src/basis";
+import { CONTRACT_TYPES, TYPE_FIELD_KEYS, contractTypeSpec, isPhysicalType, fieldDefault } from "./src/contractTypes";
 
 // ─── Theme & Constants ───────────────────────────────────────────────
 const COLORS = {
@@ -27,11 +54,8 @@ const COLORS = {
 };
 
 const DEFAULT_CROP_YEARS = ["2024", "2025", "2026", "2027"];
-const ENTITIES = ["Hog Finishing", "Feedlot", "Farming"];
-const CONTRACT_TYPES = ["Futures", "Options", "Cash Position"];
 const CONTRACT_MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
 const DIRECTIONS = ["Long", "Short"];
-const CORN_TYPES = ["High Moisture Corn", "Dry Corn", "Silage Corn"];
 
 const fmt = (n) => {
   if (n === 0) return "0";
@@ -43,32 +67,46 @@ const fmt = (n) => {
 
 const fmtFull = (n) => Number(n).toLocaleString();
 
+const fmtUsd = (n) => (n < 0 ? "-$" : "$") + fmt(Math.round(Math.abs(n)));
+
+const pnlColor = (n) => n > 0 ? COLORS.green : n < 0 ? COLORS.red : COLORS.textMuted;
+
 // ─── ID Generator ─────────────────────────────────────────────────────
 let _id = 0;
 const genId = () => `id_${++_id}_${Date.now()}`;
 
 // ─── Default Data ─────────────────────────────────────────────────────
+// Keyed by entity, then commodity, then year
 const defaultConsumption = {
-  "Hog Finishing": { "2024": 2400000, "2025": 2600000, "2026": 2800000, "2027": 3000000 },
-  "Feedlot": { "2024": 1800000, "2025": 1950000, "2026": 2100000, "2027": 2200000 },
+  "Hog Finishing": {
+    "Corn": { "2024": 2400000, "2025": 2600000, "2026": 2800000, "2027": 3000000 },
+    "Soybean Meal": { "2024": 18000, "2025": 19500, "2026": 21000, "2027": 22500 },
+  },
+  "Feedlot": {
+    "Corn": { "2024": 1800000, "2025": 1950000, "2026": 2100000, "2027": 2200000 },
+  },
 };
 
+// Keyed by entity, then year, then sub-type, in each sub-type's entered unit
+// (silage in tons; see src/commodities.js)
 const defaultProduction = {
-  "2024": { "High Moisture Corn": 1200000, "Dry Corn": 2800000, "Silage Corn": 400000 },
-  "2025": { "High Moisture Corn": 1300000, "Dry Corn": 3000000, "Silage Corn": 450000 },
-  "2026": { "High Moisture Corn": 1400000, "Dry Corn": 3200000, "Silage Corn": 500000 },
-  "2027": { "High Moisture Corn": 1500000, "Dry Corn": 3400000, "Silage Corn": 550000 },
+  "Farming": {
+    "2024": { "High Moisture Corn": 1200000, "Dry Corn": 2800000, "Silage Corn": 30000, "Soybeans": 600000 },
+    "2025": { "High Moisture Corn": 1300000, "Dry Corn": 3000000, "Silage Corn": 34000, "Soybeans": 650000 },
+    "2026": { "High Moisture Corn": 1400000, "Dry Corn": 3200000, "Silage Corn": 37500, "Soybeans": 700000 },
+    "2027": { "High Moisture Corn": 1500000, "Dry Corn": 3400000, "Silage Corn": 41000, "Soybeans": 750000 },
+  },
 };
 
 // Hedges stored as object keyed by ID for Firebase (prevents conflicts)
 const defaultHedgesObj = (() => {
   const entries = [
     { entity: "Hog Finishing", cropYear: "2025", contractType: "Futures", contractMonth: "Jul", quantity: 500000, direction: "Long", price: 4.85, dateEntered: "2025-01-15", notes: "Q3 coverage" },
-    { entity: "Hog Finishing", cropYear: "2025", contractType: "Options", contractMonth: "Sep", quantity: 300000, direction: "Long", price: 4.92, dateEntered: "2025-02-01", notes: "Put protection" },
+    { entity: "Hog Finishing", cropYear: "2025", contractType: "Options", contractMonth: "Sep", quantity: 300000, direction: "Long", price: null, optionType: "Call", strike: 5.00, premium: 0.28, expiry: "2025-08-22", volatility: 25, dateEntered: "2025-02-01", notes: "Call ceiling" },
     { entity: "Feedlot", cropYear: "2025", contractType: "Futures", contractMonth: "May", quantity: 400000, direction: "Long", price: 4.78, dateEntered: "2025-01-20", notes: "Spring feed lock" },
-    { entity: "Feedlot", cropYear: "2025", contractType: "HTA", contractMonth: "Jul", quantity: 250000, direction: "Long", price: 4.90, dateEntered: "2025-02-10", notes: "" },
+    { entity: "Feedlot", cropYear: "2025", contractType: "HTA", contractMonth: "Jul", futuresMonth: "Jul", quantity: 250000, direction: "Long", price: 4.90, pricingDeadline: "2025-06-15", dateEntered: "2025-02-10", notes: "" },
     { entity: "Farming", cropYear: "2025", contractType: "Futures", contractMonth: "Dec", quantity: 600000, direction: "Short", price: 5.05, dateEntered: "2025-01-10", notes: "Harvest hedge" },
-    { entity: "Farming", cropYear: "2025", contractType: "Basis Contract", contractMonth: "Nov", quantity: 350000, direction: "Short", price: -0.15, dateEntered: "2025-02-05", notes: "Basis lock" },
+    { entity: "Farming", cropYear: "2025", contractType: "Basis Contract", contractMonth: "Nov", futuresMonth: "Dec", quantity: 350000, direction: "Short", price: null, basisLevel: -0.15, pricingDeadline: "2025-11-14", location: "Co-op Elevator", dateEntered: "2025-02-05", notes: "Basis lock" },
     { entity: "Hog Finishing", cropYear: "2026", contractType: "Futures", contractMonth: "Mar", quantity: 200000, direction: "Long", price: 5.10, dateEntered: "2025-03-01", notes: "Early 2026 coverage" },
     { entity: "Farming", cropYear: "2026", contractType: "Futures", contractMonth: "Dec", quantity: 400000, direction: "Short", price: 5.15, dateEntered: "2025-03-05", notes: "Forward sale" },
   ];
@@ -77,6 +115,90 @@ const defaultHedgesObj = (() => {
   return obj;
 })();
 
+// Daily settlements keyed by contract month ("YYYY-MM") then trade date
+const defaultSettlements = {
+  "2025-03": { "2025-02-28": 4.92, "2025-03-14": 4.71 },
+  "2025-05": { "2025-02-28": 4.98, "2025-03-14": 4.79 },
+  "2025-07": { "2025-02-28": 5.04, "2025-03-14": 4.86 },
+  "2025-09": { "2025-02-28": 4.88, "2025-03-14": 4.66 },
+  "2025-12": { "2025-02-28": 4.81, "2025-03-14": 4.62 },
+  "2026-03": { "2025-02-28": 4.96, "2025-03-14": 4.78 },
+  "2026-12": { "2025-02-28": 4.74, "2025-03-14": 4.61 },
+};
+
+// Basis bids keyed by location, delivery month ("YYYY-MM") then bid date
+const defaultBasis = {
+  "Co-op Elevator": {
+    "2024-10": { "2024-10-15": -0.48 },
+    "2024-11": { "2024-11-15": -0.42 },
+    "2025-01": { "2025-01-15": -0.30 },
+    "2025-03": { "2025-02-28": -0.24, "2025-03-14": -0.22 },
+    "2025-05": { "2025-03-14": -0.18 },
+    "2025-07": { "2025-03-14": -0.12 },
+    "2025-10": { "2025-02-28": -0.40, "2025-03-14": -0.38 },
+    "2025-11": { "2025-03-14": -0.34 },
+  },
+  "Riverside Ethanol": {
+    "2025-03": { "2025-03-14": -0.10 },
+    "2025-07": { "2025-03-14": 0.02 },
+    "2025-10": { "2025-03-14": -0.25 },
+  },
+};
+
+// "Call $5.00" style label for option rows
+const optionLabel = (h) => h.strike ? `${h.optionType || "Call"} $${Number(h.strike).toFixed(2)}` : "";
+
+// One-line description used in audit entries
+const hedgeSummary = (h, unit) => `${h.direction} ${fmtFull(h.quantity)} ${unit} ${commodityOf(h)} ${h.contractType}${h.contractType === "Options" ? " " + optionLabel(h) : ""} ${h.contract || h.contractMonth} ${h.cropYear}`;
+
+// ─── Export Columns (see src/reports.js) ─────────────────────────────
+const hedgeExportColumns = (settlements, asOf, unitOf, accountNames) => {
+  const pnl = (h) => hedgePnl(h, settlements, asOf);
+  return [
+    { label: "Entity", value: h => h.entity },
+    { label: "Crop Year", value: h => h.cropYear },
+    { label: "Commodity", value: h => commodityOf(h) },
+    { label: "Type", value: h => h.contractType },
+    { label: "Detail", value: h => optionLabel(h) },
+    { label: "Month", value: h => h.contractMonth },
+    { label: "Contract", value: h => h.contract || "" },
+    { label: "Location", value: h => h.location || "" },
+    { label: "Account", value: h => accountNames[h.account] || "" },
+    { label: "Status", value: h => hedgeStatus(h, asOf) },
+    { label: "Direction", value: h => h.direction },
+    { label: "Quantity", value: h => Number(h.quantity) },
+    { label: "Open Quantity", value: h => openQuantity(h, asOf) },
+    { label: "Unit", value: h => unitOf(commodityOf(h)) },
+    { label: "Price ($/unit)", value: h => h[contractTypeSpec(h.contractType).priceField] ?? h.price ?? "" },
+    { label: "Futures Exposure", value: h => Math.round(hedgeExposure(h, settlements, asOf)) },
+    { label: "Settle", value: h => pnl(h)?.settle ?? "" },
+    { label: "MTM P&L", value: h => { const r = pnl(h); return r ? Math.round(r.realized + r.unrealized) : ""; } },
+    { label: "Realized", value: h => (pnl(h)?.realized ? "Yes" : "No") },
+    { label: "Date Entered", value: h => h.dateEntered },
+    { label: "Notes", value: h => h.notes || "" },
+    { label: "Created By", value: h => h.createdBy?.name || "" },
+  ];
+};
+
+const breakdownExportColumns = (unit) => [
+  { label: "Entity", value: r => r.name },
+  { label: `Physical (${unit})`, value: r => r.cash },
+  { label: `Hedged (${unit})`, value: r => r.hedge },
+  { label: `Internal (${unit})`, value: r => r.internal },
+  { label: `Cash Contracted (${unit})`, value: r => r.contracted },
+  { label: `Net Position (${unit})`, value: r => r.net },
+  { label: "Hedge %", value: r => (r.pct === null ? "" : Number(r.pct.toFixed(1))) },
+  { label: "MTM P&L ($)", value: r => Math.round(r.pnl.total) },
+];
+
+const AUDIT_EXPORT_COLUMNS = [
+  { label: "Timestamp", value: a => a.timestamp },
+  { label: "User", value: a => a.user || "" },
+  { label: "Action", value: a => a.action },
+  { label: "Entity", value: a => a.entity || "" },
+  { label: "Details", value: a => a.details || "" },
+];
+
 // Convert hedges object from Firebase to array for rendering
 const hedgesObjToArray = (obj) => {
   if (!obj || typeof obj !== "object") return [];
@@ -84,15 +206,32 @@ const hedgesObjToArray = (obj) => {
 };
 
 // ─── Audit Log ────────────────────────────────────────────────────────
-const createAuditEntry = (action, entity, details) => ({
-  id: genId(),
+// Appended as keyed children (see src/auditLog.js); `extra` carries the
+// hedgeId and before/after diff for hedge changes
+const createAuditEntry = (action, entity, details, stamp, extra = {}) => ({
   timestamp: new Date().toISOString(),
-  user: "Current User",
+  user: stamp.name,
+  uid: stamp.uid,
   action,
   entity,
   details,
+  ...extra,
 });
 
+const AUDIT_ACTIONS = [
+  "Hedge Created", "Hedge Modified", "Hedge Deleted", "Hedge Rolled", "Hedge Offset", "Hedge Offset Removed",
+  "Transfer Created", "Transfer Deleted", "Inventory Recorded", "Inventory Deleted",
+  "Year Added", "Year Removed",
+  "Settlement Entered", "Settlements Imported", "Settlement Deleted", "Basis Entered", "Basis Deleted",
+  "Consumption Updated", "Production Updated", "Schedule Updated", "Usage Updated", "Livestock Updated", "Policy Updated",
+  "Entity Added", "Entity Updated", "Entity Removed",
+  "Commodity Added", "Commodity Updated", "Commodity Removed",
+  "Location Added", "Location Updated", "Location Removed",
+  "Bin Added", "Bin Updated", "Bin Removed",
+  "Account Added", "Account Updated", "Account Removed", "Account Entry Recorded", "Account Entry Deleted",
+  "Role Changed",
+];
+
 // ─── Subcomponents ────────────────────────────────────────────────────
 
 const Badge = ({ children, color = COLORS.accent, bg }) => (
@@ -171,6 +310,91 @@ const Btn = ({ children, onClick, variant = "primary", style: extraStyle, disabl
   );
 };
 
+// Colour of each checkPolicy status
+const POLICY_COLORS = { none: COLORS.purple, ok: COLORS.green, under: COLORS.orange, over: COLORS.red };
+
+// Hedge % bar with the policy band marked and an under/over badge
+const PolicyGauge = ({ pct, check }) => {
+  const scale = Math.max(100, check.max ?? 0);
+  const color = check.status === "none" ? (pct >= 80 ? COLORS.green : pct >= 50 ? COLORS.accent : COLORS.red) : POLICY_COLORS[check.status];
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <div style={{ position: "relative", width: 60, height: 6, background: COLORS.surfaceAlt, borderRadius: 3, overflow: "hidden" }}>
+        {check.status !== "none" && (
+          <div style={{ position: "absolute", left: `${(check.min ?? 0) / scale * 100}%`, width: `${((check.max ?? scale) - (check.min ?? 0)) / scale * 100}%`, height: "100%", background: COLORS.green + "30" }} />
+        )}
+        <div style={{ position: "relative", width: `${Math.min(Math.max(pct, 0) / scale * 100, 100)}%`, height: "100%", background: color, borderRadius: 3 }} />
+      </div>
+      <span style={{ fontSize: 12, color: COLORS.textMuted }}>{pct.toFixed(1)}%</span>
+      {check.status === "under" && <Badge color={COLORS.orange} bg={COLORS.orangeDim}>Under {check.min}%</Badge>}
+      {check.status === "over" && <Badge color={COLORS.red} bg={COLORS.redDim}>Over {check.max}%</Badge>}
+    </div>
+  );
+};
+
+// Settle + MTM P&L table cells for a hedge row
+const PnlCells = ({ hedge, settlements, asOf }) => {
+  const r = hedgePnl(hedge, settlements, asOf);
+  if (!r) return (<><td style={{ padding: "10px 14px", color: COLORS.textDim }}>—</td><td style={{ padding: "10px 14px", color: COLORS.textDim }}>—</td></>);
+  const total = r.realized + r.unrealized;
+  return (
+    <>
+      <td style={{ padding: "10px 14px", color: COLORS.textMuted }} title={hedge.contractType === "Options" ? `Black-76 option value vs ${r.settleDate} futures settle` : `Settled ${r.settleDate}`}>${r.settle.toFixed(2)}</td>
+      <td style={{ padding: "10px 14px", fontWeight: 700, color: pnlColor(total) }} title={r.realized ? "Realized" : "Unrealized"}>
+        {fmtUsd(total)}{r.realized ? " ✓" : ""}
+      </td>
+    </>
+  );
+};
+
+const TypeCell = ({ hedge }) => (
+  <td style={{ padding: "10px 14px" }}>
+    {hedge.contractType}
+    {hedge.contractType === "Options" && hedge.strike && <div style={{ fontSize: 11, color: COLORS.textDim }}>{optionLabel(hedge)}</div>}
+  </td>
+);
+
+// Contract month, with the contract code and lifecycle status underneath
+const ContractCell = ({ hedge, asOf }) => {
+  const status = hedgeStatus(hedge, asOf);
+  const last = offsetsOf(hedge, asOf).at(-1);
+  const label = status === "Closed" && last.kind === "Rolled" ? "Rolled" : status;
+  return (
+    <td style={{ padding: "10px 14px" }}>
+      {hedge.contractMonth}
+      {hedge.contract && <div style={{ fontSize: 11, color: COLORS.textDim }}>{hedge.contract}</div>}
+      {status !== "Open" && <div style={{ fontSize: 11, color: COLORS.orange }}>{label}{status !== "Partially Closed" && ` ${last.date}`}</div>}
+      {(hedge.rolledFrom || hedge.exercisedFrom) && <div style={{ fontSize: 11, color: COLORS.blue }}>{hedge.rolledFrom ? "Rolled in" : "From exercise"}</div>}
+    </td>
+  );
+};
+
+// Options show their delta-adjusted quantity under the notional quantity,
+// and partly closed positions what is still open
+const QuantityCell = ({ hedge, settlements, asOf }) => {
+  const open = openQuantity(hedge, asOf);
+  const v = hedge.contractType === "Options" && open > 0 ? optionValuation(hedge, settlements, asOf) : null;
+  return (
+    <td style={{ padding: "10px 14px", fontWeight: 700 }}>
+      {fmtFull(hedge.quantity)}
+      {open !== hedge.quantity && <div style={{ fontSize: 11, fontWeight: 400, color: COLORS.orange }}>{fmtFull(open)} open</div>}
+      {v && <div style={{ fontSize: 11, fontWeight: 400, color: COLORS.textDim }}>Δ {v.delta.toFixed(2)} · {fmtFull(Math.round(Math.abs(v.delta) * open))}</div>}
+    </td>
+  );
+};
+
+// Shows the field the contract type prices in (premium, basis, floor, ...)
+const PriceCell = ({ hedge }) => {
+  const spec = contractTypeSpec(hedge.contractType);
+  const p = hedge[spec.priceField] ?? hedge.price;
+  const label = spec.fields.find(f => f.key === spec.priceField)?.label || spec.price;
+  return (
+    <td style={{ padding: "10px 14px", color: COLORS.accent }} title={label || undefined}>
+      {p || p === 0 ? `$${Number(p).toFixed(2)}` : "—"}
+    </td>
+  );
+};
+
 // ─── Modal ─────────────────────────────────────────────────────────────
 const Modal = ({ open, onClose, title, children }) => {
   if (!open) return null;
@@ -228,30 +452,371 @@ const LoadingScreen = () => (
   </div>
 );
 
+// ─── Sync Indicator ──────────────────────────────────────────────────
+// Connection state and writes still waiting for the server
+const SyncIndicator = () => {
+  const { connected, pending } = useSyncStatus();
+  const [label, color] =
+    connected === null ? ["Connecting", COLORS.textMuted]
+    : !connected ? [pending ? `Offline · ${pending} queued` : "Offline", COLORS.orange]
+    : pending ? [`Syncing · ${pending}`, COLORS.blue]
+    : ["Online", COLORS.green];
+  return (
+    <div title={pending ? `${pending} write(s) not yet confirmed by the server` : undefined} style={{
+      display: "flex", alignItems: "center", gap: 6, fontSize: 11, fontWeight: 600, color,
+      fontFamily: "'JetBrains Mono', monospace", letterSpacing: 0.5, whiteSpace: "nowrap",
+    }}>
+      <span style={{ width: 8, height: 8, borderRadius: "50%", background: color }} />
+      {label.toUpperCase()}
+    </div>
+  );
+};
+
+// Failed reads/writes, shown until dismissed
+const SyncErrors = () => {
+  const { errors } = useSyncStatus();
+  if (errors.length === 0) return null;
+  return (
+    <div style={{ background: COLORS.redDim, borderBottom: `1px solid ${COLORS.red}40`, padding: "8px 32px", display: "flex", flexDirection: "column", gap: 4 }}>
+      {errors.map((e, i) => (
+        <div key={`${e.at}-${i}`} style={{ display: "flex", alignItems: "center", gap: 12, fontSize: 12, color: COLORS.red, fontFamily: "'JetBrains Mono', monospace" }}>
+          <span style={{ flex: 1 }}>⚠ Sync failed for {e.path}: {e.message}</span>
+          <button onClick={() => dismissSyncError(i)} style={{
+            background: "none", border: "none", color: COLORS.red, cursor: "pointer", fontSize: 14, fontWeight: 700,
+          }}>✕</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ─── Reports Menu ────────────────────────────────────────────────────
+// Table exports (CSV/XLSX) plus the PDF position report
+const ReportsMenu = ({ items, onReport }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState("");
+  const [error, setError] = useState("");
+
+  const run = async (label, fn) => {
+    setBusy(label);
+    setError("");
+    try {
+      await fn();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const link = { background: "none", border: "none", color: COLORS.accent, cursor: "pointer", fontSize: 12, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", padding: "2px 6px" };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <Btn variant="secondary" onClick={() => setOpen(o => !o)} style={{ padding: "8px 12px", fontSize: 12 }}>Reports ▾</Btn>
+      {open && (
+        <div style={{
+          position: "absolute", right: 0, top: "calc(100% + 6px)", zIndex: 500, minWidth: 320,
+          background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8,
+          boxShadow: "0 12px 32px rgba(0,0,0,0.4)", padding: 8, fontFamily: "'JetBrains Mono', monospace",
+        }}>
+          {items.map(item => (
+            <div key={item.label} style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, padding: "8px 10px", fontSize: 12, color: COLORS.text }}>
+              <span>{item.label}</span>
+              <span style={{ whiteSpace: "nowrap" }}>
+                {["csv", "xlsx"].map(f => (
+                  <button key={f} disabled={!!busy} onClick={() => run(item.label, () => item.run(f))} style={link}>{f.toUpperCase()}</button>
+                ))}
+              </span>
+            </div>
+          ))}
+          <div style={{ borderTop: `1px solid ${COLORS.border}`, marginTop: 4, padding: "10px 10px 4px" }}>
+            <Btn onClick={() => run("report", onReport)} disabled={!!busy} style={{ width: "100%", fontSize: 12 }}>
+              {busy === "report" ? "Building…" : "Monthly Position Report (PDF)"}
+            </Btn>
+          </div>
+          {busy && busy !== "report" && <div style={{ padding: "4px 10px", fontSize: 11, color: COLORS.textMuted }}>Exporting {busy}…</div>}
+          {error && <div style={{ padding: "4px 10px", fontSize: 11, color: COLORS.red }}>{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ─── Conflict Prompt ─────────────────────────────────────────────────
+// Someone else changed a field while a local edit to it was pending
+// (see useFirebaseState's leaf mode). Closing the prompt keeps theirs.
+const ConflictModal = ({ conflict, title }) => {
+  const [choices, setChoices] = useState({});
+  if (!conflict) return null;
+  const choice = (path) => choices[path] || "theirs";
+  const resolve = (c) => { conflict.resolve(c); setChoices({}); };
+  const cell = { padding: "8px 10px", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 };
+  return (
+    <Modal open onClose={() => resolve({})} title={title}>
+      <div style={{ fontSize: 13, color: COLORS.textMuted, marginBottom: 16 }}>
+        Another user changed these values while your edit was waiting to save. Choose which to keep.
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", marginBottom: 20 }}>
+        <thead>
+          <tr>
+            {["Field", "Yours", "Theirs"].map(h => (
+              <th key={h} style={{ ...cell, textAlign: "left", color: COLORS.textMuted, fontSize: 11, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {conflict.fields.map(f => (
+            <tr key={f.path} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+              <td style={{ ...cell, fontWeight: 600 }}>{f.path.split("/").join(" · ")}</td>
+              {["mine", "theirs"].map(side => (
+                <td key={side} style={cell}>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer", color: choice(f.path) === side ? COLORS.accent : COLORS.text }}>
+                    <input type="radio" checked={choice(f.path) === side} onChange={() => setChoices(c => ({ ...c, [f.path]: side }))} />
+                    {f[side] === undefined || f[side] === null ? "(removed)" : typeof f[side] === "number" ? fmtFull(f[side]) : String(f[side])}
+                  </label>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: 12 }}>
+        <Btn variant="secondary" onClick={() => resolve(Object.fromEntries(conflict.fields.map(f => [f.path, "mine"])))}>Keep All Mine</Btn>
+        <Btn onClick={() => resolve(Object.fromEntries(conflict.fields.map(f => [f.path, choice(f.path)])))}>Apply</Btn>
+      </div>
+    </Modal>
+  );
+};
+
+// ─── Login Screen ────────────────────────────────────────────────────
+const LoginScreen = () => {
+  const [mode, setMode] = useState("signin");
+  const [form, setForm] = useState({ name: "", email: "", password: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+    } catch (err) {
+      setError(authErrorMessage(err));
+      setBusy(false);
+    }
+  };
+
+  const submit = () => run(() => mode === "signin"
+    ? signInWithEmail(form.email.trim(), form.password)
+    : createAccount(form.email.trim(), form.password, form.name.trim()));
+
+  return (
+    <div style={{
+      minHeight: "100vh", background: COLORS.bg, display: "flex", flexDirection: "column",
+      alignItems: "center", justifyContent: "center", gap: 16,
+    }}>
+      <div style={{
+        width: 56, height: 56, borderRadius: 12,
+        background: `linear-gradient(135deg, ${COLORS.accent}, ${COLORS.accentDim})`,
+        display: "flex", alignItems: "center", justifyContent: "center", fontSize: 28,
+      }}>🌽</div>
+      <div style={{ color: COLORS.accent, fontSize: 18, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", letterSpacing: 1 }}>
+        CORN HEDGE TRACKER
+      </div>
+      <div style={{
+        background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 12,
+        padding: 32, width: 380, display: "flex", flexDirection: "column", gap: 14, marginTop: 8,
+      }}>
+        <div style={{ color: COLORS.text, fontSize: 15, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace" }}>
+          {mode === "signin" ? "Sign in" : "Create account"}
+        </div>
+        {mode === "signup" && (
+          <Input label="Full Name" value={form.name} onChange={e => setForm(p => ({ ...p, name: e.target.value }))} placeholder="Shown in the audit log" />
+        )}
+        <Input label="Email" type="email" value={form.email} onChange={e => setForm(p => ({ ...p, email: e.target.value }))} autoComplete="email" />
+        <Input
+          label="Password" type="password" value={form.password}
+          onChange={e => setForm(p => ({ ...p, password: e.target.value }))}
+          onKeyDown={e => e.key === "Enter" && submit()}
+          autoComplete={mode === "signin" ? "current-password" : "new-password"}
+        />
+        {error && <div style={{ color: COLORS.red, fontSize: 12 }}>{error}</div>}
+        <Btn onClick={submit} disabled={busy || !form.email || !form.password || (mode === "signup" && !form.name.trim())}>
+          {mode === "signin" ? "Sign In" : "Create Account"}
+        </Btn>
+        <Btn variant="secondary" onClick={() => run(signInWithGoogle)} disabled={busy}>Continue with Google</Btn>
+        <Btn variant="ghost" onClick={() => { setMode(m => m === "signin" ? "signup" : "signin"); setError(""); }} style={{ fontSize: 12 }}>
+          {mode === "signin" ? "Need an account? Create one" : "Have an account? Sign in"}
+        </Btn>
+      </div>
+    </div>
+  );
+};
+
+const initials = (name) => name.split(/[\s@.]+/).filter(Boolean).slice(0, 2).map(p => p[0].toUpperCase()).join("");
+
+// ─── No Access Screen ────────────────────────────────────────────────
+const NoAccessScreen = ({ user }) => {
+  const [msg, setMsg] = useState("");
+  const claim = () => claimFirstAdmin(user.uid).catch(() => setMsg("An administrator already exists. Ask them to grant you access."));
+  return (
+    <div style={{
+      minHeight: "100vh", background: COLORS.bg, display: "flex", flexDirection: "column",
+      alignItems: "center", justifyContent: "center", gap: 16, fontFamily: "'JetBrains Mono', monospace",
+    }}>
+      <div style={{ color: COLORS.accent, fontSize: 18, fontWeight: 800, letterSpacing: 1 }}>NO ACCESS YET</div>
+      <div style={{ color: COLORS.textMuted, fontSize: 13, maxWidth: 440, textAlign: "center", lineHeight: 1.6 }}>
+        Signed in as {user.email || user.displayName}. An administrator needs to grant you a role before you can view positions.
+      </div>
+      <div style={{ color: COLORS.textDim, fontSize: 12 }}>User ID: {user.uid}</div>
+      {msg && <div style={{ color: COLORS.red, fontSize: 12 }}>{msg}</div>}
+      <div style={{ display: "flex", gap: 12 }}>
+        <Btn variant="secondary" onClick={claim}>Set up as first admin</Btn>
+        <Btn variant="ghost" onClick={signOutUser}>Sign out</Btn>
+      </div>
+    </div>
+  );
+};
+
 // ─── Main App ──────────────────────────────────────────────────────────
+// Nothing is read or written until a user is signed in and has a role.
 export default function CornHedgingTracker() {
+  const { user, loading } = useAuth();
+  if (loading) return <LoadingScreen />;
+  if (!user) return <LoginScreen />;
+  return <RoleGate user={user} />;
+}
+
+function RoleGate({ user }) {
+  const [record, loading] = useRoleRecord(user.uid);
+  const perms = useMemo(() => permissionsFor(record), [record]);
+
+  useEffect(() => {
+    registerUser(userStamp(user), user.email).catch(() => {});
+  }, [user]);
+
+  if (loading) return <LoadingScreen />;
+  if (!perms.isMember) return <NoAccessScreen user={user} />;
+  return <TrackerApp user={user} perms={perms} />;
+}
+
+function TrackerApp({ user, perms }) {
+  const stamp = useMemo(() => userStamp(user), [user]);
+  const [asOf, setAsOf] = useState("");
+  // Historical snapshots are read-only
+  const canTrade = (entity) => !asOf && perms.canTrade(entity);
+
+  // Resend writes queued offline in an earlier session
+  useEffect(() => { replayQueuedWrites(); }, []);
+
   // ── Local-only UI state ──────────────────────────────────────────────
   const [activeTab, setActiveTab] = useState("dashboard");
   const [selectedYear, setSelectedYear] = useState("2025");
+  const [selectedCommodity, setSelectedCommodity] = useState(DEFAULT_COMMODITY);
   const [hedgeModalOpen, setHedgeModalOpen] = useState(false);
   const [editingHedge, setEditingHedge] = useState(null);
   const [entityFilter, setEntityFilter] = useState("All");
   const [showYearManager, setShowYearManager] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [rollTarget, setRollTarget] = useState(null); // futures hedge being rolled
+  const [rollForm, setRollForm] = useState({ contract: "", closePrice: "", openPrice: "", date: "" });
+  const [statusFilter, setStatusFilter] = useState("Open");
+  const [offsetTarget, setOffsetTarget] = useState(null); // id of the hedge whose offsets are shown
+  const [offsetForm, setOffsetForm] = useState({ kind: "Offset", quantity: "", price: "", date: "", notes: "", openFutures: true });
+  const [offsetErr, setOffsetErr] = useState("");
   const [newYear, setNewYear] = useState("");
 
   // ── Firebase-synced state ────────────────────────────────────────────
-  const [consumption, setConsumption, consLoading] = useFirebaseState("consumption", defaultConsumption, { debounce: 500 });
-  const [production, setProduction, prodLoading] = useFirebaseState("production", defaultProduction, { debounce: 500 });
-  const [hedgesObj, setHedgesObj, hedgesLoading] = useFirebaseState("hedges", defaultHedgesObj);
+  // Admins read whole paths; anyone else only the entities they have a role
+  // on, as the database rules require (see src/permissions.js)
   const [cropYears, setCropYears, yearsLoading] = useFirebaseState("cropYears", DEFAULT_CROP_YEARS);
-  const [auditLog, setAuditLog, auditLoading] = useFirebaseState("auditLog", []);
+  const byEntity = perms.isAdmin ? undefined : { keys: perms.viewable };
+  const recordsOf = (...by) => (perms.isAdmin ? undefined : { keys: perms.viewable, by });
+  // The legacy production layout is keyed by year and belongs to Farming
+  const productionScope = perms.isAdmin ? undefined : { keys: [...perms.viewable, ...(perms.canView(LEGACY_PRODUCER) ? cropYears || [] : [])] };
+  const [entityRegistry, setEntityRegistry, entitiesLoading] = useFirebaseState("entities", DEFAULT_ENTITIES, { granular: true });
+  const [commodityRegistry, setCommodityRegistry, commoditiesLoading] = useFirebaseState("commodities", DEFAULT_COMMODITIES, { granular: true });
+  const [liveConsumption, setConsumption, consLoading, consConflict] = useFirebaseState("consumption", defaultConsumption, { debounce: 500, granular: "leaf", scope: byEntity, onFlush: (before, after) => logLeafChanges("Consumption Updated", "consumption", before, after) });
+  const [liveProduction, setProduction, prodLoading, prodConflict] = useFirebaseState("production", defaultProduction, { debounce: 500, granular: "leaf", scope: productionScope, onFlush: (before, after) => logLeafChanges("Production Updated", "production", before, after) });
+  const [liveSchedules, setSchedules, schedLoading, schedConflict] = useFirebaseState("schedules", {}, { debounce: 500, granular: "leaf", scope: byEntity, onFlush: (before, after) => logLeafChanges("Schedule Updated", "schedules", before, after) });
+  const [liveUsage, setUsage, usageLoading, usageConflict] = useFirebaseState("usage", {}, { debounce: 500, granular: "leaf", scope: byEntity, onFlush: (before, after) => logLeafChanges("Usage Updated", "usage", before, after) });
+  const [liveLivestock, setLivestock, livestockLoading, livestockConflict] = useFirebaseState("livestock", DEFAULT_LIVESTOCK, { debounce: 500, granular: "leaf", scope: byEntity, onFlush: (before, after) => logLeafChanges("Livestock Updated", "livestock", before, after) });
+  const [liveHedgesObj, setHedgesObj, hedgesLoading] = useFirebaseState("hedges", defaultHedgesObj, { granular: true, scope: recordsOf("entity") });
+  const [policies, setPolicies, policiesLoading] = useFirebaseState("policies", {}, { granular: true, scope: byEntity });
+  const [liveTransfersObj, setTransfersObj, transfersLoading] = useFirebaseState("transfers", {}, { granular: true, scope: recordsOf("from", "to") });
+  const [liveInventoryObj, setInventoryObj, inventoryLoading] = useFirebaseState("inventory", {}, { granular: true, scope: recordsOf("entity") });
+  const [binRegistry, setBinRegistry, binsLoading] = useFirebaseState("bins", DEFAULT_BINS, { granular: true });
+  const [accountRegistry, setAccountRegistry, accountsLoading] = useFirebaseState("accounts", DEFAULT_ACCOUNTS, { granular: true });
+  const [liveLedgerObj, setLedgerObj, ledgerLoading] = useFirebaseState("accountLedger", {}, { granular: true, scope: perms.isAdmin ? undefined : { keys: [] } });
+  const [settlements, setSettlements, settlementsLoading] = useFirebaseState("settlements", defaultSettlements, { granular: "leaf" });
+  const [locationRegistry, setLocationRegistry, locationsLoading] = useFirebaseState("locations", DEFAULT_LOCATIONS, { granular: true });
+  const [basis, setBasis, basisLoading] = useFirebaseState("basis", defaultBasis, { granular: "leaf" });
+
+  const isLoading = entitiesLoading || commoditiesLoading || consLoading || prodLoading || schedLoading || usageLoading || livestockLoading || policiesLoading || transfersLoading || inventoryLoading || binsLoading || accountsLoading || ledgerLoading || hedgesLoading || yearsLoading || settlementsLoading || locationsLoading || basisLoading;
+
+  // Tabs, the hedge modal and every position figure follow the registry
+  const entities = useMemo(() => entityList(entityRegistry), [entityRegistry]);
+  const entityNames = entities.map(e => e.name);
+  const viewableEntities = entityNames.filter(perms.canView);
+  const tradableEntities = entityNames.filter(canTrade);
+
+  // Figures are shown for one commodity at a time, in its unit
+  const commodities = useMemo(() => commodityList(commodityRegistry), [commodityRegistry]);
+  const locations = useMemo(() => locationList(locationRegistry), [locationRegistry]);
+  const bins = useMemo(() => binList(binRegistry), [binRegistry]);
+  const accounts = useMemo(() => accountList(accountRegistry), [accountRegistry]);
+  const commodity = commodities.find(c => c.name === selectedCommodity) || commodities[0] || commodityList(DEFAULT_COMMODITIES)[0];
+  const unit = commodity.unit;
+  const unitOf = (name) => commodities.find(c => c.name === name)?.unit || "bu";
+  const commodityFor = (name) => commodities.find(c => c.name === (name || DEFAULT_COMMODITY));
+  const symbolOf = (name) => commodityFor(name)?.symbol || "";
+
+  // ── As-of snapshot ─────────────────────────────────────────────────
+  // Undo every audited change made after the as-of date (see src/history.js)
+  const [historyEntries, setHistoryEntries] = useState(null);
+  const [historyError, setHistoryError] = useState("");
+  useEffect(() => {
+    setHistoryEntries(null);
+    setHistoryError("");
+    if (!asOf) return;
+    let cancelled = false;
+    fetchAuditAfter(asOf)
+      .then(entries => { if (!cancelled) setHistoryEntries(entries); })
+      .catch(err => { if (!cancelled) setHistoryError(err.message); });
+    return () => { cancelled = true; };
+  }, [asOf]);
 
-  const isLoading = consLoading || prodLoading || hedgesLoading || yearsLoading || auditLoading;
+  const snapshot = useMemo(() => {
+    if (!asOf || !historyEntries) return null;
+    return rollBack({ hedges: liveHedgesObj, transfers: liveTransfersObj, inventory: liveInventoryObj, accountLedger: liveLedgerObj, consumption: normalizeConsumption(liveConsumption), production: normalizeProduction(liveProduction), schedules: liveSchedules, usage: liveUsage, livestock: liveLivestock }, historyEntries);
+  }, [asOf, historyEntries, liveHedgesObj, liveTransfersObj, liveInventoryObj, liveLedgerObj, liveConsumption, liveProduction, liveSchedules, liveUsage, liveLivestock]);
 
-  // Convert hedges object to array for all rendering/calculation
-  const hedges = useMemo(() => hedgesObjToArray(hedgesObj), [hedgesObj]);
+  const hedgesObj = snapshot ? snapshot.hedges : liveHedgesObj;
+  const transfersObj = snapshot ? snapshot.transfers : liveTransfersObj;
+  const inventoryObj = snapshot ? snapshot.inventory : liveInventoryObj;
+  const ledgerObj = snapshot ? snapshot.accountLedger : liveLedgerObj;
+  const consumption = useMemo(() => snapshot ? snapshot.consumption : normalizeConsumption(liveConsumption), [snapshot, liveConsumption]);
+  const production = useMemo(() => snapshot ? snapshot.production : normalizeProduction(liveProduction), [snapshot, liveProduction]);
+  const schedules = snapshot ? snapshot.schedules : liveSchedules;
+  const usage = snapshot ? snapshot.usage : liveUsage;
+  const livestock = snapshot ? snapshot.livestock : liveLivestock;
+
+  // Convert hedges object to array for all rendering/calculation, limited to
+  // the entities this user may view. Each carries its commodity's calendar
+  // for option valuation (not stored; writes start from the Firebase rows)
+  const hedges = useMemo(
+    () => hedgesObjToArray(hedgesObj).filter(h => perms.canView(h.entity)).map(h => ({ ...h, calendar: commodities.find(c => c.name === (h.commodity || DEFAULT_COMMODITY))?.calendar })),
+    [hedgesObj, perms, commodities]
+  );
+  // Internal transfers either side of which the user may view
+  const transfers = useMemo(() => hedgesObjToArray(transfersObj).filter(t => perms.canView(t.from) || perms.canView(t.to)), [transfersObj, perms]);
+  const inventory = useMemo(() => hedgesObjToArray(inventoryObj).filter(t => perms.canView(t.entity)), [inventoryObj, perms]);
+  const accountLedger = useMemo(() => hedgesObjToArray(ledgerObj), [ledgerObj]);
 
   const addCropYear = () => {
+    if (!perms.isAdmin) return;
     const y = newYear.trim();
     if (!y || cropYears.includes(y) || !/^\d{4}$/.test(y)) return;
     const updated = [...cropYears, y].sort();
@@ -261,155 +826,513 @@ export default function CornHedgingTracker() {
   };
 
   const removeCropYear = (y) => {
-    if (cropYears.length <= 1) return;
+    if (!perms.isAdmin || cropYears.length <= 1) return;
     if (!confirm(`Remove crop year ${y}? This will not delete existing hedge data.`)) return;
     setCropYears(prev => prev.filter(yr => yr !== y));
     if (selectedYear === y) setSelectedYear(cropYears.find(yr => yr !== y));
     addAudit("Year Removed", "System", `Crop year ${y} removed`);
   };
 
-  const addAudit = useCallback((action, entity, details) => {
-    setAuditLog(prev => {
-      const arr = Array.isArray(prev) ? prev : [];
-      return [createAuditEntry(action, entity, details), ...arr];
+  const addAudit = useCallback((action, entity, details, extra) => {
+    appendAudit(createAuditEntry(action, entity, details, stamp, extra));
+  }, [stamp]);
+
+  // One audit entry per changed entity and commodity (consumption), entity
+  // and year (production), schedule or usage field, or livestock settings,
+  // head counts by year and local prices by quarter, written when the debounced edit is
+  // flushed rather than per keystroke. Consumption and production are
+  // compared in their normalized form, so the first edit after a legacy
+  // layout is migrated only logs what the user changed.
+  function logLeafChanges(action, root, before, after) {
+    const keysOf = (a, b) => new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    const nodes = [];
+    if (root === "schedules" || root === "usage") {
+      const kinds = root === "schedules" ? SCHEDULE_KINDS : USAGE_FIELDS;
+      keysOf(before, after).forEach(entity => keysOf(before?.[entity], after?.[entity]).forEach(c => {
+        keysOf(before?.[entity]?.[c], after?.[entity]?.[c]).forEach(year => kinds.forEach(kind => {
+          nodes.push({ entity, prefix: `${c} ${year} ${kind}${root === "schedules" ? " %" : ""}: `, target: `${root}/${entity}/${c}/${year}/${kind}`, from: before?.[entity]?.[c]?.[year]?.[kind], to: after?.[entity]?.[c]?.[year]?.[kind] });
+        }));
+      }));
+    } else if (root === "livestock") {
+      keysOf(before, after).forEach(entity => {
+        const b = before?.[entity] || {};
+        const a = after?.[entity] || {};
+        const settings = (o) => Object.fromEntries(Object.entries(o).filter(([k]) => k !== "head" && k !== "prices"));
+        nodes.push({ entity, prefix: "", target: `livestock/${entity}`, from: settings(b), to: settings(a) });
+        keysOf(b.head, a.head).forEach(year => {
+          nodes.push({ entity, prefix: `${year} head: `, target: `livestock/${entity}/head/${year}`, from: b.head?.[year], to: a.head?.[year] });
+        });
+        keysOf(b.prices, a.prices).forEach(year => keysOf(b.prices?.[year], a.prices?.[year]).forEach(q => {
+          nodes.push({ entity, prefix: `${year} ${q} prices: `, target: `livestock/${entity}/prices/${year}/${q}`, from: b.prices?.[year]?.[q], to: a.prices?.[year]?.[q] });
+        }));
+      });
+    } else if (root === "production") {
+      const b = normalizeProduction(before);
+      const a = normalizeProduction(after);
+      keysOf(b, a).forEach(entity => keysOf(b[entity], a[entity]).forEach(year => {
+        nodes.push({ entity, prefix: `${year} `, target: `production/${entity}/${year}`, from: b[entity]?.[year], to: a[entity]?.[year] });
+      }));
+    } else {
+      const b = normalizeConsumption(before);
+      const a = normalizeConsumption(after);
+      keysOf(b, a).forEach(entity => keysOf(b[entity], a[entity]).forEach(c => {
+        nodes.push({ entity, prefix: `${c} `, target: `consumption/${entity}/${c}`, from: b[entity]?.[c], to: a[entity]?.[c] });
+      }));
+    }
+    nodes.forEach(n => {
+      const diff = hedgeDiff(n.from, n.to);
+      const fields = Object.keys(diff);
+      if (fields.length === 0) return;
+      const show = (v) => (typeof v === "string" ? v : fmtFull(v || 0));
+      const details = fields.map(f => `${f}: ${show(diff[f].from)} → ${show(diff[f].to)}`).join(", ");
+      addAudit(action, n.entity, n.prefix + details, { target: n.target, diff });
     });
-  }, [setAuditLog]);
+  }
 
   // ── Calculations ───────────────────────────────────────────────────
-  const calc = useMemo(() => {
-    const y = selectedYear;
-    const hogCons = (consumption?.["Hog Finishing"]?.[y]) || 0;
-    const feedCons = (consumption?.["Feedlot"]?.[y]) || 0;
-    const totalCons = hogCons + feedCons;
-
-    const prod = production?.[y] || {};
-    const totalProd = Object.values(prod).reduce((s, v) => s + (v || 0), 0);
-
-    const netCash = totalProd - totalCons;
-
-    const yearHedges = hedges.filter(h => h.cropYear === y);
+  // Exposure and P&L are valued as of the snapshot date when one is set
+  const valuationDate = asOf || undefined;
 
-    const hedgeByEntity = (entity) => {
-      return yearHedges.filter(h => h.entity === entity).reduce((sum, h) => {
-        const qty = h.quantity || 0;
-        return sum + (h.direction === "Long" ? qty : -qty);
-      }, 0);
-    };
-
-    const hogHedge = hedgeByEntity("Hog Finishing");
-    const feedHedge = hedgeByEntity("Feedlot");
-    const farmHedge = hedgeByEntity("Farming");
-    const totalHedge = hogHedge + feedHedge + farmHedge;
-
-    const hogNetCash = -hogCons;
-    const feedNetCash = -feedCons;
-    const farmNetCash = totalProd;
-
-    const hogNet = hogNetCash + hogHedge;
-    const feedNet = feedNetCash + feedHedge;
-    const farmNet = farmNetCash + farmHedge;
-
-    const netPosition = netCash + totalHedge;
-
-    const hogHedgePct = hogCons > 0 ? Math.abs(hogHedge) / hogCons * 100 : 0;
-    const feedHedgePct = feedCons > 0 ? Math.abs(feedHedge) / feedCons * 100 : 0;
-    const farmHedgePct = totalProd > 0 ? Math.abs(farmHedge) / totalProd * 100 : 0;
-
-    return {
-      hogCons, feedCons, totalCons, totalProd, netCash,
-      hogHedge, feedHedge, farmHedge, totalHedge,
-      hogNetCash, feedNetCash, farmNetCash,
-      hogNet, feedNet, farmNet, netPosition,
-      hogHedgePct, feedHedgePct, farmHedgePct,
-      yearHedges, prod,
-    };
-  }, [selectedYear, consumption, production, hedges]);
+  // Per-entity rows and the enterprise total (see src/positions.js)
+  const calc = useMemo(
+    () => entityPositions({ entities, commodity, year: selectedYear, consumption, production, hedges, transfers, inventory, usage, schedules, settlements, asOf: valuationDate }),
+    [entities, commodity, selectedYear, consumption, production, hedges, transfers, inventory, usage, schedules, settlements, valuationDate]
+  );
 
   // ── Hedge Form ─────────────────────────────────────────────────────
-  const emptyHedge = { entity: "Hog Finishing", cropYear: selectedYear, contractType: "Futures", contractMonth: "Jul", quantity: "", direction: "Long", price: "", dateEntered: new Date().toISOString().slice(0, 10), notes: "", cornType: "" };
+  const emptyHedge = { entity: entityNames[0] || "", cropYear: selectedYear, commodity: commodity.name, contractType: "Futures", contractMonth: commodity.months.includes("Jul") ? "Jul" : commodity.months[0], contractYear: selectedYear, quantity: "", direction: "Long", price: "", dateEntered: new Date().toISOString().slice(0, 10), notes: "", cornType: "", location: "", account: "", ...Object.fromEntries(TYPE_FIELD_KEYS.map(k => [k, ""])) };
   const [hedgeForm, setHedgeForm] = useState(emptyHedge);
+  const hedgeSpec = contractTypeSpec(hedgeForm.contractType);
+  const hedgeCommodity = commodities.find(c => c.name === hedgeForm.commodity) || commodity;
+  // The form with the contract code its month and year select, and the
+  // commodity's calendar, so defaults (option expiry) and the valuation
+  // preview use the right contract
+  const hedgeDraft = hedgeSpec.physical ? hedgeForm : { ...hedgeForm, contract: contractCode(hedgeCommodity.symbol, hedgeForm.contractMonth, hedgeForm.contractYear), calendar: hedgeCommodity.calendar };
 
-  const openNewHedge = () => {
+  const openNewHedge = (entity) => {
+    if (tradableEntities.length === 0) return;
     setEditingHedge(null);
-    setHedgeForm({ ...emptyHedge, cropYear: selectedYear });
+    const e = tradableEntities.includes(entity) ? entity : tradableEntities[0];
+    setHedgeForm({ ...emptyHedge, entity: e, cropYear: selectedYear, contractYear: selectedYear });
     setHedgeModalOpen(true);
   };
 
   const openEditHedge = (h) => {
+    if (!canTrade(h.entity)) return;
     setEditingHedge(h.id);
-    setHedgeForm({ ...h, quantity: String(h.quantity), price: String(h.price || "") });
+    const form = { ...emptyHedge, ...h, commodity: commodityOf(h), contractYear: String(parseContractCode(h.contract)?.year || h.cropYear), quantity: String(h.quantity), price: String(h.price ?? "") };
+    contractTypeSpec(h.contractType).fields.forEach(f => {
+      const v = h[f.key] ?? (f.legacyFromPrice ? h.price : null);
+      form[f.key] = v !== null && v !== undefined ? String(v) : "";
+      if (f.legacyFromPrice && h[f.key] === undefined) form.price = "";
+    });
+    setHedgeForm(form);
     setHedgeModalOpen(true);
   };
 
+  // Hedge % the entity would have with `entry` saved (over `replacingId`),
+  // when that is above its policy maximum and higher than it is now
+  const policyBreach = (entry, replacingId) => {
+    const c = commodities.find(x => x.name === commodityOf(entry));
+    const e = entities.find(x => x.name === entry.entity);
+    const max = policyOf(policies, entry.entity, c?.name, entry.cropYear)?.max ?? null;
+    if (!c || !e || max === null) return null;
+    const pctWith = (list) => entityPositions({ entities: [e], commodity: c, year: entry.cropYear, consumption, production, hedges: list, transfers, inventory, usage, schedules, settlements }).rows[0].pct;
+    const pct = pctWith([...hedges.filter(h => h.id !== replacingId), { ...entry, id: replacingId || "new" }]);
+    return pct > max && pct > pctWith(hedges) ? { pct, max } : null;
+  };
+
   const saveHedge = () => {
     const qty = parseInt(hedgeForm.quantity);
     if (!qty || qty <= 0) return;
-    const { id: _formId, ...formData } = hedgeForm;
-    const entry = { ...formData, quantity: qty, price: hedgeForm.price ? parseFloat(hedgeForm.price) : null };
+    // Can't shrink below what has already been offset
+    if (qty < offsetQuantity(hedgeForm)) return;
+    if (!canTrade(hedgeForm.entity)) return;
+    const spec = contractTypeSpec(hedgeForm.contractType);
+    if (spec.fields.some(f => f.required && !hedgeForm[f.key])) return;
+    const { id: _formId, contractYear, calendar: _calendar, ...formData } = hedgeForm;
+    const entry = { ...formData, quantity: qty, price: spec.price && hedgeForm.price ? parseFloat(hedgeForm.price) : null };
+    // Futures and options are on a specific contract and held in a brokerage
+    // account; cash contracts aren't, and only they have a delivery location
+    if (spec.physical) delete entry.contract;
+    else entry.contract = contractCode(symbolOf(entry.commodity), entry.contractMonth, contractYear);
+    if (!spec.physical || !entry.location) delete entry.location;
+    if (spec.physical || !entry.account) delete entry.account;
+
+    // Keep only the fields this contract type uses
+    TYPE_FIELD_KEYS.forEach(k => { delete entry[k]; });
+    spec.fields.forEach(f => {
+      const v = hedgeForm[f.key] || fieldDefault(f, hedgeDraft);
+      if (v === "" || v === null || v === undefined) return;
+      entry[f.key] = f.kind === "number" ? parseFloat(v) : v;
+    });
+    let desc = hedgeSummary(entry, unitOf(entry.commodity));
+
+    // Going over a policy maximum needs a reason, which is kept in the audit log
+    const breach = policyBreach(entry, editingHedge);
+    let justification = "";
+    if (breach) {
+      justification = (prompt(`This takes ${entry.entity} to ${breach.pct.toFixed(1)}% hedged, above its ${breach.max}% policy maximum for ${commodityOf(entry)} ${entry.cropYear}. Enter a justification to save anyway:`) || "").trim();
+      if (!justification) return;
+      desc += ` — over policy maximum (${breach.pct.toFixed(1)}% > ${breach.max}%): ${justification}`;
+    }
+    const extra = breach ? { justification } : {};
 
+    const now = new Date().toISOString();
     if (editingHedge) {
+      entry.modifiedBy = stamp;
+      entry.modifiedAt = now;
+      const before = liveHedgesObj?.[editingHedge] || null;
       setHedgesObj(prev => ({ ...prev, [editingHedge]: entry }));
-      addAudit("Hedge Modified", entry.entity, `${entry.direction} ${fmtFull(qty)} bu ${entry.contractType} ${entry.contractMonth} ${entry.cropYear}`);
+      // An unchanged save has nothing to record (the rules need a diff)
+      const diff = hedgeDiff(before, entry);
+      if (Object.keys(diff).length > 0) addAudit("Hedge Modified", entry.entity, desc, { hedgeId: editingHedge, diff, ...extra });
     } else {
       const newId = genId();
+      entry.createdBy = stamp;
+      entry.createdAt = now;
       setHedgesObj(prev => ({ ...prev, [newId]: entry }));
-      addAudit("Hedge Created", entry.entity, `${entry.direction} ${fmtFull(qty)} bu ${entry.contractType} ${entry.contractMonth} ${entry.cropYear}`);
+      addAudit("Hedge Created", entry.entity, desc, { hedgeId: newId, diff: hedgeDiff(null, entry), ...extra });
     }
     setHedgeModalOpen(false);
   };
 
   const deleteHedge = (h) => {
-    if (!confirm("Delete this hedge position?")) return;
+    if (!canTrade(h.entity)) return;
+    if (!confirm("Delete this hedge position? To record lifting it, use Close instead; deleting removes it from the realized results.")) return;
     setHedgesObj(prev => {
       const next = { ...prev };
       delete next[h.id];
       return next;
     });
-    addAudit("Hedge Deleted", h.entity, `${h.direction} ${fmtFull(h.quantity)} bu ${h.contractType} ${h.contractMonth} ${h.cropYear}`);
+    const { id: hedgeId, ...before } = h;
+    addAudit("Hedge Deleted", h.entity, hedgeSummary(h, unitOf(commodityOf(h))), { hedgeId, diff: hedgeDiff(before, null) });
+  };
+
+  // ── Rolling ────────────────────────────────────────────────────────
+  // Prices default to the latest settlement of each contract
+  const settleOf = (h, code) => {
+    const c = parseContractCode(code);
+    const s = c && latestSettlement(settlements, contractKey(c.year, c.month, commodityOf(h)));
+    return s ? String(s.price) : "";
+  };
+
+  const openRoll = (h) => {
+    if (!canTrade(h.entity)) return;
+    const code = hedgeContractCode(h, symbolOf(commodityOf(h)));
+    const next = deferredContracts(code, commodities.find(c => c.name === commodityOf(h))?.months || [])[0] || "";
+    setRollTarget({ ...h, contract: code });
+    setRollForm({ contract: next, closePrice: settleOf(h, code), openPrice: settleOf(h, next), date: new Date().toISOString().slice(0, 10) });
+  };
+
+  // Close the position and reopen it in the deferred contract in one write
+  // and one audit entry, so the roll is undone as a whole in history
+  const rollHedge = () => {
+    const h = rollTarget;
+    const closePrice = parseFloat(rollForm.closePrice);
+    const openPrice = parseFloat(rollForm.openPrice);
+    const next = parseContractCode(rollForm.contract);
+    if (!h || !canTrade(h.entity) || !next || isNaN(closePrice) || isNaN(openPrice) || !rollForm.date) return;
+    const { id: hedgeId, ...rest } = h;
+    const before = liveHedgesObj?.[hedgeId] || null;
+    if (!before || openQuantity(before) === 0) return;
+    const now = new Date().toISOString();
+    const newId = genId();
+    // Only what is still open rolls; it closes with a "Rolled" offset
+    const quantity = openQuantity(before);
+    const offsets = { ...(before.offsets || {}), [genId()]: { kind: "Rolled", quantity, price: closePrice, date: rollForm.date, notes: `Rolled to ${rollForm.contract}` } };
+    const closed = { ...before, contract: h.contract, offsets, rolledTo: newId, modifiedBy: stamp, modifiedAt: now };
+    const { createdBy: _c, createdAt: _a, modifiedBy: _m, modifiedAt: _t, offsets: _o, calendar: _cal, ...fields } = rest;
+    const opened = { ...fields, contract: rollForm.contract, contractMonth: next.month, quantity, price: openPrice, dateEntered: rollForm.date, rolledFrom: hedgeId, createdBy: stamp, createdAt: now };
+    setHedgesObj(prev => ({ ...prev, [hedgeId]: closed, [newId]: opened }));
+    const spread = openPrice - closePrice;
+    addAudit("Hedge Rolled", h.entity, `${hedgeSummary(closed, unitOf(commodityOf(h)))} rolled to ${rollForm.contract} (spread ${spread >= 0 ? "+" : ""}${spread.toFixed(4)})`, {
+      hedgeId, diff: hedgeDiff(before, closed), rolledId: newId, rolledDiff: hedgeDiff(null, opened),
+    });
+    setRollTarget(null);
+  };
+
+  // ── Offsets ────────────────────────────────────────────────────────
+  // Defaults: the latest settlement for futures, the model value for an
+  // option offset, nothing for one that expired, and for an exercise either
+  // nothing (its value carries into the futures opened at the strike) or
+  // its intrinsic value
+  const offsetPrice = (h, kind, openFutures) => {
+    if (kind === "Expired" || (kind === "Exercised" && openFutures)) return "0";
+    const key = hedgeContractKey(h);
+    const s = key && latestSettlement(settlements, key, valuationDate);
+    if (contractTypeSpec(h.contractType).mark !== "option") return s ? String(s.price) : "";
+    if (kind === "Exercised") return s ? Math.max(h.optionType === "Put" ? h.strike - s.price : s.price - h.strike, 0).toFixed(4) : "";
+    const v = optionValuation({ ...h, calendar: commodityFor(h.commodity)?.calendar }, settlements, valuationDate);
+    return v ? v.price.toFixed(4) : "";
+  };
+
+  const resetOffsetForm = (h, kind = "Offset", openFutures = true) => {
+    setOffsetForm({ kind, quantity: String(h.quantity - offsetQuantity(h)), price: offsetPrice(h, kind, openFutures), date: asOf || new Date().toISOString().slice(0, 10), notes: "", openFutures });
+    setOffsetErr("");
+  };
+
+  const openOffsets = (h) => {
+    setOffsetTarget(h.id);
+    resetOffsetForm(h);
+  };
+
+  // An exercise that opens futures writes both in one update and one audit
+  // entry, like a roll
+  const saveOffset = () => {
+    const before = liveHedgesObj?.[offsetTarget];
+    if (!before || !canTrade(before.entity)) return;
+    const { kind, openFutures } = offsetForm;
+    const offset = { kind, quantity: parseInt(offsetForm.quantity), price: parseFloat(offsetForm.price), date: offsetForm.date, notes: offsetForm.notes.trim() };
+    const err = offsetError(before, offset);
+    if (err) { setOffsetErr(err); return; }
+
+    const now = new Date().toISOString();
+    const opened = kind === "Exercised" && openFutures ? { ...exercisedFutures(before, offset.quantity, offset.date), exercisedFrom: offsetTarget, createdBy: stamp, createdAt: now } : null;
+    const openedId = opened ? genId() : null;
+    const after = {
+      ...before,
+      offsets: { ...(before.offsets || {}), [genId()]: { ...offset, ...(opened ? { futuresId: openedId } : {}) } },
+      modifiedBy: stamp, modifiedAt: now,
+    };
+    setHedgesObj(prev => ({ ...prev, [offsetTarget]: after, ...(opened ? { [openedId]: opened } : {}) }));
+    const unit = unitOf(commodityOf(before));
+    addAudit("Hedge Offset", before.entity, `${kind} ${fmtFull(offset.quantity)} ${unit} of ${hedgeSummary(before, unit)} at $${offset.price.toFixed(4)} on ${offset.date}${opened ? `; opened ${opened.direction} futures at $${opened.price.toFixed(2)}` : ""}`, {
+      hedgeId: offsetTarget, diff: hedgeDiff(before, after), ...(opened ? { rolledId: openedId, rolledDiff: hedgeDiff(null, opened) } : {}),
+    });
+    resetOffsetForm(after, kind, openFutures);
+  };
+
+  // Futures opened by an exercise stay; delete them separately if need be
+  const removeOffset = (offsetId) => {
+    const before = liveHedgesObj?.[offsetTarget];
+    const o = before?.offsets?.[offsetId];
+    if (!o || !canTrade(before.entity)) return;
+    if (!confirm(`Remove this ${o.kind.toLowerCase()} of ${fmtFull(o.quantity)}? The quantity reopens.`)) return;
+    const { [offsetId]: _removed, ...offsets } = before.offsets;
+    const after = { ...before, offsets, modifiedBy: stamp, modifiedAt: new Date().toISOString() };
+    if (Object.keys(offsets).length === 0) delete after.offsets;
+    setHedgesObj(prev => ({ ...prev, [offsetTarget]: after }));
+    const unit = unitOf(commodityOf(before));
+    addAudit("Hedge Offset Removed", before.entity, `${o.kind} ${fmtFull(o.quantity)} ${unit} of ${hedgeSummary(before, unit)} on ${o.date}`, { hedgeId: offsetTarget, diff: hedgeDiff(before, after) });
+    resetOffsetForm(after);
+  };
+
+  // All imported rows go out in one update; each hedge still gets its own
+  // "Hedge Created" entry so the as-of view can undo it
+  const importHedges = (entries, fileName) => {
+    const now = new Date().toISOString();
+    const created = {};
+    entries.filter(h => canTrade(h.entity)).forEach(h => {
+      created[genId()] = { ...h, createdBy: stamp, createdAt: now };
+    });
+    if (Object.keys(created).length === 0) return;
+    setHedgesObj(prev => ({ ...prev, ...created }));
+    Object.entries(created).forEach(([hedgeId, entry]) => {
+      addAudit("Hedge Created", entry.entity, `${hedgeSummary(entry, unitOf(entry.commodity))} (imported from ${fileName})`, { hedgeId, diff: hedgeDiff(null, entry) });
+    });
   };
 
   // ── Consumption / Production update helpers (no per-keystroke audit) ─
-  const updateConsumption = (entity, year, val) => {
+  // Writing the normalized form also migrates a pre-commodity tree
+  const updateConsumption = (entity, commodityName, year, val) => {
+    if (!canTrade(entity)) return;
     const v = parseInt(val) || 0;
-    setConsumption(prev => ({
-      ...prev,
-      [entity]: { ...(prev?.[entity] || {}), [year]: v }
-    }));
+    setConsumption(prev => {
+      const c = normalizeConsumption(prev);
+      return { ...c, [entity]: { ...(c[entity] || {}), [commodityName]: { ...(c[entity]?.[commodityName] || {}), [year]: v } } };
+    });
   };
 
-  const updateProduction = (year, type, val) => {
+  // Writing the by-entity form also migrates a legacy year-keyed tree
+  const updateProduction = (entity, year, type, val) => {
+    if (!canTrade(entity)) return;
     const v = parseInt(val) || 0;
-    setProduction(prev => ({
-      ...prev,
-      [year]: { ...(prev?.[year] || {}), [type]: v }
-    }));
+    setProduction(prev => {
+      const p = normalizeProduction(prev);
+      return { ...p, [entity]: { ...(p[entity] || {}), [year]: { ...(p[entity]?.[year] || {}), [type]: v } } };
+    });
+  };
+
+  // `path` leads from the entity's record to one setting, head count or
+  // price; a cleared input drops it
+  const updateLivestock = (entity, path, val) => {
+    if (!canTrade(entity)) return;
+    const setAt = (obj, [key, ...rest]) => {
+      const next = { ...(obj || {}) };
+      if (rest.length) next[key] = setAt(next[key], rest);
+      else if (val === "" || val === null) delete next[key];
+      else next[key] = val;
+      return next;
+    };
+    setLivestock(prev => setAt(prev, [entity, ...path]));
+  };
+
+  // A cleared month drops the field, so the month counts as not recorded
+  const updateUsage = (entity, commodityName, year, field, month, val) => {
+    if (!canTrade(entity)) return;
+    const v = val === "" ? null : Math.max(parseFloat(val) || 0, 0);
+    setUsage(prev => {
+      const current = prev?.[entity]?.[commodityName]?.[year] || {};
+      const next = { ...(current[field] || {}) };
+      if (v === null) delete next[month];
+      else next[month] = v;
+      return {
+        ...prev,
+        [entity]: { ...(prev?.[entity] || {}), [commodityName]: { ...(prev?.[entity]?.[commodityName] || {}), [year]: { ...current, [field]: next } } },
+      };
+    });
+  };
+
+  // `months` is { Mon: pct } for some or all months; a curve sets all twelve
+  const updateSchedule = (entity, commodityName, year, kind, months) => {
+    if (!canTrade(entity)) return;
+    setSchedules(prev => {
+      const current = prev?.[entity]?.[commodityName]?.[year] || {};
+      const next = { ...(current[kind] || {}) };
+      Object.entries(months).forEach(([m, v]) => { next[m] = Math.max(parseFloat(v) || 0, 0); });
+      return {
+        ...prev,
+        [entity]: { ...(prev?.[entity] || {}), [commodityName]: { ...(prev?.[entity]?.[commodityName] || {}), [year]: { ...current, [kind]: next } } },
+      };
+    });
+  };
+
+  // ── Settlement Prices ──────────────────────────────────────────────
+  // Settlements and basis are written a price at a time (leaf mode), so
+  // admins entering different contracts don't overwrite each other
+  const addSettlement = (key, date, price) => {
+    if (!perms.isAdmin) return;
+    setSettlements(prev => ({ ...prev, [key]: { ...(prev?.[key] || {}), [date]: price } }));
+    addAudit("Settlement Entered", "System", `${contractLabel(key)} settled $${price.toFixed(4)} on ${date}`);
+  };
+
+  const importSettlements = (rows, fileName) => {
+    if (!perms.isAdmin) return;
+    setSettlements(prev => {
+      const next = { ...prev };
+      rows.forEach(r => { next[r.key] = { ...(next[r.key] || {}), [r.date]: r.price }; });
+      return next;
+    });
+    addAudit("Settlements Imported", "System", `${rows.length} settlement price(s) imported from ${fileName}`);
+  };
+
+  const deleteSettlement = (key, date) => {
+    if (!perms.isAdmin) return;
+    setSettlements(prev => {
+      const series = { ...(prev?.[key] || {}) };
+      delete series[date];
+      return { ...prev, [key]: series };
+    });
+    addAudit("Settlement Deleted", "System", `${contractLabel(key)} settlement for ${date} removed`);
+  };
+
+  // Basis bids, stored like settlements under the location (see src/basis.js)
+  const addBasis = (location, key, date, value) => {
+    if (!perms.isAdmin) return;
+    setBasis(prev => ({ ...prev, [location]: { ...(prev?.[location] || {}), [key]: { ...(prev?.[location]?.[key] || {}), [date]: value } } }));
+    addAudit("Basis Entered", "System", `${location} ${contractLabel(key)} basis ${value >= 0 ? "+" : ""}${value.toFixed(2)} on ${date}`);
+  };
+
+  const deleteBasis = (location, key, date) => {
+    if (!perms.isAdmin) return;
+    setBasis(prev => {
+      const series = { ...(prev?.[location]?.[key] || {}) };
+      delete series[date];
+      return { ...prev, [location]: { ...(prev?.[location] || {}), [key]: series } };
+    });
+    addAudit("Basis Deleted", "System", `${location} ${contractLabel(key)} basis for ${date} removed`);
   };
 
   // ── Chart Data ─────────────────────────────────────────────────────
+  // Month-by-contract-month ladder for the entities this user may view
+  const ladder = useMemo(
+    () => exposureLadder({ entities: entities.filter(e => perms.canView(e.name)), commodity, year: selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf: valuationDate }),
+    [entities, perms, commodity, selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, valuationDate]
+  );
+
+  // Open futures and options nearing first notice, last trade or expiry
+  const contractAlerts = expiryAlerts(hedges, commodityFor, valuationDate);
+
+  // Margin stands on everything held in an account, across entities, so
+  // only admins (who can read every entity) see it
+  const accountStatuses = useMemo(
+    () => (perms.isAdmin ? accounts.map(account => ({ account, ...marginStatus({ account, hedges, ledger: accountLedger, settlements, commodities, asOf: valuationDate }) })) : []),
+    [perms, accounts, hedges, accountLedger, settlements, commodities, valuationDate]
+  );
+  const marginAlerts = accountStatuses.filter(s => s.status !== "ok");
+
   const exposureChartData = useMemo(() => {
     return (cropYears || []).map(y => {
-      const hc = consumption?.["Hog Finishing"]?.[y] || 0;
-      const fc = consumption?.["Feedlot"]?.[y] || 0;
-      const p = Object.values(production?.[y] || {}).reduce((s, v) => s + (v || 0), 0);
-      const yh = hedges.filter(h => h.cropYear === y);
-      const th = yh.reduce((s, h) => s + (h.direction === "Long" ? h.quantity : -h.quantity), 0);
+      const { total } = entityPositions({ entities, commodity, year: y, consumption, production, hedges, transfers, inventory, usage, schedules, settlements, asOf: valuationDate });
       return {
         year: y,
-        Production: p,
-        Consumption: -(hc + fc),
-        "Net Cash": p - hc - fc,
-        "Hedge Position": th,
-        "Net Position": (p - hc - fc) + th,
+        Production: total.prod,
+        Consumption: -total.cons,
+        "Net Cash": total.cash,
+        "Hedge Position": total.hedge,
+        "Net Position": total.net,
       };
     });
-  }, [consumption, production, hedges, cropYears]);
+  }, [entities, commodity, consumption, production, hedges, transfers, inventory, usage, schedules, cropYears, settlements, valuationDate]);
+
+  // ── Entity Breakdown (dashboard table and exports) ─────────────────
+  const breakdownRows = calc.rows.filter(row => perms.canView(row.name));
+  const policyCheck = (row) => checkPolicy(policyOf(policies, row.name, commodity.name, selectedYear), row.pct, valuationDate);
+  const breakdownTotal = calc.total;
 
   // ── Filtered Hedges ────────────────────────────────────────────────
   const filteredHedges = useMemo(() => {
-    let h = hedges.filter(x => x.cropYear === selectedYear);
+    let h = hedges.filter(x => x.cropYear === selectedYear && commodityOf(x) === commodity.name);
     if (entityFilter !== "All") h = h.filter(x => x.entity === entityFilter);
+    if (statusFilter !== "All") h = h.filter(x => isClosed(x, valuationDate) === (statusFilter === "Closed"));
     return h;
-  }, [hedges, selectedYear, entityFilter]);
+  }, [hedges, selectedYear, commodity, entityFilter, statusFilter, valuationDate]);
+
+  // ── Reports ────────────────────────────────────────────────────────
+  const reportDate = asOf || new Date().toISOString().slice(0, 10);
+  const stampName = (name) => `${name}-${reportDate}`;
+  const slug = (name) => name.replace(/\s+/g, "-");
+
+  const exportHedges = (format) =>
+    exportTable(format, stampName(`hedges-${slug(commodity.name)}-${selectedYear}${entityFilter !== "All" ? `-${slug(entityFilter)}` : ""}`), hedgeExportColumns(settlements, valuationDate, unitOf, Object.fromEntries(accounts.map(a => [a.id, a.name]))), filteredHedges);
+
+  const exportBreakdown = (format) =>
+    exportTable(format, stampName(`entity-breakdown-${slug(commodity.name)}-${selectedYear}`), breakdownExportColumns(unit), [...breakdownRows, breakdownTotal]);
+
+  const exportAuditLog = async (format) =>
+    exportTable(format, stampName("audit-log"), AUDIT_EXPORT_COLUMNS, await fetchAuditEntries());
+
+  const exportReport = () => {
+    const month = new Date(`${reportDate}T00:00:00`).toLocaleString("en-US", { month: "long", year: "numeric" });
+    return exportPositionReport({
+      title: `${commodity.name} Position Report — ${month}`,
+      subtitle: `Crop year ${selectedYear} · positions as of ${reportDate} · prepared by ${stamp.name}`,
+      kpis: [
+        { label: "Total Consumption", value: `${fmtFull(calc.total.cons)} ${unit}` },
+        { label: "Total Production", value: `${fmtFull(calc.total.prod)} ${unit}` },
+        { label: "Net Cash Position", value: `${fmtFull(calc.total.cash)} ${unit}`, sub: calc.total.cash >= 0 ? "Net Long (Cash)" : "Net Short (Cash)" },
+        { label: "Hedge Position", value: `${fmtFull(calc.total.hedge)} ${unit}`, sub: `${calc.yearHedges.length} contracts` },
+        { label: "Net Position", value: `${fmtFull(calc.total.net)} ${unit}`, sub: calc.total.net >= 0 ? "Net Long" : "Net Short" },
+        { label: "MTM P&L", value: fmtUsd(calc.total.pnl.total), sub: `Realized: ${fmtUsd(calc.total.pnl.realized)}` },
+      ],
+      breakdown: {
+        columns: breakdownExportColumns(unit).map(c => ({ ...c, value: r => { const v = c.value(r); return typeof v === "number" ? (c.label.startsWith("Hedge %") ? `${v}%` : fmtFull(v)) : v; } })),
+        rows: [...breakdownRows, breakdownTotal],
+      },
+      chart: {
+        title: `Exposure by Crop Year (${unit})`,
+        categories: exposureChartData.map(d => ({ label: d.year, values: d })),
+        series: [
+          { key: "Production", color: COLORS.green },
+          { key: "Consumption", color: COLORS.red },
+          { key: "Hedge Position", color: COLORS.blue },
+          { key: "Net Position", color: COLORS.accent },
+        ],
+      },
+      filename: stampName(`position-report-${slug(commodity.name)}-${selectedYear}`),
+    });
+  };
 
   // ── Loading Screen ─────────────────────────────────────────────────
   if (isLoading) return <LoadingScreen />;
@@ -447,20 +1370,62 @@ export default function CornHedgingTracker() {
           </div>
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
+          {/* The snapshot is rebuilt from the audit log, which only admins can read */}
+          {perms.isAdmin && (
+            <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <span style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, fontFamily: "'JetBrains Mono', monospace" }}>AS OF</span>
+              <Input type="date" value={asOf} max={new Date().toISOString().slice(0, 10)} onChange={e => setAsOf(e.target.value)} />
+              {asOf && <Btn variant="ghost" onClick={() => setAsOf("")} style={{ padding: "8px 10px", fontSize: 12 }}>✕</Btn>}
+            </div>
+          )}
+          <SyncIndicator />
+          <ReportsMenu
+            items={[
+              { label: `Hedge positions (${commodity.name} ${selectedYear}${entityFilter !== "All" ? `, ${entityFilter}` : ""})`, run: exportHedges },
+              { label: `Entity breakdown (${commodity.name} ${selectedYear})`, run: exportBreakdown },
+              perms.isAdmin && { label: "Audit log", run: exportAuditLog },
+            ].filter(Boolean)}
+            onReport={exportReport}
+          />
+          <Select value={commodity.name} onChange={e => setSelectedCommodity(e.target.value)} options={commodities.map(c => c.name)} />
           <Select value={selectedYear} onChange={e => setSelectedYear(e.target.value)} options={cropYears || DEFAULT_CROP_YEARS} />
-          <Btn variant="secondary" onClick={() => setShowYearManager(p => !p)} style={{ padding: "8px 12px", fontSize: 12 }}>
-            {showYearManager ? "✕" : "± Years"}
-          </Btn>
-          <div style={{
+          {perms.isAdmin && !asOf && (
+            <Btn variant="secondary" onClick={() => setShowYearManager(p => !p)} style={{ padding: "8px 12px", fontSize: 12 }}>
+              {showYearManager ? "✕" : "± Years"}
+            </Btn>
+          )}
+          <div title={`${stamp.name} (${user.email || stamp.uid})`} style={{
             width: 36, height: 36, borderRadius: "50%", background: COLORS.accent,
             display: "flex", alignItems: "center", justifyContent: "center",
             fontSize: 14, fontWeight: 800, color: COLORS.bg,
-          }}>CU</div>
+          }}>{initials(stamp.name) || "?"}</div>
+          <Btn variant="ghost" onClick={signOutUser} style={{ padding: "8px 10px", fontSize: 12 }}>Sign out</Btn>
         </div>
       </header>
 
+      {/* ─── Sync Errors ─────────────────────────────────────────── */}
+      <SyncErrors />
+
+      {/* ─── As-of Banner ────────────────────────────────────────── */}
+      {asOf && (
+        <div style={{
+          background: `${COLORS.accent}14`, borderBottom: `1px solid ${COLORS.accent}40`,
+          padding: "10px 32px", display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap",
+          fontSize: 12, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent,
+        }}>
+          <span style={{ fontWeight: 700 }}>Viewing positions as of {asOf} — read-only</span>
+          {!historyEntries && !historyError && <span style={{ color: COLORS.textMuted }}>Loading history…</span>}
+          {historyError && <span style={{ color: COLORS.red }}>Could not load history: {historyError}</span>}
+          {snapshot?.unresolved > 0 && (
+            <span style={{ color: COLORS.red }}>
+              ⚠ {snapshot.unresolved} later change(s) predate field-level history and could not be undone
+            </span>
+          )}
+        </div>
+      )}
+
       {/* ─── Year Manager Bar ────────────────────────────────────── */}
-      {showYearManager && (
+      {showYearManager && perms.isAdmin && !asOf && (
         <div style={{
           background: COLORS.surfaceAlt, borderBottom: `1px solid ${COLORS.border}`,
           padding: "12px 32px", display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap",
@@ -499,12 +1464,21 @@ export default function CornHedgingTracker() {
         {[
           ["dashboard", "Executive Summary"],
           ["hedges", "Hedge Positions"],
-          ["hog", "Hog Finishing"],
-          ["feedlot", "Feedlot"],
-          ["farming", "Farming"],
-          ["audit", "Audit Log"],
+          ["contracts", contractAlerts.length ? `Contracts (${contractAlerts.length})` : "Contracts"],
+          ["policy", "Hedge Policy"],
+          ["scenarios", "Scenarios"],
+          ["transfers", "Internal Transfers"],
+          ["inventory", "Inventory"],
+          perms.isAdmin && ["accounts", marginAlerts.length ? `Accounts (${marginAlerts.length})` : "Accounts"],
+          ...viewableEntities.map(e => [`entity:${e}`, e]),
+          ["prices", "Market Prices"],
+          ["basis", "Basis"],
+          perms.isAdmin && ["audit", "Audit Log"],
+          perms.isAdmin && ["entities", "Entities"],
+          perms.isAdmin && ["commodities", "Commodities"],
+          perms.isAdmin && ["users", "Users & Roles"],
           ["changelog", "Changelog"],
-        ].map(([key, label]) => (
+        ].filter(Boolean).map(([key, label]) => (
           <Tab key={key} active={activeTab === key} onClick={() => setActiveTab(key)}>{label}</Tab>
         ))}
       </nav>
@@ -516,19 +1490,43 @@ export default function CornHedgingTracker() {
           <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
               <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>
-                Crop Year {selectedYear} — Enterprise Summary
+                {commodity.name} · Crop Year {selectedYear} — Enterprise Summary
               </h2>
-              <Badge color={calc.netPosition >= 0 ? COLORS.green : COLORS.red} bg={calc.netPosition >= 0 ? COLORS.greenDim : COLORS.redDim}>
-                Net {calc.netPosition >= 0 ? "Long" : "Short"}: {fmt(Math.abs(calc.netPosition))} bu
+              <Badge color={calc.total.net >= 0 ? COLORS.green : COLORS.red} bg={calc.total.net >= 0 ? COLORS.greenDim : COLORS.redDim}>
+                Net {calc.total.net >= 0 ? "Long" : "Short"}: {fmt(Math.abs(calc.total.net))} {unit}
               </Badge>
             </div>
 
+            {/* Expiry alerts */}
+            {contractAlerts.length > 0 && (
+              <div style={{ padding: "12px 16px", background: COLORS.orangeDim, border: `1px solid ${COLORS.orange}`, borderRadius: 8, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, fontSize: 13 }}>
+                <div>
+                  <span style={{ color: COLORS.orange, fontWeight: 700 }}>⚠ {contractAlerts.length} position(s) near first notice, last trade or expiry</span>
+                  <span style={{ color: COLORS.textMuted, marginLeft: 8 }}>{[...new Set(contractAlerts.map(a => a.code))].join(", ")}</span>
+                </div>
+                <Btn variant="secondary" onClick={() => setActiveTab("contracts")}>Review</Btn>
+              </div>
+            )}
+
+            {/* Margin alerts */}
+            {marginAlerts.length > 0 && (
+              <div style={{ padding: "12px 16px", background: marginAlerts.some(s => s.status === "call") ? COLORS.redDim : COLORS.orangeDim, border: `1px solid ${marginAlerts.some(s => s.status === "call") ? COLORS.red : COLORS.orange}`, borderRadius: 8, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16, fontSize: 13 }}>
+                <div>
+                  <span style={{ color: marginAlerts.some(s => s.status === "call") ? COLORS.red : COLORS.orange, fontWeight: 700 }}>⚠ {marginAlerts.length} brokerage account(s) on or near a margin call</span>
+                  <span style={{ color: COLORS.textMuted, marginLeft: 8 }}>{marginAlerts.map(s => s.status === "call" ? `${s.account.name}: deposit ${fmtUsd(s.call)}` : s.account.name).join(", ")}</span>
+                </div>
+                <Btn variant="secondary" onClick={() => setActiveTab("accounts")}>Review</Btn>
+              </div>
+            )}
+
             {/* KPIs */}
             <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-              <KpiCard label="Total Consumption" value={fmt(calc.totalCons) + " bu"} sub={`Hog: ${fmt(calc.hogCons)} · Feed: ${fmt(calc.feedCons)}`} accent={COLORS.red} />
-              <KpiCard label="Total Production" value={fmt(calc.totalProd) + " bu"} sub={CORN_TYPES.map(t => `${t.split(" ")[0]}: ${fmt(calc.prod[t] || 0)}`).join(" · ")} accent={COLORS.green} />
-              <KpiCard label="Net Cash Position" value={fmt(calc.netCash) + " bu"} sub={calc.netCash >= 0 ? "Net Long (Cash)" : "Net Short (Cash)"} accent={calc.netCash >= 0 ? COLORS.green : COLORS.red} />
-              <KpiCard label="Total Hedge Position" value={fmt(calc.totalHedge) + " bu"} sub={`${calc.yearHedges.length} active contracts`} accent={COLORS.blue} />
+              <KpiCard label="Total Consumption" value={`${fmt(calc.total.cons)} ${unit}`} sub={calc.rows.filter(consumes).map(r => `${r.name.split(" ")[0]}: ${fmt(r.cons)}`).join(" · ")} accent={COLORS.red} />
+              <KpiCard label="Total Production" value={`${fmt(calc.total.prod)} ${unit}`} sub={subTypesOf(commodity).map(t => `${t.split(" ")[0]}: ${fmt(calc.total.prodByType[t] || 0)}`).join(" · ")} accent={COLORS.green} />
+              <KpiCard label="Net Cash Position" value={`${fmt(calc.total.cash)} ${unit}`} sub={calc.total.cash >= 0 ? "Net Long (Cash)" : "Net Short (Cash)"} accent={calc.total.cash >= 0 ? COLORS.green : COLORS.red} />
+              <KpiCard label="Total Hedge Position" value={`${fmt(calc.total.hedge)} ${unit}`} sub={`${calc.yearHedges.length} active contracts`} accent={COLORS.blue} />
+              <KpiCard label="Enterprise Hedge %" value={`${calc.total.pct.toFixed(1)}%`} sub={`Natural offset: ${fmt(calc.total.natural)} ${unit}`} accent={COLORS.purple} />
+              <KpiCard label="Mark-to-Market P&L" value={fmtUsd(calc.total.pnl.total)} sub={`Realized: ${fmtUsd(calc.total.pnl.realized)} · Unrealized: ${fmtUsd(calc.total.pnl.unrealized)}`} accent={pnlColor(calc.total.pnl.total)} />
             </div>
 
             {/* Entity Breakdown Table */}
@@ -539,30 +1537,24 @@ export default function CornHedgingTracker() {
               <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
                 <thead>
                   <tr style={{ background: COLORS.surfaceAlt }}>
-                    {["Entity", "Physical (bu)", "Hedged (bu)", "Net Position", "Hedge %", "Status"].map(h => (
+                    {["Entity", `Physical (${unit})`, `Hedged (${unit})`, "Internal", "Cash Contracted", "Net Position", "Hedge %", "MTM P&L", "Status"].map(h => (
                       <th key={h} style={{ padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
                     ))}
                   </tr>
                 </thead>
                 <tbody>
-                  {[
-                    { name: "Hog Finishing", cash: calc.hogNetCash, hedge: calc.hogHedge, net: calc.hogNet, pct: calc.hogHedgePct },
-                    { name: "Feedlot", cash: calc.feedNetCash, hedge: calc.feedHedge, net: calc.feedNet, pct: calc.feedHedgePct },
-                    { name: "Farming", cash: calc.farmNetCash, hedge: calc.farmHedge, net: calc.farmNet, pct: calc.farmHedgePct },
-                  ].map(row => (
+                  {breakdownRows.map(row => (
                     <tr key={row.name} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
                       <td style={{ padding: "12px 16px", fontWeight: 700 }}>{row.name}</td>
                       <td style={{ padding: "12px 16px", color: row.cash >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(row.cash)}</td>
                       <td style={{ padding: "12px 16px", color: COLORS.blue }}>{fmtFull(row.hedge)}</td>
+                      <td style={{ padding: "12px 16px", color: COLORS.textMuted }}>{row.internal ? fmtFull(row.internal) : "—"}</td>
+                      <td style={{ padding: "12px 16px", color: COLORS.purple }}>{fmtFull(row.contracted)}</td>
                       <td style={{ padding: "12px 16px", fontWeight: 700, color: row.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(row.net)}</td>
                       <td style={{ padding: "12px 16px" }}>
-                        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                          <div style={{ width: 60, height: 6, background: COLORS.surfaceAlt, borderRadius: 3, overflow: "hidden" }}>
-                            <div style={{ width: `${Math.min(row.pct, 100)}%`, height: "100%", background: row.pct >= 80 ? COLORS.green : row.pct >= 50 ? COLORS.accent : COLORS.red, borderRadius: 3 }} />
-                          </div>
-                          <span style={{ fontSize: 12, color: COLORS.textMuted }}>{row.pct.toFixed(1)}%</span>
-                        </div>
+                        <PolicyGauge pct={row.pct} check={policyCheck(row)} />
                       </td>
+                      <td style={{ padding: "12px 16px", color: pnlColor(row.pnl.total) }}>{fmtUsd(row.pnl.total)}</td>
                       <td style={{ padding: "12px 16px" }}>
                         <Badge color={row.net >= 0 ? COLORS.green : COLORS.red} bg={row.net >= 0 ? COLORS.greenDim : COLORS.redDim}>
                           {row.net >= 0 ? "Long" : "Short"}
@@ -572,13 +1564,18 @@ export default function CornHedgingTracker() {
                   ))}
                   <tr style={{ background: COLORS.surfaceAlt }}>
                     <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.accent }}>ENTERPRISE TOTAL</td>
-                    <td style={{ padding: "12px 16px", fontWeight: 800, color: calc.netCash >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(calc.netCash)}</td>
-                    <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.blue }}>{fmtFull(calc.totalHedge)}</td>
-                    <td style={{ padding: "12px 16px", fontWeight: 800, color: calc.netPosition >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(calc.netPosition)}</td>
-                    <td style={{ padding: "12px 16px" }}>—</td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: calc.total.cash >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(calc.total.cash)}</td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.blue }}>{fmtFull(calc.total.hedge)}</td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.textMuted }}>{calc.total.internal ? fmtFull(calc.total.internal) : "—"}</td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.purple }}>{fmtFull(calc.total.contracted)}</td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: calc.total.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(calc.total.net)}</td>
                     <td style={{ padding: "12px 16px" }}>
-                      <Badge color={calc.netPosition >= 0 ? COLORS.green : COLORS.red} bg={calc.netPosition >= 0 ? COLORS.greenDim : COLORS.redDim}>
-                        Net {calc.netPosition >= 0 ? "Long" : "Short"}
+                      <PolicyGauge pct={calc.total.pct} check={checkPolicy(null, calc.total.pct)} />
+                    </td>
+                    <td style={{ padding: "12px 16px", fontWeight: 800, color: pnlColor(calc.total.pnl.total) }}>{fmtUsd(calc.total.pnl.total)}</td>
+                    <td style={{ padding: "12px 16px" }}>
+                      <Badge color={calc.total.net >= 0 ? COLORS.green : COLORS.red} bg={calc.total.net >= 0 ? COLORS.greenDim : COLORS.redDim}>
+                        Net {calc.total.net >= 0 ? "Long" : "Short"}
                       </Badge>
                     </td>
                   </tr>
@@ -586,6 +1583,9 @@ export default function CornHedgingTracker() {
               </table>
             </div>
 
+            {/* Month-by-contract-month ladder */}
+            <LadderTable ladder={ladder} commodity={commodity} selectedYear={selectedYear} />
+
             {/* Chart */}
             <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
               <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 16 }}>MULTI-YEAR EXPOSURE OVERVIEW</h3>
@@ -596,7 +1596,7 @@ export default function CornHedgingTracker() {
                   <YAxis stroke={COLORS.textDim} tickFormatter={fmt} tick={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11 }} />
                   <Tooltip
                     contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}
-                    formatter={(v) => fmtFull(v) + " bu"}
+                    formatter={(v) => `${fmtFull(v)} ${unit}`}
                   />
                   <Legend wrapperStyle={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }} />
                   <ReferenceLine y={0} stroke={COLORS.textDim} />
@@ -618,10 +1618,12 @@ export default function CornHedgingTracker() {
         {activeTab === "hedges" && (
           <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
             <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-              <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Hedge Positions — {selectedYear}</h2>
+              <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Hedge Positions — {commodity.name} {selectedYear}</h2>
               <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
-                <Select value={entityFilter} onChange={e => setEntityFilter(e.target.value)} options={["All", ...ENTITIES]} />
-                <Btn onClick={openNewHedge}>+ New Position</Btn>
+                <Select value={entityFilter} onChange={e => setEntityFilter(e.target.value)} options={["All", ...viewableEntities]} />
+                <Select value={statusFilter} onChange={e => setStatusFilter(e.target.value)} options={["Open", "Closed", "All"]} />
+                <Btn variant="secondary" onClick={() => setImportOpen(true)} disabled={tradableEntities.length === 0}>Import…</Btn>
+                <Btn onClick={() => openNewHedge(entityFilter)} disabled={tradableEntities.length === 0}>+ New Position</Btn>
               </div>
             </div>
 
@@ -629,30 +1631,35 @@ export default function CornHedgingTracker() {
               <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13, minWidth: 900 }}>
                 <thead>
                   <tr style={{ background: COLORS.surfaceAlt }}>
-                    {["Entity", "Type", "Month", "Direction", "Quantity (bu)", "Price", "Date", "Notes", "Actions"].map(h => (
+                    {["Entity", "Type", "Month", "Direction", `Quantity (${unit})`, "Price", "Settle", "MTM P&L", "Date", "Notes", "Actions"].map(h => (
                       <th key={h} style={{ padding: "12px 14px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}`, whiteSpace: "nowrap" }}>{h}</th>
                     ))}
                   </tr>
                 </thead>
                 <tbody>
                   {filteredHedges.length === 0 && (
-                    <tr><td colSpan={9} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No hedge positions for {selectedYear}{entityFilter !== "All" ? ` (${entityFilter})` : ""}.</td></tr>
+                    <tr><td colSpan={11} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No {statusFilter !== "All" ? statusFilter.toLowerCase() + " " : ""}{commodity.name} hedge positions for {selectedYear}{entityFilter !== "All" ? ` (${entityFilter})` : ""}.</td></tr>
                   )}
                   {filteredHedges.map(h => (
                     <tr key={h.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
                       <td style={{ padding: "10px 14px", fontWeight: 600 }}>{h.entity}</td>
-                      <td style={{ padding: "10px 14px" }}>{h.contractType}</td>
-                      <td style={{ padding: "10px 14px" }}>{h.contractMonth}</td>
+                      <TypeCell hedge={h} />
+                      <ContractCell hedge={h} asOf={valuationDate} />
                       <td style={{ padding: "10px 14px" }}>
                         <Badge color={h.direction === "Long" ? COLORS.green : COLORS.red} bg={h.direction === "Long" ? COLORS.greenDim : COLORS.redDim}>{h.direction}</Badge>
                       </td>
-                      <td style={{ padding: "10px 14px", fontWeight: 700 }}>{fmtFull(h.quantity)}</td>
-                      <td style={{ padding: "10px 14px", color: COLORS.accent }}>{h.price ? `$${h.price.toFixed(2)}` : "—"}</td>
+                      <QuantityCell hedge={h} settlements={settlements} asOf={valuationDate} />
+                      <PriceCell hedge={h} />
+                      <PnlCells hedge={h} settlements={settlements} asOf={valuationDate} />
                       <td style={{ padding: "10px 14px", color: COLORS.textMuted }}>{h.dateEntered}</td>
                       <td style={{ padding: "10px 14px", color: COLORS.textDim, maxWidth: 150, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{h.notes || "—"}</td>
                       <td style={{ padding: "10px 14px", whiteSpace: "nowrap" }}>
-                        <Btn variant="ghost" onClick={() => openEditHedge(h)} style={{ marginRight: 4 }}>Edit</Btn>
-                        <Btn variant="danger" onClick={() => deleteHedge(h)}>Del</Btn>
+                        <Btn variant="ghost" onClick={() => openEditHedge(h)} disabled={!canTrade(h.entity)} style={{ marginRight: 4 }}>Edit</Btn>
+                        <Btn variant="ghost" onClick={() => openOffsets(h)} style={{ marginRight: 4 }}>{isClosed(h, valuationDate) ? "Offsets" : "Close"}</Btn>
+                        {h.contractType === "Futures" && !isClosed(h, valuationDate) && (
+                          <Btn variant="ghost" onClick={() => openRoll(h)} disabled={!canTrade(h.entity)} style={{ marginRight: 4 }}>Roll</Btn>
+                        )}
+                        <Btn variant="danger" onClick={() => deleteHedge(h)} disabled={!canTrade(h.entity)}>Del</Btn>
                       </td>
                     </tr>
                   ))}
@@ -662,15 +1669,15 @@ export default function CornHedgingTracker() {
 
             {/* Hedge summary cards */}
             <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-              {ENTITIES.map(e => {
-                const eHedges = hedges.filter(h => h.cropYear === selectedYear && h.entity === e);
-                const net = eHedges.reduce((s, h) => s + (h.direction === "Long" ? h.quantity : -h.quantity), 0);
+              {viewableEntities.map(e => {
+                const eHedges = hedges.filter(h => h.cropYear === selectedYear && h.entity === e && commodityOf(h) === commodity.name);
+                const net = eHedges.reduce((s, h) => s + hedgeExposure(h, settlements, valuationDate), 0);
                 return (
                   <div key={e} style={{ flex: 1, minWidth: 240, background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 20 }}>
                     <div style={{ fontSize: 12, color: COLORS.textMuted, fontWeight: 600, fontFamily: "'JetBrains Mono', monospace", marginBottom: 8, letterSpacing: 0.5 }}>{e.toUpperCase()}</div>
-                    <div style={{ fontSize: 11, color: COLORS.textDim, marginBottom: 4 }}>{eHedges.length} contract(s)</div>
+                    <div style={{ fontSize: 11, color: COLORS.textDim, marginBottom: 4 }}>{eHedges.filter(h => !isClosed(h, valuationDate)).length} open contract(s)</div>
                     <div style={{ fontSize: 20, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", color: net >= 0 ? COLORS.green : COLORS.red }}>
-                      {net >= 0 ? "+" : ""}{fmtFull(net)} bu
+                      {net >= 0 ? "+" : ""}{fmtFull(Math.round(net))} {unit}
                     </div>
                   </div>
                 );
@@ -679,214 +1686,137 @@ export default function CornHedgingTracker() {
           </div>
         )}
 
-        {/* ═══════ HOG FINISHING ═══════ */}
-        {activeTab === "hog" && (
-          <EntityView
-            title="Hog Finishing Operations"
-            subtitle="Corn consumption for hog finishing"
-            entity="Hog Finishing"
-            type="consumer"
-            consumption={consumption}
-            updateConsumption={updateConsumption}
-            hedges={hedges}
-            selectedYear={selectedYear}
-            calc={calc}
-            cropYears={cropYears}
-            openNewHedge={openNewHedge}
-            openEditHedge={openEditHedge}
-            deleteHedge={deleteHedge}
+        {/* ═══════ CONTRACTS ═══════ */}
+        {activeTab === "contracts" && (
+          <ContractsView
+            ladder={contractLadder(hedges.filter(h => commodityOf(h) === commodity.name), commodity, valuationDate)}
+            alerts={contractAlerts}
+            commodity={commodity}
+            canTrade={canTrade}
+            openRoll={openRoll}
           />
         )}
 
-        {/* ═══════ FEEDLOT ═══════ */}
-        {activeTab === "feedlot" && (
+        {/* ═══════ HEDGE POLICY ═══════ */}
+        {activeTab === "policy" && (
+          <PolicyView
+            rows={breakdownRows} policies={policies} setPolicies={setPolicies} commodity={commodity} selectedYear={selectedYear}
+            asOf={valuationDate} canEdit={perms.isAdmin && !asOf} addAudit={addAudit}
+          />
+        )}
+
+        {/* ═══════ SCENARIOS ═══════ */}
+        {activeTab === "scenarios" && (
+          <ScenariosView
+            entities={entities.filter(e => perms.canView(e.name))} commodity={commodity} selectedYear={selectedYear}
+            consumption={consumption} production={production} schedules={schedules} hedges={hedges} transfers={transfers} inventory={inventory} usage={usage} settlements={settlements} asOf={valuationDate}
+          />
+        )}
+
+        {/* ═══════ INTERNAL TRANSFERS ═══════ */}
+        {activeTab === "transfers" && (
+          <TransfersView
+            transfers={transfers} setTransfersObj={setTransfersObj} entities={entities} commodity={commodity} selectedYear={selectedYear}
+            settlements={settlements} asOf={valuationDate} canTrade={canTrade} addAudit={addAudit}
+          />
+        )}
+
+        {/* ═══════ INVENTORY ═══════ */}
+        {activeTab === "inventory" && (
+          <InventoryView
+            inventory={inventory} setInventoryObj={setInventoryObj} bins={bins} setBinRegistry={setBinRegistry}
+            entities={entities.filter(e => perms.canView(e.name))} commodity={commodity} commodities={commodities} hedges={hedges}
+            production={production} selectedYear={selectedYear} asOf={valuationDate} canTrade={canTrade} canEditBins={perms.isAdmin && !asOf} addAudit={addAudit}
+          />
+        )}
+
+        {/* ═══════ BROKERAGE ACCOUNTS ═══════ */}
+        {activeTab === "accounts" && perms.isAdmin && (
+          <AccountsView
+            statuses={accountStatuses} setAccountRegistry={setAccountRegistry} ledger={accountLedger} setLedgerObj={setLedgerObj}
+            hedges={hedges} commodities={commodities} settlements={settlements}
+            asOf={valuationDate} canEdit={perms.isAdmin && !asOf} addAudit={addAudit}
+          />
+        )}
+
+        {/* ═══════ ENTITY VIEWS ═══════ */}
+        {entities.filter(e => activeTab === `entity:${e.name}` && perms.canView(e.name)).map(e => (
           <EntityView
-            title="Feedlot Operations"
-            subtitle="Corn consumption for feedlot operations"
-            entity="Feedlot"
-            type="consumer"
+            key={e.name}
+            entity={e}
+            position={calc.rows.find(r => r.name === e.name)}
+            policy={policyOf(policies, e.name, commodity.name, selectedYear)}
+            commodity={commodity}
             consumption={consumption}
+            production={production}
+            schedules={schedules}
+            usage={usage}
+            livestock={livestock?.[e.name]}
+            commodities={commodities}
             updateConsumption={updateConsumption}
+            updateProduction={updateProduction}
+            updateSchedule={updateSchedule}
+            updateUsage={updateUsage}
+            updateLivestock={updateLivestock}
             hedges={hedges}
+            transfers={transfers}
+            inventory={inventory}
+            locations={locations}
+            basis={basis}
+            settlements={settlements}
+            asOf={valuationDate}
             selectedYear={selectedYear}
-            calc={calc}
             cropYears={cropYears}
+            canTrade={canTrade(e.name)}
             openNewHedge={openNewHedge}
             openEditHedge={openEditHedge}
             deleteHedge={deleteHedge}
           />
-        )}
-
-        {/* ═══════ FARMING ═══════ */}
-        {activeTab === "farming" && (
-          <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-              <div>
-                <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Farming Operations</h2>
-                <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Corn production by type — Crop Year {selectedYear}</p>
-              </div>
-              <Btn onClick={openNewHedge}>+ New Position</Btn>
-            </div>
+        ))}
 
-            {/* Production inputs */}
-            <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
-              <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>PLANNED PRODUCTION — {selectedYear}</h3>
-              <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-                {CORN_TYPES.map(t => (
-                  <Input
-                    key={t} label={t} type="number" style={{ flex: 1, minWidth: 200 }}
-                    value={production?.[selectedYear]?.[t] || ""}
-                    onChange={e => updateProduction(selectedYear, t, e.target.value)}
-                    placeholder="Bushels"
-                  />
-                ))}
-              </div>
-              <div style={{ marginTop: 16, padding: "12px 16px", background: COLORS.surfaceAlt, borderRadius: 6, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-                <span style={{ fontSize: 13, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.textMuted }}>TOTAL PRODUCTION</span>
-                <span style={{ fontSize: 20, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", color: COLORS.green }}>{fmtFull(calc.totalProd)} bu</span>
-              </div>
-            </div>
+        {/* ═══════ MARKET PRICES ═══════ */}
+        {activeTab === "prices" && (
+          <SettlementsView
+            settlements={settlements}
+            hedges={hedges}
+            asOf={valuationDate}
+            cropYears={cropYears}
+            selectedYear={selectedYear}
+            commodity={commodity}
+            commodities={commodities}
+            entities={viewableEntities}
+            canEdit={perms.isAdmin && !asOf}
+            addSettlement={addSettlement}
+            importSettlements={importSettlements}
+            deleteSettlement={deleteSettlement}
+          />
+        )}
 
-            {/* Multi-year production table */}
-            <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
-              <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
-                <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>PRODUCTION BY YEAR</h3>
-              </div>
-              <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
-                <thead>
-                  <tr style={{ background: COLORS.surfaceAlt }}>
-                    {["Year", ...CORN_TYPES, "Total"].map(h => (
-                      <th key={h} style={{ padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {(cropYears || []).map(y => {
-                    const p = production?.[y] || {};
-                    const total = Object.values(p).reduce((s, v) => s + (v || 0), 0);
-                    return (
-                      <tr key={y} style={{ borderBottom: `1px solid ${COLORS.border}`, background: y === selectedYear ? COLORS.accent + "08" : "transparent" }}>
-                        <td style={{ padding: "12px 16px", fontWeight: 700, color: y === selectedYear ? COLORS.accent : COLORS.text }}>{y}</td>
-                        {CORN_TYPES.map(t => (
-                          <td key={t} style={{ padding: "4px 8px" }}>
-                            <input
-                              type="number"
-                              value={p[t] || ""}
-                              onChange={e => updateProduction(y, t, e.target.value)}
-                              placeholder="0"
-                              style={{
-                                background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
-                                padding: "6px 10px", color: COLORS.text, fontSize: 13, outline: "none", width: "100%",
-                                fontFamily: "'JetBrains Mono', monospace",
-                              }}
-                            />
-                          </td>
-                        ))}
-                        <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.green }}>{fmtFull(total)}</td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
+        {/* ═══════ BASIS ═══════ */}
+        {activeTab === "basis" && (
+          <BasisView
+            locations={locations} setLocationRegistry={setLocationRegistry} basis={basis} settlements={settlements} hedges={hedges}
+            commodity={commodity} commodities={commodities} cropYears={cropYears} selectedYear={selectedYear} asOf={valuationDate}
+            canEdit={perms.isAdmin && !asOf} addBasis={addBasis} deleteBasis={deleteBasis} addAudit={addAudit}
+          />
+        )}
 
-            {/* Net Position by Corn Type */}
-            {(() => {
-              const prod = production?.[selectedYear] || {};
-              const cashPositions = hedges.filter(h => h.cropYear === selectedYear && h.entity === "Farming" && h.contractType === "Cash Position");
-              const rows = CORN_TYPES.map(ct => {
-                const prodVal = prod[ct] || 0;
-                const sold = cashPositions.filter(h => h.cornType === ct).reduce((s, h) => s + (h.quantity || 0), 0);
-                return { cornType: ct, production: prodVal, sold, net: prodVal - sold };
-              });
-              const totals = rows.reduce((acc, r) => ({ production: acc.production + r.production, sold: acc.sold + r.sold, net: acc.net + r.net }), { production: 0, sold: 0, net: 0 });
-              return (
-                <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
-                  <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
-                    <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>NET POSITION BY CORN TYPE — {selectedYear}</h3>
-                  </div>
-                  <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
-                    <thead>
-                      <tr style={{ background: COLORS.surfaceAlt }}>
-                        {["Corn Type", "Production", "Sold", "Net"].map(h => (
-                          <th key={h} style={{ padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
-                        ))}
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {rows.map(r => (
-                        <tr key={r.cornType} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
-                          <td style={{ padding: "10px 16px", fontWeight: 600 }}>{r.cornType}</td>
-                          <td style={{ padding: "10px 16px", color: COLORS.green }}>{fmtFull(r.production)}</td>
-                          <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(r.sold)}</td>
-                          <td style={{ padding: "10px 16px", fontWeight: 700, color: r.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(r.net)}</td>
-                        </tr>
-                      ))}
-                      <tr style={{ background: COLORS.surfaceAlt }}>
-                        <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.accent }}>Total</td>
-                        <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.green }}>{fmtFull(totals.production)}</td>
-                        <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.red }}>{fmtFull(totals.sold)}</td>
-                        <td style={{ padding: "12px 16px", fontWeight: 800, color: totals.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(totals.net)}</td>
-                      </tr>
-                    </tbody>
-                  </table>
-                </div>
-              );
-            })()}
+        {/* ═══════ AUDIT LOG ═══════ */}
+        {activeTab === "audit" && perms.isAdmin && <AuditLogView entities={entityNames} />}
 
-            {/* Farming hedges */}
-            <HedgeTable
-              hedges={hedges.filter(h => h.cropYear === selectedYear && h.entity === "Farming")}
-              openEditHedge={openEditHedge}
-              deleteHedge={deleteHedge}
-            />
+        {/* ═══════ ENTITIES ═══════ */}
+        {activeTab === "entities" && perms.isAdmin && (
+          <EntitiesView registry={entityRegistry} setRegistry={setEntityRegistry} hedges={hedges} canEdit={!asOf} addAudit={addAudit} />
+        )}
 
-            {/* Net position */}
-            <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-              <KpiCard label="Physical Position (Long)" value={fmtFull(calc.farmNetCash) + " bu"} accent={COLORS.green} />
-              <KpiCard label="Hedge Position" value={fmtFull(calc.farmHedge) + " bu"} accent={COLORS.blue} />
-              <KpiCard label="Net Position" value={fmtFull(calc.farmNet) + " bu"} sub={calc.farmNet >= 0 ? "Net Long" : "Net Short"} accent={calc.farmNet >= 0 ? COLORS.green : COLORS.red} />
-              <KpiCard label="Hedged %" value={calc.farmHedgePct.toFixed(1) + "%"} accent={COLORS.purple} />
-            </div>
-          </div>
+        {/* ═══════ COMMODITIES ═══════ */}
+        {activeTab === "commodities" && perms.isAdmin && (
+          <CommoditiesView registry={commodityRegistry} setRegistry={setCommodityRegistry} hedges={hedges} canEdit={!asOf} addAudit={addAudit} />
         )}
 
-        {/* ═══════ AUDIT LOG ═══════ */}
-        {activeTab === "audit" && (
-          <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
-            <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Audit Log</h2>
-            <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
-              <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
-                <thead>
-                  <tr style={{ background: COLORS.surfaceAlt }}>
-                    {["Timestamp", "User", "Action", "Entity", "Details"].map(h => (
-                      <th key={h} style={{ padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {(!auditLog || auditLog.length === 0) && (
-                    <tr><td colSpan={5} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No changes recorded yet. Make edits to see the audit trail.</td></tr>
-                  )}
-                  {(auditLog || []).slice(0, 50).map(a => (
-                    <tr key={a.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
-                      <td style={{ padding: "10px 16px", color: COLORS.textMuted, whiteSpace: "nowrap", fontSize: 12 }}>{new Date(a.timestamp).toLocaleString()}</td>
-                      <td style={{ padding: "10px 16px" }}>{a.user}</td>
-                      <td style={{ padding: "10px 16px" }}>
-                        <Badge color={
-                          a.action.includes("Created") ? COLORS.green :
-                          a.action.includes("Deleted") ? COLORS.red :
-                          COLORS.accent
-                        }>{a.action}</Badge>
-                      </td>
-                      <td style={{ padding: "10px 16px", fontWeight: 600 }}>{a.entity}</td>
-                      <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{a.details}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
+        {/* ═══════ USERS & ROLES ═══════ */}
+        {activeTab === "users" && perms.isAdmin && (
+          <UsersView currentUid={user.uid} entities={entityNames} addAudit={addAudit} />
         )}
 
         {/* ═══════ CHANGELOG ═══════ */}
@@ -895,6 +1825,234 @@ export default function CornHedgingTracker() {
             <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Changelog</h2>
 
             {[
+              {
+                version: "3.21.0", date: "2026-10-18",
+                changes: [
+                  "New Accounts tab: brokerage accounts with their broker, account number and initial and maintenance margin per contract for each commodity",
+                  "Futures and options can be linked to the brokerage account they are held in",
+                  "Each account has a ledger of deposits, withdrawals, commissions and fees, option premium and daily variation margin from settlements, with a running balance",
+                  "The balance is compared to initial and maintenance margin, with the amount due when an account is on call",
+                  "Accounts within a 5% futures move of a margin call are flagged on the Accounts tab and the Executive Summary",
+                ],
+              },
+              {
+                version: "3.20.0", date: "2026-10-18",
+                changes: [
+                  "Added Lean Hogs and Live Cattle to the default commodities, so output hedges are entered like any other position",
+                  "Livestock entities can track margin: what they sell and feed, sale weight and feed per head, other costs, head marketed by quarter and a local price table",
+                  "Projected margin per head by year and quarter, with hedged quantities at the price they lock in and the rest at local prices",
+                ],
+              },
+              {
+                version: "3.19.0", date: "2026-10-18",
+                changes: [
+                  "Consuming entities can record actual usage by month, as a quantity or as head count times daily intake per head",
+                  "Usage is compared to the budget month by month, and the months still ahead are re-projected at the pace so far",
+                  "Consumption in positions, the exposure ladder and scenarios is the re-projected figure, with recorded months at actual usage",
+                  "Hedged % for consumers is measured against the projected remaining need rather than the original budget",
+                ],
+              },
+              {
+                version: "3.18.0", date: "2026-10-18",
+                changes: [
+                  "Added an Inventory tab: storage bins by site with capacity, and harvest, feed-out, delivery and adjustment movements by type",
+                  "Shows grain on hand, storage used, grain in storage not covered by a priced sale, and priced sales still to deliver",
+                  "Deliveries can be recorded against a cash sale; the sale's remaining quantity drops as grain goes out",
+                  "Once harvest of a type starts, its production in positions and in the net position by type is the larger of the plan and the harvest so far",
+                ],
+              },
+              {
+                version: "3.17.0", date: "2026-10-18",
+                changes: [
+                  "Added a Basis tab: delivery locations (elevators, ethanol plants, feed mills, ...) with basis bids by delivery month, bid history and a seasonal basis chart",
+                  "Each bid shows the futures contract it is quoted against and the resulting local cash price",
+                  "Cash contracts can name a delivery location; contracts whose basis is still open take that location's bid",
+                  "Producer tabs show a cash valuation: contracts at their own terms and unsold production at futures plus the chosen location's basis",
+                ],
+              },
+              {
+                version: "3.16.0", date: "2026-10-18",
+                changes: [
+                  "Added an Internal Transfers tab: a producing entity can commit grain to a consuming one at an agreed price and delivery month",
+                  "Transfers reduce the open exposure and raise the Hedge % of both the seller and the buyer, and appear in the exposure ladder and scenarios",
+                  "The dashboard shows each entity's internal commitments and an Enterprise Hedge %: hedges against the position left once production covers consumption",
+                ],
+              },
+              {
+                version: "3.15.0", date: "2026-10-18",
+                changes: [
+                  "Added a Scenarios tab: futures and basis moves applied to the current consumption, production and hedges",
+                  "Each scenario shows every entity's change in feed cost or farm revenue, hedge gain or loss and net effect",
+                  "A payoff chart shows the net effect across a range of prices for the reference contract, for the enterprise or one entity",
+                ],
+              },
+              {
+                version: "3.14.0", date: "2026-10-18",
+                changes: [
+                  "Added a Hedge Policy tab: admins set a minimum and maximum Hedge % per entity, commodity and crop year, plus dated targets such as 50% by planting",
+                  "The dashboard and entity tabs flag entities that are under- or over-hedged against their policy",
+                  "Saving a hedge that takes an entity over its policy maximum asks for a justification, which is recorded in the audit log",
+                ],
+              },
+              {
+                version: "3.13.0", date: "2026-10-18",
+                changes: [
+                  "Positions are closed by recording offsets (quantity, price and date) against them instead of being deleted; partial offsets leave the rest open",
+                  "Hedges show their status: open, partially closed, closed, expired or exercised",
+                  "Only the quantity still open counts toward exposure and is marked to market; offsets realize at their own price",
+                  "Options can be recorded as expired or exercised, optionally opening the futures position at the strike",
+                  "The hedge list filters open and closed positions, so closed ones stay browsable with their realized result",
+                ],
+              },
+              {
+                version: "3.12.0", date: "2026-10-18",
+                changes: [
+                  "Futures and options are stored against a contract code (ZCZ25) with its year, so positions can sit in a contract beyond their crop year",
+                  "Added a Contracts tab: open positions by contract with first notice, last trade and per-entity nets",
+                  "Positions within 10 days of first notice, last trade or option expiry are flagged on the dashboard",
+                  "Futures can be rolled to a deferred contract: the position closes at its price and reopens in the new contract as one change in history",
+                  "Broker imports accept contract codes in the month column",
+                ],
+              },
+              {
+                version: "3.11.0", date: "2026-10-18",
+                changes: [
+                  "Entities can spread each year's consumption and production by month, typed in or generated from a curve",
+                  "Added an exposure ladder to the dashboard and entity tabs: cash months grouped under the futures contract that covers them, against the hedges in that contract",
+                  "Ladder buckets with cash exposure and no offsetting hedge are flagged as uncovered",
+                ],
+              },
+              {
+                version: "3.10.0", date: "2026-10-18",
+                changes: [
+                  "Production sub-types have their own entry unit, moisture and shrink, set on the Commodities tab",
+                  "Production is converted by dry matter to standard-moisture bushels (15.5% for corn) before it is netted against consumption and hedges",
+                  "Silage is entered in tons; figures entered as silage bushels before this version need re-entering",
+                  "The entity production tables show entered and equivalent quantities side by side",
+                ],
+              },
+              {
+                version: "3.9.0", date: "2026-10-18",
+                changes: [
+                  "Added Soybeans and Soybean Meal alongside corn; admins manage commodities on the new Commodities tab",
+                  "Each commodity has its own unit, contract size, listed futures months and production sub-types (corn types are now Corn's sub-types)",
+                  "The dashboard, entity tabs, hedge list and reports follow the commodity picked in the header",
+                  "Positions, consumption, settlement prices and imports carry a commodity; existing data is read as corn",
+                ],
+              },
+              {
+                version: "3.8.0", date: "2026-10-18",
+                changes: [
+                  "Entities now come from a registry that admins manage on the new Entities tab",
+                  "Each entity is a consumer, a producer or both; tabs, the dashboard, the hedge modal and exports follow the registry",
+                  "Any producer can record production by corn type, and entities that are both net their production against consumption",
+                  "Production is stored per entity; the existing year-keyed figures are read as Farming's and moved on the next edit",
+                ],
+              },
+              {
+                version: "3.7.0", date: "2026-10-18",
+                changes: [
+                  "Added a Reports menu in the header",
+                  "Export the filtered hedge list, the entity breakdown and the audit log to CSV or XLSX",
+                  "Monthly position report as a PDF with KPIs, the entity table and the exposure chart",
+                  "Exports and the report follow the As Of date when one is set",
+                ],
+              },
+              {
+                version: "3.6.0", date: "2026-10-18",
+                changes: [
+                  "Import hedge positions from a broker statement (CSV or XLSX) on the Hedge Positions tab",
+                  "Map file columns to entity, crop year, type, month, quantity, direction, price and trade date",
+                  "Validation preview flags bad rows and duplicates of booked positions before saving",
+                  "Imported rows are saved in one batch with a Hedge Created audit entry per position",
+                ],
+              },
+              {
+                version: "3.5.0", date: "2026-10-18",
+                changes: [
+                  "Consumption and production edits write only the changed year/corn-type values instead of the whole tree",
+                  "Edits by others to different fields are merged into a pending local edit rather than overwritten",
+                  "A remote change to the same field while your edit is pending opens a prompt to keep yours or theirs",
+                ],
+              },
+              {
+                version: "3.4.0", date: "2026-10-18",
+                changes: [
+                  "Data is cached in IndexedDB so the app opens from the last synced copy without a connection",
+                  "Writes are queued while offline and replayed on reconnect, including after the page is reopened",
+                  "Header shows online/offline/syncing status and the number of pending writes",
+                  "Failed reads and writes are listed under the header instead of being silently dropped",
+                  "A consumption/production edit still waiting on its debounce is written on sign-out instead of being dropped",
+                ],
+              },
+              {
+                version: "3.3.0", date: "2026-10-18",
+                changes: [
+                  "Added an As Of date in the header to view positions, consumption and production as they stood on a past date",
+                  "The snapshot is rebuilt by undoing later audit log diffs, and P&L and exposure are valued at that date",
+                  "Historical views are read-only; changes logged before field-level diffs existed are counted in the banner",
+                  "Consumption and production edits are now audited with a before/after diff",
+                ],
+              },
+              {
+                version: "3.2.0", date: "2026-10-18",
+                changes: [
+                  "Audit entries are pushed as individual keyed records and can no longer be rewritten or deleted",
+                  "Hedge create/modify/delete entries store a structured before/after diff of the hedge fields",
+                  "Audit Log tab pages through the full history instead of showing the latest 50",
+                  "Filter the audit log by date range, user, action and entity",
+                ],
+              },
+              {
+                version: "3.1.0", date: "2026-10-18",
+                changes: [
+                  "Added per-entity roles stored at roles/{uid}: viewer or trader per entity, or admin for everything",
+                  "Entity tabs, hedge rows and breakdown rows are limited to the entities a user may view",
+                  "Edit/Del, New Position and consumption/production inputs are disabled without trader access",
+                  "Only admins can add or remove crop years, enter settlement prices and manage roles",
+                  "Added Users & Roles tab for admins; the first user can claim admin on an empty database",
+                  "database.rules.json enforces the same permissions; hedges and consumption are written per entry",
+                ],
+              },
+              {
+                version: "3.0.0", date: "2026-10-18",
+                changes: [
+                  "Added Firebase Authentication (email/password and Google); the app is behind a login screen",
+                  "Audit entries record the signed-in user's display name and uid",
+                  "Hedges are stamped with who created and last modified them",
+                  "Database rules require a signed-in user; firebase.json configures the Auth and Database emulators",
+                  "Set VITE_USE_EMULATORS=true to run against the local emulators",
+                ],
+              },
+              {
+                version: "2.3.0", date: "2026-10-18",
+                changes: [
+                  "Added a contract type registry: Futures, Options, HTA, Basis Contract, Minimum Price, Deferred Pricing and Cash Position",
+                  "The hedge modal shows each type's own fields (futures reference month, basis level, floor, pricing deadline, ...)",
+                  "Seeded HTA and Basis Contract positions can be re-selected and edited",
+                  "Each type has its own futures and cash exposure rules; unpriced basis and deferred-pricing bushels no longer count as hedged",
+                  "Added Cash Contracted bushels to the entity breakdown and entity tabs",
+                ],
+              },
+              {
+                version: "2.2.0", date: "2026-10-18",
+                changes: [
+                  "Option positions now capture put/call, strike, premium, expiry and volatility",
+                  "Added a Black-76 pricer for options on corn futures; the modal previews value and delta",
+                  "Hedge, exposure and hedge-% figures use delta-adjusted bushels for options",
+                  "Options are marked to market against their premium and realize at expiry",
+                ],
+              },
+              {
+                version: "2.1.0", date: "2026-10-18",
+                changes: [
+                  "Added Market Prices tab with a daily settlement price table per corn futures contract month",
+                  "Settlements can be entered by hand or imported from a CSV file (date, contract, price)",
+                  "Futures and HTA positions are marked to market; P&L is realized once the contract month has ended",
+                  "MTM P&L shown on the dashboard KPIs, entity breakdown, entity tabs and hedge tables",
+                  "P&L by crop year and entity on the Market Prices tab",
+                ],
+              },
               {
                 version: "2.0.0", date: "2026-02-18",
                 changes: [
@@ -958,41 +2116,250 @@ export default function CornHedgingTracker() {
       </main>
 
       {/* ─── Hedge Modal ──────────────────────────────────────────── */}
+      <HedgeImportWizard
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        entities={tradableEntities}
+        commodities={commodities}
+        cropYears={cropYears || DEFAULT_CROP_YEARS}
+        existingHedges={hedges}
+        importHedges={importHedges}
+      />
+
+      <Modal open={!!rollTarget} onClose={() => setRollTarget(null)} title="Roll Position">
+        {rollTarget && (() => {
+          const listed = commodities.find(c => c.name === commodityOf(rollTarget))?.months || [];
+          const spread = parseFloat(rollForm.openPrice) - parseFloat(rollForm.closePrice);
+          return (
+            <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div style={{ fontSize: 13, color: COLORS.textMuted }}>
+                {rollTarget.entity} · {hedgeSummary(rollTarget, unitOf(commodityOf(rollTarget)))}
+              </div>
+              <div style={{ display: "flex", gap: 12 }}>
+                <Input label={`Close ${rollTarget.contract} at`} type="number" step="0.0025" value={rollForm.closePrice} onChange={e => setRollForm(p => ({ ...p, closePrice: e.target.value }))} style={{ flex: 1 }} />
+                <Select label="Roll To" value={rollForm.contract} onChange={e => { const code = e.target.value; setRollForm(p => ({ ...p, contract: code, openPrice: settleOf(rollTarget, code) })); }} options={deferredContracts(rollTarget.contract, listed)} style={{ flex: 1 }} />
+                <Input label="Open At" type="number" step="0.0025" value={rollForm.openPrice} onChange={e => setRollForm(p => ({ ...p, openPrice: e.target.value }))} style={{ flex: 1 }} />
+              </div>
+              <Input label="Roll Date" type="date" value={rollForm.date} onChange={e => setRollForm(p => ({ ...p, date: e.target.value }))} />
+              {!isNaN(spread) && (
+                <div style={{ fontSize: 12, fontFamily: "'JetBrains Mono', monospace", color: COLORS.textMuted }}>
+                  Spread {spread >= 0 ? "+" : ""}{spread.toFixed(4)} · {rollTarget.contract} realizes at the close price; {rollForm.contract} opens {rollTarget.direction} {fmtFull(rollTarget.quantity)} at the open price
+                </div>
+              )}
+              <div style={{ display: "flex", gap: 12, justifyContent: "flex-end" }}>
+                <Btn variant="secondary" onClick={() => setRollTarget(null)}>Cancel</Btn>
+                <Btn onClick={rollHedge} disabled={!rollForm.contract || isNaN(spread) || !rollForm.date}>Roll Position</Btn>
+              </div>
+            </div>
+          );
+        })()}
+      </Modal>
+
+      <Modal open={!!offsetTarget} onClose={() => setOffsetTarget(null)} title="Close Position">
+        {(() => {
+          const h = hedges.find(x => x.id === offsetTarget);
+          if (!h) return null;
+          const unit = unitOf(commodityOf(h));
+          const offsets = offsetsOf(h, "9999-12-31");
+          const open = h.quantity - offsetQuantity(h);
+          const entry = h[contractTypeSpec(h.contractType).priceField];
+          const sign = h.direction === "Long" ? 1 : -1;
+          const realized = offsetPnl(h, "9999-12-31");
+          const preview = (parseFloat(offsetForm.price) - Number(entry)) * (parseInt(offsetForm.quantity) || 0) * sign;
+          const isOption = contractTypeSpec(h.contractType).mark === "option";
+          const tradable = canTrade(h.entity) && !!liveHedgesObj?.[h.id];
+          const setKind = (kind) => setOffsetForm(p => ({ ...p, kind, price: offsetPrice(h, kind, p.openFutures) }));
+          return (
+            <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div style={{ fontSize: 13, color: COLORS.textMuted }}>
+                {h.entity} · {hedgeSummary(h, unit)} at ${Number(entry).toFixed(4)}
+                <div style={{ marginTop: 4 }}>
+                  <Badge color={open > 0 ? COLORS.green : COLORS.orange} bg={open > 0 ? COLORS.greenDim : COLORS.orangeDim}>{hedgeStatus(h, "9999-12-31")}</Badge>
+                  <span style={{ marginLeft: 8 }}>{fmtFull(open)} of {fmtFull(h.quantity)} {unit} open</span>
+                </div>
+              </div>
+
+              {offsets.length > 0 && (
+                <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+                  <thead>
+                    <tr>
+                      {["Date", "Kind", "Quantity", "Price", "Realized", ""].map(c => <th key={c} style={{ padding: "6px 8px", textAlign: "left", color: COLORS.textMuted, fontSize: 11, borderBottom: `1px solid ${COLORS.border}` }}>{c}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {offsets.map(o => {
+                      const r = o.price !== null && entry !== undefined && entry !== null ? (o.price - Number(entry)) * o.quantity * sign : null;
+                      return (
+                        <tr key={o.id} style={{ borderBottom: `1px solid ${COLORS.border}` }} title={o.notes || undefined}>
+                          <td style={{ padding: "6px 8px" }}>{o.date}</td>
+                          <td style={{ padding: "6px 8px" }}>{o.kind}</td>
+                          <td style={{ padding: "6px 8px" }}>{fmtFull(o.quantity)}</td>
+                          <td style={{ padding: "6px 8px" }}>{o.price !== null ? `$${o.price.toFixed(4)}` : "—"}</td>
+                          <td style={{ padding: "6px 8px", color: r === null ? COLORS.textDim : pnlColor(r) }}>{r === null ? "—" : fmtUsd(r)}</td>
+                          <td style={{ padding: "6px 8px", textAlign: "right" }}>
+                            {o.kind !== "Rolled" && h.offsets?.[o.id] && <Btn variant="danger" onClick={() => removeOffset(o.id)} disabled={!tradable}>×</Btn>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+              {realized !== null && offsets.length > 0 && (
+                <div style={{ fontSize: 13, fontFamily: "'JetBrains Mono', monospace" }}>Realized: <span style={{ fontWeight: 700, color: pnlColor(realized) }}>{fmtUsd(realized)}</span></div>
+              )}
+
+              {open > 0 && tradable && (
+                <>
+                  <div style={{ display: "flex", gap: 12 }}>
+                    <Select label="Kind" value={offsetForm.kind} onChange={e => setKind(e.target.value)} options={offsetKindsFor(h.contractType)} style={{ flex: 1 }} />
+                    <Input label={`Quantity (${unit})`} type="number" value={offsetForm.quantity} onChange={e => setOffsetForm(p => ({ ...p, quantity: e.target.value }))} style={{ flex: 1 }} />
+                    <Input label={isOption ? unitLabel("Premium ($/bu)", unit) : unitLabel("Price ($/bu)", unit)} type="number" step="0.0025" value={offsetForm.price} onChange={e => setOffsetForm(p => ({ ...p, price: e.target.value }))} style={{ flex: 1 }} />
+                  </div>
+                  <div style={{ display: "flex", gap: 12 }}>
+                    <Input label="Date" type="date" value={offsetForm.date} onChange={e => setOffsetForm(p => ({ ...p, date: e.target.value }))} style={{ flex: 1 }} />
+                    <Input label="Notes" value={offsetForm.notes} onChange={e => setOffsetForm(p => ({ ...p, notes: e.target.value }))} placeholder="Optional" style={{ flex: 2 }} />
+                  </div>
+                  {offsetForm.kind === "Exercised" && (
+                    <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13, color: COLORS.textMuted }}>
+                      <input type="checkbox" checked={offsetForm.openFutures} onChange={e => { const openFutures = e.target.checked; setOffsetForm(p => ({ ...p, openFutures, price: offsetPrice(h, "Exercised", openFutures) })); }} />
+                      Open the {exercisedFutures(h, 0, "").direction.toLowerCase()} futures position at the ${Number(h.strike).toFixed(2)} strike (its value carries into the futures, so the option closes at no value)
+                    </label>
+                  )}
+                  {!isNaN(preview) && (
+                    <div style={{ fontSize: 12, fontFamily: "'JetBrains Mono', monospace", color: COLORS.textMuted }}>
+                      Realizes <span style={{ color: pnlColor(preview), fontWeight: 700 }}>{fmtUsd(preview)}</span>; {fmtFull(open - (parseInt(offsetForm.quantity) || 0))} {unit} stay open
+                    </div>
+                  )}
+                  {offsetErr && <div style={{ color: COLORS.red, fontSize: 13 }}>{offsetErr}</div>}
+                </>
+              )}
+
+              <div style={{ display: "flex", gap: 12, justifyContent: "flex-end" }}>
+                <Btn variant="secondary" onClick={() => setOffsetTarget(null)}>{open > 0 && tradable ? "Cancel" : "Close"}</Btn>
+                {open > 0 && tradable && <Btn onClick={saveOffset}>Record {offsetForm.kind}</Btn>}
+              </div>
+            </div>
+          );
+        })()}
+      </Modal>
+
+      <ConflictModal conflict={consConflict} title="Consumption Changed Elsewhere" />
+      <ConflictModal conflict={prodConflict} title="Production Changed Elsewhere" />
+      <ConflictModal conflict={schedConflict} title="Schedule Changed Elsewhere" />
+      <ConflictModal conflict={usageConflict} title="Usage Changed Elsewhere" />
+      <ConflictModal conflict={livestockConflict} title="Livestock Settings Changed Elsewhere" />
+
       <Modal open={hedgeModalOpen} onClose={() => setHedgeModalOpen(false)} title={editingHedge ? "Edit Position" : "New Position"}>
         <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
           <div style={{ display: "flex", gap: 12 }}>
-            <Select label="Entity" value={hedgeForm.entity} onChange={e => setHedgeForm(p => ({ ...p, entity: e.target.value }))} options={ENTITIES} style={{ flex: 1 }} />
+            <Select label="Entity" value={hedgeForm.entity} onChange={e => setHedgeForm(p => ({ ...p, entity: e.target.value }))} options={tradableEntities} style={{ flex: 1 }} />
             <Select label="Crop Year" value={hedgeForm.cropYear} onChange={e => setHedgeForm(p => ({ ...p, cropYear: e.target.value }))} options={cropYears || DEFAULT_CROP_YEARS} style={{ flex: 1 }} />
+            <Select label="Commodity" value={hedgeForm.commodity} onChange={e => {
+              const next = commodities.find(c => c.name === e.target.value);
+              // Keep the month only where the new commodity lists it; sub-types don't carry over
+              setHedgeForm(p => ({ ...p, commodity: next.name, cornType: "", contractMonth: hedgeSpec.physical || next.months.includes(p.contractMonth) ? p.contractMonth : next.months[0] }));
+            }} options={commodities.map(c => c.name)} style={{ flex: 1 }} />
           </div>
           <div style={{ display: "flex", gap: 12 }}>
-            <Select label="Contract Type" value={hedgeForm.contractType} onChange={e => setHedgeForm(p => ({ ...p, contractType: e.target.value }))} options={CONTRACT_TYPES} style={{ flex: 1 }} />
-            <Select label="Contract Month" value={hedgeForm.contractMonth} onChange={e => setHedgeForm(p => ({ ...p, contractMonth: e.target.value }))} options={CONTRACT_MONTHS} style={{ flex: 1 }} />
+            <Select label="Contract Type" value={hedgeForm.contractType} onChange={e => {
+              const physical = contractTypeSpec(e.target.value).physical;
+              setHedgeForm(p => ({ ...p, contractType: e.target.value, contractMonth: physical || hedgeCommodity.months.includes(p.contractMonth) ? p.contractMonth : hedgeCommodity.months[0] }));
+            }} options={CONTRACT_TYPES} style={{ flex: 1 }} />
+            <Select label="Contract Month" value={hedgeForm.contractMonth} onChange={e => setHedgeForm(p => ({ ...p, contractMonth: e.target.value }))} options={hedgeSpec.physical ? CONTRACT_MONTHS : hedgeCommodity.months} style={{ flex: 1 }} />
+            {!hedgeSpec.physical && (
+              <Select label="Contract Year" value={hedgeForm.contractYear} onChange={e => setHedgeForm(p => ({ ...p, contractYear: e.target.value }))} options={[...new Set([hedgeForm.cropYear, String(Number(hedgeForm.cropYear) + 1), hedgeForm.contractYear])].sort()} style={{ flex: 1 }} />
+            )}
           </div>
-          {hedgeForm.entity === "Farming" && hedgeForm.contractType === "Cash Position" && (
+          {!hedgeSpec.physical && (() => {
+            const cal = contractCalendar(contractCode(hedgeCommodity.symbol, hedgeForm.contractMonth, hedgeForm.contractYear), hedgeCommodity.calendar);
+            return cal && (
+              <div style={{ fontSize: 12, color: COLORS.textDim, fontFamily: "'JetBrains Mono', monospace", marginTop: -8 }}>
+                <span style={{ color: COLORS.accent, fontWeight: 700 }}>{cal.code}</span> · {cal.firstNotice ? `First notice ${cal.firstNotice}` : "Cash-settled"} · Last trade {cal.lastTrade}{hedgeForm.contractType === "Options" ? ` · Options expire ${cal.optionExpiry}` : ""}
+              </div>
+            );
+          })()}
+          {hedgeSpec.fields.length > 0 && (
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+              {hedgeSpec.fields.map(f => f.kind === "select" ? (
+                <Select key={f.key} label={f.label} value={hedgeForm[f.key] || fieldDefault(f, hedgeDraft)} onChange={e => setHedgeForm(p => ({ ...p, [f.key]: e.target.value }))} options={f.commodityMonths ? hedgeCommodity.months : f.options} style={{ flex: 1, minWidth: 160 }} />
+              ) : (
+                <Input
+                  key={f.key} label={unitLabel(f.label, hedgeCommodity.unit) + (f.required ? " *" : "")} type={f.kind} step={f.step} placeholder={f.placeholder} style={{ flex: 1, minWidth: 160 }}
+                  value={hedgeForm[f.key] || (f.kind === "date" ? fieldDefault(f, hedgeDraft) : "")}
+                  onChange={e => setHedgeForm(p => ({ ...p, [f.key]: e.target.value }))}
+                />
+              ))}
+            </div>
+          )}
+          {hedgeForm.contractType === "Options" && (() => {
+            const preview = optionValuation({ ...hedgeDraft, expiry: hedgeForm.expiry || null }, settlements);
+            const qty = parseInt(hedgeForm.quantity) || 0;
+            return preview && (
+              <div style={{ padding: "10px 14px", background: COLORS.surfaceAlt, borderRadius: 6, fontSize: 12, fontFamily: "'JetBrains Mono', monospace", color: COLORS.textMuted }}>
+                Futures ${preview.forward.toFixed(2)}{preview.forwardDate ? ` (${preview.forwardDate})` : " (no settlement — valued at the money)"} · Value ${preview.price.toFixed(4)} · Delta <span style={{ color: COLORS.accent, fontWeight: 700 }}>{preview.delta.toFixed(3)}</span>
+                {qty > 0 && <> · {fmtFull(Math.round(Math.abs(preview.delta) * qty))} delta-adjusted {hedgeCommodity.unit}</>}
+              </div>
+            );
+          })()}
+          {produces(entities.find(e => e.name === hedgeForm.entity)) && hedgeSpec.physical && hedgeCommodity.subTypes.length > 0 && (
             <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
-              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Corn Type</label>
+              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>{hedgeCommodity.name} Type</label>
               <select value={hedgeForm.cornType} onChange={e => setHedgeForm(p => ({ ...p, cornType: e.target.value }))} style={{
                 background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
                 padding: "8px 12px", color: COLORS.text, fontSize: 14, outline: "none",
                 fontFamily: "'JetBrains Mono', monospace",
               }}>
-                <option value="">Select corn type...</option>
-                {CORN_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                <option value="">Select type...</option>
+                {hedgeCommodity.subTypes.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+          )}
+          {hedgeSpec.physical && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Delivery Location</label>
+              <select value={hedgeForm.location} onChange={e => setHedgeForm(p => ({ ...p, location: e.target.value }))} style={{
+                background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                padding: "8px 12px", color: COLORS.text, fontSize: 14, outline: "none",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>
+                <option value="">No location</option>
+                {locations.map(l => <option key={l.name} value={l.name}>{l.name} ({l.kind})</option>)}
+              </select>
+            </div>
+          )}
+          {!hedgeSpec.physical && accounts.length > 0 && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Brokerage Account</label>
+              <select value={hedgeForm.account} onChange={e => setHedgeForm(p => ({ ...p, account: e.target.value }))} style={{
+                background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                padding: "8px 12px", color: COLORS.text, fontSize: 14, outline: "none",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>
+                <option value="">No account</option>
+                {accounts.map(a => <option key={a.id} value={a.id}>{a.name}{a.broker ? ` (${a.broker})` : ""}</option>)}
               </select>
             </div>
           )}
           <div style={{ display: "flex", gap: 12 }}>
             <Select label="Direction" value={hedgeForm.direction} onChange={e => setHedgeForm(p => ({ ...p, direction: e.target.value }))} options={DIRECTIONS} style={{ flex: 1 }} />
-            <Input label="Quantity (bushels)" type="number" value={hedgeForm.quantity} onChange={e => setHedgeForm(p => ({ ...p, quantity: e.target.value }))} placeholder="e.g. 500000" style={{ flex: 1 }} />
+            <Input label={`Quantity (${hedgeCommodity.unit})`} type="number" value={hedgeForm.quantity} onChange={e => setHedgeForm(p => ({ ...p, quantity: e.target.value }))} placeholder={`e.g. ${fmtFull(hedgeCommodity.contractSize * 100)}`} style={{ flex: 1 }} />
           </div>
+          {!hedgeSpec.physical && parseInt(hedgeForm.quantity) > 0 && hedgeCommodity.contractSize > 0 && (
+            <div style={{ fontSize: 12, color: COLORS.textDim, fontFamily: "'JetBrains Mono', monospace", marginTop: -8 }}>
+              {(parseInt(hedgeForm.quantity) / hedgeCommodity.contractSize).toLocaleString(undefined, { maximumFractionDigits: 2 })} contracts of {fmtFull(hedgeCommodity.contractSize)} {hedgeCommodity.unit}
+            </div>
+          )}
           <div style={{ display: "flex", gap: 12 }}>
-            <Input label="Hedge Price ($/bu)" type="number" step="0.01" value={hedgeForm.price} onChange={e => setHedgeForm(p => ({ ...p, price: e.target.value }))} placeholder="Optional" style={{ flex: 1 }} />
+            {hedgeSpec.price && (
+              <Input label={unitLabel(hedgeSpec.price, hedgeCommodity.unit)} type="number" step="0.01" value={hedgeForm.price} onChange={e => setHedgeForm(p => ({ ...p, price: e.target.value }))} placeholder="Optional" style={{ flex: 1 }} />
+            )}
             <Input label="Date Entered" type="date" value={hedgeForm.dateEntered} onChange={e => setHedgeForm(p => ({ ...p, dateEntered: e.target.value }))} style={{ flex: 1 }} />
           </div>
           <Input label="Notes" value={hedgeForm.notes} onChange={e => setHedgeForm(p => ({ ...p, notes: e.target.value }))} placeholder="Optional comments" />
           <div style={{ display: "flex", gap: 12, marginTop: 8, justifyContent: "flex-end" }}>
             <Btn variant="secondary" onClick={() => setHedgeModalOpen(false)}>Cancel</Btn>
-            <Btn onClick={saveHedge} disabled={!hedgeForm.quantity || parseInt(hedgeForm.quantity) <= 0}>
+            <Btn onClick={saveHedge} disabled={!hedgeForm.quantity || parseInt(hedgeForm.quantity) < Math.max(offsetQuantity(hedgeForm), 1) || hedgeSpec.fields.some(f => f.required && !hedgeForm[f.key])}>
               {editingHedge ? "Update Position" : "Add Position"}
             </Btn>
           </div>
@@ -1002,56 +2369,1729 @@ export default function CornHedgingTracker() {
   );
 }
 
-// ─── Entity Detail View (Consumer) ────────────────────────────────────
-function EntityView({ title, subtitle, entity, consumption, updateConsumption, hedges, selectedYear, calc, cropYears, openNewHedge, openEditHedge, deleteHedge }) {
-  const cons = consumption?.[entity] || {};
-  const entityHedges = hedges.filter(h => h.cropYear === selectedYear && h.entity === entity);
-  const netCash = entity === "Hog Finishing" ? calc.hogNetCash : calc.feedNetCash;
-  const hedge = entity === "Hog Finishing" ? calc.hogHedge : calc.feedHedge;
-  const net = entity === "Hog Finishing" ? calc.hogNet : calc.feedNet;
-  const hedgePct = entity === "Hog Finishing" ? calc.hogHedgePct : calc.feedHedgePct;
+// ─── Entity Detail View ───────────────────────────────────────────────
+// Consumption inputs for consumers, production by sub-type for producers;
+// an entity that is both shows each. Figures are for the selected commodity.
+const ENTITY_SUBTITLES = {
+  consumer: (c) => `${c} consumption by crop year`,
+  producer: (c, y) => `${c} production by type — Crop Year ${y}`,
+  both: (c, y) => `${c} production and consumption — Crop Year ${y}`,
+};
+
+function EntityView({ entity, position, policy, commodity, commodities, consumption, production, schedules, usage, livestock, updateConsumption, updateProduction, updateSchedule, updateUsage, updateLivestock, hedges, transfers, inventory, locations, basis, settlements, asOf, selectedYear, cropYears, canTrade, openNewHedge, openEditHedge, deleteHedge }) {
+  const { name } = entity;
+  const { unit } = commodity;
+  const ladder = useMemo(
+    () => exposureLadder({ entities: [entity], commodity, year: selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf }),
+    [entity, commodity, selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf]
+  );
+  const cons = consumption?.[name]?.[commodity.name] || {};
+  const prodByYear = production?.[name] || {};
+  const entityHedges = hedges.filter(h => h.cropYear === selectedYear && h.entity === name && commodityOf(h) === commodity.name);
+  const { cash, hedge, contracted, net, pct, pnl } = position;
+  const check = checkPolicy(policy, pct, asOf);
+
+  const physicalKpi = entity.type === "consumer"
+    ? { label: "Consumption (Short)", sub: position.used > 0 ? `Projected · budget ${fmt(position.budget)} ${unit}` : undefined, accent: COLORS.red }
+    : entity.type === "producer"
+      ? { label: "Physical Position (Long)", accent: COLORS.green }
+      : { label: "Physical Position", sub: `Production ${fmt(position.prod)} · Consumption ${fmt(position.cons)} ${unit}`, accent: cash >= 0 ? COLORS.green : COLORS.red };
 
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
       <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
         <div>
-          <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>{title}</h2>
-          <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>{subtitle}</p>
+          <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>{name} Operations</h2>
+          <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>{ENTITY_SUBTITLES[entity.type](commodity.name, selectedYear)}</p>
         </div>
-        <Btn onClick={openNewHedge}>+ New Position</Btn>
+        <Btn onClick={() => openNewHedge(name)} disabled={!canTrade}>+ New Position</Btn>
       </div>
 
+      {(check.status === "under" || check.status === "over") && (
+        <div style={{ padding: "12px 16px", background: check.status === "over" ? COLORS.redDim : COLORS.orangeDim, border: `1px solid ${check.status === "over" ? COLORS.red : COLORS.orange}`, borderRadius: 8, fontSize: 13 }}>
+          <span style={{ fontWeight: 700, color: check.status === "over" ? COLORS.red : COLORS.orange }}>
+            ⚠ {check.status === "over" ? "Over-hedged" : "Under-hedged"}: {pct.toFixed(1)}%
+          </span>
+          <span style={{ color: COLORS.textMuted, marginLeft: 8 }}>
+            {check.status === "over" ? `policy maximum is ${check.max}%` : `policy minimum is ${check.min}%${check.due && check.due.pct === check.min ? ` (${check.due.label || "target"} ${check.due.date})` : ""}`}
+          </span>
+        </div>
+      )}
+
       {/* Consumption inputs by year */}
-      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
-        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>PLANNED CONSUMPTION BY YEAR</h3>
-        <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-          {(cropYears || []).map(y => (
-            <Input
-              key={y} label={`Crop Year ${y}`} type="number" style={{ flex: 1, minWidth: 180 }}
-              value={cons[y] || ""}
-              onChange={e => updateConsumption(entity, y, e.target.value)}
-              placeholder="Bushels"
-            />
-          ))}
+      {consumes(entity) && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>PLANNED {commodity.name.toUpperCase()} CONSUMPTION BY YEAR</h3>
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+            {(cropYears || []).map(y => (
+              <Input
+                key={y} label={`Crop Year ${y}`} type="number" style={{ flex: 1, minWidth: 180 }}
+                value={cons[y] || ""}
+                onChange={e => updateConsumption(name, commodity.name, y, e.target.value)}
+                placeholder={`Quantity (${unit})`}
+                disabled={!canTrade}
+              />
+            ))}
+          </div>
         </div>
-      </div>
+      )}
 
-      {/* Hedges */}
-      <HedgeTable hedges={entityHedges} openEditHedge={openEditHedge} deleteHedge={deleteHedge} />
+      {consumes(entity) && (
+        <UsageSection
+          entity={name} commodity={commodity} budget={cons[selectedYear] || 0} usage={usage?.[name]?.[commodity.name]?.[selectedYear]}
+          schedule={schedules?.[name]?.[commodity.name]?.[selectedYear]?.consumption} selectedYear={selectedYear} updateUsage={updateUsage} canTrade={canTrade}
+        />
+      )}
 
-      {/* KPIs */}
-      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
-        <KpiCard label="Consumption (Short)" value={fmtFull(netCash) + " bu"} accent={COLORS.red} />
-        <KpiCard label="Hedge Position" value={fmtFull(hedge) + " bu"} accent={COLORS.blue} />
-        <KpiCard label="Net Position" value={fmtFull(net) + " bu"} sub={net >= 0 ? "Net Long" : "Net Short"} accent={net >= 0 ? COLORS.green : COLORS.red} />
-        <KpiCard label="Hedged %" value={hedgePct.toFixed(1) + "%"} accent={COLORS.purple} />
-      </div>
-    </div>
-  );
+      {consumes(entity) && (
+        <MarginSection
+          entity={name} commodities={commodities} raw={livestock} hedges={hedges} selectedYear={selectedYear} cropYears={cropYears}
+          asOf={asOf} updateLivestock={updateLivestock} canTrade={canTrade}
+        />
+      )}
+
+      {produces(entity) && (
+        <ProductionSection
+          entity={name} commodity={commodity} prodByYear={prodByYear} total={position.prod} updateProduction={updateProduction}
+          hedges={entityHedges} inventory={inventory} selectedYear={selectedYear} cropYears={cropYears} asOf={asOf} canTrade={canTrade}
+        />
+      )}
+
+      {produces(entity) && (
+        <CashValuationSection
+          entity={name} commodity={commodity} production={position.prod} hedges={entityHedges}
+          locations={locations} basis={basis} settlements={settlements} selectedYear={selectedYear} asOf={asOf}
+        />
+      )}
+
+      <ScheduleSection
+        entity={entity} commodity={commodity} position={position} selectedYear={selectedYear}
+        schedule={schedules?.[name]?.[commodity.name]?.[selectedYear]} updateSchedule={updateSchedule} canTrade={canTrade}
+      />
+
+      <LadderTable ladder={ladder} commodity={commodity} selectedYear={selectedYear} />
+
+      {/* Hedges */}
+      <HedgeTable hedges={entityHedges} unit={unit} settlements={settlements} asOf={asOf} canTrade={canTrade} openEditHedge={openEditHedge} deleteHedge={deleteHedge} />
+
+      {/* KPIs */}
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <KpiCard label={physicalKpi.label} value={`${fmtFull(cash)} ${unit}`} sub={physicalKpi.sub} accent={physicalKpi.accent} />
+        <KpiCard label="Hedge Position" value={`${fmtFull(hedge)} ${unit}`} accent={COLORS.blue} />
+        <KpiCard label="Cash Contracted" value={`${fmtFull(contracted)} ${unit}`} accent={COLORS.purple} />
+        <KpiCard label="Net Position" value={`${fmtFull(net)} ${unit}`} sub={net >= 0 ? "Net Long" : "Net Short"} accent={net >= 0 ? COLORS.green : COLORS.red} />
+        <KpiCard
+          label="Hedged %" value={pct.toFixed(1) + "%"} accent={POLICY_COLORS[check.status]}
+          sub={[
+            entity.type === "consumer" && position.used > 0 && `of ${fmt(position.need)} ${unit} still to feed`,
+            policy && `Policy ${describePolicy(policy)}${check.next ? ` · next ${check.next.pct}% by ${check.next.date}` : ""}`,
+          ].filter(Boolean).join(" · ") || undefined}
+        />
+        <KpiCard label="MTM P&L" value={fmtUsd(pnl.total)} sub={`Realized: ${fmtUsd(pnl.realized)}`} accent={pnlColor(pnl.total)} />
+      </div>
+    </div>
+  );
+}
+
+// ─── Cash Valuation (producer entities) ───────────────────────────────
+// Contracts at their own terms and unsold production at futures plus the
+// basis bid at a location (see cashValuation in src/basis.js)
+function CashValuationSection({ entity, commodity, production, hedges, locations, basis, settlements, selectedYear, asOf }) {
+  const { unit } = commodity;
+  // Default to where most of the entity's grain is contracted
+  const counts = hedges.reduce((acc, h) => (h.location ? { ...acc, [h.location]: (acc[h.location] || 0) + 1 } : acc), {});
+  const usual = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  const [selected, setSelected] = useState(usual || locations[0]?.name || "");
+  const location = locations.some(l => l.name === selected) ? selected : locations[0]?.name || "";
+  const [month, setMonth] = useState("Oct");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const price = (v) => (v === null || v === undefined ? "—" : `$${v.toFixed(4)}`);
+  const basisText = (v) => (v === null || v === undefined ? "—" : `${v >= 0 ? "+" : ""}${v.toFixed(2)}`);
+
+  const { rows, unsold, total } = cashValuation({ hedges, production, location, month, commodity, year: selectedYear, basis, settlements, asOf });
+
+  return (
+    <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+      <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}`, display: "flex", justifyContent: "space-between", alignItems: "flex-end", gap: 12 }}>
+        <div>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>CASH VALUATION — {commodity.name.toUpperCase()} {selectedYear}</h3>
+          <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 4 }}>Contracts at their own terms, open legs at their location's bid; unsold {entity} production at futures plus basis where it would be delivered</div>
+        </div>
+        <div style={{ display: "flex", gap: 12 }}>
+          {locations.length > 0 && <Select label="Unsold At" value={location} onChange={e => setSelected(e.target.value)} options={locations.map(l => l.name)} />}
+          <Select label="Delivery" value={month} onChange={e => setMonth(e.target.value)} options={CONTRACT_MONTHS} />
+        </div>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {["Position", "Location", `Quantity (${unit})`, "Futures", "Basis", "Cash Price", "Value"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.hedge.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+              <td style={{ padding: "10px 16px" }}>{r.hedge.contractType} · {r.hedge.contractMonth}{r.hedge.notes ? <span style={{ color: COLORS.textDim }}> — {r.hedge.notes}</span> : null}</td>
+              <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{r.hedge.location || "—"}</td>
+              <td style={{ padding: "10px 16px" }}>{fmtFull(r.quantity)}</td>
+              <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{price(r.futures)}</td>
+              <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{basisText(r.basis)}</td>
+              <td style={{ padding: "10px 16px", fontWeight: 700 }}>{price(r.price)}</td>
+              <td style={{ padding: "10px 16px" }}>{r.value === null ? "—" : fmtUsd(r.value)}</td>
+            </tr>
+          ))}
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+            <td style={{ padding: "10px 16px" }}>Unsold production · {month}</td>
+            <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{location || "—"}</td>
+            <td style={{ padding: "10px 16px" }}>{fmtFull(unsold.quantity)}</td>
+            <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{price(unsold.futures)}</td>
+            <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{basisText(unsold.basis)}</td>
+            <td style={{ padding: "10px 16px", fontWeight: 700 }}>{price(unsold.price)}</td>
+            <td style={{ padding: "10px 16px" }}>{unsold.value === null ? "—" : fmtUsd(unsold.value)}</td>
+          </tr>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            <td style={{ padding: "10px 16px", fontWeight: 800, color: COLORS.accent }} colSpan={2}>TOTAL</td>
+            <td style={{ padding: "10px 16px", fontWeight: 800 }}>{fmtFull(total.quantity)}</td>
+            <td colSpan={2} style={{ padding: "10px 16px", color: COLORS.textDim, fontSize: 12 }}>{total.unvalued > 0 ? `${fmtFull(total.unvalued)} ${unit} without a price or bid` : ""}</td>
+            <td style={{ padding: "10px 16px", fontWeight: 800 }}>{total.quantity - total.unvalued > 0 ? price(total.value / (total.quantity - total.unvalued)) : "—"}</td>
+            <td style={{ padding: "10px 16px", fontWeight: 800, color: COLORS.green }}>{fmtUsd(total.value)}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Production Inputs (producer entities) ────────────────────────────
+function ProductionSection({ entity, commodity, prodByYear, total, updateProduction, hedges, inventory, selectedYear, cropYears, asOf, canTrade }) {
+  const types = subTypesOf(commodity);
+  const conversions = Object.fromEntries(types.map(t => [t, subTypeConversion(commodity, t)]));
+  const converts = types.some(t => conversions[t].factor !== 1);
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  // Net position by sub-type: production (converted to standard-moisture
+  // units) less physical sales tagged with it. With a single sub-type every
+  // physical sale counts against it. Production is the figure the hedge %
+  // uses: a sub-type whose harvest has started counts the larger of its
+  // plan and what was harvested (see actualProduction).
+  const prod = prodByYear[selectedYear] || {};
+  const stored = inventoryByType(inventoryOf(inventory, commodity.name, selectedYear, asOf), entity, commodity);
+  const actual = actualProduction(prod, inventory, entity, commodity, selectedYear, asOf);
+  const started = types.some(ct => stored[ct]?.harvested > 0);
+  const cashPositions = hedges.filter(h => isPhysicalType(h.contractType));
+  const rows = types.map(ct => {
+    const matches = (h) => types.length === 1 || h.cornType === ct;
+    const raw = Number(actual[ct]) || 0;
+    const prodVal = productionEquivalent(commodity, ct, raw);
+    const sold = -cashPositions.filter(matches).reduce((s, h) => s + cashExposure(h), 0);
+    return { cornType: ct, planned: Number(prod[ct]) || 0, harvested: stored[ct]?.harvested || 0, raw, production: prodVal, sold, net: prodVal - sold };
+  });
+  const totals = rows.reduce((acc, r) => ({ production: acc.production + r.production, sold: acc.sold + r.sold, net: acc.net + r.net }), { production: 0, sold: 0, net: 0 });
+
+  return (
+    <>
+      {/* Production inputs */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>PLANNED PRODUCTION — {commodity.name.toUpperCase()} {selectedYear}</h3>
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+          {types.map(t => (
+            <Input
+              key={t} label={`${t} (${conversions[t].unit})`} type="number" style={{ flex: 1, minWidth: 200 }}
+              value={prod[t] || ""}
+              onChange={e => updateProduction(entity, selectedYear, t, e.target.value)}
+              placeholder={conversions[t].factor !== 1 ? `× ${conversions[t].factor.toFixed(3)} = ${commodity.unit}` : `Quantity (${conversions[t].unit})`}
+              disabled={!canTrade}
+            />
+          ))}
+        </div>
+        <div style={{ marginTop: 16, padding: "12px 16px", background: COLORS.surfaceAlt, borderRadius: 6, display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <span style={{ fontSize: 13, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.textMuted }}>TOTAL PRODUCTION{converts ? ` (${commodity.standardMoisture}% MOISTURE EQUIVALENT)` : ""}</span>
+          <span style={{ fontSize: 20, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", color: COLORS.green }}>{fmtFull(total)} {commodity.unit}</span>
+        </div>
+      </div>
+
+      {/* Multi-year production table */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>{commodity.name.toUpperCase()} PRODUCTION BY YEAR</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Year", ...types.map(t => `${t} (${conversions[t].unit})`), `Total (${commodity.unit}${converts ? " equiv." : ""})`].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {(cropYears || []).map(y => {
+              const p = prodByYear[y] || {};
+              const yearTotal = types.reduce((s, t) => s + productionEquivalent(commodity, t, p[t]), 0);
+              return (
+                <tr key={y} style={{ borderBottom: `1px solid ${COLORS.border}`, background: y === selectedYear ? COLORS.accent + "08" : "transparent" }}>
+                  <td style={{ padding: "12px 16px", fontWeight: 700, color: y === selectedYear ? COLORS.accent : COLORS.text }}>{y}</td>
+                  {types.map(t => (
+                    <td key={t} style={{ padding: "4px 8px" }}>
+                      <input
+                        type="number"
+                        value={p[t] || ""}
+                        onChange={e => updateProduction(entity, y, t, e.target.value)}
+                        placeholder="0"
+                        disabled={!canTrade}
+                        style={{
+                          background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                          padding: "6px 10px", color: COLORS.text, fontSize: 13, outline: "none", width: "100%",
+                          fontFamily: "'JetBrains Mono', monospace",
+                        }}
+                      />
+                    </td>
+                  ))}
+                  <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.green }}>{fmtFull(yearTotal)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Net Position by Sub-type */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>NET POSITION BY TYPE — {commodity.name.toUpperCase()} {selectedYear}</h3>
+          {started && <p style={{ color: COLORS.textMuted, fontSize: 12, marginTop: 4 }}>A type whose harvest has started counts the larger of its plan and what was harvested, as the hedge % does.</p>}
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Type", "Planned", "Harvested", "Moisture / Shrink", `Production (${commodity.unit} equiv.)`, "Sold", "Net"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr key={r.cornType} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                <td style={{ padding: "10px 16px", fontWeight: 600 }}>{r.cornType}</td>
+                <td style={{ padding: "10px 16px", color: r.raw === r.planned ? COLORS.text : COLORS.textMuted }}>{fmtFull(r.planned)} {conversions[r.cornType].unit}</td>
+                <td style={{ padding: "10px 16px", color: r.harvested > 0 && r.raw === r.harvested ? COLORS.text : COLORS.textMuted }}>{r.harvested > 0 ? `${fmtFull(r.harvested)} ${conversions[r.cornType].unit}` : "—"}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{conversions[r.cornType].moisture}% / {conversions[r.cornType].shrink}% · × {conversions[r.cornType].factor.toFixed(3)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.green }}>{fmtFull(r.production)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(r.sold)}</td>
+                <td style={{ padding: "10px 16px", fontWeight: 700, color: r.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(r.net)}</td>
+              </tr>
+            ))}
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              <td style={{ padding: "12px 16px", fontWeight: 800, color: COLORS.accent }}>Total</td>
+              <td style={{ padding: "12px 16px", color: COLORS.textDim }}>—</td>
+              <td style={{ padding: "12px 16px", color: COLORS.textDim }}>—</td>
+              <td style={{ padding: "12px 16px", color: COLORS.textDim }}>—</td>
+              <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.green }}>{fmtFull(totals.production)}</td>
+              <td style={{ padding: "12px 16px", fontWeight: 700, color: COLORS.red }}>{fmtFull(totals.sold)}</td>
+              <td style={{ padding: "12px 16px", fontWeight: 800, color: totals.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(totals.net)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
+
+// ─── Contracts View ────────────────────────────────────────────────────
+// Open futures and options by contract code with the expiry calendar
+function ContractsView({ ladder, alerts, commodity, canTrade, openRoll }) {
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}`, whiteSpace: "nowrap" };
+  const alertFor = (h) => alerts.filter(a => a.hedge.id === h.id);
+  const positions = ladder.flatMap(r => r.hedges.map(h => ({ ...h, code: r.code, calendar: r.calendar })));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Open Contracts — {commodity.name}</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Futures and options by contract, all crop years. Positions are flagged {EXPIRY_ALERT_DAYS} days before first notice, last trade or option expiry; futures past first notice stay flagged until last trade. Dates follow the {commodity.calendar} calendar.</p>
+      </div>
+
+      {alerts.length > 0 && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.orange}`, borderRadius: 8, padding: "16px 24px" }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.orange, marginBottom: 12 }}>EXPIRY ALERTS</h3>
+          {alerts.map((a, i) => (
+            <div key={i} style={{ fontSize: 13, fontFamily: "'JetBrains Mono', monospace", padding: "4px 0", color: COLORS.text }}>
+              <span style={{ fontWeight: 700 }}>{a.code}</span> · {a.event} {a.date}{" "}
+              <span style={{ color: a.days < 0 ? COLORS.red : COLORS.orange }}>({a.days < 0 ? `${-a.days} days ago — in delivery` : a.days === 0 ? "today" : `in ${a.days} days`})</span>
+              <span style={{ color: COLORS.textMuted }}> · {a.hedge.entity} {a.hedge.direction} {fmtFull(a.hedge.quantity)} {a.hedge.contractType}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Ladder by contract */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>CONTRACT LADDER</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Contract", "First Notice", "Last Trade", `Long (${commodity.unit})`, `Short (${commodity.unit})`, "Net", "Contracts", "By Entity"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ladder.length === 0 && (
+              <tr><td colSpan={8} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No open {commodity.name} futures or options.</td></tr>
+            )}
+            {ladder.map(r => {
+              const flagged = r.hedges.some(h => alertFor(h).length > 0);
+              return (
+                <tr key={r.code} style={{ borderBottom: `1px solid ${COLORS.border}`, background: flagged ? COLORS.orange + "10" : "transparent" }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{r.code}<div style={{ fontSize: 11, fontWeight: 400, color: COLORS.textDim }}>{r.calendar.month} {r.calendar.year}</div></td>
+                  <td style={{ padding: "10px 16px", color: flagged ? COLORS.orange : COLORS.textMuted }}>{r.calendar.firstNotice || "Cash-settled"}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{r.calendar.lastTrade}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.green }}>{fmtFull(r.long)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(r.short)}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700, color: r.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(r.net)}</td>
+                  <td style={{ padding: "10px 16px" }}>{commodity.contractSize ? (r.net / commodity.contractSize).toLocaleString(undefined, { maximumFractionDigits: 1 }) : "—"}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>
+                    {Object.entries(r.byEntity).map(([e, q]) => <div key={e}>{e}: {fmtFull(q)}</div>)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Positions with the roll action */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>OPEN POSITIONS</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Contract", "Entity", "Crop Year", "Type", "Direction", "Quantity", "Price", "Alert", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {positions.map(h => {
+              const a = alertFor(h)[0];
+              return (
+                <tr key={h.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{h.code}</td>
+                  <td style={{ padding: "10px 16px" }}>{h.entity}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{h.cropYear}</td>
+                  <TypeCell hedge={h} />
+                  <td style={{ padding: "10px 16px" }}>
+                    <Badge color={h.direction === "Long" ? COLORS.green : COLORS.red} bg={h.direction === "Long" ? COLORS.greenDim : COLORS.redDim}>{h.direction}</Badge>
+                  </td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{fmtFull(h.quantity)}</td>
+                  <PriceCell hedge={h} />
+                  <td style={{ padding: "10px 16px", color: a ? (a.days < 0 ? COLORS.red : COLORS.orange) : COLORS.textDim, fontSize: 12 }}>{a ? `${a.event} ${a.date}` : "—"}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    {h.contractType === "Futures" && <Btn variant="ghost" onClick={() => openRoll(h)} disabled={!canTrade(h.entity)}>Roll</Btn>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Hedge Policy ──────────────────────────────────────────────────────
+// Board-set hedge ratio bands and dated targets per entity (admin edits)
+const emptyTarget = () => ({ id: genId(), label: "", date: "", pct: "" });
+
+function PolicyView({ rows, policies, setPolicies, commodity, selectedYear, asOf, canEdit, addAudit }) {
+  const [editing, setEditing] = useState(null); // entity name
+  const [form, setForm] = useState({ min: "", max: "", targets: [] });
+  const [error, setError] = useState("");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const numOrNull = (v) => (v === "" || v === null || v === undefined ? null : parseFloat(v));
+
+  const edit = (entity) => {
+    const p = policyOf(policies, entity, commodity.name, selectedYear);
+    setForm({
+      min: p?.min ?? "", max: p?.max ?? "",
+      targets: (p?.targets || []).map(t => ({ ...t, pct: String(t.pct) })),
+    });
+    setEditing(entity);
+    setError("");
+  };
+
+  const setTarget = (id, key, value) => setForm(p => ({ ...p, targets: p.targets.map(t => (t.id === id ? { ...t, [key]: value } : t)) }));
+
+  const save = () => {
+    const record = { min: numOrNull(form.min), max: numOrNull(form.max), targets: form.targets.map(t => ({ ...t, label: t.label.trim(), pct: numOrNull(t.pct) })) };
+    const err = policyError(record);
+    if (err) { setError(err); return; }
+    const before = policyOf(policies, editing, commodity.name, selectedYear);
+    const stored = record.min === null && record.max === null && record.targets.length === 0 ? null : {
+      ...(record.min !== null ? { min: record.min } : {}),
+      ...(record.max !== null ? { max: record.max } : {}),
+      ...(record.targets.length ? { targets: Object.fromEntries(record.targets.map(({ id, ...t }) => [id, t])) } : {}),
+    };
+    setPolicies(prev => {
+      const byCommodity = { ...(prev?.[editing]?.[commodity.name] || {}) };
+      if (stored) byCommodity[selectedYear] = stored;
+      else delete byCommodity[selectedYear];
+      return { ...prev, [editing]: { ...(prev?.[editing] || {}), [commodity.name]: byCommodity } };
+    });
+    addAudit("Policy Updated", editing, `${commodity.name} ${selectedYear}: ${describePolicy(before)} → ${describePolicy(normalizePolicy(stored))}`);
+    setEditing(null);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Hedge Policy — {commodity.name} {selectedYear}</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Minimum and maximum Hedge % per entity, as set by the board, with optional targets that raise the minimum from a date on (e.g. 50% by planting). Positions outside the band are flagged on the dashboard and entity tabs, and a hedge that takes an entity over its maximum needs a justification.</p>
+      </div>
+
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Entity", "Hedge %", "Band", "Targets", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const policy = policyOf(policies, row.name, commodity.name, selectedYear);
+              return (
+                <tr key={row.name} style={{ borderBottom: `1px solid ${COLORS.border}`, background: editing === row.name ? COLORS.accent + "08" : "transparent" }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{row.name}</td>
+                  <td style={{ padding: "10px 16px" }}><PolicyGauge pct={row.pct} check={checkPolicy(policy, row.pct, asOf)} /></td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{policy && (policy.min !== null || policy.max !== null) ? `${policy.min ?? 0}–${policy.max ?? "∞"}%` : "—"}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>
+                    {policy?.targets.length ? policy.targets.map(t => <div key={t.id}>{t.pct}% by {t.label ? `${t.label} (${t.date})` : t.date}</div>) : "—"}
+                  </td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="ghost" onClick={() => edit(row.name)} disabled={!canEdit}>Edit</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 16 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>{editing.toUpperCase()} — {commodity.name.toUpperCase()} {selectedYear}</h3>
+          <div style={{ display: "flex", gap: 12 }}>
+            <Input label="Minimum Hedge %" type="number" value={form.min} onChange={e => setForm(p => ({ ...p, min: e.target.value }))} placeholder="None" style={{ width: 180 }} />
+            <Input label="Maximum Hedge %" type="number" value={form.max} onChange={e => setForm(p => ({ ...p, max: e.target.value }))} placeholder="None" style={{ width: 180 }} />
+          </div>
+          {form.targets.map(t => (
+            <div key={t.id} style={{ display: "flex", gap: 12, alignItems: "flex-end" }}>
+              <Input label="Target" value={t.label} onChange={e => setTarget(t.id, "label", e.target.value)} placeholder="e.g. Planting" style={{ flex: 2 }} />
+              <Input label="By" type="date" value={t.date} onChange={e => setTarget(t.id, "date", e.target.value)} style={{ flex: 1 }} />
+              <Input label="Hedge %" type="number" value={t.pct} onChange={e => setTarget(t.id, "pct", e.target.value)} style={{ flex: 1 }} />
+              <Btn variant="danger" onClick={() => setForm(p => ({ ...p, targets: p.targets.filter(x => x.id !== t.id) }))}>×</Btn>
+            </div>
+          ))}
+          <div>
+            <Btn variant="secondary" onClick={() => setForm(p => ({ ...p, targets: [...p.targets, emptyTarget()] }))}>+ Target</Btn>
+          </div>
+          {error && <div style={{ color: COLORS.red, fontSize: 13 }}>{error}</div>}
+          <div style={{ display: "flex", gap: 12, justifyContent: "flex-end" }}>
+            <Btn variant="secondary" onClick={() => setEditing(null)}>Cancel</Btn>
+            <Btn onClick={save}>Save Policy</Btn>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Internal Transfers ────────────────────────────────────────────────
+// Grain a producing entity commits to a consuming one (see src/transfers.js)
+function TransfersView({ transfers, setTransfersObj, entities, commodity, selectedYear, settlements, asOf, canTrade, addAudit }) {
+  const { unit } = commodity;
+  const sellers = entities.filter(e => produces(e) && canTrade(e.name));
+  const buyers = entities.filter(consumes);
+  const emptyForm = () => ({
+    from: sellers[0]?.name || "", to: buyers.find(e => e.name !== sellers[0]?.name)?.name || "",
+    quantity: "", price: "", month: "Dec", date: new Date().toISOString().slice(0, 10), notes: "",
+  });
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  const rows = transfers
+    .filter(t => t.commodity === commodity.name && t.cropYear === selectedYear)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  // Settle of the contract covering the delivery month, for comparison
+  const marketOf = (t) => latestSettlement(settlements, contractKey(selectedYear, coveringContract(t.month, commodity.months), commodity.name), asOf)?.price ?? null;
+  const describe = (t) => `${fmtFull(t.quantity)} ${unit} ${commodity.name} ${t.cropYear} ${t.from} → ${t.to} at $${Number(t.price).toFixed(2)}, ${t.month} delivery`;
+
+  const save = () => {
+    const entry = {
+      from: form.from, to: form.to, commodity: commodity.name, cropYear: selectedYear, month: form.month,
+      quantity: parseInt(form.quantity), price: parseFloat(form.price), date: form.date, notes: form.notes.trim(),
+    };
+    const err = transferError(entry, entities);
+    if (err) { setError(err); return; }
+    const id = genId();
+    setTransfersObj(prev => ({ ...prev, [id]: entry }));
+    addAudit("Transfer Created", entry.from, describe(entry), { transferId: id, diff: hedgeDiff(null, entry) });
+    setForm(emptyForm());
+    setError("");
+  };
+
+  const remove = (t) => {
+    if (!confirm("Delete this internal transfer?")) return;
+    setTransfersObj(prev => {
+      const next = { ...prev };
+      delete next[t.id];
+      return next;
+    });
+    const { id: transferId, ...before } = t;
+    addAudit("Transfer Deleted", t.from, describe(t), { transferId, diff: hedgeDiff(before, null) });
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Internal Transfers — {commodity.name} {selectedYear}</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Grain a producing entity commits to a consuming one at an agreed price. Each commitment counts as a fixed-price sale for the seller and a fixed-price purchase for the buyer, so it reduces both sides' open exposure and Hedge %. Across the enterprise the two legs cancel: the Enterprise Hedge % on the dashboard measures hedges against the position left once production has covered consumption.</p>
+      </div>
+
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Date", "Seller", "Buyer", `Quantity (${unit})`, "Price", "Delivery", "Value", "Vs Market", "Notes", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr><td colSpan={10} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No internal transfers for {commodity.name} {selectedYear}</td></tr>
+            )}
+            {rows.map(t => {
+              const market = marketOf(t);
+              const vsMarket = market === null ? null : (t.price - market) * t.quantity;
+              return (
+                <tr key={t.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{t.date}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{t.from}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{t.to}</td>
+                  <td style={{ padding: "10px 16px" }}>{fmtFull(t.quantity)}</td>
+                  <td style={{ padding: "10px 16px" }}>${Number(t.price).toFixed(2)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{t.month}</td>
+                  <td style={{ padding: "10px 16px" }}>{fmtUsd(t.price * t.quantity)}</td>
+                  <td style={{ padding: "10px 16px", color: vsMarket === null ? COLORS.textDim : pnlColor(vsMarket) }} title={market === null ? "No settlement" : `Seller vs $${market.toFixed(2)} futures settle`}>
+                    {vsMarket === null ? "—" : fmtUsd(vsMarket)}
+                  </td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{t.notes || "—"}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={() => remove(t)} disabled={!canTrade(t.from)}>Del</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {sellers.length > 0 && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 16 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>NEW TRANSFER</h3>
+          <div style={{ display: "flex", gap: 12 }}>
+            <Select label="Seller" value={form.from} onChange={e => setForm(p => ({ ...p, from: e.target.value }))} options={sellers.map(e => e.name)} style={{ flex: 1 }} />
+            <Select label="Buyer" value={form.to} onChange={e => setForm(p => ({ ...p, to: e.target.value }))} options={buyers.map(e => e.name)} style={{ flex: 1 }} />
+            <Select label="Delivery Month" value={form.month} onChange={e => setForm(p => ({ ...p, month: e.target.value }))} options={CONTRACT_MONTHS} style={{ flex: 1 }} />
+          </div>
+          <div style={{ display: "flex", gap: 12 }}>
+            <Input label={`Quantity (${unit})`} type="number" value={form.quantity} onChange={e => setForm(p => ({ ...p, quantity: e.target.value }))} style={{ flex: 1 }} />
+            <Input label={unitLabel("Price ($/bu)", unit)} type="number" step="0.0025" value={form.price} onChange={e => setForm(p => ({ ...p, price: e.target.value }))} style={{ flex: 1 }} />
+            <Input label="Date" type="date" value={form.date} onChange={e => setForm(p => ({ ...p, date: e.target.value }))} style={{ flex: 1 }} />
+          </div>
+          <Input label="Notes" value={form.notes} onChange={e => setForm(p => ({ ...p, notes: e.target.value }))} placeholder="e.g. Harvest delivery to feedlot" />
+          {error && <div style={{ color: COLORS.red, fontSize: 13 }}>{error}</div>}
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <Btn onClick={save}>Save Transfer</Btn>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Inventory ─────────────────────────────────────────────────────────
+// Storage bins and the grain moving through them (see src/inventory.js)
+function InventoryView({ inventory, setInventoryObj, bins, setBinRegistry, entities, commodity, commodities, hedges, production, selectedYear, asOf, canTrade, canEditBins, addAudit }) {
+  const { unit } = commodity;
+  const types = subTypesOf(commodity);
+  const producers = entities.filter(produces);
+  const traders = producers.filter(e => canTrade(e.name));
+  const emptyForm = () => ({
+    kind: "Harvest", entity: traders[0]?.name || "", bin: bins[0]?.id || "", subType: types[0],
+    quantity: "", hedgeId: "", date: new Date().toISOString().slice(0, 10), notes: "",
+  });
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const [binForm, setBinForm] = useState({ site: "", name: "", capacity: "" });
+  const [binError, setBinError] = useState("");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  const movements = inventoryOf(inventory, commodity.name, selectedYear, asOf);
+  const hedgesOf = (entity) => hedges.filter(h => h.entity === entity && h.cropYear === selectedYear && commodityOf(h) === commodity.name);
+  const positions = producers.map(e => ({ name: e.name, ...storagePosition({ transactions: inventory, hedges: hedgesOf(e.name), entity: e.name, commodity, year: selectedYear, asOf }) }));
+  const totals = positions.reduce((acc, p) => ({ onHand: acc.onHand + p.onHand, unpriced: acc.unpriced + p.unpriced, pricedUndelivered: acc.pricedUndelivered + p.pricedUndelivered }), { onHand: 0, unpriced: 0, pricedUndelivered: 0 });
+  const balances = binBalances(bins, inventory, commodities, asOf);
+  const capacity = bins.reduce((s, b) => s + b.capacity, 0);
+  const stored = bins.reduce((s, b) => s + balances[b.id].total, 0);
+  const binLabel = (id) => { const b = bins.find(x => x.id === id); return b ? `${b.site} · ${b.name}` : id; };
+  const sales = form.kind === "Delivery" ? undeliveredSales(hedgesOf(form.entity), movements, commodity, asOf) : [];
+  const entered = (t) => subTypeConversion(commodity, t).unit;
+  const describe = (t) => `${t.kind} ${fmtFull(t.quantity)} ${entered(t.subType)} ${t.subType} ${t.cropYear}, ${binLabel(t.bin)}`;
+
+  const save = () => {
+    const entry = {
+      bin: form.bin, entity: form.entity, commodity: commodity.name, cropYear: selectedYear, subType: form.subType,
+      kind: form.kind, quantity: parseFloat(form.quantity), date: form.date, notes: form.notes.trim(),
+      ...(form.kind === "Delivery" && form.hedgeId ? { hedgeId: form.hedgeId } : {}),
+    };
+    const err = inventoryError(entry, { binIds: bins.map(b => b.id), subTypes: types });
+    if (err) { setError(err); return; }
+    const id = genId();
+    setInventoryObj(prev => ({ ...prev, [id]: entry }));
+    addAudit("Inventory Recorded", entry.entity, describe(entry), { inventoryId: id, diff: hedgeDiff(null, entry) });
+    setForm(p => ({ ...emptyForm(), kind: p.kind, entity: p.entity, bin: p.bin, subType: p.subType }));
+    setError("");
+  };
+
+  const remove = (t) => {
+    if (!confirm("Delete this inventory movement?")) return;
+    setInventoryObj(prev => {
+      const next = { ...prev };
+      delete next[t.id];
+      return next;
+    });
+    const { id: inventoryId, ...before } = t;
+    addAudit("Inventory Deleted", t.entity, describe(t), { inventoryId, diff: hedgeDiff(before, null) });
+  };
+
+  const addBin = () => {
+    const site = binForm.site.trim();
+    const name = binForm.name.trim();
+    const cap = parseInt(binForm.capacity);
+    const err = !site ? "Enter a site"
+      : !name ? "Enter a bin name"
+        : bins.some(b => b.site.toLowerCase() === site.toLowerCase() && b.name.toLowerCase() === name.toLowerCase()) ? `${site} already has a ${name}`
+          : !(cap > 0) ? "Capacity must be greater than zero" : "";
+    setBinError(err);
+    if (err) return;
+    const atSite = bins.filter(b => b.site === site);
+    const order = atSite.length ? atSite[atSite.length - 1].order + 1 : 0;
+    setBinRegistry(prev => ({ ...prev, [genId()]: { name, site, capacity: cap, order } }));
+    addAudit("Bin Added", "System", `${site} · ${name} added, ${fmtFull(cap)} capacity`);
+    setBinForm(p => ({ ...p, name: "", capacity: "" }));
+  };
+
+  const setCapacity = (b, value) => {
+    const cap = parseInt(value);
+    if (!(cap > 0) || cap === b.capacity) return;
+    setBinRegistry(prev => ({ ...prev, [b.id]: { ...prev[b.id], capacity: cap } }));
+    addAudit("Bin Updated", "System", `${b.site} · ${b.name} capacity: ${fmtFull(b.capacity)} → ${fmtFull(cap)}`);
+  };
+
+  const removeBin = (b) => {
+    const count = inventory.filter(t => t.bin === b.id).length;
+    if (count > 0) {
+      setBinError(`${b.site} · ${b.name} has ${count} movement(s) recorded against it; delete them before removing it`);
+      return;
+    }
+    if (!confirm(`Remove ${b.site} · ${b.name}?`)) return;
+    setBinError("");
+    setBinRegistry(prev => {
+      const next = { ...prev };
+      delete next[b.id];
+      return next;
+    });
+    addAudit("Bin Removed", "System", `${b.site} · ${b.name} removed`);
+  };
+
+  const summary = producers.flatMap(e => {
+    const byType = inventoryByType(movements, e.name, commodity);
+    const planned = production?.[e.name]?.[selectedYear] || {};
+    return types.filter(t => byType[t] || planned[t]).map(t => ({ entity: e.name, subType: t, planned: Number(planned[t]) || 0, ...(byType[t] || { harvested: 0, fedOut: 0, delivered: 0, adjusted: 0, onHand: 0 }) }));
+  });
+  const ledger = [...movements].reverse();
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Inventory — {commodity.name} {selectedYear}</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Grain in storage by bin and site. Harvest puts grain in, feed-out and deliveries take it out, and adjustments record shrink or a recount. Once an entity starts harvesting a type, what it actually harvested replaces the planned production in its position, and the net position by type is the grain on hand less sales still to deliver. Grain on hand that no priced sale is waiting for is still exposed to the market.</p>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <KpiCard label="On Hand" value={`${fmtFull(totals.onHand)} ${unit}`} sub={types.length > 1 ? `${commodity.standardMoisture}% moisture equivalent` : undefined} accent={COLORS.green} />
+        <KpiCard label="Storage Used" value={capacity ? `${((stored / capacity) * 100).toFixed(1)}%` : "—"} sub={`${fmtFull(stored)} of ${fmtFull(capacity)} in ${bins.length} bins`} accent={COLORS.blue} />
+        <KpiCard label="Unpriced in Storage" value={`${fmtFull(totals.unpriced)} ${unit}`} sub="Not covered by a priced sale" accent={totals.unpriced > 0 ? COLORS.orange : COLORS.green} />
+        <KpiCard label="Priced, To Deliver" value={`${fmtFull(totals.pricedUndelivered)} ${unit}`} accent={COLORS.purple} />
+      </div>
+
+      {/* By entity and type */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>BY ENTITY AND TYPE</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Entity", "Type", "Planned", "Harvested", "Fed Out", "Delivered", "Adjusted", "On Hand", `On Hand (${unit} equiv.)`].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {summary.length === 0 && (
+              <tr><td colSpan={9} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No planned production or inventory for {commodity.name} {selectedYear}</td></tr>
+            )}
+            {summary.map(r => (
+              <tr key={`${r.entity}|${r.subType}`} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{r.entity}</td>
+                <td style={{ padding: "10px 16px" }}>{r.subType} <span style={{ color: COLORS.textDim }}>({entered(r.subType)})</span></td>
+                <td style={{ padding: "10px 16px", color: r.harvested > 0 ? COLORS.textDim : COLORS.text }}>{fmtFull(r.planned)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.green }}>{fmtFull(r.harvested)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(r.fedOut)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(r.delivered)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{fmtFull(r.adjusted)}</td>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{fmtFull(r.onHand)}</td>
+                <td style={{ padding: "10px 16px", fontWeight: 700, color: COLORS.green }}>{fmtFull(productionEquivalent(commodity, r.subType, r.onHand))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {traders.length > 0 && bins.length > 0 && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 16 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>RECORD MOVEMENT</h3>
+          <div style={{ display: "flex", gap: 12 }}>
+            <Select label="Movement" value={form.kind} onChange={e => setForm(p => ({ ...p, kind: e.target.value, hedgeId: "" }))} options={INVENTORY_KINDS} style={{ flex: 1 }} />
+            <Select label="Entity" value={form.entity} onChange={e => setForm(p => ({ ...p, entity: e.target.value, hedgeId: "" }))} options={traders.map(e => e.name)} style={{ flex: 1 }} />
+            <div style={{ flex: 1, display: "flex", flexDirection: "column", gap: 4 }}>
+              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Bin</label>
+              <select value={form.bin} onChange={e => setForm(p => ({ ...p, bin: e.target.value }))} style={{
+                background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                padding: "8px 12px", color: COLORS.text, fontSize: 14, outline: "none",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>
+                {bins.map(b => <option key={b.id} value={b.id}>{b.site} · {b.name}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 12 }}>
+            <Select label={`${commodity.name} Type`} value={form.subType} onChange={e => setForm(p => ({ ...p, subType: e.target.value }))} options={types} style={{ flex: 1 }} />
+            <Input label={`Quantity (${entered(form.subType)})`} type="number" value={form.quantity} onChange={e => setForm(p => ({ ...p, quantity: e.target.value }))} placeholder={form.kind === "Adjustment" ? "Negative for shrink" : ""} style={{ flex: 1 }} />
+            <Input label="Date" type="date" value={form.date} onChange={e => setForm(p => ({ ...p, date: e.target.value }))} style={{ flex: 1 }} />
+          </div>
+          {form.kind === "Delivery" && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+              <label style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Against Sale</label>
+              <select value={form.hedgeId} onChange={e => setForm(p => ({ ...p, hedgeId: e.target.value }))} style={{
+                background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                padding: "8px 12px", color: COLORS.text, fontSize: 14, outline: "none",
+                fontFamily: "'JetBrains Mono', monospace",
+              }}>
+                <option value="">No contract</option>
+                {sales.map(s => <option key={s.hedge.id} value={s.hedge.id}>{hedgeSummary(s.hedge, unit)} — {fmtFull(s.remaining)} to deliver</option>)}
+              </select>
+            </div>
+          )}
+          <Input label="Notes" value={form.notes} onChange={e => setForm(p => ({ ...p, notes: e.target.value }))} placeholder="e.g. Field 12, ticket 4471" />
+          {error && <div style={{ color: COLORS.red, fontSize: 13 }}>{error}</div>}
+          <div style={{ display: "flex", justifyContent: "flex-end" }}>
+            <Btn onClick={save}>Save Movement</Btn>
+          </div>
+        </div>
+      )}
+
+      {/* Ledger */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>MOVEMENTS</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Date", "Movement", "Entity", "Bin", "Type", "Quantity", "Sale", "Notes", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ledger.length === 0 && (
+              <tr><td colSpan={9} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No movements for {commodity.name} {selectedYear}</td></tr>
+            )}
+            {ledger.map(t => {
+              const sale = t.hedgeId && hedges.find(h => h.id === t.hedgeId);
+              return (
+                <tr key={t.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{t.date}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{t.kind}</td>
+                  <td style={{ padding: "10px 16px" }}>{t.entity}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{binLabel(t.bin)}</td>
+                  <td style={{ padding: "10px 16px" }}>{t.subType}</td>
+                  <td style={{ padding: "10px 16px", color: inventoryChange(t) >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(inventoryChange(t))} {entered(t.subType)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{sale ? hedgeSummary(sale, unit) : t.hedgeId ? "Deleted contract" : "—"}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{t.notes || "—"}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={() => remove(t)} disabled={!canTrade(t.entity)}>Del</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Bins */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>STORAGE BINS</h3>
+        </div>
+        {canEditBins && (
+          <div style={{ padding: "16px 24px", display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap", borderBottom: `1px solid ${COLORS.border}` }}>
+            <Input label="Site" value={binForm.site} onChange={e => setBinForm(p => ({ ...p, site: e.target.value }))} placeholder="e.g. Home Farm" />
+            <Input label="Bin" value={binForm.name} onChange={e => setBinForm(p => ({ ...p, name: e.target.value }))} placeholder="e.g. Bin 3" />
+            <Input label="Capacity" type="number" value={binForm.capacity} onChange={e => setBinForm(p => ({ ...p, capacity: e.target.value }))} onKeyDown={e => e.key === "Enter" && addBin()} />
+            <Btn onClick={addBin} disabled={!binForm.site.trim() || !binForm.name.trim()}>+ Add Bin</Btn>
+          </div>
+        )}
+        {binError && <div style={{ color: COLORS.red, fontSize: 12, padding: "12px 24px 0" }}>{binError}</div>}
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Site", "Bin", "Capacity", "On Hand", "Full", "Contents", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {bins.length === 0 && (
+              <tr><td colSpan={7} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No storage bins yet.</td></tr>
+            )}
+            {bins.map(b => {
+              const bal = balances[b.id];
+              const full = b.capacity ? (bal.total / b.capacity) * 100 : 0;
+              return (
+                <tr key={b.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{b.site}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{b.name}</td>
+                  <td style={{ padding: "6px 12px" }}>
+                    {canEditBins ? (
+                      <input
+                        key={b.capacity} type="number" defaultValue={b.capacity} onBlur={e => setCapacity(b, e.target.value)}
+                        style={{
+                          background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                          padding: "6px 10px", color: COLORS.text, fontSize: 13, outline: "none", width: 140,
+                          fontFamily: "'JetBrains Mono', monospace",
+                        }}
+                      />
+                    ) : fmtFull(b.capacity)}
+                  </td>
+                  <td style={{ padding: "10px 16px" }}>{fmtFull(bal.total)}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700, color: full > 100 ? COLORS.red : full > 90 ? COLORS.orange : COLORS.text }}>{full.toFixed(1)}%</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>
+                    {Object.entries(bal.byType).filter(([, r]) => r.quantity !== 0).map(([t, r]) => `${t}: ${fmtFull(r.quantity)} ${r.unit}`).join(" · ") || "Empty"}
+                  </td>
+                  <td style={{ padding: "6px 12px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={() => removeBin(b)} disabled={!canEditBins}>Remove</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Brokerage Accounts ────────────────────────────────────────────────
+// Cash, variation margin and margin calls by account (see src/accounts.js)
+const usd = (n) => (n < 0 ? "-$" : "$") + Math.abs(n).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const MARGIN_STATUS = {
+  ok: { label: "OK", color: COLORS.green, bg: COLORS.greenDim },
+  warning: { label: "NEAR CALL", color: COLORS.orange, bg: COLORS.orangeDim },
+  call: { label: "MARGIN CALL", color: COLORS.red, bg: COLORS.redDim },
+};
+
+function AccountsView({ statuses, setAccountRegistry, ledger, setLedgerObj, hedges, commodities, settlements, asOf, canEdit, addAudit }) {
+  const accounts = statuses.map(s => s.account);
+  const [selected, setSelected] = useState(accounts[0]?.id || "");
+  const emptyForm = () => ({ kind: "Deposit", amount: "", date: new Date().toISOString().slice(0, 10), notes: "" });
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState("");
+  const [accountForm, setAccountForm] = useState({ name: "", broker: "", number: "" });
+  const [accountError, setAccountError] = useState("");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const inputStyle = {
+    background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+    padding: "6px 10px", color: COLORS.text, fontSize: 13, outline: "none", width: 110,
+    fontFamily: "'JetBrains Mono', monospace",
+  };
+
+  const current = statuses.find(s => s.account.id === selected) || statuses[0];
+  const account = current?.account;
+  const activity = account ? accountActivity({ account: account.id, hedges, ledger, settlements, asOf }) : { rows: [] };
+  const positions = account ? hedges.filter(h => h.account === account.id) : [];
+  const unitOf = (name) => commodities.find(c => c.name === name)?.unit || "bu";
+  const totals = statuses.reduce((acc, s) => ({ balance: acc.balance + s.balance, initial: acc.initial + s.initial, maintenance: acc.maintenance + s.maintenance }), { balance: 0, initial: 0, maintenance: 0 });
+  const onCall = statuses.filter(s => s.status === "call");
+  const describe = (e) => `${accounts.find(a => a.id === e.account)?.name || e.account}: ${e.kind} ${usd(Number(e.amount))} on ${e.date}`;
+
+  const save = () => {
+    const entry = { account: account?.id, kind: form.kind, amount: parseFloat(form.amount), date: form.date, notes: form.notes.trim() };
+    const err = ledgerError(entry, accounts.map(a => a.id));
+    if (err) { setError(err); return; }
+    const id = genId();
+    setLedgerObj(prev => ({ ...prev, [id]: entry }));
+    addAudit("Account Entry Recorded", "System", describe(entry), { ledgerId: id, diff: hedgeDiff(null, entry) });
+    setForm(p => ({ ...emptyForm(), kind: p.kind }));
+    setError("");
+  };
+
+  const remove = (e) => {
+    if (!confirm("Delete this account entry?")) return;
+    setLedgerObj(prev => {
+      const next = { ...prev };
+      delete next[e.id];
+      return next;
+    });
+    const { id: ledgerId, ...before } = e;
+    addAudit("Account Entry Deleted", "System", describe(e), { ledgerId, diff: hedgeDiff(before, null) });
+  };
+
+  const addAccount = () => {
+    const name = accountForm.name.trim();
+    const err = !name ? "Enter a name"
+      : accounts.some(a => a.name.toLowerCase() === name.toLowerCase()) ? `${name} already exists` : "";
+    setAccountError(err);
+    if (err) return;
+    const id = genId();
+    const order = accounts.length ? accounts[accounts.length - 1].order + 1 : 0;
+    setAccountRegistry(prev => ({ ...prev, [id]: { name, broker: accountForm.broker.trim(), number: accountForm.number.trim(), order, margins: DEFAULT_MARGINS } }));
+    addAudit("Account Added", "System", `${name} added${accountForm.broker.trim() ? ` at ${accountForm.broker.trim()}` : ""}`);
+    setAccountForm({ name: "", broker: "", number: "" });
+    setSelected(id);
+  };
+
+  const rateOf = (a, name, level) => a.margins?.[name]?.[level] ?? DEFAULT_MARGINS[name]?.[level] ?? 0;
+
+  const setRate = (a, name, level, value) => {
+    const rate = parseFloat(value);
+    const was = rateOf(a, name, level);
+    if (isNaN(rate) || rate < 0 || rate === was) return;
+    const other = level === "initial" ? "maintenance" : "initial";
+    setAccountRegistry(prev => ({
+      ...prev,
+      [a.id]: { ...prev[a.id], margins: { ...(prev[a.id]?.margins || {}), [name]: { [other]: rateOf(a, name, other), [level]: rate } } },
+    }));
+    addAudit("Account Updated", "System", `${a.name} ${name} ${level} margin: ${usd(was)} → ${usd(rate)} per contract`);
+  };
+
+  const removeAccount = (a) => {
+    const held = hedges.filter(h => h.account === a.id).length;
+    const entries = ledger.filter(e => e.account === a.id).length;
+    if (held || entries) {
+      setAccountError(`${a.name} has ${held} position(s) and ${entries} ledger entry(ies); move or delete them before removing it`);
+      return;
+    }
+    if (!confirm(`Remove ${a.name}?`)) return;
+    setAccountError("");
+    setAccountRegistry(prev => {
+      const next = { ...prev };
+      delete next[a.id];
+      return next;
+    });
+    addAudit("Account Removed", "System", `${a.name} removed`);
+  };
+
+  const triggerText = (s) => s.triggers.length === 0 ? "No open futures exposure"
+    : s.triggers.map(t => `${t.commodity} ${t.move > 0 ? "+" : "-"}$${Math.abs(t.move).toFixed(2)}${t.pct !== null ? ` (${(t.pct * 100).toFixed(1)}%)` : ""}`).join(" · ");
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Brokerage Accounts</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Futures and options are held in a brokerage account, set on each position. An account's balance is the cash put in and taken out, commissions and fees, option premium paid and received, and the variation margin futures settle each day. Open futures need margin on the net contracts of each month, and short options as many futures; below maintenance margin the account is on call for enough to get back to initial margin. Call Trigger is the futures move, per unit and against the latest settlement, that would take the balance down to maintenance; an account is flagged once that is within {(CALL_WARNING_MOVE * 100).toFixed(0)}%.</p>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <KpiCard label="Account Balances" value={fmtUsd(totals.balance)} sub={`${accounts.length} account(s)`} accent={COLORS.blue} />
+        <KpiCard label="Initial Margin" value={fmtUsd(totals.initial)} sub={`Maintenance: ${fmtUsd(totals.maintenance)}`} accent={COLORS.purple} />
+        <KpiCard label="Excess Over Maintenance" value={fmtUsd(totals.balance - totals.maintenance)} accent={pnlColor(totals.balance - totals.maintenance)} />
+        <KpiCard label="Margin Calls" value={onCall.length ? fmtUsd(onCall.reduce((s, c) => s + c.call, 0)) : "None"} sub={onCall.map(s => s.account.name).join(" · ") || undefined} accent={onCall.length ? COLORS.red : COLORS.green} />
+      </div>
+
+      {/* Accounts */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>ACCOUNTS</h3>
+        </div>
+        {canEdit && (
+          <div style={{ padding: "16px 24px", display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap", borderBottom: `1px solid ${COLORS.border}` }}>
+            <Input label="Account" value={accountForm.name} onChange={e => setAccountForm(p => ({ ...p, name: e.target.value }))} placeholder="e.g. Feedlot Hedge Account" />
+            <Input label="Broker" value={accountForm.broker} onChange={e => setAccountForm(p => ({ ...p, broker: e.target.value }))} placeholder="Optional" />
+            <Input label="Account Number" value={accountForm.number} onChange={e => setAccountForm(p => ({ ...p, number: e.target.value }))} onKeyDown={e => e.key === "Enter" && addAccount()} placeholder="Optional" />
+            <Btn onClick={addAccount} disabled={!accountForm.name.trim()}>+ Add Account</Btn>
+          </div>
+        )}
+        {accountError && <div style={{ color: COLORS.red, fontSize: 12, padding: "12px 24px 0" }}>{accountError}</div>}
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Account", "Broker", "Balance", "Initial", "Maintenance", "Excess", "Status", "Call Trigger", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {statuses.length === 0 && (
+              <tr><td colSpan={9} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No brokerage accounts yet.</td></tr>
+            )}
+            {statuses.map(s => {
+              const st = MARGIN_STATUS[s.status];
+              return (
+                <tr key={s.account.id} onClick={() => setSelected(s.account.id)} style={{ borderBottom: `1px solid ${COLORS.border}`, cursor: "pointer", background: s.account.id === account?.id ? COLORS.surfaceAlt : "transparent" }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{s.account.name}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{[s.account.broker, s.account.number].filter(Boolean).join(" · ") || "—"}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{usd(s.balance)}</td>
+                  <td style={{ padding: "10px 16px" }}>{usd(s.initial)}</td>
+                  <td style={{ padding: "10px 16px" }}>{usd(s.maintenance)}</td>
+                  <td style={{ padding: "10px 16px", color: pnlColor(s.excess) }}>{usd(s.excess)}</td>
+                  <td style={{ padding: "10px 16px" }}>
+                    <Badge color={st.color} bg={st.bg}>{st.label}</Badge>
+                    {s.call > 0 && <div style={{ fontSize: 11, color: COLORS.red, marginTop: 4 }}>Deposit {usd(s.call)}</div>}
+                  </td>
+                  <td style={{ padding: "10px 16px", color: s.status === "warning" ? COLORS.orange : COLORS.textMuted, fontSize: 12 }}>{s.status === "call" ? "—" : triggerText(s)}</td>
+                  <td style={{ padding: "6px 12px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={e => { e.stopPropagation(); removeAccount(s.account); }} disabled={!canEdit}>Remove</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {account && (
+        <>
+          <h3 style={{ fontSize: 18, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>{account.name}</h3>
+
+          {/* Margin by commodity */}
+          <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+            <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+              <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>MARGIN REQUIREMENT</h3>
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+              <thead>
+                <tr style={{ background: COLORS.surfaceAlt }}>
+                  {["Commodity", "Initial / Contract", "Maintenance / Contract", "Margined Contracts", "Initial", "Maintenance"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {commodities.map(c => {
+                  const req = current.byCommodity[c.name] || { contracts: 0, initial: 0, maintenance: 0 };
+                  return (
+                    <tr key={c.name} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                      <td style={{ padding: "10px 16px", fontWeight: 700 }}>{c.name}</td>
+                      {["initial", "maintenance"].map(level => (
+                        <td key={level} style={{ padding: "6px 12px" }}>
+                          {canEdit ? (
+                            <input
+                              key={`${account.id}|${rateOf(account, c.name, level)}`} type="number" defaultValue={rateOf(account, c.name, level)}
+                              onBlur={e => setRate(account, c.name, level, e.target.value)} style={inputStyle}
+                            />
+                          ) : usd(rateOf(account, c.name, level))}
+                        </td>
+                      ))}
+                      <td style={{ padding: "10px 16px" }}>{req.contracts ? req.contracts.toLocaleString(undefined, { maximumFractionDigits: 2 }) : "—"}</td>
+                      <td style={{ padding: "10px 16px" }}>{usd(req.initial)}</td>
+                      <td style={{ padding: "10px 16px" }}>{usd(req.maintenance)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {canEdit && (
+            <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 16 }}>
+              <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>RECORD ENTRY</h3>
+              <div style={{ display: "flex", gap: 12 }}>
+                <Select label="Entry" value={form.kind} onChange={e => setForm(p => ({ ...p, kind: e.target.value }))} options={LEDGER_KINDS} style={{ flex: 1 }} />
+                <Input label="Amount ($)" type="number" step="0.01" value={form.amount} onChange={e => setForm(p => ({ ...p, amount: e.target.value }))} style={{ flex: 1 }} />
+                <Input label="Date" type="date" value={form.date} onChange={e => setForm(p => ({ ...p, date: e.target.value }))} style={{ flex: 1 }} />
+              </div>
+              <Input label="Notes" value={form.notes} onChange={e => setForm(p => ({ ...p, notes: e.target.value }))} placeholder="e.g. Wire from operating account" />
+              {error && <div style={{ color: COLORS.red, fontSize: 13 }}>{error}</div>}
+              <div style={{ display: "flex", justifyContent: "flex-end" }}>
+                <Btn onClick={save}>Save Entry</Btn>
+              </div>
+            </div>
+          )}
+
+          {/* Ledger */}
+          <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+            <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+              <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>LEDGER</h3>
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+              <thead>
+                <tr style={{ background: COLORS.surfaceAlt }}>
+                  {["Date", "Entry", "Description", "Amount", "Balance", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {activity.rows.length === 0 && (
+                  <tr><td colSpan={6} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No activity in {account.name}</td></tr>
+                )}
+                {[...activity.rows].reverse().map((r, i) => (
+                  <tr key={r.entry?.id || `${r.date}|${r.kind}|${i}`} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                    <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{r.date}</td>
+                    <td style={{ padding: "10px 16px", fontWeight: 700 }}>{r.kind}</td>
+                    <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{r.description || "—"}</td>
+                    <td style={{ padding: "10px 16px", color: pnlColor(r.amount) }}>{usd(r.amount)}</td>
+                    <td style={{ padding: "10px 16px", fontWeight: 700 }}>{usd(r.balance)}</td>
+                    <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                      {r.entry && <Btn variant="danger" onClick={() => remove(r.entry)} disabled={!canEdit}>Del</Btn>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Positions */}
+          <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+            <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+              <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>POSITIONS</h3>
+            </div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+              <thead>
+                <tr style={{ background: COLORS.surfaceAlt }}>
+                  {["Entity", "Position", "Open", "Status", "MTM P&L"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {positions.length === 0 && (
+                  <tr><td colSpan={5} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No positions are held in {account.name}</td></tr>
+                )}
+                {positions.map(h => {
+                  const p = hedgePnl(h, settlements, asOf);
+                  return (
+                    <tr key={h.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                      <td style={{ padding: "10px 16px", fontWeight: 700 }}>{h.entity}</td>
+                      <td style={{ padding: "10px 16px" }}>{hedgeSummary(h, unitOf(commodityOf(h)))}</td>
+                      <td style={{ padding: "10px 16px" }}>{fmtFull(openQuantity(h, asOf))}</td>
+                      <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{hedgeStatus(h, asOf)}</td>
+                      <td style={{ padding: "10px 16px", color: p ? pnlColor(p.realized + p.unrealized) : COLORS.textDim }}>{p ? fmtUsd(p.realized + p.unrealized) : "—"}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Scenarios ─────────────────────────────────────────────────────────
+// Futures and basis moves against the current book (see src/scenarios.js)
+const defaultScenarios = (reference) => {
+  // ±10% and ±20% of the reference price, rounded to a nickel
+  const step = reference ? Math.max(Math.round(reference * 0.1 * 20) / 20, 0.05) : 0.5;
+  return [
+    { id: genId(), label: "Down 20%", move: String(-2 * step), basis: "0" },
+    { id: genId(), label: "Down 10%", move: String(-step), basis: "0" },
+    { id: genId(), label: "Up 10%", move: String(step), basis: "0" },
+    { id: genId(), label: "Up 20%", move: String(2 * step), basis: "0" },
+    { id: genId(), label: "Up 20%, weaker basis", move: String(2 * step), basis: "-0.20" },
+  ];
+};
+
+function ScenariosView({ entities, commodity, selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf }) {
+  const { unit } = commodity;
+  const [refMonth, setRefMonth] = useState(commodity.months[commodity.months.length - 1]);
+  const month = commodity.months.includes(refMonth) ? refMonth : commodity.months[commodity.months.length - 1];
+  const refKey = contractKey(selectedYear, month, commodity.name);
+  const reference = refKey ? latestSettlement(settlements, refKey, asOf) : null;
+  const [scenarios, setScenarios] = useState(() => defaultScenarios(reference?.price));
+  const [view, setView] = useState("Enterprise");
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  const params = { entities, commodity, year: selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf };
+  // `priceText` holds a typed futures price until the move is edited directly
+  const setScenario = (id, patch) => setScenarios(prev => prev.map(x => (x.id === id ? { ...x, ...patch } : x)));
+  const results = scenarios.map(sc => ({ ...sc, ...scenarioImpact({ ...params, move: parseFloat(sc.move) || 0, basis: parseFloat(sc.basis) || 0 }) }));
+
+  // Payoff from 60% to 140% of the reference price, basis unchanged
+  const curve = useMemo(() => {
+    if (!reference) return [];
+    const prices = Array.from({ length: 33 }, (_, i) => Math.round(reference.price * (0.6 + i * 0.025) * 100) / 100);
+    return payoffCurve(params, reference.price, prices).map(p => (view === "Enterprise" ? p : { price: p.price, net: p[view] }));
+  }, [entities, commodity, selectedYear, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf, reference?.price, view]);
+
+  const money = (v) => <span style={{ color: pnlColor(v) }}>{fmtUsd(v)}</span>;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-end", gap: 16 }}>
+        <div>
+          <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Scenarios — {commodity.name} {selectedYear}</h2>
+          <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Each scenario moves every {commodity.name} futures contract by the same amount and the cash basis by another. Cash is the open physical position (production less the consumption still ahead) at the new price, so a negative figure is higher feed cost or lower farm revenue; hedges are repriced off the moved settlements, and internal transfers hold at their agreed price.</p>
+        </div>
+        <Select label="Reference Contract" value={month} onChange={e => { setRefMonth(e.target.value); setScenarios(prev => prev.map(({ priceText: _p, ...x }) => x)); }} options={commodity.months} />
+      </div>
+
+      <div style={{ fontSize: 13, color: COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace" }}>
+        {reference
+          ? <>{contractLabel(refKey)} last settled <span style={{ color: COLORS.accent }}>${reference.price.toFixed(4)}</span> on {reference.date}</>
+          : <span style={{ color: COLORS.orange }}>No settlement for {contractLabel(refKey)} yet; moves still apply, but prices and the payoff curve need one (see Market Prices).</span>}
+      </div>
+
+      {/* Scenario inputs */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 12 }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>SCENARIOS</h3>
+        {scenarios.map(sc => (
+          <div key={sc.id} style={{ display: "flex", gap: 12, alignItems: "flex-end" }}>
+            <Input label="Name" value={sc.label} onChange={e => setScenario(sc.id, { label: e.target.value })} style={{ flex: 2 }} />
+            <Input label={unitLabel("Futures Move ($/bu)", unit)} type="number" step="0.05" value={sc.move} onChange={e => setScenario(sc.id, { move: e.target.value, priceText: undefined })} style={{ flex: 1 }} />
+            <Input
+              label={unitLabel("Futures Price ($/bu)", unit)} type="number" step="0.05" disabled={!reference} style={{ flex: 1 }}
+              value={sc.priceText ?? (reference ? (reference.price + (parseFloat(sc.move) || 0)).toFixed(2) : "")}
+              onChange={e => setScenario(sc.id, { priceText: e.target.value, move: isNaN(parseFloat(e.target.value)) ? "0" : (parseFloat(e.target.value) - reference.price).toFixed(4) })}
+            />
+            <Input label={unitLabel("Basis Move ($/bu)", unit)} type="number" step="0.05" value={sc.basis} onChange={e => setScenario(sc.id, { basis: e.target.value })} style={{ flex: 1 }} />
+            <Btn variant="danger" onClick={() => setScenarios(prev => prev.filter(x => x.id !== sc.id))}>×</Btn>
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: 12 }}>
+          <Btn variant="secondary" onClick={() => setScenarios(prev => [...prev, { id: genId(), label: `Scenario ${prev.length + 1}`, move: "0", basis: "0" }])}>+ Scenario</Btn>
+          <Btn variant="ghost" onClick={() => setScenarios(defaultScenarios(reference?.price))}>Reset</Btn>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Scenario / Entity", "Futures", "Basis", "Cash Cost / Revenue", "Hedge Gain / Loss", "Net Effect"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(r => (
+              <Fragment key={r.id}>
+                <tr style={{ background: COLORS.surfaceAlt + "80", borderTop: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 800 }}>{r.label}</td>
+                  <td style={{ padding: "10px 16px" }}>
+                    {(parseFloat(r.move) || 0) >= 0 ? "+" : ""}{(parseFloat(r.move) || 0).toFixed(2)}
+                    {reference && <span style={{ color: COLORS.textDim }}> → ${(reference.price + (parseFloat(r.move) || 0)).toFixed(2)}</span>}
+                  </td>
+                  <td style={{ padding: "10px 16px" }}>{(parseFloat(r.basis) || 0) >= 0 ? "+" : ""}{(parseFloat(r.basis) || 0).toFixed(2)}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{money(r.total.cash)}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{money(r.total.hedge)}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 800 }}>{money(r.total.net)}</td>
+                </tr>
+                {r.rows.map(e => (
+                  <tr key={e.name} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                    <td style={{ padding: "8px 16px 8px 32px", color: COLORS.textMuted }}>{e.name}</td>
+                    <td /><td />
+                    <td style={{ padding: "8px 16px" }}>{money(e.cash)}</td>
+                    <td style={{ padding: "8px 16px" }}>{money(e.hedge)}</td>
+                    <td style={{ padding: "8px 16px", fontWeight: 700 }}>{money(e.net)}</td>
+                  </tr>
+                ))}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Payoff curve */}
+      {reference && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+            <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>PAYOFF ACROSS {contractLabel(refKey).toUpperCase()} PRICES</h3>
+            <Select value={view} onChange={e => setView(e.target.value)} options={["Enterprise", ...entities.map(e => e.name)]} />
+          </div>
+          <ResponsiveContainer width="100%" height={320}>
+            <LineChart data={curve}>
+              <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} />
+              <XAxis dataKey="price" type="number" domain={["dataMin", "dataMax"]} stroke={COLORS.textDim} tickFormatter={(v) => `$${v.toFixed(2)}`} tick={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11 }} />
+              <YAxis stroke={COLORS.textDim} tickFormatter={fmt} tick={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11 }} />
+              <Tooltip
+                contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}
+                labelFormatter={(v) => `Futures $${Number(v).toFixed(2)}`}
+                formatter={(v) => fmtUsd(v)}
+              />
+              <Legend wrapperStyle={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }} />
+              <ReferenceLine y={0} stroke={COLORS.textDim} />
+              <ReferenceLine x={reference.price} stroke={COLORS.accent} strokeDasharray="4 4" />
+              {view === "Enterprise" && <Line type="monotone" dataKey="cash" name="Cash" stroke={COLORS.red} dot={false} strokeWidth={2} />}
+              {view === "Enterprise" && <Line type="monotone" dataKey="hedge" name="Hedges" stroke={COLORS.blue} dot={false} strokeWidth={2} />}
+              <Line type="monotone" dataKey="net" name={view === "Enterprise" ? "Net" : `${view} Net`} stroke={COLORS.accent} dot={false} strokeWidth={3} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Feed Usage (consumer entities) ───────────────────────────────────
+// Actual usage against the budget and the re-projected year (see
+// src/usage.js)
+function UsageSection({ entity, commodity, budget, usage, schedule, selectedYear, updateUsage, canTrade }) {
+  const { unit } = commodity;
+  const proj = usageProjection({ budget, usage, schedule, year: selectedYear });
+  const budgetToDate = proj.months.filter(m => m.actual !== null).reduce((s, m) => s + m.budget, 0);
+  const thStyle = { padding: "10px 8px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const labelStyle = { padding: "8px 12px", fontWeight: 700, minWidth: 150 };
+  const inputStyle = {
+    background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+    padding: "4px 6px", color: COLORS.text, fontSize: 12, outline: "none", width: 72,
+    fontFamily: "'JetBrains Mono', monospace",
+  };
+  const inputRow = (field, label, step) => (
+    <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+      <td style={labelStyle}>{label}</td>
+      {CONTRACT_MONTHS.map(m => {
+        const head = Number(usage?.head?.[m]) || 0;
+        const intake = Number(usage?.intake?.[m]) || 0;
+        const derived = field === "actual" && head > 0 && intake > 0 ? String(Math.round(head * intake * daysInMonth(selectedYear, m))) : "";
+        return (
+          <td key={m} style={{ padding: "4px 4px" }}>
+            <input
+              type="number" step={step} min="0"
+              value={usage?.[field]?.[m] ?? ""}
+              onChange={e => updateUsage(entity, commodity.name, selectedYear, field, m, e.target.value)}
+              placeholder={derived}
+              disabled={!canTrade}
+              style={inputStyle}
+            />
+          </td>
+        );
+      })}
+      <td />
+    </tr>
+  );
+
+  return (
+    <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+      <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>FEED USAGE VS BUDGET — {commodity.name.toUpperCase()} {selectedYear}</h3>
+        <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 4 }}>Enter each month's usage in {unit}, or head count and daily intake per head; a typed usage wins. Months not yet recorded are projected at their budget times the pace so far, and Hedged % is measured against that remaining need.</div>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {["", ...CONTRACT_MONTHS, "Total"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+            <td style={labelStyle}>Budget</td>
+            {proj.months.map(m => <td key={m.month} style={{ padding: "8px", color: COLORS.textMuted }}>{fmt(m.budget)}</td>)}
+            <td style={{ padding: "8px 12px", color: COLORS.textMuted }}>{fmt(budget)}</td>
+          </tr>
+          {inputRow("head", "Head", "1")}
+          {inputRow("intake", unitLabel("Intake (bu/head/day)", unit), "0.001")}
+          {inputRow("actual", `Usage (${unit})`, "1")}
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+            <td style={labelStyle}>Projected</td>
+            {proj.months.map(m => <td key={m.month} style={{ padding: "8px", color: m.actual === null ? COLORS.textDim : COLORS.text, fontWeight: m.actual === null ? 400 : 700 }}>{fmt(m.projected)}</td>)}
+            <td style={{ padding: "8px 12px", fontWeight: 700 }}>{fmt(proj.projected)}</td>
+          </tr>
+          <tr>
+            <td style={labelStyle}>Vs Budget</td>
+            {proj.months.map(m => {
+              const v = m.actual === null ? null : m.actual - m.budget;
+              return <td key={m.month} style={{ padding: "8px", color: v === null ? COLORS.textDim : v > 0 ? COLORS.red : COLORS.green }}>{v === null ? "—" : `${v > 0 ? "+" : ""}${fmt(v)}`}</td>;
+            })}
+            <td style={{ padding: "8px 12px", fontWeight: 700, color: proj.used > budgetToDate ? COLORS.red : COLORS.green }}>{proj.started ? `${proj.used > budgetToDate ? "+" : ""}${fmt(proj.used - budgetToDate)}` : "—"}</td>
+          </tr>
+        </tbody>
+      </table>
+      {proj.started && (
+        <div style={{ padding: "12px 24px", borderTop: `1px solid ${COLORS.border}`, display: "flex", gap: 32, flexWrap: "wrap", fontSize: 13, fontFamily: "'JetBrains Mono', monospace" }}>
+          <span style={{ color: COLORS.textMuted }}>Used to date <b style={{ color: COLORS.text }}>{fmtFull(proj.used)} {unit}</b></span>
+          <span style={{ color: COLORS.textMuted }}>Pace <b style={{ color: proj.pace > 1 ? COLORS.red : COLORS.green }}>{(proj.pace * 100).toFixed(1)}%</b> of budget</span>
+          <span style={{ color: COLORS.textMuted }}>Projected year <b style={{ color: COLORS.text }}>{fmtFull(proj.projected)} {unit}</b> ({proj.projected >= budget ? "+" : ""}{fmtFull(proj.projected - budget)} vs budget)</span>
+          <span style={{ color: COLORS.textMuted }}>Still to feed <b style={{ color: COLORS.accent }}>{fmtFull(proj.need)} {unit}</b></span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Livestock Margin (consumer entities) ─────────────────────────────
+// Projected margin per head from output and feed hedges and local prices
+// (see src/livestock.js)
+function MarginSection({ entity, commodities, raw, hedges, selectedYear, cropYears, asOf, updateLivestock, canTrade }) {
+  const settings = livestockSettings(raw);
+  const unitOf = (name) => commodities.find(c => c.name === name)?.unit || "bu";
+  const grid = useMemo(
+    () => (settings ? marginGrid({ settings, hedges, entity, years: cropYears || [], asOf }) : []),
+    [raw, hedges, entity, cropYears, asOf]
+  );
+  const thStyle = { padding: "10px 12px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const labelStyle = { padding: "8px 12px", fontWeight: 700, minWidth: 180 };
+  const inputStyle = {
+    background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+    padding: "4px 6px", color: COLORS.text, fontSize: 12, outline: "none", width: 96,
+    fontFamily: "'JetBrains Mono', monospace",
+  };
+  const perHead = (v) => (v === null ? "—" : `${v < 0 ? "-" : ""}$${Math.abs(v).toFixed(2)}`);
+  const price = (v) => (v === null ? "—" : `$${v.toFixed(2)}`);
+  const numeric = (v) => (v === "" ? "" : parseFloat(v) || 0);
+  const header = (
+    <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>LIVESTOCK MARGIN — {entity.toUpperCase()}</h3>
+  );
+
+  if (!settings) {
+    const output = commodities.find(c => c.name === "Lean Hogs" || c.name === "Live Cattle") || commodities.find(c => c.name !== DEFAULT_COMMODITY);
+    return (
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: "16px 24px", display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
+        <div>
+          {header}
+          <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 4 }}>Track the margin per head between what this entity sells and what it feeds.</div>
+        </div>
+        <Btn onClick={() => updateLivestock(entity, ["output"], output?.name || "")} disabled={!canTrade || !output}>Track Margin</Btn>
+      </div>
+    );
+  }
+
+  const { output, feed } = settings;
+  const year = grid.find(g => g.year === selectedYear);
+  const priceInput = (field) => QUARTERS.map(q => (
+    <td key={q} style={{ padding: "4px 8px" }}>
+      <input
+        type="number" step="0.01"
+        value={raw?.prices?.[selectedYear]?.[q]?.[field] ?? ""}
+        onChange={e => updateLivestock(entity, ["prices", selectedYear, q, field], numeric(e.target.value))}
+        disabled={!canTrade} style={inputStyle}
+      />
+    </td>
+  ));
+
+  return (
+    <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+      <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+        {header}
+        <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 4 }}>
+          {output} hedges (short futures and sales, long puts) and {feed} hedges (long futures and purchases, long calls) count in the quarter of their contract month. Hedged quantities are priced at what they lock in, futures plus the quarter's basis, and the rest at the local price.
+        </div>
+      </div>
+
+      {/* Settings */}
+      <div style={{ padding: "16px 24px", display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap", borderBottom: `1px solid ${COLORS.border}` }}>
+        <Select label="Sells" value={output} onChange={e => updateLivestock(entity, ["output"], e.target.value)} options={commodities.map(c => c.name).filter(n => n !== feed)} />
+        <Select label="Feeds" value={feed} onChange={e => updateLivestock(entity, ["feed"], e.target.value)} options={commodities.map(c => c.name).filter(n => n !== output)} />
+        <Input label={`Sale Weight (${unitOf(output)}/head)`} type="number" step="0.1" value={raw?.saleWeight ?? ""} onChange={e => updateLivestock(entity, ["saleWeight"], numeric(e.target.value))} disabled={!canTrade} />
+        <Input label={`Feed (${unitOf(feed)}/head)`} type="number" step="0.1" value={raw?.feedPerHead ?? ""} onChange={e => updateLivestock(entity, ["feedPerHead"], numeric(e.target.value))} disabled={!canTrade} />
+        <Input label="Other Cost ($/head)" type="number" step="1" value={raw?.otherCost ?? ""} onChange={e => updateLivestock(entity, ["otherCost"], numeric(e.target.value))} disabled={!canTrade} />
+        <Btn variant="danger" onClick={() => confirm(`Stop tracking margin for ${entity}? Head counts and local prices are removed too.`) && updateLivestock(entity, [], null)} disabled={!canTrade}>Stop Tracking</Btn>
+      </div>
+
+      {/* Selected year by quarter */}
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {[selectedYear, ...QUARTERS].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+            <td style={labelStyle}>Head Marketed</td>
+            {QUARTERS.map(q => (
+              <td key={q} style={{ padding: "4px 8px" }}>
+                <input
+                  type="number" step="1" min="0"
+                  value={raw?.head?.[selectedYear]?.[q] ?? ""}
+                  onChange={e => updateLivestock(entity, ["head", selectedYear, q], numeric(e.target.value))}
+                  disabled={!canTrade} style={inputStyle}
+                />
+              </td>
+            ))}
+          </tr>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}><td style={labelStyle}>Local {output} ($/{unitOf(output)})</td>{priceInput("output")}</tr>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}><td style={labelStyle}>{output} Basis</td>{priceInput("outputBasis")}</tr>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}><td style={labelStyle}>Local {feed} ($/{unitOf(feed)})</td>{priceInput("feed")}</tr>
+          <tr style={{ borderBottom: `1px solid ${COLORS.border}` }}><td style={labelStyle}>{feed} Basis</td>{priceInput("feedBasis")}</tr>
+          {year && [
+            ["Output Hedged", q => `${q.output.pct.toFixed(0)}%`],
+            ["Output Price", q => price(q.output.price)],
+            ["Feed Hedged", q => `${q.feed.pct.toFixed(0)}%`],
+            ["Feed Price", q => price(q.feed.price)],
+            ["Revenue / Head", q => perHead(q.revenue)],
+            ["Cost / Head", q => perHead(q.cost)],
+          ].map(([label, cell]) => (
+            <tr key={label} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+              <td style={{ ...labelStyle, fontWeight: 400, color: COLORS.textMuted }}>{label}</td>
+              {year.quarters.map(q => <td key={q.quarter} style={{ padding: "8px 12px", color: COLORS.textMuted }}>{cell(q)}</td>)}
+            </tr>
+          ))}
+          {year && (
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              <td style={labelStyle}>Margin / Head</td>
+              {year.quarters.map(q => <td key={q.quarter} style={{ padding: "8px 12px", fontWeight: 700, color: q.margin === null ? COLORS.textDim : pnlColor(q.margin) }}>{perHead(q.margin)}</td>)}
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {/* All years */}
+      <div style={{ padding: "16px 24px", borderTop: `1px solid ${COLORS.border}` }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>MARGIN PER HEAD BY QUARTER</h3>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {["Year", ...QUARTERS, "Full Year"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {grid.map(g => (
+            <tr key={g.year} style={{ borderBottom: `1px solid ${COLORS.border}`, background: g.year === selectedYear ? COLORS.accent + "08" : "transparent" }}>
+              <td style={{ padding: "10px 12px", fontWeight: 700, color: g.year === selectedYear ? COLORS.accent : COLORS.text }}>{g.year}</td>
+              {g.quarters.map(q => (
+                <td key={q.quarter} style={{ padding: "10px 12px" }}>
+                  <div style={{ fontWeight: 700, color: q.margin === null ? COLORS.textDim : pnlColor(q.margin) }}>{perHead(q.margin)}</div>
+                  {q.head > 0 && <div style={{ fontSize: 11, color: COLORS.textDim }}>{fmt(q.head)} hd · out {q.output.pct.toFixed(0)}% · feed {q.feed.pct.toFixed(0)}%</div>}
+                </td>
+              ))}
+              <td style={{ padding: "10px 12px" }}>
+                <div style={{ fontWeight: 800, color: g.margin === null ? COLORS.textDim : pnlColor(g.margin) }}>{perHead(g.margin)}</div>
+                {g.head > 0 && <div style={{ fontSize: 11, color: COLORS.textDim }}>{fmt(g.head)} hd</div>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Monthly Schedules ─────────────────────────────────────────────────
+// Percent of the year's consumption/production per month; the quantity
+// under each input is the annual figure spread by that share
+function ScheduleSection({ entity, commodity, position, selectedYear, schedule, updateSchedule, canTrade }) {
+  const kinds = SCHEDULE_KINDS.filter(k => (k === "consumption" ? consumes(entity) : produces(entity)));
+  const annual = { consumption: position.budget, production: position.prod };
+  const thStyle = { padding: "10px 8px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+      <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>MONTHLY SCHEDULE — {commodity.name.toUpperCase()} {selectedYear}</h3>
+        <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 4 }}>Share of the year by month, in %. Shares are scaled to add up to 100; without a schedule consumption is spread evenly and production over harvest.</div>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {["", ...CONTRACT_MONTHS, "Total"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {kinds.map(kind => {
+            const saved = schedule?.[kind];
+            const shares = monthlyShares(saved, kind);
+            const total = CONTRACT_MONTHS.reduce((s, m) => s + (Number(saved?.[m]) || 0), 0);
+            return (
+              <tr key={kind} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                <td style={{ padding: "8px 12px", verticalAlign: "top", minWidth: 150 }}>
+                  <div style={{ fontWeight: 700, textTransform: "capitalize" }}>{kind}</div>
+                  {canTrade && (
+                    <select value="" onChange={e => e.target.value && updateSchedule(entity.name, commodity.name, selectedYear, kind, curveSchedule(e.target.value))} style={{
+                      marginTop: 6, background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                      padding: "4px 8px", color: COLORS.textMuted, fontSize: 11, outline: "none", fontFamily: "'JetBrains Mono', monospace",
+                    }}>
+                      <option value="">Apply curve…</option>
+                      {Object.keys(SCHEDULE_CURVES).map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  )}
+                </td>
+                {CONTRACT_MONTHS.map((m, i) => (
+                  <td key={m} style={{ padding: "4px 4px", verticalAlign: "top" }}>
+                    <input
+                      type="number" step="0.1" min="0"
+                      value={saved?.[m] ?? ""}
+                      onChange={e => updateSchedule(entity.name, commodity.name, selectedYear, kind, { [m]: e.target.value })}
+                      placeholder={(shares[i] * 100).toFixed(1)}
+                      disabled={!canTrade}
+                      style={{
+                        background: COLORS.surfaceAlt, border: `1px solid ${COLORS.border}`, borderRadius: 6,
+                        padding: "4px 6px", color: COLORS.text, fontSize: 12, outline: "none", width: 56,
+                        fontFamily: "'JetBrains Mono', monospace",
+                      }}
+                    />
+                    <div style={{ fontSize: 10, color: COLORS.textDim, marginTop: 2 }}>{fmt(Math.round(annual[kind] * shares[i]))}</div>
+                  </td>
+                ))}
+                <td style={{ padding: "8px 12px", verticalAlign: "top", color: saved && Math.abs(total - 100) > 0.5 ? COLORS.orange : COLORS.textMuted }}>
+                  {saved ? `${total.toFixed(1)}%` : DEFAULT_CURVES[kind]}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Exposure Ladder ───────────────────────────────────────────────────
+// Cash months grouped under the contract that covers them (see
+// src/schedules.js); a bucket with cash exposure and no hedge is a gap
+function LadderTable({ ladder, commodity, selectedYear }) {
+  const { unit } = commodity;
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const monthCash = Object.fromEntries(ladder.months.map(m => [m.month, m.cash]));
+
+  return (
+    <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+      <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>EXPOSURE LADDER — {commodity.name.toUpperCase()} {selectedYear}</h3>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+        <thead>
+          <tr style={{ background: COLORS.surfaceAlt }}>
+            {["Contract", `Cash Months (${unit})`, "Consumption", "Production", "Cash", "Hedged", "Cash Contracted", "Net", "Coverage"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {ladder.buckets.map(b => {
+            // Short cash wants long hedges and long cash short ones
+            const gap = b.cash !== 0 && Math.sign(b.hedge) !== -Math.sign(b.cash);
+            return (
+              <tr key={b.contract} style={{ borderBottom: `1px solid ${COLORS.border}`, background: gap ? COLORS.red + "10" : "transparent" }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{b.contract} {selectedYear}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>
+                  {b.months.map(m => <div key={m}>{m} {fmt(monthCash[m])}</div>)}
+                </td>
+                <td style={{ padding: "10px 16px", color: COLORS.red }}>{fmtFull(b.cons)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.green }}>{fmtFull(b.prod)}</td>
+                <td style={{ padding: "10px 16px", color: b.cash >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(b.cash)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.blue }}>{fmtFull(b.hedge)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.purple }}>{fmtFull(b.contracted)}</td>
+                <td style={{ padding: "10px 16px", fontWeight: 700, color: b.net >= 0 ? COLORS.green : COLORS.red }}>{fmtFull(b.net)}</td>
+                <td style={{ padding: "10px 16px" }}>
+                  {b.cash === 0 ? <span style={{ color: COLORS.textDim }}>—</span>
+                    : gap ? <Badge color={COLORS.red} bg={COLORS.redDim}>Uncovered</Badge>
+                      : <span style={{ color: b.pct >= 80 ? COLORS.green : b.pct >= 50 ? COLORS.accent : COLORS.orange }}>{b.pct.toFixed(0)}%</span>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
 }
 
 // ─── Hedge Table Subcomponent ──────────────────────────────────────────
-function HedgeTable({ hedges, openEditHedge, deleteHedge }) {
+function HedgeTable({ hedges, unit, settlements, asOf, canTrade, openEditHedge, deleteHedge }) {
   return (
     <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
       <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
@@ -1060,28 +4100,29 @@ function HedgeTable({ hedges, openEditHedge, deleteHedge }) {
       <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13, minWidth: 700 }}>
         <thead>
           <tr style={{ background: COLORS.surfaceAlt }}>
-            {["Type", "Month", "Direction", "Quantity", "Price", "Date", "Actions"].map(h => (
+            {["Type", "Month", "Direction", `Quantity (${unit})`, "Price", "Settle", "MTM P&L", "Date", "Actions"].map(h => (
               <th key={h} style={{ padding: "12px 14px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` }}>{h}</th>
             ))}
           </tr>
         </thead>
         <tbody>
           {hedges.length === 0 && (
-            <tr><td colSpan={7} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No hedge positions.</td></tr>
+            <tr><td colSpan={9} style={{ padding: 24, textAlign: "center", color: COLORS.textDim }}>No hedge positions.</td></tr>
           )}
           {hedges.map(h => (
             <tr key={h.id} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
-              <td style={{ padding: "10px 14px" }}>{h.contractType}</td>
-              <td style={{ padding: "10px 14px" }}>{h.contractMonth}</td>
+              <TypeCell hedge={h} />
+              <ContractCell hedge={h} asOf={asOf} />
               <td style={{ padding: "10px 14px" }}>
                 <Badge color={h.direction === "Long" ? COLORS.green : COLORS.red} bg={h.direction === "Long" ? COLORS.greenDim : COLORS.redDim}>{h.direction}</Badge>
               </td>
-              <td style={{ padding: "10px 14px", fontWeight: 700 }}>{fmtFull(h.quantity)}</td>
-              <td style={{ padding: "10px 14px", color: COLORS.accent }}>{h.price ? `$${h.price.toFixed(2)}` : "—"}</td>
+              <QuantityCell hedge={h} settlements={settlements} asOf={asOf} />
+              <PriceCell hedge={h} />
+              <PnlCells hedge={h} settlements={settlements} asOf={asOf} />
               <td style={{ padding: "10px 14px", color: COLORS.textMuted }}>{h.dateEntered}</td>
               <td style={{ padding: "10px 14px", whiteSpace: "nowrap" }}>
-                <Btn variant="ghost" onClick={() => openEditHedge(h)} style={{ marginRight: 4 }}>Edit</Btn>
-                <Btn variant="danger" onClick={() => deleteHedge(h)}>Del</Btn>
+                <Btn variant="ghost" onClick={() => openEditHedge(h)} disabled={!canTrade} style={{ marginRight: 4 }}>Edit</Btn>
+                <Btn variant="danger" onClick={() => deleteHedge(h)} disabled={!canTrade}>Del</Btn>
               </td>
             </tr>
           ))}
@@ -1090,3 +4131,1023 @@ function HedgeTable({ hedges, openEditHedge, deleteHedge }) {
     </div>
   );
 }
+
+// ─── Hedge Import Wizard ───────────────────────────────────────────────
+// Broker statement (CSV/XLSX) → column mapping → validation preview → one
+// batch write. See src/hedgeImport.js.
+function HedgeImportWizard({ open, onClose, entities, commodities, cropYears, existingHedges, importHedges }) {
+  const [file, setFile] = useState(null); // { name, rows }
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [step, setStep] = useState("file");
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const reset = () => {
+    setFile(null); setMapping({}); setStep("file"); setIncludeDuplicates(false); setError("");
+  };
+  const close = () => { reset(); onClose(); };
+
+  const onFile = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    setError("");
+    try {
+      const rows = await readSpreadsheet(f);
+      if (rows.length === 0) { setError(`${f.name} has no rows`); return; }
+      const guess = guessMapping(rows[0]);
+      const header = Object.values(guess).filter(i => i !== null).length >= 2;
+      setFile({ name: f.name, rows });
+      setHasHeader(header);
+      setMapping(header ? guess : Object.fromEntries(HEDGE_IMPORT_FIELDS.map((fld, i) => [fld.key, i < rows[0].length ? i : null])));
+      setStep("map");
+    } catch (err) {
+      setError(`Could not read ${f.name}: ${err.message}`);
+    }
+  };
+
+  const columns = file ? file.rows[0].map((c, i) => (hasHeader ? `${i + 1}: ${c}` : `Column ${i + 1}`)) : [];
+  const dataRows = file ? file.rows.slice(hasHeader ? 1 : 0) : [];
+  const missingRequired = HEDGE_IMPORT_FIELDS.filter(f => f.required && (mapping[f.key] === null || mapping[f.key] === undefined));
+
+  const results = useMemo(() => {
+    if (step !== "preview") return [];
+    const validated = validateImportRows(dataRows, mapping, { entities, commodities, cropYears, firstLine: hasHeader ? 2 : 1 });
+    return markDuplicates(validated, existingHedges);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step, file, hasHeader, mapping, entities, commodities, cropYears, existingHedges]);
+
+  const importable = results.filter(r => r.errors.length === 0 && (includeDuplicates || !r.duplicate));
+  const dupCount = results.filter(r => r.errors.length === 0 && r.duplicate).length;
+  const errCount = results.filter(r => r.errors.length > 0).length;
+
+  const submit = () => {
+    importHedges(importable.map(r => r.hedge), file.name);
+    close();
+  };
+
+  const th = { padding: "8px 10px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 10, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}`, whiteSpace: "nowrap" };
+  const td = { padding: "6px 10px", whiteSpace: "nowrap" };
+
+  return (
+    <Modal open={open} onClose={close} title="Import Positions">
+      {step === "file" && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+          <div style={{ fontSize: 13, color: COLORS.textMuted }}>
+            Choose a broker statement as CSV or Excel (.xlsx). The first sheet is read; you map its columns to hedge fields next.
+          </div>
+          <input ref={fileRef} type="file" accept=".csv,.xlsx,.xls,text/csv" onChange={onFile} style={{ display: "none" }} />
+          <Btn onClick={() => fileRef.current?.click()}>Choose File…</Btn>
+          {error && <div style={{ fontSize: 12, color: COLORS.red }}>{error}</div>}
+        </div>
+      )}
+
+      {step === "map" && file && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+          <div style={{ fontSize: 13, color: COLORS.textMuted }}>{file.name} · {dataRows.length} row(s)</div>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: COLORS.text }}>
+            <input type="checkbox" checked={hasHeader} onChange={e => setHasHeader(e.target.checked)} />
+            First row is a header
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+            {HEDGE_IMPORT_FIELDS.map(f => (
+              <Select
+                key={f.key}
+                label={`${f.label}${f.required ? " *" : ""}`}
+                value={mapping[f.key] === null || mapping[f.key] === undefined ? "—" : columns[mapping[f.key]]}
+                onChange={e => setMapping(m => ({ ...m, [f.key]: e.target.value === "—" ? null : columns.indexOf(e.target.value) }))}
+                options={["—", ...columns]}
+              />
+            ))}
+          </div>
+          <div style={{ fontSize: 12, color: COLORS.textDim }}>
+            Unmapped: commodity defaults to {commodities[0]?.name}, contract type to Futures, direction to the sign of the quantity, trade date to today. Put / Call, Strike, Premium and Expiry are read for Options rows only; Options need a strike, and an unmapped expiry defaults to the contract's standard one.
+          </div>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+            <Btn variant="secondary" onClick={reset}>← Back</Btn>
+            <Btn onClick={() => setStep("preview")} disabled={missingRequired.length > 0}>
+              {missingRequired.length ? `Map ${missingRequired.map(f => f.label).join(", ")}` : "Preview →"}
+            </Btn>
+          </div>
+        </div>
+      )}
+
+      {step === "preview" && file && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+          <div style={{ display: "flex", gap: 16, fontSize: 12, fontFamily: "'JetBrains Mono', monospace", flexWrap: "wrap" }}>
+            <span style={{ color: COLORS.green }}>{results.length - errCount - dupCount} ready</span>
+            <span style={{ color: COLORS.orange }}>{dupCount} duplicate(s)</span>
+            <span style={{ color: COLORS.red }}>{errCount} with errors</span>
+          </div>
+          <div style={{ maxHeight: 360, overflow: "auto", border: `1px solid ${COLORS.border}`, borderRadius: 6 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+              <thead>
+                <tr style={{ background: COLORS.surfaceAlt }}>
+                  {["Line", "Entity", "Year", "Commodity", "Type", "Month", "Dir", "Qty", "Price", "Date", "Status"].map(h => <th key={h} style={th}>{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(r => {
+                  const h = r.hedge;
+                  const p = h[contractTypeSpec(h.contractType).priceField] ?? h.price;
+                  return (
+                    <tr key={r.line} style={{ borderBottom: `1px solid ${COLORS.border}`, opacity: r.errors.length ? 0.8 : 1 }}>
+                      <td style={{ ...td, color: COLORS.textDim }}>{r.line}</td>
+                      <td style={td}>{h.entity || "—"}</td>
+                      <td style={td}>{h.cropYear || "—"}</td>
+                      <td style={td}>{h.commodity || "—"}</td>
+                      <td style={td}>{h.contractType || "—"}</td>
+                      <td style={td}>{h.contractMonth || "—"}</td>
+                      <td style={td}>{h.direction || "—"}</td>
+                      <td style={td}>{fmtFull(h.quantity)}</td>
+                      <td style={td}>{p || p === 0 ? `$${Number(p).toFixed(2)}` : "—"}</td>
+                      <td style={td}>{h.dateEntered || "—"}</td>
+                      <td style={{ ...td, whiteSpace: "normal", minWidth: 180 }}>
+                        {r.errors.length > 0
+                          ? r.errors.map((e, i) => <div key={i} style={{ color: COLORS.red }}>{e}</div>)
+                          : r.duplicate
+                            ? <span style={{ color: COLORS.orange }}>{r.duplicate === "existing" ? "Already booked" : "Repeated in file"}</span>
+                            : <span style={{ color: COLORS.green }}>OK</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {dupCount > 0 && (
+            <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, color: COLORS.text }}>
+              <input type="checkbox" checked={includeDuplicates} onChange={e => setIncludeDuplicates(e.target.checked)} />
+              Import duplicates anyway
+            </label>
+          )}
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12 }}>
+            <Btn variant="secondary" onClick={() => setStep("map")}>← Mapping</Btn>
+            <Btn onClick={submit} disabled={importable.length === 0}>Import {importable.length} Position(s)</Btn>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+// ─── Settlement Prices View ────────────────────────────────────────────
+function SettlementsView({ settlements, hedges, asOf, cropYears, selectedYear, commodity, commodities, entities, canEdit, addSettlement, importSettlements, deleteSettlement }) {
+  const [form, setForm] = useState({ commodity: commodity.name, month: commodity.months[commodity.months.length - 1], year: selectedYear, date: new Date().toISOString().slice(0, 10), price: "" });
+  const formCommodity = commodities.find(c => c.name === form.commodity) || commodity;
+  const [importMsg, setImportMsg] = useState(null);
+  const [historyKey, setHistoryKey] = useState(null);
+  const fileRef = useRef(null);
+
+  const keys = Object.keys(settlements || {}).filter(k => Object.keys(settlements[k] || {}).length > 0).sort();
+
+  const submit = () => {
+    const key = contractKey(form.year, form.month, formCommodity.name);
+    const price = parseFloat(form.price);
+    if (!key || !form.date || isNaN(price)) return;
+    addSettlement(key, form.date, price);
+    setForm(p => ({ ...p, price: "" }));
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { rows, errors } = parseSettlementFile(await file.text(), formCommodity.name, formCommodity.symbol);
+    if (rows.length) importSettlements(rows, file.name);
+    setImportMsg({ count: rows.length, errors });
+  };
+
+  const yearRows = (cropYears || []).map(y => {
+    const s = summarizePnl(hedges.filter(h => h.cropYear === y), settlements, asOf);
+    return { year: y, ...s };
+  });
+
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Market Prices</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Daily futures settlements used to mark hedges to market</p>
+      </div>
+
+      {/* Manual entry + import */}
+      {canEdit && <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+        <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>ENTER SETTLEMENT</h3>
+        <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+          <Select label="Commodity" value={formCommodity.name} onChange={e => {
+            const next = commodities.find(c => c.name === e.target.value);
+            setForm(p => ({ ...p, commodity: next.name, month: next.months.includes(p.month) ? p.month : next.months[next.months.length - 1] }));
+          }} options={commodities.map(c => c.name)} />
+          <Select label="Month" value={form.month} onChange={e => setForm(p => ({ ...p, month: e.target.value }))} options={formCommodity.months} />
+          <Select label="Year" value={form.year} onChange={e => setForm(p => ({ ...p, year: e.target.value }))} options={cropYears || DEFAULT_CROP_YEARS} />
+          <Input label="Trade Date" type="date" value={form.date} onChange={e => setForm(p => ({ ...p, date: e.target.value }))} />
+          <Input label={`Settle ($/${formCommodity.unit})`} type="number" step="0.0025" value={form.price} onChange={e => setForm(p => ({ ...p, price: e.target.value }))} placeholder="e.g. 4.6250" />
+          <Btn onClick={submit} disabled={form.price === "" || isNaN(parseFloat(form.price))}>+ Add</Btn>
+          <div style={{ flex: 1 }} />
+          <input ref={fileRef} type="file" accept=".csv,.txt,text/csv" onChange={onFile} style={{ display: "none" }} />
+          <Btn variant="secondary" onClick={() => fileRef.current?.click()}>Import CSV…</Btn>
+        </div>
+        <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 12 }}>
+          Import format: one row per settlement with columns date, contract, price (e.g. <code>2025-03-14,Jul 2025,4.8625</code>). Imported prices are filed under the commodity selected above.
+        </div>
+        {importMsg && (
+          <div style={{ marginTop: 12, padding: "10px 14px", background: COLORS.surfaceAlt, borderRadius: 6, fontSize: 12 }}>
+            <div style={{ color: importMsg.count ? COLORS.green : COLORS.red, fontWeight: 700 }}>{importMsg.count} settlement price(s) imported</div>
+            {importMsg.errors.slice(0, 10).map((e, i) => <div key={i} style={{ color: COLORS.red, marginTop: 4 }}>{e}</div>)}
+            {importMsg.errors.length > 10 && <div style={{ color: COLORS.textDim, marginTop: 4 }}>…and {importMsg.errors.length - 10} more</div>}
+          </div>
+        )}
+      </div>}
+
+      {/* Latest settlements */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>LATEST SETTLEMENTS</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Contract", "Date", "Settle", "Change", "Prices", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {keys.length === 0 && (
+              <tr><td colSpan={6} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No settlement prices yet.</td></tr>
+            )}
+            {keys.map(k => {
+              const dates = Object.keys(settlements[k]).sort();
+              const last = latestSettlement(settlements, k);
+              const prevDate = dates[dates.length - 2];
+              const chg = prevDate ? last.price - Number(settlements[k][prevDate]) : null;
+              return (
+                <tr key={k} style={{ borderBottom: `1px solid ${COLORS.border}`, background: historyKey === k ? COLORS.accent + "08" : "transparent" }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{contractLabel(k)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{last.date}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.accent }}>${last.price.toFixed(4)}</td>
+                  <td style={{ padding: "10px 16px", color: chg === null ? COLORS.textDim : pnlColor(chg) }}>{chg === null ? "—" : `${chg >= 0 ? "+" : ""}${chg.toFixed(4)}`}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{Object.keys(settlements[k]).length}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="ghost" onClick={() => setHistoryKey(historyKey === k ? null : k)}>{historyKey === k ? "Hide" : "History"}</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* History for one contract */}
+      {historyKey && settlements?.[historyKey] && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+          <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+            <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>{contractLabel(historyKey).toUpperCase()} — SETTLEMENT HISTORY</h3>
+          </div>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: COLORS.surfaceAlt }}>
+                {["Date", "Settle", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(settlements[historyKey]).sort().reverse().map(d => (
+                <tr key={d} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{d}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.accent }}>${Number(settlements[historyKey][d]).toFixed(4)}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={() => deleteSettlement(historyKey, d)} disabled={!canEdit}>Del</Btn>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* P&L by crop year */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>MARK-TO-MARKET P&L BY CROP YEAR</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Crop Year", ...entities, "Realized", "Unrealized", "Total", "Unpriced"].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {yearRows.map(r => (
+              <tr key={r.year} style={{ borderBottom: `1px solid ${COLORS.border}`, background: r.year === selectedYear ? COLORS.accent + "08" : "transparent" }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700, color: r.year === selectedYear ? COLORS.accent : COLORS.text }}>{r.year}</td>
+                {entities.map(e => {
+                  const v = r.byEntity[e]?.total || 0;
+                  return <td key={e} style={{ padding: "10px 16px", color: pnlColor(v) }}>{fmtUsd(v)}</td>;
+                })}
+                <td style={{ padding: "10px 16px", color: pnlColor(r.total.realized) }}>{fmtUsd(r.total.realized)}</td>
+                <td style={{ padding: "10px 16px", color: pnlColor(r.total.unrealized) }}>{fmtUsd(r.total.unrealized)}</td>
+                <td style={{ padding: "10px 16px", fontWeight: 800, color: pnlColor(r.total.total) }}>{fmtUsd(r.total.total)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textDim }} title="Positions without a price or settlement, or of a type that is not marked">{r.total.unvalued}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Basis & Locations ─────────────────────────────────────────────────
+// Local bids by delivery location and month (see src/basis.js). The
+// seasonal chart colours the most recent years, oldest first.
+const SEASON_COLORS = [COLORS.textDim, COLORS.purple, COLORS.blue, COLORS.green, COLORS.accent];
+
+function BasisView({ locations, setLocationRegistry, basis, settlements, hedges, commodity, commodities, cropYears, selectedYear, asOf, canEdit, addBasis, deleteBasis, addAudit }) {
+  const [selected, setSelected] = useState(locations[0]?.name || "");
+  const location = locations.some(l => l.name === selected) ? selected : locations[0]?.name || "";
+  const [form, setForm] = useState({ month: "Oct", year: selectedYear, date: new Date().toISOString().slice(0, 10), basis: "" });
+  const [locForm, setLocForm] = useState({ name: "", kind: LOCATION_KINDS[0] });
+  const [error, setError] = useState("");
+  const [historyKey, setHistoryKey] = useState(null);
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+  const fmtBasis = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(2)}`;
+
+  const bids = basis?.[location] || {};
+  const keys = Object.keys(bids)
+    .filter(k => parseContractKey(k)?.commodity === commodity.name && Object.keys(bids[k] || {}).length > 0)
+    .sort();
+  const seasonal = useMemo(() => seasonalBasis(basis, location, commodity.name, asOf), [basis, location, commodity.name, asOf]);
+
+  const submit = () => {
+    const key = contractKey(form.year, form.month, commodity.name);
+    const value = parseFloat(form.basis);
+    if (!location || !key || !form.date || isNaN(value)) return;
+    addBasis(location, key, form.date, value);
+    setForm(p => ({ ...p, basis: "" }));
+  };
+
+  const registry = Object.fromEntries(locations.map(l => [l.name, l]));
+  const addLocation = () => {
+    const name = locForm.name.trim();
+    const err = locationNameError(name, registry);
+    setError(err);
+    if (err) return;
+    const order = locations.length ? locations[locations.length - 1].order + 1 : 0;
+    setLocationRegistry(prev => ({ ...prev, [name]: { kind: locForm.kind, order } }));
+    addAudit("Location Added", "System", `${name} added as ${locForm.kind}`);
+    setLocForm(p => ({ ...p, name: "" }));
+    setSelected(name);
+  };
+
+  const setKind = (l, kind) => {
+    setLocationRegistry(prev => ({ ...prev, [l.name]: { ...prev[l.name], kind } }));
+    addAudit("Location Updated", "System", `${l.name}: ${l.kind} → ${kind}`);
+  };
+
+  const removeLocation = (l) => {
+    const count = hedges.filter(h => h.location === l.name).length;
+    if (count > 0) {
+      setError(`${l.name} is the delivery location of ${count} position(s); change them before removing it`);
+      return;
+    }
+    if (!confirm(`Remove ${l.name}? Its basis history stays in the database but is no longer shown.`)) return;
+    setError("");
+    setLocationRegistry(prev => {
+      const next = { ...prev };
+      delete next[l.name];
+      return next;
+    });
+    addAudit("Location Removed", "System", `${l.name} removed`);
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-end", gap: 16 }}>
+        <div>
+          <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Basis — {commodity.name}</h2>
+          <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>What local elevators, ethanol plants and processors bid over or under futures, by delivery month. A bid is quoted against the futures contract covering its delivery month, so the local cash price is that contract's settlement plus the basis. Cash contracts linked to a location use its bids where their basis is still open.</p>
+        </div>
+        {locations.length > 0 && <Select label="Location" value={location} onChange={e => { setSelected(e.target.value); setHistoryKey(null); }} options={locations.map(l => l.name)} />}
+      </div>
+
+      {/* Manual entry */}
+      {canEdit && location && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 20 }}>ENTER BID — {location.toUpperCase()}</h3>
+          <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+            <Select label="Delivery Month" value={form.month} onChange={e => setForm(p => ({ ...p, month: e.target.value }))} options={CONTRACT_MONTHS} />
+            <Select label="Year" value={form.year} onChange={e => setForm(p => ({ ...p, year: e.target.value }))} options={cropYears || DEFAULT_CROP_YEARS} />
+            <Input label="Bid Date" type="date" value={form.date} onChange={e => setForm(p => ({ ...p, date: e.target.value }))} />
+            <Input label={unitLabel("Basis ($/bu)", commodity.unit)} type="number" step="0.01" value={form.basis} onChange={e => setForm(p => ({ ...p, basis: e.target.value }))} placeholder="e.g. -0.35" />
+            <Btn onClick={submit} disabled={form.basis === "" || isNaN(parseFloat(form.basis))}>+ Add</Btn>
+          </div>
+          <div style={{ fontSize: 12, color: COLORS.textDim, marginTop: 12 }}>
+            Quoted against {contractLabel(referenceFutures(contractKey(form.year, form.month, commodity.name), commodity.months))} futures.
+          </div>
+        </div>
+      )}
+
+      {/* Current bids */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>CURRENT BIDS{location ? ` — ${location.toUpperCase()}` : ""}</h3>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Delivery", "Bid Date", "Basis", "Change", "Futures", "Settle", "Cash Price", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {keys.length === 0 && (
+              <tr><td colSpan={8} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No {commodity.name} bids{location ? ` at ${location}` : ""} yet.</td></tr>
+            )}
+            {keys.map(k => {
+              const last = latestBasis(basis, location, k, asOf);
+              if (!last) return null;
+              const dates = Object.keys(bids[k]).filter(d => !asOf || d <= asOf).sort();
+              const prevDate = dates[dates.length - 2];
+              const chg = prevDate ? last.price - Number(bids[k][prevDate]) : null;
+              const { year, month } = parseContractKey(k);
+              const cash = cashPrice({ basis, settlements, location, commodity, year: String(year), month: CONTRACT_MONTHS[month - 1], asOf });
+              return (
+                <tr key={k} style={{ borderBottom: `1px solid ${COLORS.border}`, background: historyKey === k ? COLORS.accent + "08" : "transparent" }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{contractLabel(k)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{last.date}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.accent }}>{fmtBasis(last.price)}</td>
+                  <td style={{ padding: "10px 16px", color: chg === null ? COLORS.textDim : pnlColor(chg) }}>{chg === null ? "—" : fmtBasis(chg)}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{contractLabel(cash.futuresKey)}</td>
+                  <td style={{ padding: "10px 16px" }}>{cash.futures === null ? "—" : `$${cash.futures.toFixed(4)}`}</td>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }}>{cash.price === null ? "—" : `$${cash.price.toFixed(4)}`}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="ghost" onClick={() => setHistoryKey(historyKey === k ? null : k)}>{historyKey === k ? "Hide" : "History"}</Btn>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* History for one delivery month */}
+      {historyKey && bids[historyKey] && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+          <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+            <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>{location.toUpperCase()} {contractLabel(historyKey).toUpperCase()} — BASIS HISTORY</h3>
+          </div>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: COLORS.surfaceAlt }}>
+                {["Date", "Basis", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(bids[historyKey]).sort().reverse().map(d => (
+                <tr key={d} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{d}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.accent }}>{fmtBasis(Number(bids[historyKey][d]))}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    <Btn variant="danger" onClick={() => deleteBasis(location, historyKey, d)} disabled={!canEdit}>Del</Btn>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Seasonal chart */}
+      {seasonal.years.length > 0 && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent, marginBottom: 16 }}>SEASONAL BASIS — {location.toUpperCase()}</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={seasonal.rows}>
+              <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} />
+              <XAxis dataKey="month" stroke={COLORS.textDim} tick={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }} />
+              <YAxis stroke={COLORS.textDim} tickFormatter={(v) => v.toFixed(2)} tick={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 11 }} />
+              <Tooltip
+                contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}
+                formatter={(v) => fmtBasis(v)}
+              />
+              <Legend wrapperStyle={{ fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }} />
+              <ReferenceLine y={0} stroke={COLORS.textDim} />
+              {seasonal.years.map((y, i) => (
+                <Line key={y} type="monotone" dataKey={y} name={y} connectNulls stroke={SEASON_COLORS[SEASON_COLORS.length - seasonal.years.length + i] || COLORS.textDim} strokeWidth={y === selectedYear ? 3 : 2} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {/* Locations */}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <div style={{ padding: "16px 24px", borderBottom: `1px solid ${COLORS.border}` }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>DELIVERY LOCATIONS</h3>
+        </div>
+        {canEdit && (
+          <div style={{ padding: "16px 24px", display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap", borderBottom: `1px solid ${COLORS.border}` }}>
+            <Input label="Name" value={locForm.name} onChange={e => setLocForm(p => ({ ...p, name: e.target.value }))} onKeyDown={e => e.key === "Enter" && addLocation()} placeholder="e.g. North Elevator" />
+            <Select label="Kind" value={locForm.kind} onChange={e => setLocForm(p => ({ ...p, kind: e.target.value }))} options={LOCATION_KINDS} />
+            <Btn onClick={addLocation} disabled={!locForm.name.trim()}>+ Add Location</Btn>
+          </div>
+        )}
+        {error && <div style={{ color: COLORS.red, fontSize: 12, padding: "12px 24px 0" }}>{error}</div>}
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Location", "Kind", "Positions", "Delivery Months Bid", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {locations.length === 0 && (
+              <tr><td colSpan={5} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No delivery locations yet.</td></tr>
+            )}
+            {locations.map(l => (
+              <tr key={l.name} style={{ borderBottom: `1px solid ${COLORS.border}`, background: l.name === location ? COLORS.accent + "08" : "transparent" }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{l.name}</td>
+                <td style={{ padding: "6px 12px" }}>
+                  {canEdit ? <Select value={l.kind} onChange={ev => setKind(l, ev.target.value)} options={LOCATION_KINDS} /> : l.kind}
+                </td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{hedges.filter(h => h.location === l.name).length}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>
+                  {commodities.map(c => [c.name, Object.keys(basis?.[l.name] || {}).filter(k => parseContractKey(k)?.commodity === c.name).length]).filter(([, n]) => n > 0).map(([c, n]) => `${c}: ${n}`).join(" · ") || "—"}
+                </td>
+                <td style={{ padding: "6px 12px", textAlign: "right" }}>
+                  <Btn variant="danger" onClick={() => removeLocation(l)} disabled={!canEdit}>Remove</Btn>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Entities View (admin) ─────────────────────────────────────────────
+function EntitiesView({ registry, setRegistry, hedges, canEdit, addAudit }) {
+  const [form, setForm] = useState({ name: "", type: "consumer" });
+  const [error, setError] = useState("");
+  const list = entityList(registry);
+
+  const add = () => {
+    const name = form.name.trim();
+    const err = entityNameError(name, registry);
+    setError(err);
+    if (err) return;
+    const order = list.length ? list[list.length - 1].order + 1 : 0;
+    setRegistry(prev => ({ ...prev, [name]: { type: form.type, order } }));
+    addAudit("Entity Added", name, `${name} added as ${form.type}`);
+    setForm(p => ({ ...p, name: "" }));
+  };
+
+  const setType = (e, type) => {
+    setRegistry(prev => ({ ...prev, [e.name]: { ...prev[e.name], type } }));
+    addAudit("Entity Updated", e.name, `${e.name}: ${e.type} → ${type}`);
+  };
+
+  // Swap with the neighbour and renumber, so orders stay 0..n-1
+  const move = (index, step) => {
+    const next = [...list];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    setRegistry(prev => Object.fromEntries(next.map((e, i) => [e.name, { ...prev[e.name], order: i }])));
+    addAudit("Entity Updated", list[index].name, `${list[index].name} moved ${step < 0 ? "up" : "down"}`);
+  };
+
+  const remove = (e) => {
+    const count = hedges.filter(h => h.entity === e.name).length;
+    if (count > 0) {
+      setError(`${e.name} has ${count} position(s); delete or move them before removing it`);
+      return;
+    }
+    if (!confirm(`Remove ${e.name}? Its consumption, production and role grants stay in the database but are no longer shown.`)) return;
+    setError("");
+    setRegistry(prev => {
+      const next = { ...prev };
+      delete next[e.name];
+      return next;
+    });
+    addAudit("Entity Removed", e.name, `${e.name} removed`);
+  };
+
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Entities</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Consumers plan consumption by year, producers plan production by type, and an entity that is both nets the two. Names are stored on positions and role grants, so they can't be renamed.</p>
+      </div>
+      {canEdit && (
+        <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+          <Input label="Name" value={form.name} onChange={e => setForm(p => ({ ...p, name: e.target.value }))} onKeyDown={e => e.key === "Enter" && add()} placeholder="e.g. Dairy" />
+          <Select label="Type" value={form.type} onChange={e => setForm(p => ({ ...p, type: e.target.value }))} options={ENTITY_TYPES} />
+          <Btn onClick={add} disabled={!form.name.trim()}>+ Add Entity</Btn>
+        </div>
+      )}
+      {error && <div style={{ color: COLORS.red, fontSize: 12 }}>{error}</div>}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Entity", "Type", "Positions", "Order", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((e, i) => (
+              <tr key={e.name} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{e.name}</td>
+                <td style={{ padding: "6px 12px" }}>
+                  {canEdit ? <Select value={e.type} onChange={ev => setType(e, ev.target.value)} options={ENTITY_TYPES} /> : e.type}
+                </td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{hedges.filter(h => h.entity === e.name).length}</td>
+                <td style={{ padding: "6px 12px", whiteSpace: "nowrap" }}>
+                  <Btn variant="ghost" onClick={() => move(i, -1)} disabled={!canEdit || i === 0} style={{ marginRight: 4 }}>↑</Btn>
+                  <Btn variant="ghost" onClick={() => move(i, 1)} disabled={!canEdit || i === list.length - 1}>↓</Btn>
+                </td>
+                <td style={{ padding: "6px 12px", textAlign: "right" }}>
+                  <Btn variant="danger" onClick={() => remove(e)} disabled={!canEdit}>Remove</Btn>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Commodities View (admin) ──────────────────────────────────────────
+const emptyCommodityForm = { name: "", symbol: "", unit: "bu", contractSize: "5000", months: [], calendar: DEFAULT_CALENDAR, subTypes: "", unitWeight: "", standardMoisture: "", conversions: {} };
+const splitSubTypes = (text) => [...new Set(text.split(",").map(t => t.trim()).filter(Boolean))];
+const numOrNull = (v) => (v === "" || v === null || v === undefined || isNaN(parseFloat(v)) ? null : parseFloat(v));
+
+function CommoditiesView({ registry, setRegistry, hedges, canEdit, addAudit }) {
+  const [form, setForm] = useState(emptyCommodityForm);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+  const list = commodityList(registry);
+
+  const reset = () => { setForm(emptyCommodityForm); setEditing(null); setError(""); };
+
+  const edit = (c) => {
+    setEditing(c.name);
+    setError("");
+    setForm({
+      name: c.name, symbol: c.symbol || "", unit: c.unit, contractSize: String(c.contractSize), months: c.months, calendar: c.calendar, subTypes: c.subTypes.join(", "),
+      unitWeight: c.unitWeight ? String(c.unitWeight) : "", standardMoisture: c.standardMoisture ? String(c.standardMoisture) : "",
+      conversions: Object.fromEntries(Object.entries(c.conversions).map(([t, v]) => [t, { unit: v.unit || c.unit, moisture: v.moisture ?? "", shrink: v.shrink ?? "" }])),
+    });
+  };
+
+  const formTypes = splitSubTypes(form.subTypes);
+  const setConversion = (t, key, value) => setForm(p => ({
+    ...p,
+    conversions: { ...p.conversions, [t]: { unit: p.unit, moisture: "", shrink: "", ...p.conversions[t], [key]: value } },
+  }));
+
+  const toggleMonth = (m) => setForm(p => ({
+    ...p,
+    months: p.months.includes(m) ? p.months.filter(x => x !== m) : CONTRACT_MONTHS.filter(x => x === m || p.months.includes(x)),
+  }));
+
+  const save = () => {
+    const name = editing || form.name.trim();
+    const record = {
+      symbol: form.symbol.trim().toUpperCase(),
+      unit: form.unit.trim(),
+      contractSize: parseFloat(form.contractSize),
+      months: form.months,
+      calendar: form.calendar,
+      subTypes: formTypes,
+      unitWeight: numOrNull(form.unitWeight) ?? 0,
+      standardMoisture: numOrNull(form.standardMoisture) ?? 0,
+      // Only sub-types that differ from the commodity's unit or standard moisture need one
+      conversions: Object.fromEntries(formTypes.filter(t => form.conversions[t]).map(t => {
+        const c = form.conversions[t];
+        return [t, { unit: c.unit || form.unit.trim(), moisture: numOrNull(c.moisture), shrink: numOrNull(c.shrink) ?? 0 }];
+      })),
+    };
+    const err = commodityError(name, record, registry, !editing);
+    setError(err);
+    if (err) return;
+    const order = editing ? registry[name]?.order ?? 0 : list.length ? list[list.length - 1].order + 1 : 0;
+    setRegistry(prev => ({ ...prev, [name]: { ...record, order } }));
+    addAudit(editing ? "Commodity Updated" : "Commodity Added", "System",
+      `${name}: ${fmtFull(record.contractSize)} ${record.unit} contracts, ${record.months.join("/")}${record.subTypes.length ? `; types ${record.subTypes.join(", ")}` : ""}`);
+    reset();
+  };
+
+  // Swap with the neighbour and renumber, so orders stay 0..n-1
+  const move = (index, step) => {
+    const next = [...list];
+    [next[index], next[index + step]] = [next[index + step], next[index]];
+    setRegistry(prev => Object.fromEntries(next.map((c, i) => [c.name, { ...prev[c.name], order: i }])));
+    addAudit("Commodity Updated", "System", `${list[index].name} moved ${step < 0 ? "up" : "down"}`);
+  };
+
+  const remove = (c) => {
+    if (c.name === DEFAULT_COMMODITY) {
+      setError(`${c.name} can't be removed; positions booked before commodities existed are ${c.name}`);
+      return;
+    }
+    const count = hedges.filter(h => commodityOf(h) === c.name).length;
+    if (count > 0) {
+      setError(`${c.name} has ${count} position(s); delete them before removing it`);
+      return;
+    }
+    if (!confirm(`Remove ${c.name}? Its consumption, production and settlement prices stay in the database but are no longer shown.`)) return;
+    setRegistry(prev => {
+      const next = { ...prev };
+      delete next[c.name];
+      return next;
+    });
+    addAudit("Commodity Removed", "System", `${c.name} removed`);
+    if (editing === c.name) reset();
+    else setError("");
+  };
+
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Commodities</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Quantities are counted and prices quoted in each commodity's unit. Sub-types split production (a commodity without any is produced under its own name) and must be unique across commodities; each can be entered in tons or at its own moisture, and is converted by dry matter to standard-moisture units less its shrink before it is netted. Names are stored on positions, so they can't be renamed.</p>
+      </div>
+      {canEdit && (
+        <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: 24, display: "flex", flexDirection: "column", gap: 16 }}>
+          <h3 style={{ fontSize: 14, fontWeight: 700, fontFamily: "'JetBrains Mono', monospace", color: COLORS.accent }}>{editing ? `EDIT ${editing.toUpperCase()}` : "ADD COMMODITY"}</h3>
+          <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+            <Input label="Name" value={form.name} onChange={e => setForm(p => ({ ...p, name: e.target.value }))} disabled={!!editing} placeholder="e.g. Wheat" />
+            <Input label="Symbol" value={form.symbol} onChange={e => setForm(p => ({ ...p, symbol: e.target.value }))} placeholder="ZC" style={{ width: 90 }} />
+            <Input label="Unit" value={form.unit} onChange={e => setForm(p => ({ ...p, unit: e.target.value }))} placeholder="bu, ton, cwt" style={{ width: 120 }} />
+            <Input label="Contract Size" type="number" value={form.contractSize} onChange={e => setForm(p => ({ ...p, contractSize: e.target.value }))} style={{ width: 160 }} />
+            <Input label="Weight (lb / unit)" type="number" value={form.unitWeight} onChange={e => setForm(p => ({ ...p, unitWeight: e.target.value }))} placeholder="e.g. 56" style={{ width: 160 }} />
+            <Input label="Standard Moisture %" type="number" step="0.1" value={form.standardMoisture} onChange={e => setForm(p => ({ ...p, standardMoisture: e.target.value }))} placeholder="e.g. 15.5" style={{ width: 180 }} />
+            <Input label="Sub-types" value={form.subTypes} onChange={e => setForm(p => ({ ...p, subTypes: e.target.value }))} placeholder="Comma-separated, optional" style={{ flex: 1, minWidth: 240 }} />
+          </div>
+          {formTypes.length > 0 && (
+            <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+              <span style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase", fontFamily: "'JetBrains Mono', monospace" }}>Production Conversion</span>
+              {formTypes.map(t => {
+                const c = form.conversions[t] || {};
+                return (
+                  <div key={t} style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+                    <span style={{ width: 200, paddingBottom: 10, fontSize: 13, fontWeight: 600 }}>{t}</span>
+                    <Select label="Entered In" value={c.unit || form.unit} onChange={e => setConversion(t, "unit", e.target.value)} options={[...new Set([form.unit.trim() || "bu", TON])]} />
+                    <Input label="Moisture %" type="number" step="0.1" value={c.moisture ?? ""} onChange={e => setConversion(t, "moisture", e.target.value)} placeholder="Standard" style={{ width: 140 }} />
+                    <Input label="Shrink %" type="number" step="0.1" value={c.shrink ?? ""} onChange={e => setConversion(t, "shrink", e.target.value)} placeholder="0" style={{ width: 140 }} />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 13, fontFamily: "'JetBrains Mono', monospace" }}>
+            <span style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: 0.5, textTransform: "uppercase" }}>Contract Months</span>
+            {CONTRACT_MONTHS.map(m => (
+              <label key={m} style={{ display: "flex", alignItems: "center", gap: 4, color: COLORS.text }}>
+                <input type="checkbox" checked={form.months.includes(m)} onChange={() => toggleMonth(m)} />
+                {m}
+              </label>
+            ))}
+          </div>
+          <Select label="Contract Calendar" value={form.calendar} onChange={e => setForm(p => ({ ...p, calendar: e.target.value }))} options={CALENDAR_NAMES} style={{ width: 220 }} />
+          <div style={{ display: "flex", gap: 12, justifyContent: "flex-end" }}>
+            {editing && <Btn variant="secondary" onClick={reset}>Cancel</Btn>}
+            <Btn onClick={save} disabled={!editing && !form.name.trim()}>{editing ? "Save Commodity" : "+ Add Commodity"}</Btn>
+          </div>
+        </div>
+      )}
+      {error && <div style={{ color: COLORS.red, fontSize: 12 }}>{error}</div>}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Commodity", "Symbol", "Unit", "Contract Size", "Months", "Sub-types", "Positions", "Order", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {list.map((c, i) => (
+              <tr key={c.name} style={{ borderBottom: `1px solid ${COLORS.border}`, background: editing === c.name ? COLORS.accent + "08" : "transparent" }}>
+                <td style={{ padding: "10px 16px", fontWeight: 700 }}>{c.name}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{c.symbol}</td>
+                <td style={{ padding: "10px 16px" }}>{c.unit}</td>
+                <td style={{ padding: "10px 16px" }}>{fmtFull(c.contractSize)}</td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{c.months.join(" ")}<div style={{ fontSize: 11, color: COLORS.textDim }}>{c.calendar}</div></td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>
+                  {c.subTypes.length === 0 ? "—" : c.subTypes.map(t => {
+                    const conv = subTypeConversion(c, t);
+                    return <div key={t}>{t}{conv.factor !== 1 && ` · ${conv.unit} × ${conv.factor.toFixed(3)}`}</div>;
+                  })}
+                </td>
+                <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{hedges.filter(h => commodityOf(h) === c.name).length}</td>
+                <td style={{ padding: "6px 12px", whiteSpace: "nowrap" }}>
+                  <Btn variant="ghost" onClick={() => move(i, -1)} disabled={!canEdit || i === 0} style={{ marginRight: 4 }}>↑</Btn>
+                  <Btn variant="ghost" onClick={() => move(i, 1)} disabled={!canEdit || i === list.length - 1}>↓</Btn>
+                </td>
+                <td style={{ padding: "6px 12px", textAlign: "right", whiteSpace: "nowrap" }}>
+                  <Btn variant="ghost" onClick={() => edit(c)} disabled={!canEdit} style={{ marginRight: 4 }}>Edit</Btn>
+                  <Btn variant="danger" onClick={() => remove(c)} disabled={!canEdit}>Remove</Btn>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Users & Roles View (admin) ────────────────────────────────────────
+function UsersView({ currentUid, entities, addAudit }) {
+  const { users, roles } = useUserDirectory(true);
+  const [error, setError] = useState("");
+  const uids = [...new Set([...Object.keys(users), ...Object.keys(roles)])]
+    .sort((a, b) => (users[a]?.name || a).localeCompare(users[b]?.name || b));
+
+  const save = (uid, record, description) => {
+    const hasAccess = record.admin || Object.keys(record.entities || {}).length > 0;
+    setError("");
+    saveRoleRecord(uid, hasAccess ? record : null)
+      .then(() => addAudit("Role Changed", "System", `${users[uid]?.name || uid}: ${description}`))
+      .catch(err => setError(err.message));
+  };
+
+  const setEntityRole = (uid, entity, role) => {
+    const entities = { ...(roles[uid]?.entities || {}) };
+    if (role === "none") delete entities[entity];
+    else entities[entity] = role;
+    save(uid, { ...(roles[uid] || {}), entities }, `${entity} → ${role}`);
+  };
+
+  const setAdmin = (uid, admin) => {
+    const { admin: _old, ...rest } = roles[uid] || {};
+    save(uid, admin ? { ...rest, admin: true } : rest, admin ? "granted admin" : "admin revoked");
+  };
+
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <div>
+        <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Users & Roles</h2>
+        <p style={{ color: COLORS.textMuted, fontSize: 13, marginTop: 4 }}>Viewers see an entity; traders can also book positions and edit its consumption or production. Users appear here after their first sign-in.</p>
+      </div>
+      {error && <div style={{ color: COLORS.red, fontSize: 12 }}>{error}</div>}
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["User", "Email", "Admin", ...entities].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {uids.map(uid => {
+              const record = roles[uid] || {};
+              return (
+                <tr key={uid} style={{ borderBottom: `1px solid ${COLORS.border}` }}>
+                  <td style={{ padding: "10px 16px", fontWeight: 700 }} title={uid}>{users[uid]?.name || uid}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted }}>{users[uid]?.email || "—"}</td>
+                  <td style={{ padding: "10px 16px" }}>
+                    <input type="checkbox" checked={record.admin === true} disabled={uid === currentUid} onChange={e => setAdmin(uid, e.target.checked)} />
+                  </td>
+                  {entities.map(e => (
+                    <td key={e} style={{ padding: "6px 12px" }}>
+                      {record.admin ? <span style={{ color: COLORS.textDim }}>admin</span> : (
+                        <Select value={record.entities?.[e] || "none"} onChange={ev => setEntityRole(uid, e, ev.target.value)} options={ENTITY_ROLES} />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ─── Audit Log View ────────────────────────────────────────────────────
+const fmtDiffValue = (v) => v === null || v === undefined ? "—" : typeof v === "object" ? JSON.stringify(v) : String(v);
+
+function AuditLogView({ entities }) {
+  const [filters, setFilters] = useState({ from: "", to: "", user: "", action: "All", entity: "All" });
+  const [pageCursors, setPageCursors] = useState([null]); // start cursor of each visited page
+  const [page, setPage] = useState({ entries: [], cursor: null, hasMore: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [expanded, setExpanded] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const pageIndex = pageCursors.length - 1;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    fetchAuditPage({
+      from: filters.from || undefined,
+      to: filters.to || undefined,
+      before: pageCursors[pageIndex],
+      filter: {
+        user: filters.user.trim(),
+        action: filters.action === "All" ? "" : filters.action,
+        entity: filters.entity === "All" ? "" : filters.entity,
+      },
+    })
+      .then(res => { if (!cancelled) setPage(res); })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [filters, pageCursors, pageIndex, refreshKey]);
+
+  const setFilter = (k, v) => {
+    setFilters(p => ({ ...p, [k]: v }));
+    setPageCursors([null]);
+  };
+
+  const thStyle = { padding: "12px 16px", textAlign: "left", color: COLORS.textMuted, fontWeight: 600, fontSize: 11, letterSpacing: 0.5, textTransform: "uppercase", borderBottom: `1px solid ${COLORS.border}` };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 20 }}>
+      <h2 style={{ fontSize: 22, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace" }}>Audit Log</h2>
+
+      {/* Filters */}
+      <div style={{ display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+        <Input label="From" type="date" value={filters.from} onChange={e => setFilter("from", e.target.value)} />
+        <Input label="To" type="date" value={filters.to} onChange={e => setFilter("to", e.target.value)} />
+        <Input label="User" value={filters.user} onChange={e => setFilter("user", e.target.value)} placeholder="Name contains…" />
+        <Select label="Action" value={filters.action} onChange={e => setFilter("action", e.target.value)} options={["All", ...AUDIT_ACTIONS]} />
+        <Select label="Entity" value={filters.entity} onChange={e => setFilter("entity", e.target.value)} options={["All", ...entities, "System"]} />
+        <Btn variant="secondary" onClick={() => { setPageCursors([null]); setRefreshKey(k => k + 1); }}>Refresh</Btn>
+      </div>
+
+      <div style={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, overflow: "hidden" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontFamily: "'JetBrains Mono', monospace", fontSize: 13 }}>
+          <thead>
+            <tr style={{ background: COLORS.surfaceAlt }}>
+              {["Timestamp", "User", "Action", "Entity", "Details", ""].map(h => <th key={h} style={thStyle}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {error && (
+              <tr><td colSpan={6} style={{ padding: 32, textAlign: "center", color: COLORS.red }}>{error}</td></tr>
+            )}
+            {!error && !loading && page.entries.length === 0 && (
+              <tr><td colSpan={6} style={{ padding: 32, textAlign: "center", color: COLORS.textDim }}>No matching changes recorded.</td></tr>
+            )}
+            {page.entries.map(a => {
+              const diffKeys = Object.keys(a.diff || {});
+              return [
+                <tr key={a.key} style={{ borderBottom: `1px solid ${COLORS.border}`, opacity: loading ? 0.5 : 1 }}>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, whiteSpace: "nowrap", fontSize: 12 }}>{new Date(a.timestamp).toLocaleString()}</td>
+                  <td style={{ padding: "10px 16px" }} title={a.uid || undefined}>{a.user}</td>
+                  <td style={{ padding: "10px 16px" }}>
+                    <Badge color={
+                      a.action.includes("Created") ? COLORS.green :
+                      a.action.includes("Deleted") ? COLORS.red :
+                      COLORS.accent
+                    }>{a.action}</Badge>
+                  </td>
+                  <td style={{ padding: "10px 16px", fontWeight: 600 }}>{a.entity}</td>
+                  <td style={{ padding: "10px 16px", color: COLORS.textMuted, fontSize: 12 }}>{a.details}</td>
+                  <td style={{ padding: "10px 16px", textAlign: "right" }}>
+                    {diffKeys.length > 0 && (
+                      <Btn variant="ghost" onClick={() => setExpanded(expanded === a.key ? null : a.key)} style={{ padding: "4px 8px" }}>
+                        {expanded === a.key ? "▾" : "▸"} {diffKeys.length} field{diffKeys.length === 1 ? "" : "s"}
+                      </Btn>
+                    )}
+                  </td>
+                </tr>,
+                expanded === a.key && (
+                  <tr key={a.key + "-diff"} style={{ background: COLORS.surfaceAlt, borderBottom: `1px solid ${COLORS.border}` }}>
+                    <td colSpan={6} style={{ padding: "10px 24px" }}>
+                      {diffKeys.map(k => (
+                        <div key={k} style={{ fontSize: 12, padding: "2px 0" }}>
+                          <span style={{ color: COLORS.textMuted, display: "inline-block", minWidth: 150 }}>{k}</span>
+                          <span style={{ color: COLORS.red }}>{fmtDiffValue(a.diff[k].from)}</span>
+                          <span style={{ color: COLORS.textDim }}> → </span>
+                          <span style={{ color: COLORS.green }}>{fmtDiffValue(a.diff[k].to)}</span>
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ),
+              ];
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Paging */}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <Btn variant="secondary" onClick={() => setPageCursors(p => p.slice(0, -1))} disabled={pageIndex === 0 || loading}>← Newer</Btn>
+        <span style={{ fontSize: 12, color: COLORS.textMuted, fontFamily: "'JetBrains Mono', monospace" }}>Page {pageIndex + 1}</span>
+        <Btn variant="secondary" onClick={() => setPageCursors(p => [...p, page.cursor])} disabled={!page.hasMore || loading}>Older →</Btn>
+      </div>
+    </div>
+  );
+}
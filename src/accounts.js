@@ -0,0 +1,223 @@
+import { hedgeContractKey, latestSettlement } from "./settlements";
+import { contractTypeSpec } from "./contractTypes";
+import { commodityOf } from "./commodities";
+import { offsetsOf, openQuantity } from "./lifecycle";
+import { hedgePnl } from "./pnl";
+import { hedgeExposure } from "./exposure";
+
+/**
+ * Brokerage accounts and margin.
+ *
+ * Accounts live at accounts/{id} as
+ *   { name, broker, number, order, margins: { commodity: { initial, maintenance } } }
+ * with margins in dollars per futures contract. Futures and options carry
+ * the account they are held in as `account`. Cash moved in and out by hand
+ * is stored at accountLedger/{id} as
+ *   { account, kind, amount, date, notes }
+ * with amount positive and its sign taken from the kind.
+ *
+ * The balance is that cash plus what the positions have done: futures are
+ * settled daily (variation margin, the change in each open position's value
+ * from one settlement to the next, with offsets closing at their own price),
+ * and options move their premium when bought or sold. Open futures require
+ * margin on the net contracts of each contract month, and short options as
+ * many futures; long options none. The account is on call once the balance
+ * falls below maintenance, and is called back up to initial margin.
+ */
+
+export const LEDGER_KINDS = ["Deposit", "Withdrawal", "Commission", "Fee"];
+
+// Share of the futures price within which an adverse move is flagged
+export const CALL_WARNING_MOVE = 0.05;
+
+export const DEFAULT_MARGINS = {
+  "Corn": { initial: 1100, maintenance: 1000 },
+  "Soybeans": { initial: 2200, maintenance: 2000 },
+  "Soybean Meal": { initial: 1650, maintenance: 1500 },
+  "Lean Hogs": { initial: 1650, maintenance: 1500 },
+  "Live Cattle": { initial: 2420, maintenance: 2200 },
+};
+
+export const DEFAULT_ACCOUNTS = {
+  "acct_main": { name: "Hedge Account", broker: "", number: "", order: 0, margins: DEFAULT_MARGINS },
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Registry as a list, sorted by `order` then name.
+ *
+ * @param {object} registry - accounts tree from Firebase
+ * @returns {{id: string, name: string, broker: string, number: string, order: number, margins: object}[]}
+ */
+export function accountList(registry) {
+  return Object.entries(registry || {})
+    .map(([id, a]) => ({ id, name: a?.name || id, broker: a?.broker || "", number: a?.number || "", order: Number(a?.order) || 0, margins: a?.margins || {} }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Positions an account can hold
+export const marginable = (h) => !contractTypeSpec(h.contractType).physical;
+
+export const ledgerAmount = (e) => (e.kind === "Deposit" ? 1 : -1) * (Number(e.amount) || 0);
+
+// Futures gain or loss settled through a date
+const settledThrough = (h, settlements, date) => {
+  if (h.dateEntered && date < h.dateEntered) return 0;
+  const p = hedgePnl(h, settlements, date);
+  return p ? p.realized + p.unrealized : 0;
+};
+
+/**
+ * Everything that moved an account's cash up to a date, oldest first, with
+ * the running balance.
+ *
+ * @param {object} params
+ * @param {string} params.account - Account id
+ * @param {object[]} params.hedges - Hedge rows (array form)
+ * @param {object[]} params.ledger - Ledger rows (array form)
+ * @param {object} params.settlements - settlements tree from Firebase
+ * @param {string} [params.asOf]
+ * @returns {{rows: object[], balance: number}} - rows are { date, kind,
+ *   description, amount, balance, entry } with entry the ledger row for
+ *   entries made by hand; variation margin is one row per settlement day
+ */
+export function accountActivity({ account, hedges, ledger, settlements, asOf = today() }) {
+  const rows = (ledger || [])
+    .filter(e => e.account === account && e.date && e.date <= asOf)
+    .map(e => ({ date: e.date, kind: e.kind, description: e.notes || "", amount: ledgerAmount(e), entry: e }));
+
+  const held = hedges.filter(h => h.account === account && marginable(h));
+  held.filter(h => contractTypeSpec(h.contractType).mark === "option").forEach(h => {
+    const sign = h.direction === "Long" ? 1 : -1;
+    const label = `${h.direction} ${h.contract || h.contractMonth} ${h.strike} ${h.optionType}`;
+    if (h.dateEntered && h.dateEntered <= asOf && h.premium !== undefined && h.premium !== null && h.premium !== "") {
+      rows.push({ date: h.dateEntered, kind: "Premium", description: `${label} opened`, amount: -sign * Number(h.premium) * (h.quantity || 0) });
+    }
+    offsetsOf(h, asOf).filter(o => o.price !== null).forEach(o => {
+      rows.push({ date: o.date, kind: "Premium", description: `${label} ${o.kind.toLowerCase()}`, amount: sign * o.price * o.quantity });
+    });
+  });
+
+  const futures = held.filter(h => contractTypeSpec(h.contractType).mark === "futures");
+  const dates = new Set();
+  futures.forEach(h => {
+    const key = hedgeContractKey(h);
+    Object.keys(settlements?.[key] || {}).forEach(d => dates.add(d));
+    offsetsOf(h, asOf).forEach(o => dates.add(o.date));
+  });
+  let before = futures.map(() => 0);
+  [...dates].filter(d => d <= asOf).sort().forEach(date => {
+    const now = futures.map(h => settledThrough(h, settlements, date));
+    const amount = now.reduce((s, v, i) => s + v - before[i], 0);
+    before = now;
+    if (Math.abs(amount) >= 0.005) rows.push({ date, kind: "Variation Margin", description: "", amount });
+  });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+  let balance = 0;
+  rows.forEach(r => { balance += r.amount; r.balance = balance; });
+  return { rows, balance };
+}
+
+/**
+ * Margin an account's open positions require.
+ *
+ * @param {object} params
+ * @param {object} params.account - From accountList()
+ * @param {object[]} params.hedges - Hedge rows (array form)
+ * @param {object[]} params.commodities - From commodityList()
+ * @param {string} [params.asOf]
+ * @returns {{initial: number, maintenance: number, byCommodity: object}} - byCommodity is
+ *   { commodity: { contracts, initial, maintenance } }, contracts counted
+ *   as margined (net per month, plus short options)
+ */
+export function marginRequirement({ account, hedges, commodities, asOf = today() }) {
+  const netByKey = {};
+  const shortOptions = {};
+  hedges.filter(h => h.account === account.id && marginable(h)).forEach(h => {
+    const c = commodities.find(x => x.name === commodityOf(h));
+    const open = openQuantity(h, asOf);
+    if (!c?.contractSize || open === 0) return;
+    const contracts = open / c.contractSize;
+    if (contractTypeSpec(h.contractType).mark === "option") {
+      if (h.direction !== "Long") shortOptions[c.name] = (shortOptions[c.name] || 0) + contracts;
+      return;
+    }
+    const key = hedgeContractKey(h);
+    netByKey[key] = { commodity: c.name, net: (netByKey[key]?.net || 0) + (h.direction === "Long" ? 1 : -1) * contracts };
+  });
+
+  const byCommodity = {};
+  const add = (name, contracts) => {
+    const rate = account.margins?.[name] || DEFAULT_MARGINS[name] || { initial: 0, maintenance: 0 };
+    const b = byCommodity[name] || (byCommodity[name] = { contracts: 0, initial: 0, maintenance: 0 });
+    b.contracts += contracts;
+    b.initial += contracts * (Number(rate.initial) || 0);
+    b.maintenance += contracts * (Number(rate.maintenance) || 0);
+  };
+  Object.values(netByKey).forEach(k => add(k.commodity, Math.abs(k.net)));
+  Object.entries(shortOptions).forEach(([name, n]) => add(name, n));
+  const sum = (k) => Object.values(byCommodity).reduce((s, b) => s + b[k], 0);
+  return { initial: sum("initial"), maintenance: sum("maintenance"), byCommodity };
+}
+
+/**
+ * Where an account stands against its margin, and for each commodity the
+ * futures move that would bring it down to maintenance, other prices held.
+ *
+ * @param {object} params - As accountActivity and marginRequirement together
+ * @returns {{balance: number, initial: number, maintenance: number, excess: number,
+ *   call: number, status: "ok"|"warning"|"call", triggers: object[]}} - call
+ *   is what it takes to get back to initial margin (0 unless on call);
+ *   triggers are { commodity, exposure, reference, move, pct } with move
+ *   the adverse price change per unit and pct that move against reference
+ *   (the settlement of the account's largest position), null without one
+ */
+export function marginStatus({ account, hedges, ledger, settlements, commodities, asOf = today() }) {
+  const { balance } = accountActivity({ account: account.id, hedges, ledger, settlements, asOf });
+  const req = marginRequirement({ account, hedges, commodities, asOf });
+  const excess = balance - req.maintenance;
+
+  const byCommodity = {};
+  hedges.filter(h => h.account === account.id && marginable(h)).forEach(h => {
+    const exposure = hedgeExposure(h, settlements, asOf);
+    if (exposure === 0) return;
+    const name = commodityOf(h);
+    const b = byCommodity[name] || (byCommodity[name] = { exposure: 0, largest: null });
+    b.exposure += exposure;
+    if (!b.largest || Math.abs(exposure) > Math.abs(b.largest.exposure)) b.largest = { exposure, key: hedgeContractKey(h) };
+  });
+  const triggers = Object.entries(byCommodity)
+    .filter(([, b]) => Math.abs(b.exposure) >= 1)
+    .map(([commodity, b]) => {
+      // A long position loses on a fall, a short one on a rise
+      const move = -Math.sign(b.exposure) * Math.max(excess, 0) / Math.abs(b.exposure);
+      const reference = latestSettlement(settlements, b.largest.key, asOf)?.price ?? null;
+      return { commodity, exposure: b.exposure, reference, move, pct: reference ? Math.abs(move) / reference : null };
+    });
+
+  const onCall = req.maintenance > 0 && balance < req.maintenance;
+  const warning = !onCall && triggers.some(t => t.pct !== null && t.pct <= CALL_WARNING_MOVE);
+  return {
+    balance, initial: req.initial, maintenance: req.maintenance, byCommodity: req.byCommodity, excess,
+    call: onCall ? req.initial - balance : 0,
+    status: onCall ? "call" : warning ? "warning" : "ok",
+    triggers,
+  };
+}
+
+/**
+ * Check a ledger entry before it is saved.
+ *
+ * @param {object} e - { account, kind, amount, date }
+ * @param {string[]} accountIds
+ * @returns {string} - Empty when valid
+ */
+export function ledgerError(e, accountIds) {
+  if (!accountIds.includes(e.account)) return "Choose an account";
+  if (!LEDGER_KINDS.includes(e.kind)) return "Choose what the entry is";
+  if (!(e.amount > 0)) return "Amount must be greater than zero";
+  if (!e.date) return "Date is required";
+  return "";
+}
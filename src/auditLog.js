@@ -0,0 +1,130 @@
+import { ref, push, get, query, orderByChild, startAt, startAfter, endAt, endBefore, limitToLast } from "firebase/database";
+import { db } from "./firebase";
+import { queueWrite } from "./syncStatus";
+
+/**
+ * The audit log is append-only: every entry is pushed as its own child of
+ * auditLog/ and never rewritten (database.rules.json rejects updates and
+ * deletes). Entries are read back in pages ordered by timestamp. They carry
+ * every entity's changes, so only admins can read them.
+ */
+
+// Bookkeeping fields that don't belong in a hedge diff
+const META_FIELDS = ["id", "createdBy", "createdAt", "modifiedBy", "modifiedAt"];
+
+/**
+ * Append one entry to the audit log.
+ *
+ * The key is generated locally so the entry can wait in the offline queue.
+ *
+ * @param {object} entry - { timestamp, user, uid, action, entity, details, ... }
+ * @returns {Promise} - Settles when the server has answered (see src/syncStatus.js)
+ */
+export const appendAudit = (entry) => queueWrite(`auditLog/${push(ref(db, "auditLog")).key}`, "set", entry);
+
+/**
+ * Field-by-field before/after diff of a hedge.
+ * Also used for consumption/production entries, keyed by year or corn type.
+ *
+ * @param {object|null} before - Hedge before the change (null on create)
+ * @param {object|null} after - Hedge after the change (null on delete)
+ * @returns {object} - { field: { from, to } } for every changed field;
+ *   a missing side is null
+ */
+export function hedgeDiff(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((k) => {
+    if (META_FIELDS.includes(k)) return;
+    const from = before?.[k] ?? null;
+    const to = after?.[k] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[k] = { from, to };
+  });
+  return diff;
+}
+
+// Local calendar-day bounds as ISO timestamps (entries are stamped in UTC)
+const dayStart = (d) => new Date(`${d}T00:00:00`).toISOString();
+const dayEnd = (d) => new Date(`${d}T23:59:59.999`).toISOString();
+
+const matches = (e, { user, action, entity }) =>
+  (!user || String(e.user || "").toLowerCase().includes(user.toLowerCase())) &&
+  (!action || e.action === action) &&
+  (!entity || e.entity === entity);
+
+/**
+ * Fetch one page of audit entries, newest first.
+ *
+ * The date range is applied by the server query; user, action and entity are
+ * filtered client-side, reading further batches until the page is full.
+ *
+ * @param {object} options
+ * @param {string} [options.from] - First day to include (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day to include (YYYY-MM-DD)
+ * @param {{timestamp: string, key: string}} [options.before] - Cursor from the previous page
+ * @param {object} [options.filter] - { user, action, entity }; empty values match all
+ * @param {number} [options.pageSize]
+ * @returns {Promise<{entries: object[], cursor: object|null, hasMore: boolean}>}
+ */
+export async function fetchAuditPage({ from, to, before, filter = {}, pageSize = 25 } = {}) {
+  const batchSize = pageSize * 2;
+  const entries = [];
+  let cursor = before || null;
+  let hasMore = true;
+
+  while (entries.length < pageSize && hasMore) {
+    const constraints = [orderByChild("timestamp")];
+    if (from) constraints.push(startAt(dayStart(from)));
+    if (cursor) constraints.push(endBefore(cursor.timestamp, cursor.key));
+    else if (to) constraints.push(endAt(dayEnd(to)));
+    constraints.push(limitToLast(batchSize));
+
+    const snapshot = await get(query(ref(db, "auditLog"), ...constraints));
+    const batch = [];
+    snapshot.forEach((child) => { batch.push({ key: child.key, ...child.val() }); });
+    batch.reverse();
+
+    let consumed = 0;
+    for (const e of batch) {
+      consumed++;
+      cursor = { timestamp: e.timestamp, key: e.key };
+      if (to && e.timestamp > dayEnd(to)) continue;
+      if (!matches(e, filter)) continue;
+      entries.push(e);
+      if (entries.length === pageSize) break;
+    }
+    hasMore = batch.length === batchSize || consumed < batch.length;
+  }
+
+  return { entries, cursor, hasMore };
+}
+
+/**
+ * Every audit entry recorded after the end of a given day, oldest first.
+ *
+ * @param {string} date - YYYY-MM-DD (local calendar day)
+ * @returns {Promise<object[]>}
+ */
+export async function fetchAuditAfter(date) {
+  const snapshot = await get(query(ref(db, "auditLog"), orderByChild("timestamp"), startAfter(dayEnd(date))));
+  const entries = [];
+  snapshot.forEach((child) => { entries.push({ key: child.key, ...child.val() }); });
+  return entries;
+}
+
+/**
+ * Every audit entry matching a filter, newest first (for exports).
+ *
+ * @param {object} options - { from, to, filter } as for fetchAuditPage
+ * @returns {Promise<object[]>}
+ */
+export async function fetchAuditEntries({ from, to, filter } = {}) {
+  const entries = [];
+  let before = null;
+  for (;;) {
+    const page = await fetchAuditPage({ from, to, before, filter, pageSize: 500 });
+    entries.push(...page.entries);
+    if (!page.hasMore || !page.cursor) return entries;
+    before = page.cursor;
+  }
+}
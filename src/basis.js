@@ -0,0 +1,188 @@
+import { MONTHS, contractKey, hedgeContractKey, latestSettlement, parseContractKey } from "./settlements";
+import { contractTypeSpec } from "./contractTypes";
+import { cashExposure } from "./exposure";
+import { coveringContract } from "./schedules";
+
+/**
+ * Delivery locations and local basis.
+ *
+ * Locations live at locations/{name} as { kind, order }, keyed by name like
+ * entities since positions refer to them by name. Basis bids are stored the
+ * way settlements are:
+ *   basis/{location}/{deliveryKey}/{YYYY-MM-DD} = basis (per commodity unit)
+ * where deliveryKey is the contractKey of the delivery month (any calendar
+ * month, not only listed futures months). A bid is quoted against the
+ * futures contract covering its delivery month (see coveringContract), so
+ * the local cash price is that contract's settlement plus the basis.
+ */
+
+export const LOCATION_KINDS = ["Elevator", "Ethanol Plant", "Feed Mill", "Processor", "River Terminal"];
+
+export const DEFAULT_LOCATIONS = {
+  "Co-op Elevator": { kind: "Elevator", order: 0 },
+  "Riverside Ethanol": { kind: "Ethanol Plant", order: 1 },
+};
+
+/**
+ * Registry as a list, sorted by `order` then name.
+ *
+ * @param {object} registry - locations tree from Firebase
+ * @returns {{name: string, kind: string, order: number}[]}
+ */
+export function locationList(registry) {
+  return Object.entries(registry || {})
+    .map(([name, l]) => ({ name, kind: LOCATION_KINDS.includes(l?.kind) ? l.kind : "Elevator", order: Number(l?.order) || 0 }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a new location name.
+ *
+ * @param {string} name
+ * @param {object} registry
+ * @returns {string} - Error message, or "" when the name can be used
+ */
+export function locationNameError(name, registry) {
+  if (!name) return "Enter a name";
+  if (/[.#$/[\]]/.test(name)) return "Names can't contain . # $ / [ or ]";
+  if (Object.keys(registry || {}).some(k => k.toLowerCase() === name.toLowerCase())) return `${name} already exists`;
+  return "";
+}
+
+/**
+ * Futures contract a delivery month's basis is quoted against. A month past
+ * the last listed contract rolls to the first one of the next year.
+ *
+ * @param {string} deliveryKey - contractKey of the delivery month
+ * @param {string[]} listed - The commodity's contract months
+ * @returns {string|null} - contractKey of the futures contract
+ */
+export function referenceFutures(deliveryKey, listed) {
+  const d = parseContractKey(deliveryKey);
+  if (!d) return null;
+  const month = coveringContract(MONTHS[d.month - 1], listed);
+  const year = MONTHS.indexOf(month) + 1 < d.month ? d.year + 1 : d.year;
+  return contractKey(year, month, d.commodity);
+}
+
+/**
+ * Latest bid at a location for a delivery month, on or before a date.
+ *
+ * @param {object} basis - basis tree from Firebase
+ * @param {string} location
+ * @param {string} deliveryKey
+ * @param {string} [asOf]
+ * @returns {{date: string, price: number} | null} - price is the basis
+ */
+export const latestBasis = (basis, location, deliveryKey, asOf) =>
+  (location ? latestSettlement(basis?.[location], deliveryKey, asOf) : null);
+
+/**
+ * Local cash price for a delivery month: reference futures plus basis.
+ *
+ * @param {object} params
+ * @param {object} params.basis - basis tree from Firebase
+ * @param {object} params.settlements - settlements tree from Firebase
+ * @param {string} params.location
+ * @param {{name: string, months: string[]}} params.commodity
+ * @param {string} params.year - Year of the delivery month
+ * @param {string} params.month - Delivery month ("Jan".."Dec")
+ * @param {string} [params.asOf]
+ * @returns {{futuresKey: string|null, futures: number|null, basis: number|null, price: number|null}}
+ *   price is null unless both a settlement and a bid are on file
+ */
+export function cashPrice({ basis, settlements, location, commodity, year, month, asOf }) {
+  const deliveryKey = contractKey(year, month, commodity.name);
+  const futuresKey = deliveryKey && referenceFutures(deliveryKey, commodity.months);
+  const futures = futuresKey ? latestSettlement(settlements, futuresKey, asOf)?.price ?? null : null;
+  const bid = deliveryKey ? latestBasis(basis, location, deliveryKey, asOf)?.price ?? null : null;
+  return { futuresKey, futures, basis: bid, price: futures !== null && bid !== null ? futures + bid : null };
+}
+
+/**
+ * Basis by delivery month for each year on file at a location, for the
+ * seasonal chart. Each month takes its latest bid.
+ *
+ * @param {object} basis - basis tree from Firebase
+ * @param {string} location
+ * @param {string} commodityName
+ * @param {string} [asOf]
+ * @returns {{years: string[], rows: object[]}} - rows are { month, [year]: basis } in calendar order
+ */
+export function seasonalBasis(basis, location, commodityName, asOf) {
+  const byYear = {};
+  Object.keys(basis?.[location] || {}).forEach(key => {
+    const k = parseContractKey(key);
+    const bid = k?.commodity === commodityName ? latestBasis(basis, location, key, asOf) : null;
+    if (bid) byYear[k.year] = { ...(byYear[k.year] || {}), [MONTHS[k.month - 1]]: bid.price };
+  });
+  const years = Object.keys(byYear).sort();
+  return { years, rows: MONTHS.map(month => ({ month, ...Object.fromEntries(years.map(y => [y, byYear[y][month] ?? null])) })) };
+}
+
+const has = (v) => v !== undefined && v !== null && v !== "";
+
+// Futures, basis and cash price of one physical contract: fixed where the
+// contract sets them, otherwise the market at its location
+const contractPrices = (h, market) => {
+  const futures = contractTypeSpec(h.contractType).mark === "futures" && has(h.price) ? Number(h.price)
+    : has(h.futuresPrice) ? Number(h.futuresPrice) : market.futures;
+  const basis = has(h.basisLevel) ? Number(h.basisLevel) : market.basis;
+  const fromParts = futures !== null && basis !== null ? futures + basis : null;
+  switch (h.contractType) {
+    case "Cash Position": return { futures: null, basis: null, price: has(h.price) ? Number(h.price) : null };
+    case "Deferred Pricing": return has(h.price) ? { futures: null, basis: null, price: Number(h.price) } : { futures, basis, price: fromParts };
+    case "Minimum Price": {
+      const floor = Number(h.floor) || 0;
+      return { futures, basis, price: (fromParts === null ? floor : Math.max(fromParts, floor)) - (Number(h.serviceFee) || 0) };
+    }
+    default: return { futures, basis, price: fromParts };
+  }
+};
+
+/**
+ * Cash valuation of a producer's crop: physical contracts at their own
+ * terms, with open legs (unpriced futures, unset basis) at the market of
+ * the contract's location, and the production not yet sold at futures
+ * plus basis for a chosen location and delivery month.
+ *
+ * @param {object} params
+ * @param {object[]} params.hedges - The entity's positions for the commodity and crop year
+ * @param {number} params.production - Total production (converted)
+ * @param {string} params.location - Where unsold production is valued
+ * @param {string} params.month - Delivery month for unsold production
+ * @param {{name: string, months: string[]}} params.commodity
+ * @param {string} params.year - Crop year
+ * @param {object} params.basis
+ * @param {object} params.settlements
+ * @param {string} [params.asOf]
+ * @returns {{rows: object[], unsold: object, total: {quantity: number, value: number, unvalued: number}}} - rows
+ *   are { hedge, quantity, futures, basis, price, value } with quantity sold
+ *   (+); unsold is the same without hedge, plus location and month. value is
+ *   null where no price is known, and the total's unvalued counts that
+ *   quantity.
+ */
+export function cashValuation({ hedges, production, location, month, commodity, year, basis, settlements, asOf }) {
+  const rows = hedges
+    .filter(h => contractTypeSpec(h.contractType).physical)
+    .map(h => {
+      const quantity = -cashExposure(h, asOf);
+      const deliveryKey = contractKey(h.cropYear, h.contractMonth, commodity.name);
+      const futuresKey = h.futuresMonth ? hedgeContractKey({ ...h, commodity: commodity.name }) : deliveryKey && referenceFutures(deliveryKey, commodity.months);
+      const market = {
+        futures: futuresKey ? latestSettlement(settlements, futuresKey, asOf)?.price ?? null : null,
+        basis: deliveryKey ? latestBasis(basis, h.location, deliveryKey, asOf)?.price ?? null : null,
+      };
+      const p = contractPrices(h, market);
+      return { hedge: h, quantity, ...p, value: p.price === null ? null : p.price * quantity };
+    })
+    .filter(r => r.quantity !== 0);
+  const sold = rows.reduce((s, r) => s + r.quantity, 0);
+  const quantity = Math.max(production - sold, 0);
+  const market = cashPrice({ basis, settlements, location, commodity, year, month, asOf });
+  const unsold = { location, month, quantity, futures: market.futures, basis: market.basis, price: market.price, value: market.price === null ? null : market.price * quantity };
+  const all = [...rows, unsold];
+  const value = all.reduce((s, r) => s + (r.value || 0), 0);
+  const unvalued = all.filter(r => r.value === null).reduce((s, r) => s + r.quantity, 0);
+  return { rows, unsold, total: { quantity: sold + quantity, value, unvalued } };
+}
@@ -0,0 +1,40 @@
+// Annual risk-free rate used to discount option values.
+export const RISK_FREE_RATE = 0.045;
+
+// Abramowitz & Stegun 26.2.17 — accurate to ~7.5e-8, plenty for pricing
+export function normCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989422804014327 * Math.exp(-x * x / 2);
+  const p = d * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return x >= 0 ? 1 - p : p;
+}
+
+/**
+ * Black-76 price and delta of a European option on a futures contract.
+ *
+ * @param {object} args
+ * @param {"Call"|"Put"} args.type
+ * @param {number} args.forward - Underlying futures price
+ * @param {number} args.strike
+ * @param {number} args.years - Time to expiry in years (<= 0 means expired)
+ * @param {number} args.vol - Annualized volatility as a decimal (0.25 = 25%)
+ * @param {number} [args.rate] - Risk-free rate as a decimal
+ * @returns {{price: number, delta: number}} - Delta is per unit of the
+ *   underlying: 0..1 for calls, -1..0 for puts
+ */
+export function black76({ type, forward, strike, years, vol, rate = RISK_FREE_RATE }) {
+  const isCall = type === "Call";
+  if (years <= 0 || vol <= 0) {
+    const intrinsic = Math.max(isCall ? forward - strike : strike - forward, 0);
+    const itm = intrinsic > 0;
+    return { price: intrinsic, delta: itm ? (isCall ? 1 : -1) : 0 };
+  }
+  const sd = vol * Math.sqrt(years);
+  const d1 = (Math.log(forward / strike) + sd * sd / 2) / sd;
+  const d2 = d1 - sd;
+  const df = Math.exp(-rate * years);
+  if (isCall) {
+    return { price: df * (forward * normCdf(d1) - strike * normCdf(d2)), delta: df * normCdf(d1) };
+  }
+  return { price: df * (strike * normCdf(-d2) - forward * normCdf(-d1)), delta: -df * normCdf(-d1) };
+}
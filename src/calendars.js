@@ -0,0 +1,88 @@
+import { contractKey } from "./settlements";
+
+/**
+ * Exchange calendar rules, named by the `calendar` of each commodity (see
+ * src/commodities.js).
+ *
+ *   CBOT Grains — first notice the last business day of the month before
+ *     the contract month, last trade the business day before the 15th,
+ *     options expiring on the last Friday at least two business days
+ *     before first notice.
+ *   CME Lean Hogs — cash-settled, so no first notice; futures and options
+ *     stop trading on the 10th business day of the contract month.
+ *   CME Live Cattle — delivered during the contract month, with notices
+ *     from its first business day; last trade the last business day of the
+ *     month, options expiring on its first Friday.
+ *
+ * Exchange holidays are ignored.
+ */
+
+export const DEFAULT_CALENDAR = "CBOT Grains";
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+const isWeekend = (d) => d.getUTCDay() === 0 || d.getUTCDay() === 6;
+const prevBusinessDay = (d) => {
+  do d.setUTCDate(d.getUTCDate() - 1); while (isWeekend(d));
+  return d;
+};
+// nth business day of a month (month 1-12)
+const businessDay = (year, month, n) => {
+  const d = new Date(Date.UTC(year, month - 1, 0));
+  for (let i = 0; i < n;) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (!isWeekend(d)) i++;
+  }
+  return d;
+};
+const firstFriday = (year, month) => {
+  const d = new Date(Date.UTC(year, month - 1, 1));
+  while (d.getUTCDay() !== 5) d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+};
+// Last Friday at least two business days before the last business day of
+// the month before the contract month
+const grainOptionExpiry = (year, month) => {
+  const d = prevBusinessDay(new Date(Date.UTC(year, month - 1, 1)));
+  for (let n = 0; n < 2;) {
+    d.setUTCDate(d.getUTCDate() - 1);
+    if (!isWeekend(d)) n++;
+  }
+  while (d.getUTCDay() !== 5) d.setUTCDate(d.getUTCDate() - 1);
+  return d;
+};
+
+// Each rule set maps a contract month to { firstNotice, lastTrade,
+// optionExpiry } as YYYY-MM-DD, firstNotice null when cash-settled
+export const CONTRACT_CALENDARS = {
+  "CBOT Grains": (year, month) => ({
+    firstNotice: isoDate(prevBusinessDay(new Date(Date.UTC(year, month - 1, 1)))),
+    lastTrade: isoDate(prevBusinessDay(new Date(Date.UTC(year, month - 1, 15)))),
+    optionExpiry: isoDate(grainOptionExpiry(year, month)),
+  }),
+  "CME Lean Hogs": (year, month) => {
+    const last = isoDate(businessDay(year, month, 10));
+    return { firstNotice: null, lastTrade: last, optionExpiry: last };
+  },
+  "CME Live Cattle": (year, month) => ({
+    firstNotice: isoDate(businessDay(year, month, 1)),
+    lastTrade: isoDate(prevBusinessDay(new Date(Date.UTC(year, month, 1)))),
+    optionExpiry: isoDate(firstFriday(year, month)),
+  }),
+};
+
+export const CALENDAR_NAMES = Object.keys(CONTRACT_CALENDARS);
+
+/**
+ * Dates of one contract month under a calendar.
+ *
+ * @param {string} calendar - A CONTRACT_CALENDARS name; unknown names use the default
+ * @param {number|string} year
+ * @param {string} month - "Jan"…"Dec"
+ * @returns {{firstNotice: string|null, lastTrade: string, optionExpiry: string} | null}
+ */
+export function calendarDates(calendar, year, month) {
+  const key = contractKey(year, month);
+  if (!key) return null;
+  const rules = CONTRACT_CALENDARS[calendar] || CONTRACT_CALENDARS[DEFAULT_CALENDAR];
+  return rules(Number(key.slice(0, 4)), Number(key.slice(5)));
+}
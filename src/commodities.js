@@ -0,0 +1,163 @@
+/**
+ * Commodity registry.
+ *
+ * Commodities live at commodities/{name} as
+ *   { unit, symbol, contractSize, months: ["Mar", ...], calendar, subTypes: [...], order,
+ *     unitWeight, standardMoisture, conversions: { subType: { unit, moisture, shrink } } }
+ * Quantities are counted in `unit` and prices quoted per unit; `symbol` is
+ * the exchange root of its contract codes (ZC for ZCZ25), `contractSize`
+ * units per futures contract and `months` the listed futures months, whose
+ * first notice, last trade and option expiry follow the exchange rules
+ * named by `calendar` (see src/calendars.js). `subTypes` split production (High Moisture, Dry and
+ * Silage corn); a commodity without sub-types is produced under its own
+ * name.
+ *
+ * Production of a sub-type is entered in its own unit (silage in tons) at
+ * its own moisture, and converted to standard-moisture units of the
+ * commodity before it is netted: dry matter is carried over by weight
+ * (`unitWeight` lb per unit, a ton being 2,000 lb) and the sub-type's
+ * `shrink` % is taken off for handling and storage loss. A sub-type without
+ * a conversion is entered in the commodity's unit at standard moisture.
+ *
+ * Hedges carry a `commodity`, consumption is stored as
+ * consumption/{entity}/{commodity}/{year}, and production stays keyed by
+ * sub-type, which is unique across commodities. Data written before
+ * commodities existed has none and is corn.
+ */
+
+export const DEFAULT_COMMODITY = "Corn";
+
+export const DEFAULT_COMMODITIES = {
+  "Corn": {
+    unit: "bu", symbol: "ZC", contractSize: 5000, months: ["Mar", "May", "Jul", "Sep", "Dec"], calendar: "CBOT Grains", subTypes: ["High Moisture Corn", "Dry Corn", "Silage Corn"], order: 0,
+    unitWeight: 56, standardMoisture: 15.5,
+    conversions: {
+      "High Moisture Corn": { unit: "bu", moisture: 28, shrink: 1 },
+      "Dry Corn": { unit: "bu", moisture: 15.5, shrink: 0 },
+      "Silage Corn": { unit: "ton", moisture: 65, shrink: 10 },
+    },
+  },
+  "Soybeans": { unit: "bu", symbol: "ZS", contractSize: 5000, months: ["Jan", "Mar", "May", "Jul", "Aug", "Sep", "Nov"], calendar: "CBOT Grains", subTypes: [], order: 1, unitWeight: 60, standardMoisture: 13 },
+  "Soybean Meal": { unit: "ton", symbol: "ZM", contractSize: 100, months: ["Jan", "Mar", "May", "Jul", "Aug", "Sep", "Oct", "Dec"], calendar: "CBOT Grains", subTypes: [], order: 2, unitWeight: 2000, standardMoisture: 12 },
+  "Lean Hogs": { unit: "cwt", symbol: "HE", contractSize: 400, months: ["Feb", "Apr", "May", "Jun", "Jul", "Aug", "Oct", "Dec"], calendar: "CME Lean Hogs", subTypes: [], order: 3, unitWeight: 100, standardMoisture: 0 },
+  "Live Cattle": { unit: "cwt", symbol: "LE", contractSize: 400, months: ["Feb", "Apr", "Jun", "Aug", "Oct", "Dec"], calendar: "CME Live Cattle", subTypes: [], order: 4, unitWeight: 100, standardMoisture: 0 },
+};
+
+// Units a sub-type can be entered in besides the commodity's own
+export const TON = "ton";
+const TON_LB = 2000;
+
+const isYearKey = (k) => /^\d{4}$/.test(k);
+
+// Firebase returns arrays as objects once an element has been removed
+const asList = (v) => (Array.isArray(v) ? v : Object.values(v || {})).filter(Boolean);
+
+/**
+ * Registry as a list, sorted by `order` then name.
+ *
+ * @param {object} registry - commodities tree from Firebase
+ * @returns {{name: string, unit: string, symbol: string, contractSize: number, months: string[], calendar: string, subTypes: string[], order: number, unitWeight: number, standardMoisture: number, conversions: object}[]}
+ */
+export function commodityList(registry) {
+  return Object.entries(registry || {})
+    .map(([name, c]) => ({
+      name,
+      unit: c?.unit || "bu",
+      // Records saved before symbols existed fall back to the default's
+      symbol: c?.symbol || DEFAULT_COMMODITIES[name]?.symbol || "",
+      contractSize: Number(c?.contractSize) || 0,
+      months: asList(c?.months),
+      // As are calendars; anything else follows the grain rules
+      calendar: c?.calendar || DEFAULT_COMMODITIES[name]?.calendar || "CBOT Grains",
+      subTypes: asList(c?.subTypes),
+      order: Number(c?.order) || 0,
+      unitWeight: Number(c?.unitWeight) || 0,
+      standardMoisture: Number(c?.standardMoisture) || 0,
+      conversions: c?.conversions || {},
+    }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Production keys for a commodity
+export const subTypesOf = (commodity) => (commodity.subTypes.length ? commodity.subTypes : [commodity.name]);
+
+export const commodityOf = (hedge) => hedge.commodity || DEFAULT_COMMODITY;
+
+/**
+ * How production of a sub-type is entered and converted.
+ *
+ * @param {object} commodity - From commodityList()
+ * @param {string} subType
+ * @returns {{unit: string, moisture: number, shrink: number, factor: number}} -
+ *   `factor` is standard-moisture commodity units per entered unit
+ */
+export function subTypeConversion(commodity, subType) {
+  const c = commodity.conversions?.[subType];
+  const unit = c?.unit || commodity.unit;
+  const moisture = c?.moisture === undefined || c?.moisture === null || c?.moisture === "" ? commodity.standardMoisture : Number(c.moisture);
+  const shrink = Number(c?.shrink) || 0;
+  const weight = (u) => (u === commodity.unit ? commodity.unitWeight : u === TON ? TON_LB : 0);
+  // Same unit needs no weight; otherwise both sides must have one
+  const ratio = unit === commodity.unit ? 1 : weight(commodity.unit) > 0 ? weight(unit) / weight(commodity.unit) : 0;
+  const factor = ratio * (100 - moisture) / (100 - commodity.standardMoisture) * (1 - shrink / 100);
+  return { unit, moisture, shrink, factor };
+}
+
+/** Entered production of a sub-type in standard-moisture commodity units. */
+export const productionEquivalent = (commodity, subType, quantity) =>
+  Math.round((Number(quantity) || 0) * subTypeConversion(commodity, subType).factor);
+
+// "Futures Price ($/bu)" → "Futures Price ($/ton)"
+export const unitLabel = (label, unit) => label.replace(/\$\/bu\b/g, `$/${unit}`);
+
+/**
+ * Consumption keyed by entity, then commodity. Year keys directly under an
+ * entity are the layout from before commodities and are read as corn.
+ *
+ * @param {object} consumption - consumption tree from Firebase
+ * @returns {object} - { entity: { commodity: { year: quantity } } }
+ */
+export function normalizeConsumption(consumption) {
+  const out = {};
+  Object.entries(consumption || {}).forEach(([entity, tree]) => {
+    const byCommodity = {};
+    Object.entries(tree || {}).forEach(([k, v]) => {
+      if (isYearKey(k)) byCommodity[DEFAULT_COMMODITY] = { ...(byCommodity[DEFAULT_COMMODITY] || {}), [k]: v };
+      else byCommodity[k] = { ...(byCommodity[k] || {}), ...v };
+    });
+    out[entity] = byCommodity;
+  });
+  return out;
+}
+
+/**
+ * Check a commodity before it is saved.
+ *
+ * @param {string} name
+ * @param {{unit: string, symbol: string, contractSize: number, months: string[], subTypes: string[], unitWeight?: number, standardMoisture?: number, conversions?: object}} record
+ * @param {object} registry
+ * @param {boolean} isNew
+ * @returns {string} - Error message, or "" when the commodity can be saved
+ */
+export function commodityError(name, record, registry, isNew) {
+  if (!name) return "Enter a name";
+  if (/[.#$/[\]:]/.test(name)) return "Names can't contain . # $ / [ ] or :";
+  if (isYearKey(name)) return "Names can't be a year";
+  if (isNew && Object.keys(registry || {}).some(k => k.toLowerCase() === name.toLowerCase())) return `${name} already exists`;
+  if (!record.unit) return "Enter a unit";
+  if (!/^[A-Z0-9]{1,3}$/.test(record.symbol || "")) return "Enter the exchange symbol (1–3 capital letters, e.g. ZC)";
+  if (!(record.contractSize > 0)) return "Contract size must be a positive number";
+  if (record.months.length === 0) return "Pick at least one contract month";
+  if (record.subTypes.some(t => /[.#$/[\]]/.test(t))) return "Sub-types can't contain . # $ / [ or ]";
+  // Production is keyed by sub-type alone
+  const taken = commodityList(registry).filter(c => c.name !== name).flatMap(subTypesOf);
+  const clash = (record.subTypes.length ? record.subTypes : [name]).find(t => taken.includes(t));
+  if (clash) return `${clash} is already a sub-type of another commodity`;
+  const pct = (v) => v === undefined || v === null || v === "" || (Number(v) >= 0 && Number(v) < 100);
+  if (!pct(record.standardMoisture)) return "Standard moisture must be between 0 and 100%";
+  for (const [t, c] of Object.entries(record.conversions || {})) {
+    if (!pct(c.moisture) || !pct(c.shrink)) return `${t}: moisture and shrink must be between 0 and 100%`;
+    if (c.unit && c.unit !== record.unit && !(record.unitWeight > 0)) return `${t} is entered in ${c.unit}; enter the weight of one ${record.unit}`;
+  }
+  return "";
+}
@@ -0,0 +1,133 @@
+import { black76 } from "./black76";
+import { MONTHS, hedgeContractKey, latestSettlement, parseContractKey } from "./settlements";
+import { OPTION_TYPES, DEFAULT_VOLATILITY, optionValuation } from "./options";
+import { calendarDates } from "./calendars";
+
+/**
+ * Contract type registry.
+ *
+ * Each type lists the extra fields the hedge modal captures for it (a field's
+ * `default` may be a value or a function of the form) and its exposure rules:
+ *   futuresExposure(h, settlements, asOf) — signed bushels whose futures
+ *     price is fixed (Long = +). This is the "hedge" figure in calc.
+ *   cashExposure(h) — signed bushels of physical grain committed for
+ *     delivery or receipt. Futures and options commit none.
+ *
+ * `price` is the label of the generic hedge price input (null hides it),
+ * `priceField` is the field shown in the Price column, `mark` says how the
+ * position is marked to market ("futures", "option" or null) and `physical`
+ * marks cash contracts that carry a production sub-type (corn type). Labels
+ * quote prices in $/bu and are relabelled for other units (see unitLabel in
+ * src/commodities.js); `commodityMonths` selects offer the commodity's listed
+ * futures months instead of `options`.
+ */
+
+const signed = (h) => (h.direction === "Long" ? 1 : -1) * (h.quantity || 0);
+const has = (v) => v !== undefined && v !== null && v !== "";
+
+const pricingDeadline = { key: "pricingDeadline", label: "Pricing Deadline", kind: "date" };
+const futuresMonth = { key: "futuresMonth", label: "Futures Ref. Month", kind: "select", options: MONTHS, commodityMonths: true, default: (h) => h.contractMonth };
+
+export const CONTRACT_TYPE_REGISTRY = {
+  "Futures": {
+    price: "Futures Price ($/bu)", priceField: "price", mark: "futures", physical: false,
+    fields: [],
+    futuresExposure: signed,
+    cashExposure: () => 0,
+  },
+  "Options": {
+    price: null, priceField: "premium", mark: "option", physical: false,
+    fields: [
+      { key: "optionType", label: "Put / Call", kind: "select", options: OPTION_TYPES, default: "Call" },
+      { key: "strike", label: "Strike ($/bu)", kind: "number", step: "0.05", placeholder: "e.g. 5.00", required: true },
+      { key: "premium", label: "Premium ($/bu)", kind: "number", step: "0.0025", placeholder: "e.g. 0.25" },
+      // The form carries its commodity's `calendar` (see src/calendars.js)
+      { key: "expiry", label: "Expiry", kind: "date", default: (h) => { const k = parseContractKey(hedgeContractKey(h)); return k ? calendarDates(h.calendar, k.year, MONTHS[k.month - 1]).optionExpiry : ""; } },
+      { key: "volatility", label: "Volatility (%)", kind: "number", step: "1", default: String(DEFAULT_VOLATILITY) },
+    ],
+    // Delta-adjusted; legacy rows without a strike count at full bushels
+    futuresExposure: (h, settlements, asOf) => {
+      const v = optionValuation(h, settlements, asOf);
+      return v ? signed(h) * v.delta : signed(h);
+    },
+    cashExposure: () => 0,
+  },
+  "HTA": {
+    price: "Futures Price ($/bu)", priceField: "price", mark: "futures", physical: true,
+    fields: [
+      futuresMonth,
+      { key: "basisLevel", label: "Basis ($/bu, once set)", kind: "number", step: "0.01", placeholder: "Open" },
+      { ...pricingDeadline, label: "Basis Deadline" },
+    ],
+    // Futures fixed at entry; the basis is still open
+    futuresExposure: signed,
+    cashExposure: signed,
+  },
+  "Basis Contract": {
+    price: null, priceField: "basisLevel", mark: null, physical: true,
+    fields: [
+      { key: "basisLevel", label: "Basis ($/bu)", kind: "number", step: "0.01", placeholder: "e.g. -0.15", required: true, legacyFromPrice: true },
+      futuresMonth,
+      { key: "futuresPrice", label: "Futures Price ($/bu, once priced)", kind: "number", step: "0.0025", placeholder: "Unpriced" },
+      pricingDeadline,
+    ],
+    // Basis fixed; futures only count once the contract has been priced
+    futuresExposure: (h) => has(h.futuresPrice) ? signed(h) : 0,
+    cashExposure: signed,
+  },
+  "Minimum Price": {
+    price: null, priceField: "floor", mark: null, physical: true,
+    fields: [
+      { key: "floor", label: "Floor ($/bu)", kind: "number", step: "0.01", placeholder: "e.g. 4.50", required: true },
+      { key: "serviceFee", label: "Fee ($/bu)", kind: "number", step: "0.01", placeholder: "Optional" },
+      pricingDeadline,
+    ],
+    // Physical is sold with the upside kept, so it behaves like a put at the
+    // floor (a call at the ceiling for a Long/maximum-price contract) and
+    // counts at that option's delta until the pricing deadline.
+    futuresExposure: (h, settlements, asOf) => {
+      const floor = Number(h.floor);
+      if (!floor) return 0;
+      const key = hedgeContractKey(h);
+      const s = key ? latestSettlement(settlements, key, asOf) : null;
+      const today = asOf || new Date().toISOString().slice(0, 10);
+      const years = h.pricingDeadline ? Math.max((Date.parse(h.pricingDeadline) - Date.parse(today)) / (365 * 86400000), 0) : 0.25;
+      const { delta } = black76({
+        type: h.direction === "Long" ? "Call" : "Put",
+        forward: s ? s.price : floor,
+        strike: floor,
+        years,
+        vol: DEFAULT_VOLATILITY / 100,
+      });
+      return signed(h) * Math.abs(delta);
+    },
+    cashExposure: signed,
+  },
+  "Deferred Pricing": {
+    price: "Final Price ($/bu, once priced)", priceField: "price", mark: null, physical: true,
+    fields: [pricingDeadline],
+    // Grain has moved but the price is open until it is set
+    futuresExposure: (h) => has(h.price) ? signed(h) : 0,
+    cashExposure: signed,
+  },
+  "Cash Position": {
+    price: "Cash Price ($/bu)", priceField: "price", mark: null, physical: true,
+    fields: [],
+    futuresExposure: signed,
+    cashExposure: signed,
+  },
+};
+
+export const CONTRACT_TYPES = Object.keys(CONTRACT_TYPE_REGISTRY);
+
+// Every type-specific field key, so a type change can drop stale fields
+export const TYPE_FIELD_KEYS = [...new Set(Object.values(CONTRACT_TYPE_REGISTRY).flatMap(t => t.fields.map(f => f.key)))];
+
+// Unknown (legacy) contract types are treated as futures
+export const contractTypeSpec = (type) => CONTRACT_TYPE_REGISTRY[type] || CONTRACT_TYPE_REGISTRY["Futures"];
+
+// Types that commit physical grain (and so carry a sub-type for producers)
+export const isPhysicalType = (type) => contractTypeSpec(type).physical;
+
+export const fieldDefault = (field, form) =>
+  typeof field.default === "function" ? field.default(form) : (field.default ?? "");
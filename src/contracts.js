@@ -0,0 +1,129 @@
+import { contractKey, contractCode, parseContractCode } from "./settlements";
+import { DEFAULT_CALENDAR, calendarDates } from "./calendars";
+import { contractTypeSpec } from "./contractTypes";
+import { isClosed, openQuantity } from "./lifecycle";
+
+/**
+ * Futures contract calendar, expiry alerts and the open-contract ladder.
+ *
+ * Dates follow the calendar rules of the commodity (src/calendars.js);
+ * cash-settled contracts have no first notice day.
+ *
+ * Only the quantity still open counts (see src/lifecycle.js); a roll closes
+ * one futures position and opens its replacement, linked by `rolledTo` /
+ * `rolledFrom`.
+ */
+
+// Days ahead of first notice, last trade or option expiry to start warning
+export const EXPIRY_ALERT_DAYS = 10;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+/**
+ * Calendar of one contract.
+ *
+ * @param {string} code - Contract code ("ZCZ25")
+ * @param {string} [calendar] - The commodity's `calendar`
+ * @returns {{code: string, month: string, year: number, firstNotice: string|null, lastTrade: string, optionExpiry: string} | null}
+ *   firstNotice is null for cash-settled contracts
+ */
+export function contractCalendar(code, calendar = DEFAULT_CALENDAR) {
+  const c = parseContractCode(code);
+  const dates = c && calendarDates(calendar, c.year, c.month);
+  if (!dates) return null;
+  return { code: code.toUpperCase(), month: c.month, year: c.year, ...dates };
+}
+
+/**
+ * Contract code a futures or options position is on. Positions booked
+ * before codes existed are taken to be on their crop year's contract.
+ *
+ * @param {object} hedge
+ * @param {string} symbol - The commodity's exchange symbol
+ * @returns {string|null} - null for cash contracts
+ */
+export function hedgeContractCode(hedge, symbol) {
+  if (contractTypeSpec(hedge.contractType).physical) return null;
+  return hedge.contract || contractCode(symbol, hedge.contractMonth, hedge.cropYear);
+}
+
+/**
+ * Open futures and options positions nearing first notice, last trade or
+ * option expiry. Futures past first notice keep warning until last trade;
+ * cash-settled futures warn of last trade alone.
+ *
+ * @param {object[]} hedges
+ * @param {function} commodityFor - Commodity name → commodity (from commodityList())
+ * @param {string} [asOf]
+ * @param {number} [days]
+ * @returns {{hedge: object, code: string, event: string, date: string, days: number}[]} - Soonest first
+ */
+export function expiryAlerts(hedges, commodityFor, asOf = today(), days = EXPIRY_ALERT_DAYS) {
+  const alerts = [];
+  hedges.forEach(h => {
+    if (isClosed(h, asOf)) return;
+    const { mark } = contractTypeSpec(h.contractType);
+    const commodity = commodityFor(h.commodity);
+    const code = hedgeContractCode(h, commodity?.symbol || "");
+    const cal = code && contractCalendar(code, commodity?.calendar);
+    if (!cal) return;
+    const events = mark === "option"
+      ? [["Option expiry", h.expiry || cal.optionExpiry]]
+      : mark === "futures" ? [["First notice", cal.firstNotice], ["Last trade", cal.lastTrade]] : [];
+    events.filter(([, date]) => date).forEach(([event, date]) => {
+      const d = daysBetween(asOf, date);
+      const inDelivery = event === "First notice" && d < 0 && cal.lastTrade >= asOf;
+      if ((d >= 0 && d <= days) || inDelivery) alerts.push({ hedge: h, code, event, date, days: d });
+    });
+  });
+  return alerts.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Open futures and options positions grouped by contract, nearest first.
+ * A contract drops off once it has stopped trading.
+ *
+ * @param {object[]} hedges - Hedges of one commodity
+ * @param {object} commodity - From commodityList()
+ * @param {string} [asOf]
+ * @returns {{code: string, calendar: object, long: number, short: number, net: number, byEntity: object, hedges: object[]}[]}
+ */
+export function contractLadder(hedges, commodity, asOf = today()) {
+  const rows = {};
+  hedges.forEach(h => {
+    if (isClosed(h, asOf)) return;
+    const code = hedgeContractCode(h, commodity.symbol);
+    const calendar = code && contractCalendar(code, commodity.calendar);
+    if (!calendar) return;
+    const ends = contractTypeSpec(h.contractType).mark === "option" ? h.expiry || calendar.optionExpiry : calendar.lastTrade;
+    if (ends < asOf) return;
+    const row = rows[calendar.code] ||= { code: calendar.code, calendar, long: 0, short: 0, net: 0, byEntity: {}, hedges: [] };
+    const qty = (h.direction === "Long" ? 1 : -1) * openQuantity(h, asOf);
+    if (qty > 0) row.long += qty;
+    else row.short -= qty;
+    row.net += qty;
+    row.byEntity[h.entity] = (row.byEntity[h.entity] || 0) + qty;
+    row.hedges.push(h);
+  });
+  return Object.values(rows).sort((a, b) => a.calendar.lastTrade.localeCompare(b.calendar.lastTrade));
+}
+
+/**
+ * Contracts a position can roll into: the listed months after its own, over
+ * the next two years.
+ *
+ * @param {string} code - Current contract code
+ * @param {string[]} listed - The commodity's contract months
+ * @returns {string[]}
+ */
+export function deferredContracts(code, listed) {
+  const c = parseContractCode(code);
+  if (!c) return [];
+  const out = [];
+  [c.year, c.year + 1, c.year + 2].forEach(y => listed.forEach(m => {
+    const next = contractCode(c.symbol, m, y);
+    if (contractKey(y, m) > contractKey(c.year, c.month)) out.push(next);
+  }));
+  return out.filter(Boolean);
+}
@@ -0,0 +1,50 @@
+/**
+ * Minimal CSV parser (RFC 4180 style: quoted fields, escaped quotes,
+ * CRLF or LF line endings). Blank lines are skipped.
+ *
+ * @param {string} text - Raw file contents
+ * @returns {string[][]} - Rows of trimmed cell strings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell.trim()); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim()); cell = "";
+      if (row.some(c => c !== "")) rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell.trim());
+  if (row.some(c => c !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Format rows as CSV, quoting cells that contain commas, quotes or newlines.
+ *
+ * @param {(string|number|null)[][]} rows
+ * @returns {string} - CRLF-separated lines
+ */
+export function formatCsv(rows) {
+  const quote = (v) => {
+    const s = v === null || v === undefined ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(r => r.map(quote).join(",")).join("\r\n");
+}
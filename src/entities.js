@@ -0,0 +1,77 @@
+/**
+ * Entity registry.
+ *
+ * Entities live at entities/{name} as { type, order }. The name is the key
+ * used on hedges, consumption/{entity}, production/{entity} and role
+ * records, so it can't be changed once data refers to it. `type` says which
+ * side of the cash position the entity carries:
+ *   consumer — planned consumption by crop year (short cash)
+ *   producer — planned production by crop year and corn type (long cash)
+ *   both     — either, netted within the entity
+ */
+
+export const ENTITY_TYPES = ["consumer", "producer", "both"];
+
+export const DEFAULT_ENTITIES = {
+  "Hog Finishing": { type: "consumer", order: 0 },
+  "Feedlot": { type: "consumer", order: 1 },
+  "Farming": { type: "producer", order: 2 },
+};
+
+// Production used to be stored by year alone, for the one producing entity
+export const LEGACY_PRODUCER = "Farming";
+const isYearKey = (k) => /^\d{4}$/.test(k);
+
+// Names that would clash with filter options or audit entries
+const RESERVED_NAMES = ["All", "System"];
+
+/**
+ * Registry as a list, sorted by `order` then name.
+ *
+ * @param {object} registry - entities tree from Firebase
+ * @returns {{name: string, type: string, order: number}[]}
+ */
+export function entityList(registry) {
+  return Object.entries(registry || {})
+    .map(([name, e]) => ({ name, type: ENTITY_TYPES.includes(e?.type) ? e.type : "consumer", order: Number(e?.order) || 0 }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+export const consumes = (entity) => entity?.type === "consumer" || entity?.type === "both";
+
+export const produces = (entity) => entity?.type === "producer" || entity?.type === "both";
+
+/**
+ * Production keyed by entity. Year keys at the top level are the legacy
+ * single-producer layout and are read as LEGACY_PRODUCER's.
+ *
+ * @param {object} production - production tree from Firebase
+ * @returns {object} - { entity: { year: { cornType: bushels } } }
+ */
+export function normalizeProduction(production) {
+  const out = {};
+  const add = (entity, year, byType) => {
+    out[entity] = { ...(out[entity] || {}), [year]: { ...(out[entity]?.[year] || {}), ...byType } };
+  };
+  Object.entries(production || {}).forEach(([k, v]) => {
+    if (isYearKey(k)) add(LEGACY_PRODUCER, k, v);
+    else Object.entries(v || {}).forEach(([year, byType]) => add(k, year, byType));
+  });
+  return out;
+}
+
+/**
+ * Check a new entity name.
+ *
+ * @param {string} name
+ * @param {object} registry
+ * @returns {string} - Error message, or "" when the name can be used
+ */
+export function entityNameError(name, registry) {
+  if (!name) return "Enter a name";
+  if (/[.#$/[\]]/.test(name)) return "Names can't contain . # $ / [ or ]";
+  if (isYearKey(name)) return "Names can't be a year";
+  if (RESERVED_NAMES.includes(name)) return `"${name}" is reserved`;
+  if (Object.keys(registry || {}).some(k => k.toLowerCase() === name.toLowerCase())) return `${name} already exists`;
+  return "";
+}
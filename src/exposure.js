@@ -0,0 +1,33 @@
+import { contractTypeSpec } from "./contractTypes";
+import { openQuantity } from "./lifecycle";
+
+/**
+ * Signed futures-equivalent bushels a hedge contributes to exposure
+ * (Long = +, Short = −), per its contract type's rule. Options count at
+ * their Black-76 delta, basis and deferred-pricing contracts only once
+ * priced. Only the quantity still open counts.
+ *
+ * @param {object} hedge - Hedge row
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} [asOf] - Valuation date, YYYY-MM-DD
+ * @returns {number}
+ */
+export function hedgeExposure(hedge, settlements, asOf) {
+  const open = openQuantity(hedge, asOf);
+  if (open === 0) return 0;
+  return contractTypeSpec(hedge.contractType).futuresExposure({ ...hedge, quantity: open }, settlements, asOf);
+}
+
+/**
+ * Signed bushels of physical grain a hedge commits for delivery (Short) or
+ * receipt (Long), net of offsets. Zero for futures and options.
+ *
+ * @param {object} hedge - Hedge row
+ * @param {string} [asOf] - Valuation date, YYYY-MM-DD
+ * @returns {number}
+ */
+export function cashExposure(hedge, asOf) {
+  const open = openQuantity(hedge, asOf);
+  if (open === 0) return 0;
+  return contractTypeSpec(hedge.contractType).cashExposure({ ...hedge, quantity: open });
+}
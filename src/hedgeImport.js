@@ -0,0 +1,219 @@
+import { parseCsv } from "./csv";
+import { MONTHS, normalizeDate, contractCode, parseContractCode } from "./settlements";
+import { CONTRACT_TYPES, contractTypeSpec, fieldDefault } from "./contractTypes";
+import { commodityOf } from "./commodities";
+import { OPTION_TYPES } from "./options";
+
+/**
+ * Hedge import from broker statements.
+ *
+ * The wizard reads a CSV or XLSX file into rows of strings, maps columns to
+ * HEDGE_IMPORT_FIELDS (guessMapping suggests one from the header row), turns
+ * each row into a hedge with validateImportRows and flags rows that repeat a
+ * booked position or an earlier row before anything is saved.
+ */
+
+export const HEDGE_IMPORT_FIELDS = [
+  { key: "entity", label: "Entity", required: true, aliases: ["entity", "division"] },
+  { key: "cropYear", label: "Crop Year", required: true, aliases: ["crop year", "cropyear", "year"] },
+  { key: "commodity", label: "Commodity", aliases: ["commodity", "product", "crop"] },
+  { key: "contractType", label: "Contract Type", aliases: ["contract type", "type", "instrument"] },
+  { key: "contractMonth", label: "Contract Month", required: true, aliases: ["contract month", "month", "delivery", "contract"] },
+  { key: "quantity", label: "Quantity", required: true, aliases: ["quantity", "qty", "bushels", "bu", "tons"] },
+  { key: "direction", label: "Direction", aliases: ["direction", "side", "buy/sell", "b/s"] },
+  { key: "price", label: "Price", aliases: ["price", "fill price", "trade price"] },
+  { key: "dateEntered", label: "Trade Date", aliases: ["trade date", "date entered", "date"] },
+  // Options only. Kept last so header-less files map as before; the full
+  // headers are aliases so exact matches claim them ahead of price and date
+  { key: "optionType", label: "Put / Call", aliases: ["put/call", "put call", "call/put", "p/c", "c/p", "option type"] },
+  { key: "strike", label: "Strike", aliases: ["strike", "strike price"] },
+  { key: "premium", label: "Premium", aliases: ["premium", "option premium"] },
+  { key: "expiry", label: "Expiry", aliases: ["expiry", "expiration", "expiration date", "expiry date", "exp date"] },
+];
+
+/**
+ * Read the first sheet of a CSV or XLSX file.
+ *
+ * @param {File} file
+ * @returns {Promise<string[][]>} - Non-blank rows of trimmed cell strings
+ */
+export async function readSpreadsheet(file) {
+  if (/\.csv$/i.test(file.name) || file.type === "text/csv") return parseCsv(await file.text());
+  // Loaded on demand; only the import wizard needs it
+  const XLSX = await import("xlsx");
+  const book = XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: "yyyy-mm-dd", defval: "" })
+    .map(r => r.map(c => String(c).trim()))
+    .filter(r => r.some(c => c !== ""));
+}
+
+/**
+ * Suggest a column for each import field from a header row. Exact alias
+ * matches win over partial ones, which must be whole words of the header
+ * ("Qty (bu)" is a quantity, "Buy/Sell" isn't), and a column is used at
+ * most once.
+ *
+ * @param {string[]} header
+ * @returns {object} - { fieldKey: columnIndex | null }
+ */
+export function guessMapping(header) {
+  const cols = header.map(c => String(c).toLowerCase().trim());
+  const used = new Set();
+  const mapping = Object.fromEntries(HEDGE_IMPORT_FIELDS.map(f => [f.key, null]));
+  const words = (s) => ` ${s.split(/[^a-z0-9]+/).filter(Boolean).join(" ")} `;
+  [(c, a) => c === a, (c, a) => words(c).includes(words(a))].forEach(test => {
+    HEDGE_IMPORT_FIELDS.forEach(f => {
+      if (mapping[f.key] !== null) return;
+      const i = cols.findIndex((c, idx) => !used.has(idx) && f.aliases.some(a => test(c, a)));
+      if (i >= 0) { mapping[f.key] = i; used.add(i); }
+    });
+  });
+  return mapping;
+}
+
+const matchOption = (raw, options) => {
+  const s = raw.toLowerCase();
+  if (!s) return null;
+  return options.find(o => o.toLowerCase() === s) || options.find(o => o.toLowerCase().startsWith(s)) || null;
+};
+
+// "1,000", "$4.25", "(5,000)" → number; null if blank or unreadable
+const parseNumber = (raw) => {
+  const s = raw.replace(/[$,\s]/g, "");
+  if (!s) return null;
+  const neg = /^\(.*\)$/.test(s);
+  const n = parseFloat(s.replace(/[()]/g, ""));
+  return isNaN(n) ? null : neg ? -n : n;
+};
+
+const parseDirection = (raw) => {
+  if (/^(long|buy|bought|bot|b)$/i.test(raw)) return "Long";
+  if (/^(short|sell|sold|sld|s)$/i.test(raw)) return "Short";
+  return null;
+};
+
+// Contract-type fields read from their own columns
+const TYPE_FIELD_PARSERS = {
+  optionType: (raw) => matchOption(raw, OPTION_TYPES),
+  strike: parseNumber,
+  premium: parseNumber,
+  expiry: normalizeDate,
+};
+
+/**
+ * Turn mapped rows into hedges.
+ *
+ * Commodity defaults to the first one listed, contract type to Futures,
+ * trade date to today, and direction to the sign of the quantity. The
+ * contract month may be a contract code ("ZCN25"); futures and options get
+ * a code from the month's year, or else the crop year. For types
+ * without a generic price (options, basis, minimum price) the price column
+ * fills the type's price field. Options take put/call, strike, premium and
+ * expiry from their own columns where mapped (premium over price); other
+ * types ignore those columns.
+ *
+ * @param {string[][]} rows - Data rows (header removed)
+ * @param {object} mapping - { fieldKey: columnIndex | null }
+ * @param {object} options
+ * @param {string[]} options.entities - Entities the user may book for
+ * @param {{name: string, symbol: string, months: string[]}[]} options.commodities - From commodityList()
+ * @param {string[]} options.cropYears
+ * @param {number} [options.firstLine] - File line number of rows[0]
+ * @returns {{line: number, hedge: object, errors: string[]}[]}
+ */
+export function validateImportRows(rows, mapping, { entities, commodities, cropYears, firstLine = 1 }) {
+  const today = new Date().toISOString().slice(0, 10);
+
+  return rows.map((row, i) => {
+    const cell = (key) => (mapping[key] === null || mapping[key] === undefined ? "" : String(row[mapping[key]] ?? "").trim());
+    const errors = [];
+
+    const entity = matchOption(cell("entity"), entities);
+    if (!entity) errors.push(`Entity "${cell("entity")}" is unknown or not one you can trade`);
+
+    const commodityName = cell("commodity") ? matchOption(cell("commodity"), commodities.map(c => c.name)) : commodities[0]?.name;
+    const commodity = commodities.find(c => c.name === commodityName);
+    if (!commodity) errors.push(`Unknown commodity "${cell("commodity")}"`);
+
+    const contractType = cell("contractType") ? matchOption(cell("contractType"), CONTRACT_TYPES) : "Futures";
+    if (!contractType) errors.push(`Unknown contract type "${cell("contractType")}"`);
+
+    // "Jul", "July", "Jul 2025", "Jul25" or "ZCN25"; a year here fills a missing crop year
+    const monthCell = cell("contractMonth");
+    const code = parseContractCode(monthCell);
+    const contractMonth = code?.month || MONTHS.find(m => monthCell.toLowerCase().startsWith(m.toLowerCase())) || null;
+    if (!contractMonth) errors.push(`Unknown contract month "${monthCell}"`);
+    else if (commodity && !contractTypeSpec(contractType).physical && !commodity.months.includes(contractMonth)) {
+      errors.push(`${contractMonth} is not a listed ${commodity.name} contract month`);
+    }
+    const monthYear = code ? String(code.year) : monthCell.match(/(\d{4}|\d{2})$/)?.[1];
+    if (code && commodity && code.symbol && code.symbol !== commodity.symbol) errors.push(`${monthCell} is not a ${commodity.name} contract`);
+
+    const cropYear = cell("cropYear") || (monthYear ? (monthYear.length === 2 ? `20${monthYear}` : monthYear) : "");
+    if (!cropYears.includes(cropYear)) errors.push(`Crop year "${cropYear}" is not set up`);
+
+    const qty = parseNumber(cell("quantity"));
+    if (!qty) errors.push(`Quantity "${cell("quantity")}" is not a number`);
+
+    const direction = cell("direction") ? parseDirection(cell("direction")) : qty < 0 ? "Short" : "Long";
+    if (!direction) errors.push(`Direction "${cell("direction")}" should be Long/Short or Buy/Sell`);
+
+    const price = parseNumber(cell("price"));
+    if (cell("price") && price === null) errors.push(`Price "${cell("price")}" is not a number`);
+
+    const dateEntered = cell("dateEntered") ? normalizeDate(cell("dateEntered")) : today;
+    if (!dateEntered) errors.push(`Trade date "${cell("dateEntered")}" should be YYYY-MM-DD or M/D/YYYY`);
+
+    const spec = contractTypeSpec(contractType);
+    const contractYear = monthYear ? (monthYear.length === 2 ? `20${monthYear}` : monthYear) : cropYear;
+    const hedge = {
+      entity, cropYear, commodity: commodityName || null, contractType, contractMonth,
+      ...(spec.physical || !commodity ? {} : { contract: contractCode(commodity.symbol, contractMonth, contractYear) }),
+      quantity: Math.abs(Math.round(qty || 0)), direction,
+      price: spec.price ? price : null,
+      dateEntered, notes: "", cornType: "",
+    };
+    if (!spec.price && price !== null) hedge[spec.priceField] = price;
+    spec.fields.filter(f => TYPE_FIELD_PARSERS[f.key] && cell(f.key)).forEach(f => {
+      const v = TYPE_FIELD_PARSERS[f.key](cell(f.key));
+      if (v === null) errors.push(`${f.label} "${cell(f.key)}" can't be read`);
+      else hedge[f.key] = v;
+    });
+    spec.fields.forEach(f => {
+      if (hedge[f.key] === undefined) {
+        const v = fieldDefault(f, { ...hedge, calendar: commodity?.calendar });
+        if (v !== "" && v !== null && v !== undefined) hedge[f.key] = f.kind === "number" ? parseFloat(v) : v;
+      }
+      if (f.required && (hedge[f.key] === undefined || hedge[f.key] === null)) {
+        errors.push(`${f.label} is required for ${contractType} — map its column or book it from New Position`);
+      }
+    });
+
+    return { line: i + firstLine, hedge, errors };
+  });
+}
+
+// Positions that match on every imported field are treated as the same fill
+const fillKey = (h) => {
+  const spec = contractTypeSpec(h.contractType);
+  return [h.entity, h.cropYear, commodityOf(h), h.contractType, h.contractMonth, h.direction, Number(h.quantity), Number(h[spec.priceField] ?? h.price ?? 0), h.dateEntered, h.optionType ?? "", h.strike ?? ""].join("|");
+};
+
+/**
+ * Flag rows that repeat a booked hedge or an earlier row of the file.
+ *
+ * @param {{hedge: object}[]} results - From validateImportRows
+ * @param {object[]} existing - Hedges already booked
+ * @returns {object[]} - Results with `duplicate`: "existing", "file" or null
+ */
+export function markDuplicates(results, existing) {
+  const booked = new Set(existing.map(fillKey));
+  const seen = new Set();
+  return results.map(r => {
+    const key = fillKey(r.hedge);
+    const duplicate = booked.has(key) ? "existing" : seen.has(key) ? "file" : null;
+    seen.add(key);
+    return { ...r, duplicate };
+  });
+}
@@ -0,0 +1,113 @@
+import { LEGACY_PRODUCER } from "./entities";
+import { DEFAULT_COMMODITY } from "./commodities";
+
+/**
+ * Point-in-time reconstruction.
+ *
+ * Rather than replaying the whole audit log from the beginning (the seed data
+ * was never audited), the current state is rolled back by undoing, newest
+ * first, every audit entry recorded after the as-of date. Hedge entries carry
+ * a hedgeId and a field diff (a roll, or an exercise into futures, also
+ * names the position it opened as rolledId), and transfer, inventory and
+ * account ledger entries a transferId, inventoryId or ledgerId and diff
+ * likewise;
+ * consumption/production entries carry a `target` path ("consumption/Feedlot/Corn", "production/Farming/2025") and
+ * a diff keyed by year or sub-type; schedule entries target
+ * "schedules/Feedlot/Corn/2025/consumption" and usage entries
+ * "usage/Feedlot/Corn/2025/actual", with a diff keyed by month; livestock
+ * entries target the entity's settings ("livestock/Feedlot"), a year's head
+ * counts or a quarter's prices ("livestock/Feedlot/prices/2025/Q1").
+ * Older entries target "consumption/Feedlot"
+ * (written before commodities, so corn) or "production/2025" (before the
+ * entity registry, so the legacy producer's).
+ *
+ * An entry only undoes changes to its own entity's records: the database
+ * rules let a trader append entries for the entities they trade, so one
+ * naming another entity's hedge or path is skipped.
+ */
+
+// Set every diffed field back to its `from` value; null if nothing is left
+const undoDiff = (obj, diff) => {
+  const next = { ...(obj || {}) };
+  Object.entries(diff).forEach(([k, { from = null } = {}]) => {
+    if (from === null) delete next[k];
+    else next[k] = from;
+  });
+  return Object.keys(next).length > 0 ? next : null;
+};
+
+// Records other than hedges that audit entries name by id: the entry's id
+// field, the state they live in, the action that created them and the
+// field naming their entity (ledger entries are admin-only and have none)
+const RECORDS = [
+  ["transferId", "transfers", "Transfer Created", "from"],
+  ["inventoryId", "inventory", "Inventory Recorded", "entity"],
+  ["ledgerId", "accountLedger", "Account Entry Recorded", null],
+];
+
+// Entity a record belongs to, from the diff once it has been deleted
+const ownerOf = (record, diff, field) => record?.[field] ?? diff?.[field]?.from ?? diff?.[field]?.to;
+
+// Copy of `tree` with the diff undone at the node `keys` leads to
+const undoAt = (tree, [key, ...rest], diff) => ({
+  ...tree,
+  [key]: rest.length ? undoAt(tree?.[key] || {}, rest, diff) : undoDiff(tree?.[key], diff) || {},
+});
+
+/**
+ * Roll current state back to how it stood before a set of audit entries.
+ *
+ * @param {{hedges: object, transfers: object, inventory: object, accountLedger: object, consumption: object, production: object, schedules: object, usage: object, livestock: object}} current -
+ *   consumption keyed by entity and commodity, production by entity (see
+ *   normalizeConsumption and normalizeProduction)
+ * @param {object[]} entries - Audit entries after the as-of date, oldest first
+ * @returns {{hedges: object, transfers: object, inventory: object, accountLedger: object, consumption: object, production: object, schedules: object, usage: object, livestock: object, unresolved: number}}
+ *   `unresolved` counts relevant entries without a diff (written before diffs
+ *   were recorded), which could not be undone
+ */
+export function rollBack(current, entries) {
+  const state = {
+    hedges: { ...(current.hedges || {}) },
+    transfers: { ...(current.transfers || {}) },
+    inventory: { ...(current.inventory || {}) },
+    accountLedger: { ...(current.accountLedger || {}) },
+    consumption: { ...(current.consumption || {}) },
+    production: { ...(current.production || {}) },
+    schedules: { ...(current.schedules || {}) },
+    usage: { ...(current.usage || {}) },
+    livestock: { ...(current.livestock || {}) },
+  };
+  let unresolved = 0;
+
+  [...entries].reverse().forEach((e) => {
+    const record = RECORDS.find(([idField]) => e[idField]);
+    if (e.hedgeId) {
+      if (!e.diff) { unresolved++; return; }
+      if (ownerOf(state.hedges[e.hedgeId], e.diff, "entity") !== e.entity) return;
+      // Undoing a create removes the hedge, bookkeeping fields included
+      const prev = e.action === "Hedge Created" ? null : undoDiff(state.hedges[e.hedgeId], e.diff);
+      if (prev) state.hedges[e.hedgeId] = prev;
+      else delete state.hedges[e.hedgeId];
+      if (e.rolledId && state.hedges[e.rolledId]?.entity === e.entity) delete state.hedges[e.rolledId];
+    } else if (record) {
+      const [idField, root, created, owner] = record;
+      if (!e.diff) { unresolved++; return; }
+      if (owner && ownerOf(state[root][e[idField]], e.diff, owner) !== e.entity) return;
+      const prev = e.action === created ? null : undoDiff(state[root][e[idField]], e.diff);
+      if (prev) state[root][e[idField]] = prev;
+      else delete state[root][e[idField]];
+    } else if (e.target) {
+      const [root, ...keys] = e.target.split("/");
+      if (!state[root] || keys.length === 0) return;
+      if (!e.diff) { unresolved++; return; }
+      if (root === "production" && keys.length === 1) keys.unshift(LEGACY_PRODUCER);
+      if (root === "consumption" && keys.length === 1) keys.push(DEFAULT_COMMODITY);
+      if (keys[0] !== e.entity) return;
+      state[root] = undoAt(state[root], keys, e.diff);
+    } else if (e.action?.startsWith("Hedge")) {
+      unresolved++;
+    }
+  });
+
+  return { ...state, unresolved };
+}
@@ -0,0 +1,201 @@
+import { subTypesOf, commodityOf, productionEquivalent, subTypeConversion } from "./commodities";
+import { contractTypeSpec } from "./contractTypes";
+import { cashExposure } from "./exposure";
+
+/**
+ * Grain inventory: storage bins and what moves through them.
+ *
+ * Bins live at bins/{id} as { name, site, capacity, order }, with capacity
+ * in bushels (or the unit of what they hold). Each movement is stored at
+ * inventory/{id} as
+ *   { bin, entity, commodity, cropYear, subType, kind, quantity, date,
+ *     hedgeId, notes }
+ * with quantity in the sub-type's entered unit, like production, and
+ * hedgeId naming the cash contract a delivery fills. Harvest puts grain in;
+ * feed-out and deliveries take it out; an adjustment (shrink, a recount)
+ * is signed.
+ *
+ * Once a sub-type's harvest has started, the entity's production of it is
+ * the larger of the plan and what has been harvested (see
+ * actualProduction), so the plan holds until the harvest overtakes it.
+ */
+
+export const INVENTORY_KINDS = ["Harvest", "Feed Out", "Delivery", "Adjustment"];
+
+export const DEFAULT_BINS = {
+  "bin_home_1": { name: "Bin 1", site: "Home Farm", capacity: 250000, order: 0 },
+  "bin_home_2": { name: "Bin 2", site: "Home Farm", capacity: 250000, order: 1 },
+  "bin_north_1": { name: "Bin 1", site: "North Site", capacity: 400000, order: 0 },
+};
+
+// Effect of each kind on the grain on hand
+const SIGN = { "Harvest": 1, "Feed Out": -1, "Delivery": -1, "Adjustment": 1 };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Registry as a list, sorted by site, then `order`, then name.
+ *
+ * @param {object} registry - bins tree from Firebase
+ * @returns {{id: string, name: string, site: string, capacity: number, order: number}[]}
+ */
+export function binList(registry) {
+  return Object.entries(registry || {})
+    .map(([id, b]) => ({ id, name: b?.name || id, site: b?.site || "", capacity: Number(b?.capacity) || 0, order: Number(b?.order) || 0 }))
+    .sort((a, b) => a.site.localeCompare(b.site) || a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Signed change to the grain on hand
+export const inventoryChange = (t) => (SIGN[t.kind] || 0) * (Number(t.quantity) || 0);
+
+/**
+ * Movements of one commodity and crop year up to a date, oldest first.
+ *
+ * @param {object[]} transactions - Inventory rows (array form)
+ * @param {string} commodityName
+ * @param {string} year - Crop year
+ * @param {string} [asOf]
+ * @returns {object[]}
+ */
+export const inventoryOf = (transactions, commodityName, year, asOf = today()) =>
+  (transactions || [])
+    .filter(t => commodityOf(t) === commodityName && t.cropYear === year && t.date && t.date <= asOf)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * One entity's movements by sub-type, in each sub-type's entered unit.
+ *
+ * @param {object[]} transactions - From inventoryOf
+ * @param {string} entity
+ * @param {object} commodity - From commodityList()
+ * @returns {object} - { subType: { harvested, fedOut, delivered, adjusted, onHand } }
+ *   for every sub-type with a movement
+ */
+export function inventoryByType(transactions, entity, commodity) {
+  const out = {};
+  transactions.filter(t => t.entity === entity && subTypesOf(commodity).includes(t.subType)).forEach(t => {
+    const r = out[t.subType] || (out[t.subType] = { harvested: 0, fedOut: 0, delivered: 0, adjusted: 0, onHand: 0 });
+    const q = Number(t.quantity) || 0;
+    if (t.kind === "Harvest") r.harvested += q;
+    else if (t.kind === "Feed Out") r.fedOut += q;
+    else if (t.kind === "Delivery") r.delivered += q;
+    else if (t.kind === "Adjustment") r.adjusted += q;
+    r.onHand += inventoryChange(t);
+  });
+  return out;
+}
+
+/**
+ * Production by sub-type: for each sub-type whose harvest has started, the
+ * larger of the plan and the harvest so far, as entered.
+ *
+ * @param {object} planned - { subType: quantity } as entered
+ * @param {object[]} transactions - Inventory rows (array form)
+ * @param {string} entity
+ * @param {object} commodity
+ * @param {string} year - Crop year
+ * @param {string} [asOf]
+ * @returns {object} - { subType: quantity }
+ */
+export function actualProduction(planned, transactions, entity, commodity, year, asOf) {
+  const byType = inventoryByType(inventoryOf(transactions, commodity.name, year, asOf), entity, commodity);
+  const out = { ...(planned || {}) };
+  Object.entries(byType).forEach(([t, r]) => { if (r.harvested > 0) out[t] = Math.max(Number(out[t]) || 0, r.harvested); });
+  return out;
+}
+
+/**
+ * Grain in each bin as it was entered (silage in tons, high-moisture corn
+ * in wet bushels), since that is what takes up the space; capacity is in
+ * the same units. Dry equivalents are for positions only.
+ *
+ * @param {{id: string}[]} bins - From binList()
+ * @param {object[]} transactions - Inventory rows (array form)
+ * @param {object[]} commodities - From commodityList()
+ * @param {string} [asOf]
+ * @returns {object} - { binId: { total, byType: { subType: { quantity, unit } } } }
+ */
+export function binBalances(bins, transactions, commodities, asOf = today()) {
+  const out = Object.fromEntries(bins.map(b => [b.id, { total: 0, byType: {} }]));
+  (transactions || []).filter(t => out[t.bin] && t.date && t.date <= asOf).forEach(t => {
+    const c = commodities.find(x => x.name === commodityOf(t));
+    const q = inventoryChange(t);
+    const b = out[t.bin];
+    const row = b.byType[t.subType] ||= { quantity: 0, unit: c ? subTypeConversion(c, t.subType).unit : "" };
+    row.quantity += q;
+    b.total += q;
+  });
+  return out;
+}
+
+// Types whose price is set, so the grain behind them is no longer at risk
+const PRICED = {
+  "HTA": () => true,
+  "Basis Contract": (h) => h.futuresPrice !== undefined && h.futuresPrice !== null && h.futuresPrice !== "",
+  "Minimum Price": () => true,
+  "Deferred Pricing": (h) => h.price !== undefined && h.price !== null && h.price !== "",
+  "Cash Position": () => true,
+};
+
+/**
+ * Quantity still to deliver on each of an entity's cash sales.
+ *
+ * @param {object[]} hedges - The entity's positions for the commodity and crop year
+ * @param {object[]} transactions - From inventoryOf
+ * @param {object} commodity
+ * @param {string} [asOf]
+ * @returns {{hedge: object, sold: number, delivered: number, remaining: number, priced: boolean}[]} - In the commodity's unit
+ */
+export function undeliveredSales(hedges, transactions, commodity, asOf) {
+  return hedges
+    .filter(h => contractTypeSpec(h.contractType).physical && cashExposure(h, asOf) < 0)
+    .map(h => {
+      const sold = -cashExposure(h, asOf);
+      const delivered = transactions.filter(t => t.kind === "Delivery" && t.hedgeId === h.id).reduce((s, t) => s + productionEquivalent(commodity, t.subType, Number(t.quantity) || 0), 0);
+      return { hedge: h, sold, delivered, remaining: Math.max(sold - delivered, 0), priced: !!PRICED[h.contractType]?.(h) };
+    });
+}
+
+/**
+ * Where an entity's stored grain stands: on hand, and how much of it is not
+ * covered by a priced sale still to be delivered.
+ *
+ * @param {object} params
+ * @param {object[]} params.transactions - Inventory rows (array form)
+ * @param {object[]} params.hedges - The entity's positions for the commodity and crop year
+ * @param {string} params.entity
+ * @param {object} params.commodity
+ * @param {string} params.year - Crop year
+ * @param {string} [params.asOf]
+ * @returns {{onHand: number, pricedUndelivered: number, unpriced: number, started: boolean}} - In the commodity's unit
+ */
+export function storagePosition({ transactions, hedges, entity, commodity, year, asOf }) {
+  const txs = inventoryOf(transactions, commodity.name, year, asOf);
+  const byType = inventoryByType(txs, entity, commodity);
+  const onHand = Object.entries(byType).reduce((s, [t, r]) => s + productionEquivalent(commodity, t, r.onHand), 0);
+  const pricedUndelivered = undeliveredSales(hedges, txs, commodity, asOf).filter(s => s.priced).reduce((s, r) => s + r.remaining, 0);
+  return {
+    onHand, pricedUndelivered,
+    unpriced: Math.max(onHand - pricedUndelivered, 0),
+    started: Object.values(byType).some(r => r.harvested > 0),
+  };
+}
+
+/**
+ * Check a movement before it is saved.
+ *
+ * @param {object} t - { bin, entity, subType, kind, quantity, date }
+ * @param {{binIds: string[], subTypes: string[]}} options
+ * @returns {string} - Empty when valid
+ */
+export function inventoryError(t, { binIds, subTypes }) {
+  if (!INVENTORY_KINDS.includes(t.kind)) return "Choose what happened";
+  if (!binIds.includes(t.bin)) return "Choose a bin";
+  if (!t.entity) return "Choose an entity";
+  if (!subTypes.includes(t.subType)) return "Choose a type";
+  if (isNaN(t.quantity) || t.quantity === 0 || (t.kind !== "Adjustment" && t.quantity < 0)) {
+    return t.kind === "Adjustment" ? "Enter a non-zero adjustment (negative for shrink)" : "Quantity must be greater than zero";
+  }
+  if (!t.date) return "Date is required";
+  return "";
+}
@@ -0,0 +1,54 @@
+/**
+ * Leaf-level comparison of RTDB trees, shared by the leaf-mode writes in
+ * src/useFirebaseState.js and the replay of queued writes in
+ * src/syncStatus.js. A leaf is any non-object value (arrays count as one)
+ * and is addressed by its slash-separated path ("Feedlot/Corn/2025").
+ */
+
+// { "Feedlot/2025": 100, ... } for every non-object value in a tree
+export const flatten = (obj, prefix = "", out = {}) => {
+  if (obj === null || obj === undefined) return out;
+  if (typeof obj !== "object" || Array.isArray(obj)) {
+    out[prefix] = obj;
+    return out;
+  }
+  Object.entries(obj).forEach(([k, v]) => flatten(v, prefix ? `${prefix}/${k}` : k, out));
+  return out;
+};
+
+export const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Value at a slash-separated path, or undefined
+export const getLeaf = (obj, leafPath) =>
+  leafPath.split("/").reduce((node, k) => (node && typeof node === "object" ? node[k] : undefined), obj);
+
+// Copy of `obj` with one leaf set (or removed when `value` is undefined/null)
+export const setLeaf = (obj, leafPath, value) => {
+  const [head, ...rest] = leafPath.split("/");
+  const next = { ...(obj && typeof obj === "object" ? obj : {}) };
+  const child = rest.length ? setLeaf(next[head], rest.join("/"), value) : value;
+  if (child === undefined || child === null || (typeof child === "object" && Object.keys(child).length === 0)) delete next[head];
+  else next[head] = child;
+  return next;
+};
+
+// Leaf paths that differ between two trees
+export const changedLeaves = (before, after) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((p) => !same(a[p], b[p]));
+};
+
+// Update payload turning `before` into `after` one leaf at a time. A removal
+// is dropped when a write to an ancestor or descendant replaces it, as RTDB
+// rejects overlapping paths.
+export const leafUpdate = (before, after) => {
+  const b = flatten(after);
+  const changes = {};
+  changedLeaves(before, after).forEach((p) => { changes[p] = b[p] ?? null; });
+  const kept = Object.keys(changes).filter((p) => changes[p] !== null);
+  Object.keys(changes).forEach((p) => {
+    if (changes[p] === null && kept.some((k) => k.startsWith(`${p}/`) || p.startsWith(`${k}/`))) delete changes[p];
+  });
+  return changes;
+};
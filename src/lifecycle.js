@@ -0,0 +1,133 @@
+import { contractTypeSpec } from "./contractTypes";
+
+/**
+ * Position lifecycle: offsets, open quantity and status.
+ *
+ * Lifting all or part of a hedge records an offset against it rather than
+ * editing or deleting it, stored at hedges/{id}/offsets/{offsetId} as
+ *   { kind, quantity, price, date, notes }
+ * where price is in the terms of the position's Price column (the futures
+ * price, or the option premium). Only the quantity left open counts toward
+ * exposure and is marked to market; each offset realizes
+ *   (offset price − entry price) × quantity
+ * signed by direction. A roll closes the position with a "Rolled" offset,
+ * and a hedge closed by a roll before offsets existed carries
+ * closeDate/closePrice instead, read here as one.
+ */
+
+export const HEDGE_STATUSES = ["Open", "Partially Closed", "Closed", "Expired", "Exercised"];
+
+// "Rolled" is written only by a roll
+export const OFFSET_KINDS = ["Offset", "Expired", "Exercised", "Rolled"];
+
+const today = () => new Date().toISOString().slice(0, 10);
+const has = (v) => v !== undefined && v !== null && v !== "";
+
+/**
+ * Offset kinds that can be recorded by hand against a position.
+ *
+ * @param {string} contractType
+ * @returns {string[]}
+ */
+export const offsetKindsFor = (contractType) =>
+  contractTypeSpec(contractType).mark === "option" ? ["Offset", "Expired", "Exercised"] : ["Offset"];
+
+/**
+ * Offsets recorded against a hedge up to a date, oldest first.
+ *
+ * @param {object} hedge
+ * @param {string} [asOf] - YYYY-MM-DD (defaults to today)
+ * @returns {{id: string, kind: string, quantity: number, price: number|null, date: string, notes: string}[]}
+ */
+export function offsetsOf(hedge, asOf = today()) {
+  const offsets = Object.entries(hedge.offsets || {}).map(([id, o]) => ({
+    id, kind: o.kind || "Offset", quantity: Number(o.quantity) || 0, price: has(o.price) ? Number(o.price) : null, date: o.date, notes: o.notes || "",
+  }));
+  if (offsets.length === 0 && hedge.closeDate) {
+    offsets.push({ id: "close", kind: hedge.rolledTo ? "Rolled" : "Offset", quantity: Number(hedge.quantity) || 0, price: has(hedge.closePrice) ? Number(hedge.closePrice) : null, date: hedge.closeDate, notes: "" });
+  }
+  return offsets.filter(o => o.date && o.date <= asOf).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Every offset recorded, whatever its date
+export const offsetQuantity = (hedge) => offsetsOf(hedge, "9999-12-31").reduce((s, o) => s + o.quantity, 0);
+
+export const closedQuantity = (hedge, asOf) =>
+  Math.min(offsetsOf(hedge, asOf).reduce((s, o) => s + o.quantity, 0), hedge.quantity || 0);
+
+export const openQuantity = (hedge, asOf) => (hedge.quantity || 0) - closedQuantity(hedge, asOf);
+
+export const isClosed = (hedge, asOf) => (hedge.quantity || 0) > 0 && openQuantity(hedge, asOf) === 0;
+
+/**
+ * Where a position stands. A fully closed position takes its status from
+ * the last offset (a roll counts as closed).
+ *
+ * @param {object} hedge
+ * @param {string} [asOf]
+ * @returns {string} - One of HEDGE_STATUSES
+ */
+export function hedgeStatus(hedge, asOf) {
+  const offsets = offsetsOf(hedge, asOf);
+  if (offsets.length === 0) return "Open";
+  if (openQuantity(hedge, asOf) > 0) return "Partially Closed";
+  const last = offsets[offsets.length - 1].kind;
+  return last === "Expired" || last === "Exercised" ? last : "Closed";
+}
+
+// Entry price in the terms offsets are recorded in
+const entryPrice = (hedge) => {
+  const v = hedge[contractTypeSpec(hedge.contractType).priceField];
+  return has(v) ? Number(v) : null;
+};
+
+/**
+ * Gain or loss realized by a hedge's offsets.
+ *
+ * @param {object} hedge
+ * @param {string} [asOf]
+ * @returns {number|null} - null when the position or an offset has no price
+ */
+export function offsetPnl(hedge, asOf) {
+  const entry = entryPrice(hedge);
+  const offsets = offsetsOf(hedge, asOf);
+  if (entry === null || offsets.some(o => o.price === null)) return null;
+  const sign = hedge.direction === "Long" ? 1 : -1;
+  return offsets.reduce((s, o) => s + (o.price - entry) * o.quantity * sign, 0);
+}
+
+/**
+ * Check an offset before it is saved.
+ *
+ * @param {object} hedge - The position as stored
+ * @param {{quantity: number, price: number, date: string}} offset
+ * @returns {string} - Empty when valid
+ */
+export function offsetError(hedge, offset) {
+  const open = (hedge.quantity || 0) - offsetQuantity(hedge);
+  if (!(offset.quantity > 0)) return "Quantity must be greater than zero";
+  if (offset.quantity > open) return `Only ${open.toLocaleString()} remain open`;
+  if (isNaN(offset.price)) return "Price is required";
+  if (!offset.date) return "Date is required";
+  if (hedge.dateEntered && offset.date < hedge.dateEntered) return "Date is before the position was entered";
+  return "";
+}
+
+/**
+ * Futures position an exercised option turns into: at the strike, long for
+ * a long call or short put, short otherwise.
+ *
+ * @param {object} option - The option hedge
+ * @param {number} quantity - Quantity exercised
+ * @param {string} date
+ * @returns {object} - Hedge fields (no id or bookkeeping)
+ */
+export function exercisedFutures(option, quantity, date) {
+  const long = (option.optionType === "Call") === (option.direction === "Long");
+  return {
+    entity: option.entity, cropYear: option.cropYear, commodity: option.commodity, contractType: "Futures",
+    contractMonth: option.contractMonth, ...(option.contract ? { contract: option.contract } : {}),
+    quantity, direction: long ? "Long" : "Short", price: Number(option.strike),
+    dateEntered: date, notes: "", cornType: "",
+  };
+}
@@ -0,0 +1,171 @@
+import { contractKey, hedgeContractKey, parseContractKey } from "./settlements";
+import { contractTypeSpec } from "./contractTypes";
+import { DEFAULT_COMMODITY, commodityOf } from "./commodities";
+import { openQuantity } from "./lifecycle";
+
+/**
+ * Livestock margin.
+ *
+ * A livestock entity can carry, at livestock/{entity},
+ *   { output, feed, saleWeight, feedPerHead, otherCost,
+ *     head: { year: { Q1: head, ... } },
+ *     prices: { year: { Q1: { output, outputBasis, feed, feedBasis } } } }
+ * where output is the commodity it sells (Lean Hogs, Live Cattle) and feed
+ * the one it buys, saleWeight is output units (cwt) per head marketed,
+ * feedPerHead feed units per head and otherCost the remaining cost per head
+ * in dollars. head is the number marketed in each calendar quarter, and
+ * prices the local cash price and basis (local less futures) expected then.
+ *
+ * Output hedges are ordinary positions in the output commodity. A hedge
+ * counts in the quarter of its contract month (delivery month for cash
+ * contracts): short futures and sales, long puts and short calls price the
+ * output; long futures and purchases, long calls and short puts price the
+ * feed. Each locks in a price for its open quantity (futures at their price
+ * plus the quarter's basis, a put as a floor and a call as a ceiling net of
+ * premium), and whatever the hedges don't cover is priced off the local
+ * table. The margin per head is output revenue less feed and other costs.
+ */
+
+export const QUARTERS = ["Q1", "Q2", "Q3", "Q4"];
+
+export const DEFAULT_LIVESTOCK = {
+  "Hog Finishing": { output: "Lean Hogs", feed: "Corn", saleWeight: 2.1, feedPerHead: 10, otherCost: 45 },
+  "Feedlot": { output: "Live Cattle", feed: "Corn", saleWeight: 13.5, feedPerHead: 55, otherCost: 180 },
+};
+
+const has = (v) => v !== undefined && v !== null && v !== "";
+const num = (v) => (has(v) && !isNaN(Number(v)) ? Number(v) : null);
+
+/**
+ * Settings with numbers parsed; null when the entity tracks no margin.
+ *
+ * @param {object} [raw] - livestock/{entity} from Firebase
+ * @returns {object|null}
+ */
+export function livestockSettings(raw) {
+  if (!raw?.output) return null;
+  return {
+    output: raw.output,
+    feed: raw.feed || DEFAULT_COMMODITY,
+    saleWeight: num(raw.saleWeight) || 0,
+    feedPerHead: num(raw.feedPerHead) || 0,
+    otherCost: num(raw.otherCost) || 0,
+    head: raw.head || {},
+    prices: raw.prices || {},
+  };
+}
+
+// Calendar year and quarter a hedge prices
+const hedgeQuarter = (h) => {
+  const key = contractTypeSpec(h.contractType).physical ? contractKey(h.cropYear, h.contractMonth, commodityOf(h)) : hedgeContractKey(h);
+  const k = key && parseContractKey(key);
+  return k ? { year: String(k.year), quarter: QUARTERS[Math.floor((k.month - 1) / 3)] } : null;
+};
+
+// Whether a hedge prices the output ("sell") or the feed ("buy")
+const sideOf = (h) => {
+  const long = h.direction === "Long";
+  if (h.contractType === "Options") return long === (h.optionType === "Put") ? "sell" : "buy";
+  return long ? "buy" : "sell";
+};
+
+/**
+ * Price a hedge locks in for the cash it covers, given the quarter's local
+ * price and basis. Open legs (unpriced basis or deferred contracts) take the
+ * local price.
+ *
+ * @param {object} h - Hedge row
+ * @param {number|null} local - Local cash price
+ * @param {number} basis - Local less futures
+ * @returns {number|null}
+ */
+export function lockedPrice(h, local, basis) {
+  const price = num(h.price);
+  switch (h.contractType) {
+    case "Options": {
+      const strike = num(h.strike);
+      if (strike === null) return local;
+      const premium = num(h.premium) || 0;
+      const level = strike + basis;
+      // A put is a floor under the price, a call a ceiling over it
+      if (h.optionType === "Put") return (local === null ? level : Math.max(local, level)) - premium;
+      return (local === null ? level : Math.min(local, level)) + premium;
+    }
+    case "HTA": return price === null ? local : price + (num(h.basisLevel) ?? basis);
+    case "Basis Contract": return num(h.futuresPrice) === null ? local : num(h.futuresPrice) + (num(h.basisLevel) || 0);
+    case "Minimum Price": {
+      const floor = num(h.floor) || 0;
+      const fee = num(h.serviceFee) || 0;
+      if (local === null) return h.direction === "Long" ? floor + fee : floor - fee;
+      return h.direction === "Long" ? Math.min(local, floor) + fee : Math.max(local, floor) - fee;
+    }
+    case "Deferred Pricing":
+    case "Cash Position": return price ?? local;
+    default: return price === null ? local : price + basis;
+  }
+}
+
+/**
+ * One side of a quarter: what is needed, how much of it hedges cover and
+ * the blended price.
+ *
+ * @param {object[]} hedges - The hedges pricing this side in the quarter
+ * @param {number} need - Units required
+ * @param {number|null} local - Local cash price
+ * @param {number} basis
+ * @param {string} [asOf]
+ * @returns {{need: number, hedged: number, pct: number, price: number|null}}
+ *   price is null when part of the need has no hedge or local price
+ */
+export function pricedLeg(hedges, need, local, basis, asOf) {
+  const legs = hedges.map(h => ({ quantity: openQuantity(h, asOf), price: lockedPrice(h, local, basis) })).filter(l => l.quantity > 0);
+  const hedged = legs.reduce((s, l) => s + l.quantity, 0);
+  const covered = Math.min(hedged, need);
+  const lockedValue = legs.some(l => l.price === null) ? null : legs.reduce((s, l) => s + l.quantity * l.price, 0);
+  const avg = hedged > 0 && lockedValue !== null ? lockedValue / hedged : null;
+  const open = need - covered;
+  let price = null;
+  if (need > 0 && (covered === 0 || avg !== null) && (open === 0 || local !== null)) {
+    price = ((covered ? covered * avg : 0) + (open ? open * local : 0)) / need;
+  }
+  return { need, hedged, pct: need > 0 ? (hedged / need) * 100 : 0, price };
+}
+
+/**
+ * Projected margin per head by year and quarter.
+ *
+ * @param {object} params
+ * @param {object} params.settings - From livestockSettings()
+ * @param {object[]} params.hedges - Hedge rows (array form)
+ * @param {string} params.entity
+ * @param {string[]} params.years
+ * @param {string} [params.asOf]
+ * @returns {object[]} - One per year: { year, quarters: [{ quarter, head,
+ *   output, feed, revenue, cost, margin }], head, margin }, where output and
+ *   feed are pricedLeg results and revenue, cost and margin are per head
+ *   (null where a price is missing); the year's margin is weighted by head
+ *   over the quarters that have one
+ */
+export function marginGrid({ settings, hedges, entity, years, asOf }) {
+  const own = hedges.filter(h => h.entity === entity && (commodityOf(h) === settings.output || commodityOf(h) === settings.feed));
+  const placed = own.map(h => ({ h, at: hedgeQuarter(h), side: sideOf(h) }));
+  return years.map(year => {
+    const quarters = QUARTERS.map(quarter => {
+      const head = num(settings.head?.[year]?.[quarter]) || 0;
+      const p = settings.prices?.[year]?.[quarter] || {};
+      const inQuarter = (commodity, side) => placed
+        .filter(x => x.at?.year === year && x.at.quarter === quarter && x.side === side && commodityOf(x.h) === commodity)
+        .map(x => x.h);
+      const output = pricedLeg(inQuarter(settings.output, "sell"), head * settings.saleWeight, num(p.output), num(p.outputBasis) || 0, asOf);
+      const feed = pricedLeg(inQuarter(settings.feed, "buy"), head * settings.feedPerHead, num(p.feed), num(p.feedBasis) || 0, asOf);
+      const revenue = output.price === null ? null : output.price * settings.saleWeight;
+      const cost = feed.price === null && settings.feedPerHead > 0 ? null : (feed.price || 0) * settings.feedPerHead + settings.otherCost;
+      const margin = head > 0 && revenue !== null && cost !== null ? revenue - cost : null;
+      return { quarter, head, output, feed, revenue, cost, margin };
+    });
+    const priced = quarters.filter(q => q.margin !== null);
+    const head = quarters.reduce((s, q) => s + q.head, 0);
+    const pricedHead = priced.reduce((s, q) => s + q.head, 0);
+    return { year, quarters, head, margin: pricedHead > 0 ? priced.reduce((s, q) => s + q.margin * q.head, 0) / pricedHead : null };
+  });
+}
@@ -0,0 +1,101 @@
+import { auth } from "./firebase";
+
+/**
+ * IndexedDB storage for offline use.
+ *
+ *   cache — last value received from Firebase for each synced path, so the
+ *           app can open without a connection
+ *   queue — writes not yet acknowledged by the server (see src/syncStatus.js)
+ *
+ * Both belong to the signed-in user: cache entries are keyed "{uid}/{path}"
+ * and queued writes carry the uid, so another user of the same browser
+ * neither sees nor resends them, and clearUserData() removes them on
+ * sign-out. Nothing is read or stored while signed out.
+ *
+ * Every call degrades to a no-op where IndexedDB is unavailable (private
+ * browsing in some browsers); the app then simply works online-only.
+ */
+
+const DB_NAME = "corn-hedging-tracker";
+// Version 1 kept one cache and queue for every user of the browser
+const DB_VERSION = 2;
+
+const owner = () => auth.currentUser?.uid || null;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        // Entries from before they were keyed by user can't be attributed
+        // to anyone, so they are dropped
+        [...req.result.objectStoreNames].forEach((name) => req.result.deleteObjectStore(name));
+        req.result.createObjectStore("cache");
+        req.result.createObjectStore("queue", { keyPath: "id", autoIncrement: true }).createIndex("uid", "uid");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in its own transaction; resolves with the request's result
+// once the transaction has committed
+async function run(storeName, mode, makeRequest) {
+  const idb = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Last cached value for a path.
+ *
+ * @param {string} path
+ * @returns {Promise<*>} - undefined when nothing is cached
+ */
+export const readCache = (path) =>
+  (owner() ? run("cache", "readonly", (s) => s.get(`${owner()}/${path}`)).catch(() => undefined) : Promise.resolve(undefined));
+
+export const writeCache = (path, value) =>
+  (owner() ? run("cache", "readwrite", (s) => s.put(value, `${owner()}/${path}`)).catch(() => {}) : Promise.resolve());
+
+/**
+ * Persist a pending write.
+ *
+ * @param {{path: string, op: "set"|"update", value: *, base: *, queuedAt: string}} write
+ * @returns {Promise<number|null>} - Queue id, or null if it could not be stored
+ */
+export const enqueueWrite = (write) =>
+  (owner() ? run("queue", "readwrite", (s) => s.add({ ...write, uid: owner() })).catch(() => null) : Promise.resolve(null));
+
+export const dequeueWrite = (id) =>
+  run("queue", "readwrite", (s) => s.delete(id)).catch(() => {});
+
+// Every write the signed-in user has stored, oldest first
+export const queuedWrites = () =>
+  (owner() ? run("queue", "readonly", (s) => s.index("uid").getAll(owner())).catch(() => []) : Promise.resolve([]));
+
+/**
+ * Remove a user's cached data and queued writes.
+ *
+ * @param {string} uid
+ * @returns {Promise}
+ */
+export async function clearUserData(uid) {
+  try {
+    await run("cache", "readwrite", (s) => s.delete(IDBKeyRange.bound(`${uid}/`, `${uid}/\uffff`)));
+    const ids = await run("queue", "readonly", (s) => s.index("uid").getAllKeys(uid));
+    await Promise.all(ids.map((id) => dequeueWrite(id)));
+  } catch {
+    // Nothing stored, or IndexedDB unavailable
+  }
+}
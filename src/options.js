@@ -0,0 +1,43 @@
+import { black76 } from "./black76";
+import { MONTHS, hedgeContractKey, latestSettlement, parseContractKey } from "./settlements";
+import { calendarDates } from "./calendars";
+
+export const OPTION_TYPES = ["Call", "Put"];
+export const DEFAULT_VOLATILITY = 25; // percent
+
+const today = () => new Date().toISOString().slice(0, 10);
+const yearsBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / (365 * 86400000);
+
+/**
+ * Value an option hedge with Black-76 against the settlement table.
+ *
+ * The underlying is the futures settlement for the hedge's contract month on
+ * or before the valuation date (or expiry, if earlier). Without a settlement
+ * the option is valued at the money. Legacy rows without an expiry take the
+ * option expiry of their commodity's calendar (src/calendars.js).
+ *
+ * @param {object} hedge - Options hedge (optionType, strike, expiry, volatility,
+ *   and the commodity's `calendar`)
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} [asOf] - Valuation date, YYYY-MM-DD
+ * @returns {{forward: number, forwardDate: string|null, price: number, delta: number, expired: boolean} | null}
+ *   null for legacy option rows with no strike
+ */
+export function optionValuation(hedge, settlements, asOf = today()) {
+  const strike = Number(hedge.strike);
+  if (!hedge.strike || !strike) return null;
+  const key = hedgeContractKey(hedge);
+  const k = key && parseContractKey(key);
+  const expiry = hedge.expiry || (k ? calendarDates(hedge.calendar, k.year, MONTHS[k.month - 1]).optionExpiry : asOf);
+  const expired = expiry < asOf;
+  const s = key ? latestSettlement(settlements, key, expired ? expiry : asOf) : null;
+  const forward = s ? s.price : strike;
+  const { price, delta } = black76({
+    type: hedge.optionType === "Put" ? "Put" : "Call",
+    forward,
+    strike,
+    years: expired ? 0 : yearsBetween(asOf, expiry),
+    vol: (Number(hedge.volatility) || DEFAULT_VOLATILITY) / 100,
+  });
+  return { forward, forwardDate: s?.date || null, price, delta, expired };
+}
@@ -0,0 +1,101 @@
+import { useState, useEffect } from "react";
+import { ref, onValue, set, update } from "firebase/database";
+import { db } from "./firebase";
+import { readCache, writeCache } from "./offlineCache";
+
+/**
+ * Role records live at roles/{uid}:
+ *   { admin: true }                                   — full access
+ *   { entities: { "Feedlot": "trader", "Farming": "viewer" } }
+ *
+ * A viewer can see an entity's positions and figures; a trader can also
+ * book hedges and edit its consumption/production. Only admins manage crop
+ * years, settlement prices and roles. database.rules.json enforces the same
+ * rules on the server, reads included: data kept per entity can only be
+ * read one entity at a time (see the `scope` option of useFirebaseState),
+ * and only admins can read a whole path.
+ */
+export const ENTITY_ROLES = ["none", "viewer", "trader"];
+
+/**
+ * Build permission checks from a role record.
+ *
+ * @param {object|null} record - roles/{uid} value
+ * @returns {{isMember: boolean, isAdmin: boolean, viewable: string[], canView: (entity: string) => boolean, canTrade: (entity: string) => boolean}}
+ *   viewable lists the entities the record grants a role on; admins can view
+ *   every entity without one
+ */
+export function permissionsFor(record) {
+  const isAdmin = record?.admin === true;
+  const roleOf = (entity) => record?.entities?.[entity];
+  return {
+    isMember: !!record,
+    isAdmin,
+    viewable: Object.keys(record?.entities || {}),
+    canView: (entity) => isAdmin || roleOf(entity) === "viewer" || roleOf(entity) === "trader",
+    canTrade: (entity) => isAdmin || roleOf(entity) === "trader",
+  };
+}
+
+/**
+ * Subscribe to the signed-in user's role record.
+ *
+ * @param {string} uid
+ * @returns {[object|null, boolean]} - [record, loading]
+ */
+export function useRoleRecord(uid) {
+  const [record, setRecord] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    let received = false;
+    // Cached record lets the app open offline (see src/offlineCache.js)
+    readCache(`roles/${uid}`).then((cached) => {
+      if (received || !cached) return;
+      setRecord(cached);
+      setLoading(false);
+    });
+    return onValue(ref(db, `roles/${uid}`), (snapshot) => {
+      received = true;
+      setRecord(snapshot.val());
+      writeCache(`roles/${uid}`, snapshot.val());
+      setLoading(false);
+    }, () => {
+      received = true;
+      setRecord(null);
+      setLoading(false);
+    });
+  }, [uid]);
+
+  return [record, loading];
+}
+
+/**
+ * Subscribe to the user directory and every role record (admins only).
+ *
+ * @param {boolean} enabled - Only admins may read these paths
+ * @returns {{users: object, roles: object}}
+ */
+export function useUserDirectory(enabled) {
+  const [users, setUsers] = useState({});
+  const [roles, setRoles] = useState({});
+
+  useEffect(() => {
+    if (!enabled) return;
+    const offUsers = onValue(ref(db, "users"), (s) => setUsers(s.val() || {}));
+    const offRoles = onValue(ref(db, "roles"), (s) => setRoles(s.val() || {}));
+    return () => { offUsers(); offRoles(); };
+  }, [enabled]);
+
+  return { users, roles };
+}
+
+// Record the user's profile so admins can find them when granting roles
+export const registerUser = (stamp, email) =>
+  update(ref(db, `users/${stamp.uid}`), { name: stamp.name, email: email || null, lastSeen: new Date().toISOString() });
+
+export const saveRoleRecord = (uid, record) => set(ref(db, `roles/${uid}`), record);
+
+// Succeeds only while no roles exist yet (see database.rules.json)
+export const claimFirstAdmin = (uid) => set(ref(db, `roles/${uid}`), { admin: true });
@@ -0,0 +1,107 @@
+import { hedgeContractKey, latestSettlement, contractEndDate } from "./settlements";
+import { optionValuation } from "./options";
+import { contractTypeSpec } from "./contractTypes";
+import { offsetsOf, openQuantity, offsetPnl } from "./lifecycle";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Mark a single hedge to market.
+ *
+ * A position is realized once its contract month has ended (the last
+ * settlement on or before month end is the final price); before that its
+ * P&L is unrealized against the latest settlement. Offsets realize at their
+ * own price and only the quantity left open is marked (see
+ * src/lifecycle.js). Options are valued with Black-76 against their premium
+ * and realize at expiry. Which positions are marked, and how, comes from the
+ * contract type registry.
+ *
+ * @param {object} hedge - Hedge row (entity, cropYear, contractMonth, ...)
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} [asOf] - Valuation date, YYYY-MM-DD (defaults to today)
+ * @returns {{settle: number, settleDate: string, realized: number, unrealized: number} | null}
+ *   null when the position can't be valued (unmarked type, no price, no
+ *   settlement); settle is the last offset price once fully closed
+ */
+export function hedgePnl(hedge, settlements, asOf = today()) {
+  const { mark } = contractTypeSpec(hedge.contractType);
+  if (mark !== "option" && mark !== "futures") return null;
+  const offsets = offsetsOf(hedge, asOf);
+  const closed = offsets.length ? offsetPnl(hedge, asOf) : 0;
+  if (closed === null) return null;
+
+  const open = openQuantity(hedge, asOf);
+  if (open === 0 && offsets.length) {
+    const last = offsets[offsets.length - 1];
+    return { settle: last.price, settleDate: last.date, realized: closed, unrealized: 0 };
+  }
+  const r = (mark === "option" ? optionPnl : futuresPnl)({ ...hedge, quantity: open }, settlements, asOf);
+  return r && { ...r, realized: r.realized + closed };
+}
+
+function futuresPnl(hedge, settlements, asOf) {
+  if (hedge.price === null || hedge.price === undefined || hedge.price === "") return null;
+  const key = hedgeContractKey(hedge);
+  if (!key) return null;
+
+  const expired = contractEndDate(key) < asOf;
+  const s = latestSettlement(settlements, key, expired ? contractEndDate(key) : asOf);
+  if (!s) return null;
+
+  const sign = hedge.direction === "Long" ? 1 : -1;
+  const value = (s.price - Number(hedge.price)) * (hedge.quantity || 0) * sign;
+  return {
+    settle: s.price,
+    settleDate: s.date,
+    realized: expired ? value : 0,
+    unrealized: expired ? 0 : value,
+  };
+}
+
+function optionPnl(hedge, settlements, asOf) {
+  const premium = Number(hedge.premium);
+  if (hedge.premium === undefined || hedge.premium === null || hedge.premium === "" || isNaN(premium)) return null;
+  const v = optionValuation(hedge, settlements, asOf);
+  if (!v || !v.forwardDate) return null;
+
+  const sign = hedge.direction === "Long" ? 1 : -1;
+  const value = (v.price - premium) * (hedge.quantity || 0) * sign;
+  return {
+    settle: v.price,
+    settleDate: v.forwardDate,
+    realized: v.expired ? value : 0,
+    unrealized: v.expired ? 0 : value,
+  };
+}
+
+const emptyPnl = () => ({ realized: 0, unrealized: 0, total: 0, valued: 0, unvalued: 0 });
+
+const addTo = (bucket, r) => {
+  if (!r) { bucket.unvalued++; return; }
+  bucket.realized += r.realized;
+  bucket.unrealized += r.unrealized;
+  bucket.total += r.realized + r.unrealized;
+  bucket.valued++;
+};
+
+/**
+ * Roll hedge P&L up by entity, by crop year and in total.
+ *
+ * @param {object[]} hedges - Hedge rows (array form)
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} [asOf] - Valuation date, YYYY-MM-DD
+ * @returns {{byEntity: object, byYear: object, total: object}} - Each bucket is
+ *   { realized, unrealized, total, valued, unvalued }
+ */
+export function summarizePnl(hedges, settlements, asOf = today()) {
+  const byEntity = {};
+  const byYear = {};
+  const total = emptyPnl();
+  hedges.forEach(h => {
+    const r = hedgePnl(h, settlements, asOf);
+    addTo(byEntity[h.entity] ||= emptyPnl(), r);
+    addTo(byYear[h.cropYear] ||= emptyPnl(), r);
+    addTo(total, r);
+  });
+  return { byEntity, byYear, total };
+}
@@ -0,0 +1,85 @@
+/**
+ * Hedge policy: the board's hedge ratio bands and dated coverage targets.
+ *
+ * Stored at policies/{entity}/{commodity}/{year} as
+ *   { min, max, targets: { id: { label, date, pct } } }
+ * with percentages of the position the entity's Hedge % is measured
+ * against (see entityPositions). A target ("50% by planting") raises the
+ * minimum from its date on. An entity without a policy is not checked.
+ */
+
+const today = () => new Date().toISOString().slice(0, 10);
+const num = (v) => (v === undefined || v === null || v === "" || isNaN(Number(v)) ? null : Number(v));
+
+/**
+ * Policy as stored, with numbers parsed and targets oldest first.
+ *
+ * @param {object} [raw] - { min, max, targets }
+ * @returns {{min: number|null, max: number|null, targets: {id: string, label: string, date: string, pct: number}[]} | null}
+ *   null when nothing is set
+ */
+export function normalizePolicy(raw) {
+  if (!raw) return null;
+  const targets = Object.entries(raw.targets || {})
+    .map(([id, t]) => ({ id, label: t.label || "", date: t.date, pct: num(t.pct) }))
+    .filter(t => t.date && t.pct !== null)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const min = num(raw.min);
+  const max = num(raw.max);
+  return min === null && max === null && targets.length === 0 ? null : { min, max, targets };
+}
+
+// One entity's policy for a commodity and crop year (see normalizePolicy)
+export const policyOf = (policies, entity, commodityName, year) =>
+  normalizePolicy(policies?.[entity]?.[commodityName]?.[year]);
+
+/**
+ * Check a hedge ratio against a policy.
+ *
+ * @param {object|null} policy - From policyOf
+ * @param {number} pct - Hedge %
+ * @param {string} [asOf] - YYYY-MM-DD (defaults to today)
+ * @returns {{status: "none"|"under"|"over"|"ok", min: number|null, max: number|null, due: object|null, next: object|null}}
+ *   min is the effective minimum (the band's, or a target's once due); due
+ *   is the latest target reached and next the first still ahead
+ */
+export function checkPolicy(policy, pct, asOf = today()) {
+  if (!policy) return { status: "none", min: null, max: null, due: null, next: null };
+  const due = policy.targets.filter(t => t.date <= asOf).reduce((best, t) => (!best || t.pct > best.pct ? t : best), null);
+  const next = policy.targets.find(t => t.date > asOf) || null;
+  const min = Math.max(policy.min ?? 0, due?.pct ?? 0) || null;
+  const { max } = policy;
+  const status = max !== null && pct > max ? "over" : min !== null && pct < min ? "under" : "ok";
+  return { status, min, max, due, next };
+}
+
+/**
+ * Check a policy before it is saved.
+ *
+ * @param {{min: number|null, max: number|null, targets: object[]}} policy
+ * @returns {string} - Empty when valid
+ */
+export function policyError({ min, max, targets }) {
+  const outOfRange = (v) => v !== null && (v < 0 || v > 200);
+  if (outOfRange(min) || outOfRange(max)) return "Percentages must be between 0 and 200";
+  if (min !== null && max !== null && min > max) return "Minimum is above the maximum";
+  for (const t of targets) {
+    if (!t.date) return "Every target needs a date";
+    if (t.pct === null || outOfRange(t.pct)) return `Target ${t.label || t.date} needs a percentage between 0 and 200`;
+    if (max !== null && t.pct > max) return `Target ${t.label || t.date} is above the maximum`;
+  }
+  return "";
+}
+
+/**
+ * Short description of a policy for labels and audit entries.
+ *
+ * @param {object|null} policy - From policyOf
+ * @returns {string}
+ */
+export function describePolicy(policy) {
+  if (!policy) return "No policy";
+  const band = policy.min !== null || policy.max !== null ? `${policy.min ?? 0}–${policy.max ?? "∞"}%` : "";
+  const targets = policy.targets.map(t => `${t.pct}% by ${t.label || t.date}`);
+  return [band, ...targets].filter(Boolean).join(", ");
+}
@@ -0,0 +1,105 @@
+import { hedgeExposure, cashExposure } from "./exposure";
+import { summarizePnl } from "./pnl";
+import { consumes, produces } from "./entities";
+import { subTypesOf, commodityOf, productionEquivalent } from "./commodities";
+import { transferExposure } from "./transfers";
+import { actualProduction } from "./inventory";
+import { usageProjection } from "./usage";
+
+const noPnl = () => ({ realized: 0, unrealized: 0, total: 0, valued: 0, unvalued: 0 });
+
+const sumValues = (obj) => Object.values(obj || {}).reduce((s, v) => s + (v || 0), 0);
+
+// Share of a signed exposure (+ long the physical, − short) that a signed
+// hedge offsets
+const coverage = (hedged, exposure) => (exposure !== 0 ? -hedged / exposure * 100 : 0);
+
+/**
+ * Cash, hedge and net position of each registered entity in one commodity
+ * for one crop year, in the commodity's unit.
+ *
+ * Consumption counts for consumers and production for producers; an entity
+ * that is both nets the two. Production is converted from each sub-type's
+ * entered unit and moisture to standard-moisture units first (see
+ * subTypeConversion); a sub-type whose harvest has started counts what was
+ * actually harvested instead of the plan (see src/inventory.js). Internal
+ * transfers (see src/transfers.js) count alongside hedges, so they offset
+ * both sides' exposure. Consumption is the budget re-projected from the
+ * usage recorded so far (see src/usage.js). Hedge % is the signed hedge
+ * against whichever side the entity carries: for consumers the need still
+ * ahead of them, for "both" the net of the two. Only hedges opposite that
+ * side cover it, so a short hedge on a consumer lowers the figure (below
+ * zero once it outweighs the longs). The total's is the consolidated
+ * ratio, hedges against the enterprise's cash position once its own
+ * production has covered its consumption (the natural hedge).
+ *
+ * @param {object} params
+ * @param {{name: string, type: string}[]} params.entities - From entityList()
+ * @param {object} params.commodity - From commodityList()
+ * @param {string} params.year - Crop year
+ * @param {object} params.consumption - { entity: { commodity: { year: quantity } } }
+ * @param {object} params.production - { entity: { year: { subType: quantity } } }
+ * @param {object[]} params.hedges - Hedge rows (array form)
+ * @param {object[]} [params.transfers] - Internal transfer rows (array form)
+ * @param {object[]} [params.inventory] - Inventory movements (array form)
+ * @param {object} [params.usage] - usage tree from Firebase
+ * @param {object} [params.schedules] - schedules tree from Firebase
+ * @param {object} params.settlements - settlements tree from Firebase
+ * @param {string} [params.asOf] - Valuation date, YYYY-MM-DD
+ * @returns {{rows: object[], total: object, yearHedges: object[]}} - Each row
+ *   and the total are { name, cons, budget, used, need, prod, prodByType,
+ *   rawByType, cash, hedge, internal, contracted, net, pct, pnl }, where cons
+ *   is the projected consumption, used and need the part recorded and the
+ *   part still ahead, prodByType is converted and rawByType as entered, and
+ *   internal is + bought / − sold internally; rows also have consByMonth
+ *   (projected, Jan first) and the total natural, the consumption its own
+ *   production covers
+ */
+export function entityPositions({ entities, commodity, year, consumption, production, hedges, transfers, inventory, usage, schedules, settlements, asOf }) {
+  const yearHedges = hedges.filter(h => h.cropYear === year && commodityOf(h) === commodity.name);
+  const subTypes = subTypesOf(commodity);
+  const pnl = summarizePnl(yearHedges, settlements, asOf);
+
+  const rows = entities.map(e => {
+    const own = yearHedges.filter(h => h.entity === e.name);
+    const budget = consumes(e) ? consumption?.[e.name]?.[commodity.name]?.[year] || 0 : 0;
+    const fed = usageProjection({ budget, usage: usage?.[e.name]?.[commodity.name]?.[year], schedule: schedules?.[e.name]?.[commodity.name]?.[year]?.consumption, year });
+    const cons = consumes(e) ? fed.projected : 0;
+    const prodByYear = produces(e) ? actualProduction(production?.[e.name]?.[year], inventory, e.name, commodity, year, asOf) : {};
+    const rawByType = Object.fromEntries(subTypes.filter(t => prodByYear[t] !== undefined).map(t => [t, prodByYear[t]]));
+    const prodByType = Object.fromEntries(Object.entries(rawByType).map(([t, v]) => [t, productionEquivalent(commodity, t, v)]));
+    const prod = sumValues(prodByType);
+    const cash = prod - cons;
+    // Delta-adjusted: options count at their Black-76 delta
+    const hedge = Math.round(own.reduce((s, h) => s + hedgeExposure(h, settlements, asOf), 0));
+    // Physical quantity committed through cash contracts (HTA, basis, etc.)
+    const contracted = own.reduce((s, h) => s + cashExposure(h, asOf), 0);
+    const internal = transferExposure(transfers, e.name, commodity.name, year);
+    const exposure = e.type === "both" ? cash : consumes(e) ? -fed.need : prod;
+    return {
+      name: e.name, type: e.type, cons, budget, used: consumes(e) ? fed.used : 0, need: consumes(e) ? fed.need : 0,
+      consByMonth: fed.months.map(m => (consumes(e) ? m.projected : 0)), prod, prodByType, rawByType, cash, hedge, internal, contracted,
+      net: cash + hedge + internal,
+      pct: coverage(hedge + internal, exposure),
+      pnl: pnl.byEntity[e.name] || noPnl(),
+    };
+  });
+
+  const sumByType = (k) => {
+    const out = {};
+    rows.forEach(r => Object.entries(r[k]).forEach(([t, v]) => { out[t] = (out[t] || 0) + (v || 0); }));
+    return out;
+  };
+  const sum = (k) => rows.reduce((s, r) => s + r[k], 0);
+  const cash = sum("cash");
+  const internal = sum("internal");
+  const total = {
+    name: "Enterprise Total", cons: sum("cons"), budget: sum("budget"), used: sum("used"), need: sum("need"), prod: sum("prod"), prodByType: sumByType("prodByType"), rawByType: sumByType("rawByType"),
+    cash, hedge: sum("hedge"), internal, contracted: sum("contracted"), net: sum("net"),
+    natural: Math.min(sum("prod"), sum("cons")),
+    pct: coverage(sum("hedge") + internal, cash),
+    pnl: pnl.total,
+  };
+
+  return { rows, total, yearHedges };
+}
@@ -0,0 +1,142 @@
+import { formatCsv } from "./csv";
+
+/**
+ * Exports for the Reports menu.
+ *
+ * Tables are described by columns of { label, value(row) } so the same
+ * definition drives CSV and XLSX. The XLSX and PDF libraries are loaded on
+ * demand to keep them out of the main bundle.
+ */
+
+const table = (columns, rows) => [columns.map(c => c.label), ...rows.map(r => columns.map(c => c.value(r)))];
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Download a table as CSV or XLSX.
+ *
+ * @param {"csv"|"xlsx"} format
+ * @param {string} filename - Without extension
+ * @param {{label: string, value: function}[]} columns
+ * @param {object[]} rows
+ */
+export async function exportTable(format, filename, columns, rows) {
+  const data = table(columns, rows);
+  if (format === "csv") {
+    download(new Blob([formatCsv(data)], { type: "text/csv;charset=utf-8" }), `${filename}.csv`);
+    return;
+  }
+  const XLSX = await import("xlsx");
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(data), filename.slice(0, 31));
+  XLSX.writeFile(book, `${filename}.xlsx`);
+}
+
+// Light palette for paper; series colors come from the caller
+const INK = "#1F2937";
+const MUTED = "#6B7280";
+const RULE = "#D1D5DB";
+
+// Grouped bar chart of `series` per category, drawn with jsPDF primitives
+function drawBarChart(doc, { x, y, width, height, categories, series }) {
+  const values = categories.flatMap(c => series.map(s => c.values[s.key] || 0));
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  const span = max - min || 1;
+  const zeroY = y + (max / span) * height;
+  const groupW = width / Math.max(categories.length, 1);
+  const barW = (groupW * 0.8) / series.length;
+
+  doc.setDrawColor(RULE);
+  doc.line(x, zeroY, x + width, zeroY);
+  doc.setFontSize(8);
+  categories.forEach((c, i) => {
+    series.forEach((s, j) => {
+      const v = c.values[s.key] || 0;
+      const h = (Math.abs(v) / span) * height;
+      doc.setFillColor(s.color);
+      doc.rect(x + i * groupW + groupW * 0.1 + j * barW, v >= 0 ? zeroY - h : zeroY, barW, h, "F");
+    });
+    doc.setTextColor(MUTED);
+    doc.text(c.label, x + i * groupW + groupW / 2, y + height + 12, { align: "center" });
+  });
+
+  // Legend
+  let lx = x;
+  series.forEach(s => {
+    doc.setFillColor(s.color);
+    doc.rect(lx, y + height + 22, 8, 8, "F");
+    doc.setTextColor(INK);
+    doc.text(s.key, lx + 12, y + height + 29);
+    lx += doc.getTextWidth(s.key) + 28;
+  });
+}
+
+/**
+ * Build and download the position report PDF.
+ *
+ * @param {object} report
+ * @param {string} report.title
+ * @param {string} report.subtitle
+ * @param {{label: string, value: string, sub?: string}[]} report.kpis
+ * @param {{columns: {label: string, value: function}[], rows: object[]}} report.breakdown
+ * @param {{title: string, categories: {label: string, values: object}[], series: {key: string, color: string}[]}} report.chart
+ * @param {string} report.filename - Without extension
+ */
+export async function exportPositionReport({ title, subtitle, kpis, breakdown, chart, filename }) {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([import("jspdf"), import("jspdf-autotable/es")]);
+  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "letter" });
+  const pageW = doc.internal.pageSize.getWidth();
+  const margin = 40;
+
+  doc.setTextColor(INK);
+  doc.setFontSize(18);
+  doc.text(title, margin, 48);
+  doc.setFontSize(10);
+  doc.setTextColor(MUTED);
+  doc.text(subtitle, margin, 66);
+
+  // KPI boxes
+  const boxW = (pageW - margin * 2 - (kpis.length - 1) * 10) / kpis.length;
+  kpis.forEach((k, i) => {
+    const bx = margin + i * (boxW + 10);
+    doc.setDrawColor(RULE);
+    doc.rect(bx, 82, boxW, 56);
+    doc.setFontSize(7);
+    doc.setTextColor(MUTED);
+    doc.text(k.label.toUpperCase(), bx + 8, 96);
+    doc.setFontSize(13);
+    doc.setTextColor(INK);
+    doc.text(k.value, bx + 8, 116);
+    if (k.sub) {
+      doc.setFontSize(7);
+      doc.setTextColor(MUTED);
+      doc.text(doc.splitTextToSize(k.sub, boxW - 16)[0], bx + 8, 130);
+    }
+  });
+
+  const [head, ...body] = table(breakdown.columns, breakdown.rows);
+  autoTable(doc, {
+    head: [head],
+    body,
+    startY: 152,
+    margin: { left: margin, right: margin },
+    styles: { fontSize: 9, textColor: INK },
+    headStyles: { fillColor: "#374151", textColor: "#FFFFFF" },
+  });
+
+  const chartY = doc.lastAutoTable.finalY + 36;
+  doc.setFontSize(11);
+  doc.setTextColor(INK);
+  doc.text(chart.title, margin, chartY - 12);
+  drawBarChart(doc, { x: margin, y: chartY, width: pageW - margin * 2, height: 170, ...chart });
+
+  doc.save(`${filename}.pdf`);
+}
@@ -0,0 +1,114 @@
+import { parseContractKey, latestSettlement } from "./settlements";
+import { hedgePnl } from "./pnl";
+import { hedgeExposure, cashExposure } from "./exposure";
+import { contractTypeSpec } from "./contractTypes";
+import { entityPositions } from "./positions";
+
+/**
+ * Price scenarios and stress tests.
+ *
+ * A scenario moves every futures contract of the commodity by the same
+ * amount (a parallel shift, from the latest settlements) and the cash
+ * basis by another. For each entity:
+ *   cash  — the open physical position (production less the consumption
+ *           still ahead; feed already used has been bought) times both
+ *           moves: revenue gained or feed cost saved, negative when it
+ *           costs the entity
+ *   hedge — the change in value of its open positions: futures and options
+ *           repriced off the shifted settlements (so options keep their
+ *           curvature), other contracts by their futures exposure, plus the
+ *           basis move on contracts whose basis is fixed, and internal
+ *           transfers at both moves (they are fixed-price)
+ *   net   — the two together
+ */
+
+const today = () => new Date().toISOString().slice(0, 10);
+const has = (v) => v !== undefined && v !== null && v !== "";
+
+/**
+ * Settlements with every contract of one commodity moved as of a date.
+ *
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} commodityName
+ * @param {number} move - Added to each contract's latest settlement
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {object} - A copy; contracts already expired by asOf keep their final price
+ */
+export function shiftSettlements(settlements, commodityName, move, asOf) {
+  const shifted = { ...(settlements || {}) };
+  Object.keys(shifted).forEach(key => {
+    if (parseContractKey(key)?.commodity !== commodityName) return;
+    const s = latestSettlement(settlements, key, asOf);
+    if (s) shifted[key] = { ...shifted[key], [asOf]: Math.max(s.price + move, 0.01) };
+  });
+  return shifted;
+}
+
+// Signed quantity whose basis is already set, per contract type
+const BASIS_FIXED = {
+  "HTA": (h) => has(h.basisLevel),
+  "Basis Contract": () => true,
+  "Minimum Price": () => true,
+  "Deferred Pricing": (h) => has(h.price),
+  "Cash Position": () => true,
+};
+
+const basisFixedQuantity = (h, asOf) => (BASIS_FIXED[h.contractType]?.(h) ? cashExposure(h, asOf) : 0);
+
+/**
+ * Change in value of one position under a scenario.
+ *
+ * @param {object} hedge
+ * @param {object} base - Settlements as they are
+ * @param {object} shifted - From shiftSettlements
+ * @param {{move: number, basis: number, asOf: string}} scenario
+ * @returns {number}
+ */
+export function hedgeScenarioPnl(hedge, base, shifted, { move, basis, asOf }) {
+  const { mark } = contractTypeSpec(hedge.contractType);
+  const before = mark ? hedgePnl(hedge, base, asOf) : null;
+  const after = mark ? hedgePnl(hedge, shifted, asOf) : null;
+  const futures = before && after
+    ? (after.realized + after.unrealized) - (before.realized + before.unrealized)
+    : hedgeExposure(hedge, base, asOf) * move;
+  return futures + basisFixedQuantity(hedge, asOf) * basis;
+}
+
+/**
+ * Per-entity effect of one scenario for a commodity and crop year.
+ *
+ * @param {object} params - As entityPositions, plus:
+ * @param {number} params.move - Futures move (per unit)
+ * @param {number} [params.basis] - Basis move (per unit)
+ * @returns {{rows: {name: string, cash: number, hedge: number, net: number}[], total: {cash: number, hedge: number, net: number}}}
+ */
+export function scenarioImpact({ move, basis = 0, ...params }) {
+  const asOf = params.asOf || today();
+  const { rows, yearHedges } = entityPositions({ ...params, asOf });
+  const shifted = shiftSettlements(params.settlements, params.commodity.name, move, asOf);
+  const out = rows.map(r => {
+    // need is the same remaining figure the hedge ratio is measured against
+    const cash = (r.prod - r.need) * (move + basis);
+    const hedge = yearHedges
+      .filter(h => h.entity === r.name)
+      .reduce((s, h) => s + hedgeScenarioPnl(h, params.settlements, shifted, { move, basis, asOf }), r.internal * (move + basis));
+    return { name: r.name, cash, hedge, net: cash + hedge };
+  });
+  const sum = (k) => out.reduce((s, r) => s + r[k], 0);
+  return { rows: out, total: { cash: sum("cash"), hedge: sum("hedge"), net: sum("net") } };
+}
+
+/**
+ * Net effect across a range of futures prices, for the payoff chart.
+ *
+ * @param {object} params - As scenarioImpact, without move
+ * @param {number} reference - Current price of the reference contract
+ * @param {number[]} prices - Futures prices to evaluate
+ * @returns {object[]} - { price, cash, hedge, net, [entity]: net } per price
+ */
+export function payoffCurve(params, reference, prices) {
+  return prices.map(price => {
+    const { rows, total } = scenarioImpact({ ...params, move: price - reference });
+    return { price, ...total, ...Object.fromEntries(rows.map(r => [r.name, r.net])) };
+  });
+}
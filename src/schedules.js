@@ -0,0 +1,139 @@
+import { MONTHS } from "./settlements";
+import { hedgeExposure, cashExposure } from "./exposure";
+import { entityPositions } from "./positions";
+
+/**
+ * Monthly schedules and the exposure ladder.
+ *
+ * Annual consumption and production stay the figures entered per crop year;
+ * a schedule only says how they fall across the months of that year. It is
+ * stored as percentages at
+ *   schedules/{entity}/{commodity}/{year}/{consumption|production}/{Mon}
+ * and scaled to whatever they add up to. An entity without one uses
+ * DEFAULT_CURVES.
+ *
+ * The ladder groups the months by the futures contract that covers them:
+ * the first listed month on or after the cash month, so with corn Jan–Mar
+ * fall to Mar, Apr–May to May and Aug–Sep to Sep. Months after the last
+ * listed contract roll to the first (next year's).
+ */
+
+export const SCHEDULE_KINDS = ["consumption", "production"];
+
+const flat = (pct) => Object.fromEntries(MONTHS.map(m => [m, pct]));
+
+export const SCHEDULE_CURVES = {
+  "Even": flat(100 / 12),
+  "Winter Feeding": { ...flat(7), Jan: 11, Feb: 10, Mar: 9, Nov: 10, Dec: 11 },
+  "Summer Feeding": { ...flat(7), May: 10, Jun: 11, Jul: 11, Aug: 10, Sep: 9 },
+  "Harvest": { Sep: 20, Oct: 50, Nov: 30 },
+  "Silage Harvest": { Aug: 30, Sep: 70 },
+};
+
+export const DEFAULT_CURVES = { consumption: "Even", production: "Harvest" };
+
+/**
+ * Percentages by month for a named curve, rounded to one decimal.
+ *
+ * @param {string} name - Key of SCHEDULE_CURVES
+ * @returns {object} - { Jan: pct, ... } with every month present
+ */
+export function curveSchedule(name) {
+  const curve = SCHEDULE_CURVES[name] || SCHEDULE_CURVES.Even;
+  return Object.fromEntries(MONTHS.map(m => [m, Math.round((curve[m] || 0) * 10) / 10]));
+}
+
+/**
+ * Fraction of the year falling in each month, Jan first.
+ *
+ * @param {object} [schedule] - { Mon: pct } as stored; missing or all-zero
+ *   falls back to the kind's default curve
+ * @param {"consumption"|"production"} kind
+ * @returns {number[]} - 12 fractions adding up to 1
+ */
+export function monthlyShares(schedule, kind) {
+  const weights = MONTHS.map(m => Math.max(Number(schedule?.[m]) || 0, 0));
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (total > 0) return weights.map(w => w / total);
+  const curve = SCHEDULE_CURVES[DEFAULT_CURVES[kind]];
+  const curveTotal = MONTHS.reduce((s, m) => s + (curve[m] || 0), 0);
+  return MONTHS.map(m => (curve[m] || 0) / curveTotal);
+}
+
+/**
+ * Listed contract month that covers a cash month.
+ *
+ * @param {string} month - "Jan".."Dec"
+ * @param {string[]} listed - The commodity's contract months
+ * @returns {string}
+ */
+export function coveringContract(month, listed) {
+  const i = MONTHS.indexOf(month);
+  const sorted = MONTHS.filter(m => listed.includes(m));
+  return sorted.find(m => MONTHS.indexOf(m) >= i) || sorted[0];
+}
+
+/**
+ * Month-by-contract-month exposure for one commodity and crop year.
+ *
+ * Each entity's annual consumption and (converted) production are spread
+ * with its schedules, consumption as re-projected from recorded usage (so a
+ * recorded month counts what was actually fed). Futures and options fall to the contract month they
+ * are priced on, and physical contracts to the bucket of their delivery
+ * month; internal transfers fall to the bucket of their delivery month and
+ * count with hedges. As elsewhere, net is cash plus hedges, and pct is the
+ * signed hedge against the bucket's cash side.
+ *
+ * @param {object} params - As entityPositions, plus:
+ * @param {object} params.schedules - schedules tree from Firebase
+ * @returns {{months: object[], buckets: object[]}} - months are
+ *   { month, contract, cons, prod, cash }; buckets are { contract, months,
+ *   cons, prod, cash, hedge, contracted, net, pct }, in contract order
+ */
+export function exposureLadder({ entities, commodity, year, consumption, production, schedules, hedges, transfers, inventory, usage, settlements, asOf }) {
+  const { rows, yearHedges } = entityPositions({ entities, commodity, year, consumption, production, hedges, transfers, inventory, usage, schedules, settlements, asOf });
+  const names = new Set(entities.map(e => e.name));
+
+  const months = MONTHS.map(month => ({ month, contract: coveringContract(month, commodity.months), cons: 0, prod: 0, cash: 0 }));
+  rows.forEach(r => {
+    const sched = schedules?.[r.name]?.[commodity.name]?.[year];
+    const prodShares = monthlyShares(sched?.production, "production");
+    months.forEach((m, i) => {
+      m.cons += r.consByMonth[i];
+      m.prod += r.prod * prodShares[i];
+    });
+  });
+  months.forEach(m => {
+    m.cons = Math.round(m.cons);
+    m.prod = Math.round(m.prod);
+    m.cash = m.prod - m.cons;
+  });
+
+  const buckets = MONTHS.filter(m => commodity.months.includes(m)).map(contract => {
+    const covered = months.filter(m => m.contract === contract);
+    const sum = (k) => covered.reduce((s, m) => s + m[k], 0);
+    return { contract, months: covered.map(m => m.month), cons: sum("cons"), prod: sum("prod"), cash: sum("cash"), hedge: 0, contracted: 0 };
+  });
+  const bucketOf = (month) => buckets.find(b => b.contract === coveringContract(month, commodity.months));
+
+  yearHedges.filter(h => names.has(h.entity)).forEach(h => {
+    const futures = bucketOf(h.futuresMonth || h.contractMonth);
+    if (futures) futures.hedge += hedgeExposure(h, settlements, asOf);
+    const delivery = bucketOf(h.contractMonth);
+    if (delivery) delivery.contracted += cashExposure(h, asOf);
+  });
+  (transfers || []).filter(t => t.commodity === commodity.name && t.cropYear === year).forEach(t => {
+    const b = bucketOf(t.month);
+    if (!b) return;
+    if (names.has(t.to)) b.hedge += t.quantity || 0;
+    if (names.has(t.from)) b.hedge -= t.quantity || 0;
+  });
+
+  buckets.forEach(b => {
+    b.hedge = Math.round(b.hedge);
+    b.net = b.cash + b.hedge;
+    b.pct = b.cash !== 0 ? -b.hedge / b.cash * 100 : 0;
+  });
+
+  return { months, buckets };
+}
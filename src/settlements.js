@@ -0,0 +1,148 @@
+import { parseCsv } from "./csv";
+import { DEFAULT_COMMODITY } from "./commodities";
+
+export const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+/**
+ * Settlement prices are stored in Firebase as
+ *   settlements/{contractKey}/{YYYY-MM-DD} = price (per commodity unit)
+ * where contractKey is "YYYY-MM" for the futures contract month, prefixed
+ * with the commodity for anything but corn ("Soybeans:2025-11"); corn keeps
+ * the bare keys it had before other commodities. Futures and options carry
+ * an exchange contract code ("ZCZ25") that fixes the contract year; older
+ * positions without one, and cash contracts that name a separate futures
+ * reference month (HTA, basis), take the year from their crop year.
+ */
+export const contractKey = (year, month, commodity = DEFAULT_COMMODITY) => {
+  const m = MONTHS.indexOf(month);
+  if (m < 0 || !/^\d{4}$/.test(String(year))) return null;
+  const prefix = commodity && commodity !== DEFAULT_COMMODITY ? `${commodity}:` : "";
+  return `${prefix}${year}-${String(m + 1).padStart(2, "0")}`;
+};
+
+export const hedgeContractKey = (h) => {
+  const code = !h.futuresMonth && parseContractCode(h.contract);
+  return code
+    ? contractKey(code.year, code.month, h.commodity)
+    : contractKey(h.cropYear, h.futuresMonth || h.contractMonth, h.commodity);
+};
+
+// Exchange month codes, Jan first
+export const MONTH_CODES = ["F", "G", "H", "J", "K", "M", "N", "Q", "U", "V", "X", "Z"];
+
+/** ("ZC", "Dec", "2025") → "ZCZ25"; null if the month or year is unreadable */
+export const contractCode = (symbol, month, year) => {
+  const m = MONTHS.indexOf(month);
+  if (m < 0 || !/^\d{4}$/.test(String(year))) return null;
+  return `${symbol || ""}${MONTH_CODES[m]}${String(year).slice(2)}`;
+};
+
+/** "ZCZ25" → { symbol: "ZC", month: "Dec", year: 2025 }; null if not a code */
+export const parseContractCode = (code) => {
+  const m = String(code ?? "").trim().toUpperCase().match(/^([A-Z0-9]*)([FGHJKMNQUVXZ])(\d{2})$/);
+  return m ? { symbol: m[1], month: MONTHS[MONTH_CODES.indexOf(m[2])], year: 2000 + Number(m[3]) } : null;
+};
+
+/** "Soybeans:2025-11" → { commodity: "Soybeans", year: 2025, month: 11 } */
+export const parseContractKey = (key) => {
+  const m = String(key).match(/^(?:(.+):)?(\d{4})-(\d{2})$/);
+  return m ? { commodity: m[1] || DEFAULT_COMMODITY, year: Number(m[2]), month: Number(m[3]) } : null;
+};
+
+/** "2025-07" → "Jul 2025", "Soybeans:2025-11" → "Soybeans Nov 2025" */
+export const contractLabel = (key) => {
+  const k = parseContractKey(key);
+  if (!k || !MONTHS[k.month - 1]) return key;
+  return `${k.commodity === DEFAULT_COMMODITY ? "" : `${k.commodity} `}${MONTHS[k.month - 1]} ${k.year}`;
+};
+
+/** Last calendar day of a contract month, as YYYY-MM-DD. */
+export const contractEndDate = (key) => {
+  const { year, month } = parseContractKey(key);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+};
+
+/**
+ * Most recent settlement on or before a date.
+ *
+ * @param {object} settlements - settlements tree from Firebase
+ * @param {string} key - Contract key ("YYYY-MM")
+ * @param {string} [asOf] - YYYY-MM-DD cutoff (defaults to no cutoff)
+ * @returns {{date: string, price: number} | null}
+ */
+export function latestSettlement(settlements, key, asOf) {
+  const series = settlements?.[key];
+  if (!series) return null;
+  const dates = Object.keys(series).filter(d => !asOf || d <= asOf).sort();
+  if (dates.length === 0) return null;
+  const date = dates[dates.length - 1];
+  return { date, price: Number(series[date]) };
+}
+
+// Contract column → contract key. Month names are tried before codes, as
+// "Jun25" would also read as a code (symbol "JU", N = Jul); a code for
+// another commodity's symbol is not read.
+const normalizeContract = (raw, commodity, symbol) => {
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}$/.test(s)) return commodity && commodity !== DEFAULT_COMMODITY ? `${commodity}:${s}` : s;
+  const m = s.match(/^([A-Za-z]{3})[a-z]*[\s-]*'?(\d{2}|\d{4})$/);
+  if (m) {
+    const month = m[1][0].toUpperCase() + m[1].slice(1).toLowerCase();
+    const key = contractKey(m[2].length === 2 ? `20${m[2]}` : m[2], month, commodity);
+    if (key) return key;
+  }
+  const code = parseContractCode(s);
+  if (!code || (symbol && code.symbol && code.symbol !== symbol.toUpperCase())) return null;
+  return contractKey(code.year, code.month, commodity);
+};
+
+/** YYYY-MM-DD, M/D/YYYY or M/D/YY → YYYY-MM-DD (null if unreadable) */
+export const normalizeDate = (raw) => {
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (m) return `${m[3].length === 2 ? `20${m[3]}` : m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return null;
+};
+
+/**
+ * Parse a settlement price file. Expects columns date, contract, price
+ * (header row optional). Contracts may be a contract code ("ZCZ25", or
+ * "Z25" without the symbol), "2025-07", "Jul 2025" or "Jul25"; dates may be
+ * YYYY-MM-DD or M/D/YYYY.
+ *
+ * @param {string} text - CSV file contents
+ * @param {string} [commodity] - Commodity the file's prices are for
+ * @param {string} [symbol] - Its exchange symbol; codes for any other symbol
+ *   are rejected
+ * @returns {{rows: {key: string, date: string, price: number}[], errors: string[]}}
+ */
+export function parseSettlementFile(text, commodity = DEFAULT_COMMODITY, symbol = "") {
+  const rows = [];
+  const errors = [];
+  const lines = parseCsv(text);
+  let cols = { date: 0, contract: 1, price: 2 };
+  let firstLine = 1;
+
+  if (lines.length && lines[0].some(c => /[a-z]/i.test(c) && !normalizeContract(c))) {
+    const header = lines.shift().map(c => c.toLowerCase());
+    firstLine = 2;
+    const find = (names) => header.findIndex(c => names.some(n => c.includes(n)));
+    cols = { date: find(["date"]), contract: find(["contract", "month", "symbol"]), price: find(["settle", "price", "close"]) };
+    if (Object.values(cols).some(i => i < 0)) {
+      return { rows, errors: ["Header must include date, contract and price columns"] };
+    }
+  }
+
+  lines.forEach((line, i) => {
+    const date = normalizeDate(line[cols.date] || "");
+    const key = normalizeContract(line[cols.contract] || "", commodity, symbol);
+    const price = parseFloat(String(line[cols.price] || "").replace(/[$,]/g, ""));
+    if (!date || !key || isNaN(price)) {
+      errors.push(`Line ${i + firstLine}: could not read "${line.join(",")}"`);
+      return;
+    }
+    rows.push({ key, date, price });
+  });
+  return { rows, errors };
+}
@@ -0,0 +1,162 @@
+import { useSyncExternalStore } from "react";
+import { ref, onValue, get, set, update } from "firebase/database";
+import { db } from "./firebase";
+import { enqueueWrite, dequeueWrite, queuedWrites, clearUserData } from "./offlineCache";
+import { same, getLeaf, leafUpdate } from "./leafDiff";
+
+/**
+ * Write queue and connection status shared by every synced path.
+ *
+ * Each write is stored in IndexedDB before it is sent and removed once the
+ * server acknowledges (or rejects) it. While offline the Firebase SDK holds
+ * the write in memory and sends it on reconnect; if the page is closed first,
+ * replayQueuedWrites() resends it on the next visit by the same user. By then
+ * the server may have moved on, so each write records the value it was made
+ * against (`base`) and is replayed leaf by leaf: a leaf changed on the
+ * server since is left as the server has it and reported, the way a leaf
+ * mode edit holds back a conflicting remote change. Rejected writes are kept
+ * in `errors` so they can be shown instead of vanishing.
+ */
+
+// Writes queued before this page load belong to an earlier session
+const SESSION_START = new Date().toISOString();
+
+let state = { connected: null, pending: 0, errors: [] };
+const listeners = new Set();
+
+const emit = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((l) => l());
+};
+
+// null until the first connection report
+onValue(ref(db, ".info/connected"), (s) => emit({ connected: s.val() === true }));
+
+/**
+ * Record a failed read or write.
+ *
+ * @param {string} path
+ * @param {Error} err
+ */
+export const reportSyncError = (path, err) =>
+  emit({ errors: [...state.errors, { path, message: err?.message || String(err), at: new Date().toISOString() }] });
+
+export const dismissSyncError = (index) =>
+  emit({ errors: state.errors.filter((_, i) => i !== index) });
+
+const perform = (write) => (write.op === "update" ? update(ref(db, write.path), write.value) : set(ref(db, write.path), write.value));
+
+// Apply a write from an earlier session to the leaves the server still has
+// as they were when it was made
+async function replay(write) {
+  const changes = write.op === "set" ? leafUpdate(write.base, write.value) : write.value;
+  const baseOf = (leaf) => (write.op === "set" ? getLeaf(write.base, leaf) : write.base?.[leaf]);
+  // An update reads only the children it writes, which is all a user
+  // limited to some entities may read
+  const read = (p) => get(ref(db, p)).then((snap) => snap.val());
+  const server = write.op === "set" ? await read(write.path) : null;
+  const theirs = write.op === "set"
+    ? Object.fromEntries(Object.keys(changes).map((leaf) => [leaf, leaf ? getLeaf(server, leaf) : server]))
+    : Object.fromEntries(await Promise.all(Object.keys(changes).map(async (leaf) => [leaf, await read(`${write.path}/${leaf}`)])));
+  const kept = {};
+  const conflicts = [];
+  Object.entries(changes).forEach(([leaf, value]) => {
+    if (same(theirs[leaf], baseOf(leaf)) || same(theirs[leaf], value)) kept[leaf ? `${write.path}/${leaf}` : write.path] = value;
+    else conflicts.push(leaf || write.path);
+  });
+  if (conflicts.length) {
+    reportSyncError(write.path, new Error(`Offline change from ${write.queuedAt.slice(0, 16).replace("T", " ")} not applied to ${conflicts.join(", ")}: changed on the server since`));
+  }
+  if (Object.keys(kept).length) await update(ref(db), kept);
+}
+
+function send(write, queueId, apply = perform) {
+  emit({ pending: state.pending + 1 });
+  return Promise.resolve()
+    .then(() => apply(write))
+    .catch((err) => reportSyncError(write.path, err))
+    .finally(async () => {
+      const id = await queueId;
+      if (id !== null && id !== undefined) dequeueWrite(id);
+      emit({ pending: Math.max(state.pending - 1, 0) });
+    });
+}
+
+/**
+ * Send a write through the offline queue.
+ *
+ * @param {string} path - Firebase path
+ * @param {"set"|"update"} op
+ * @param {*} value
+ * @param {*} [base] - What the write was made against: the path's value for
+ *   a set, or each updated child's value for an update
+ * @returns {Promise} - Settles once the server has answered; failures are
+ *   reported through the sync status rather than thrown
+ */
+export function queueWrite(path, op, value, base = null) {
+  const write = { path, op, value, base, queuedAt: new Date().toISOString() };
+  return send(write, enqueueWrite(write));
+}
+
+let replayed = false;
+
+const connection = () => new Promise((resolve) => {
+  if (state.connected) { resolve(); return; }
+  const listener = () => {
+    if (!state.connected) return;
+    listeners.delete(listener);
+    resolve();
+  };
+  listeners.add(listener);
+});
+
+// Resend writes left over from an earlier session. Call once signed in, as
+// the database rules need an authenticated user.
+export async function replayQueuedWrites() {
+  if (replayed) return;
+  replayed = true;
+  const writes = (await queuedWrites()).filter((w) => w.queuedAt < SESSION_START);
+  if (writes.length === 0) return;
+  // Checked against the server, so wait for it; one at a time, as a later
+  // write to a path was made against the earlier one
+  await connection();
+  for (const w of writes) await send(w, w.id, replay);
+}
+
+/**
+ * Wait for every write sent so far to be answered, as long as the server is
+ * reachable.
+ *
+ * @returns {Promise<number>} - Writes still unanswered (non-zero only offline)
+ */
+export const settleWrites = () => new Promise((resolve) => {
+  const check = () => {
+    if (state.pending > 0 && state.connected !== false) return;
+    listeners.delete(check);
+    resolve(state.pending);
+  };
+  listeners.add(check);
+  check();
+});
+
+/**
+ * Forget a user's offline data and sync state, on sign-out.
+ *
+ * @param {string} uid
+ * @returns {Promise}
+ */
+export async function clearSyncState(uid) {
+  await clearUserData(uid);
+  replayed = false;
+  emit({ pending: 0, errors: [] });
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * @returns {{connected: boolean|null, pending: number, errors: {path: string, message: string, at: string}[]}}
+ */
+export const useSyncStatus = () => useSyncExternalStore(subscribe, () => state);
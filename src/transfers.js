@@ -0,0 +1,50 @@
+import { MONTHS } from "./settlements";
+import { consumes, produces } from "./entities";
+
+/**
+ * Internal transfers: grain a producing entity commits to a consuming one
+ * at an agreed price, stored at transfers/{id} as
+ *   { from, to, commodity, cropYear, month, quantity, price, date, notes }
+ * with quantity in the commodity's unit and month the delivery month.
+ *
+ * A commitment is a fixed-price sale for the seller and a fixed-price
+ * purchase for the buyer, so it offsets open exposure on both sides the way
+ * a cash contract would. Across the enterprise the two legs cancel: the
+ * natural hedge is already in the net of production and consumption.
+ */
+
+/**
+ * Signed quantity an entity has committed internally: + bought, − sold.
+ *
+ * @param {object[]} transfers - Transfer rows (array form)
+ * @param {string} entity
+ * @param {string} commodityName
+ * @param {string} year - Crop year
+ * @returns {number}
+ */
+export function transferExposure(transfers, entity, commodityName, year) {
+  return (transfers || [])
+    .filter(t => t.commodity === commodityName && t.cropYear === year)
+    .reduce((s, t) => s + (t.to === entity ? t.quantity || 0 : 0) - (t.from === entity ? t.quantity || 0 : 0), 0);
+}
+
+/**
+ * Check a transfer before it is saved.
+ *
+ * @param {object} t - { from, to, commodity, cropYear, month, quantity, price, date }
+ * @param {{name: string, type: string}[]} entities - From entityList()
+ * @returns {string} - Empty when valid
+ */
+export function transferError(t, entities) {
+  const from = entities.find(e => e.name === t.from);
+  const to = entities.find(e => e.name === t.to);
+  if (!from || !produces(from)) return "Choose a producing entity to sell";
+  if (!to || !consumes(to)) return "Choose a consuming entity to buy";
+  if (from.name === to.name) return "An entity can't transfer to itself";
+  if (!t.commodity || !t.cropYear) return "Commodity and crop year are required";
+  if (!MONTHS.includes(t.month)) return "Choose a delivery month";
+  if (!(t.quantity > 0)) return "Quantity must be greater than zero";
+  if (isNaN(t.price) || t.price < 0) return "Enter the agreed price";
+  if (!t.date) return "Date is required";
+  return "";
+}
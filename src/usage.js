@@ -0,0 +1,72 @@
+import { MONTHS } from "./settlements";
+import { monthlyShares } from "./schedules";
+
+/**
+ * Actual feed usage and the re-projected need.
+ *
+ * Consumption stays the budget entered per crop year. What was actually fed
+ * is recorded month by month at
+ *   usage/{entity}/{commodity}/{year}/{actual|head|intake}/{Mon}
+ * either as a quantity (actual) or as a head count and daily intake per head
+ * in the commodity's unit, from which the month's usage is
+ * head × intake × days in the month. A typed quantity wins over head count.
+ *
+ * Recorded months set the pace: usage against the budget for those same
+ * months, spread by the consumption schedule. Each month not yet recorded is
+ * projected at its budgeted share times that pace, so a feedlot eating 10%
+ * over budget so far is expected to keep doing so, and the remaining need is
+ * what those months add up to.
+ */
+
+export const USAGE_FIELDS = ["actual", "head", "intake"];
+
+export const daysInMonth = (year, month) => new Date(Number(year), MONTHS.indexOf(month) + 1, 0).getDate();
+
+const positive = (v) => (Number(v) > 0 ? Number(v) : 0);
+
+/**
+ * Usage recorded for one month.
+ *
+ * @param {object} [usage] - { actual, head, intake } for the entity,
+ *   commodity and year, each keyed by month
+ * @param {string} year
+ * @param {string} month - "Jan".."Dec"
+ * @returns {number|null} - null when the month has no record
+ */
+export function monthUsage(usage, year, month) {
+  const actual = usage?.actual?.[month];
+  if (actual !== undefined && actual !== null && actual !== "") return positive(actual);
+  const head = positive(usage?.head?.[month]);
+  const intake = positive(usage?.intake?.[month]);
+  return head > 0 && intake > 0 ? Math.round(head * intake * daysInMonth(year, month)) : null;
+}
+
+/**
+ * Budget, usage to date and the re-projected year.
+ *
+ * @param {object} params
+ * @param {number} params.budget - Annual consumption as entered
+ * @param {object} [params.usage] - As monthUsage
+ * @param {object} [params.schedule] - Consumption schedule { Mon: pct }
+ * @param {string} params.year
+ * @returns {{budget: number, used: number, projected: number, need: number, pace: number, started: boolean, months: object[]}} -
+ *   used is recorded usage, need what the unrecorded months are projected
+ *   to take, and projected the two together; months are { month, budget,
+ *   actual, projected }, with actual null where nothing is recorded
+ */
+export function usageProjection({ budget, usage, schedule, year }) {
+  const shares = monthlyShares(schedule, "consumption");
+  const months = MONTHS.map((month, i) => ({ month, budget: budget * shares[i], actual: monthUsage(usage, year, month) }));
+  const recorded = months.filter(m => m.actual !== null);
+  const used = recorded.reduce((s, m) => s + m.actual, 0);
+  const budgetToDate = recorded.reduce((s, m) => s + m.budget, 0);
+  const pace = recorded.length && budgetToDate > 0 ? used / budgetToDate : 1;
+  months.forEach(m => {
+    m.budget = Math.round(m.budget);
+    m.projected = m.actual !== null ? m.actual : Math.round(m.budget * pace);
+  });
+  // Nothing recorded yet: the budget stands as entered
+  if (!recorded.length) return { budget, used: 0, projected: budget, need: budget, pace, started: false, months };
+  const need = months.filter(m => m.actual === null).reduce((s, m) => s + m.projected, 0);
+  return { budget, used, projected: used + need, need, pace, started: true, months };
+}
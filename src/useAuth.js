@@ -0,0 +1,80 @@
+import { useState, useEffect } from "react";
+import {
+  onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword,
+  updateProfile, signOut, GoogleAuthProvider, signInWithPopup,
+} from "firebase/auth";
+import { auth } from "./firebase";
+import { settleWrites, clearSyncState } from "./syncStatus";
+import { flushPendingWrites } from "./useFirebaseState";
+
+/**
+ * Tracks the signed-in Firebase user.
+ *
+ * @returns {{user: import("firebase/auth").User | null, loading: boolean}}
+ */
+export function useAuth() {
+  const [user, setUser] = useState(auth.currentUser);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    return onAuthStateChanged(auth, (u) => {
+      setUser(u);
+      setLoading(false);
+    });
+  }, []);
+
+  return { user, loading };
+}
+
+export const signInWithEmail = (email, password) => signInWithEmailAndPassword(auth, email, password);
+
+export const signInWithGoogle = () => signInWithPopup(auth, new GoogleAuthProvider());
+
+export async function createAccount(email, password, displayName) {
+  const cred = await createUserWithEmailAndPassword(auth, email, password);
+  if (displayName) await updateProfile(cred.user, { displayName });
+  return cred;
+}
+
+/**
+ * Sign out once pending edits are saved. Debounced edits are written first
+ * and the server's answer awaited, then the user's cached data and queued
+ * writes go with them, so the next person on this browser starts clean (see
+ * src/offlineCache.js). Offline, the writes that can't be sent would be lost,
+ * so the user is asked first.
+ *
+ * @returns {Promise<boolean>} - false when the user chose to stay signed in
+ */
+export async function signOutUser() {
+  const uid = auth.currentUser?.uid;
+  flushPendingWrites();
+  const unsent = await settleWrites();
+  if (unsent > 0 && !confirm(`${unsent} change(s) haven't reached the server and will be lost if you sign out while offline. Sign out anyway?`)) return false;
+  await signOut(auth);
+  if (uid) await clearSyncState(uid);
+  return true;
+}
+
+/**
+ * Identity stamped on audit entries and hedges.
+ *
+ * @param {import("firebase/auth").User} user
+ * @returns {{uid: string, name: string}}
+ */
+export const userStamp = (user) => ({
+  uid: user.uid,
+  name: user.displayName || user.email || user.uid,
+});
+
+const AUTH_ERRORS = {
+  "auth/invalid-credential": "Incorrect email or password.",
+  "auth/invalid-email": "That email address is not valid.",
+  "auth/user-disabled": "This account has been disabled.",
+  "auth/email-already-in-use": "An account already exists for that email.",
+  "auth/weak-password": "Password must be at least 6 characters.",
+  "auth/too-many-requests": "Too many attempts. Try again later.",
+  "auth/popup-closed-by-user": "Sign-in was cancelled.",
+  "auth/network-request-failed": "Network error. Check your connection.",
+};
+
+export const authErrorMessage = (err) => AUTH_ERRORS[err?.code] || err?.message || "Sign-in failed.";
@@ -1,65 +1,233 @@
 import { useState, useEffect, useRef, useCallback } from "react";
-import { ref, onValue, set } from "firebase/database";
+import { ref, onValue, query, orderByChild, equalTo } from "firebase/database";
 import { db } from "./firebase";
+import { readCache, writeCache } from "./offlineCache";
+import { queueWrite, reportSyncError } from "./syncStatus";
+import { flatten, same, getLeaf, setLeaf, changedLeaves, leafUpdate } from "./leafDiff";
+
+// Every mounted hook's flush, for flushPendingWrites()
+const flushers = new Set();
+
+/**
+ * Write every debounced edit still waiting, at once. Called before signing
+ * out, while the database rules still accept the user's writes.
+ */
+export const flushPendingWrites = () => flushers.forEach((flush) => flush());
 
 /**
  * Custom hook that syncs a piece of state with Firebase Realtime Database.
  *
+ * The last value received is cached in IndexedDB, so the path opens from the
+ * cache when the server can't be reached. Writes go through the offline
+ * queue in src/syncStatus.js; read and write failures are reported there.
+ *
  * @param {string} path - Firebase path (e.g. "consumption")
  * @param {*} defaultValue - Default value if nothing exists in Firebase yet
  * @param {object} options
  * @param {number} options.debounce - Debounce delay in ms for writes (0 = immediate)
- * @returns {[any, function, boolean]} - [value, setValue, loading]
+ * @param {boolean|"leaf"} options.granular - Write only the changed top-level
+ *   children with `update` instead of replacing the whole path. Needed where
+ *   database rules are declared per child (e.g. hedges/$hedgeId).
+ *   "leaf" goes further and writes each changed leaf ("Feedlot/2025"), so
+ *   people editing different fields don't overwrite each other. In leaf mode
+ *   remote changes are merged into a pending debounced edit, and a remote
+ *   change to a field the edit also touches is held back as a conflict.
+ * @param {function} options.onFlush - Called as (before, after) whenever a local
+ *   change is written, after any debounce; `before` is the last value known to
+ *   be in Firebase. Not called when seeding defaults.
+ * @param {{keys: string[], by?: string[]}} [options.scope] - Read only part of
+ *   the path, for users the database rules don't let read all of it: the
+ *   children named in `keys` ("consumption/Feedlot"), or with `by` the records
+ *   whose `by` child equals one of the keys (hedges with entity "Feedlot").
+ *   The parts are read separately and put back together; an empty `keys`
+ *   reads nothing. Defaults are not seeded into a scoped path.
+ * @returns {[any, function, boolean, object|null]} - [value, setValue, loading, conflict]
+ *   `conflict` is { fields: [{ path, mine, theirs }], resolve(choices) }, where
+ *   choices maps a field path to "mine" or "theirs" (the default). The pending
+ *   edit is not written until it is resolved.
  */
-export function useFirebaseState(path, defaultValue, { debounce = 0 } = {}) {
-  const [value, setValue] = useState(defaultValue);
+export function useFirebaseState(path, defaultValue, { debounce = 0, granular = false, onFlush, scope } = {}) {
+  const [value, setState] = useState(defaultValue);
+  // Latest value, so writes are made outside state updaters (which React
+  // may run twice)
+  const valueRef = useRef(defaultValue);
+  const setValue = (next) => {
+    valueRef.current = next;
+    setState(next);
+  };
   const [loading, setLoading] = useState(true);
+  const [conflict, setConflict] = useState(null);
   const timerRef = useRef(null);
+  const pendingRef = useRef(undefined); // debounced value not yet written
+  const conflictRef = useRef(null); // [{ path, mine, theirs }] awaiting a choice
   const isInitialLoad = useRef(true);
+  const syncedRef = useRef(null); // last value known to be in Firebase
+  const onFlushRef = useRef(onFlush);
+  onFlushRef.current = onFlush;
   const fbRef = ref(db, path);
+  const scopeKey = scope ? JSON.stringify(scope) : "";
+  const cacheKey = scope ? `${path}?${scopeKey}` : path;
+
+  const write = (next, { notify = true } = {}) => {
+    if (notify && onFlushRef.current) onFlushRef.current(syncedRef.current, next);
+    if (!granular) {
+      const base = syncedRef.current;
+      syncedRef.current = next;
+      queueWrite(path, "set", next, base);
+      return;
+    }
+    const base = syncedRef.current || {};
+    let changes = {};
+    if (granular === "leaf") {
+      changes = leafUpdate(base, next);
+    } else {
+      new Set([...Object.keys(base), ...Object.keys(next || {})]).forEach((key) => {
+        if (JSON.stringify(base[key]) !== JSON.stringify(next?.[key])) changes[key] = next?.[key] ?? null;
+      });
+    }
+    syncedRef.current = next;
+    if (Object.keys(changes).length > 0) {
+      queueWrite(path, "update", changes, Object.fromEntries(Object.keys(changes).map((k) => [k, getLeaf(base, k) ?? null])));
+    }
+  };
+
+  const flushPending = () => {
+    timerRef.current = null;
+    const next = pendingRef.current;
+    pendingRef.current = undefined;
+    if (next !== undefined) write(next);
+  };
+
+  const schedule = () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = conflictRef.current ? null : setTimeout(flushPending, debounce);
+  };
+
+  // Apply the user's choices to the pending edit, then write it
+  const resolve = (choices = {}) => {
+    let next = pendingRef.current;
+    (conflictRef.current || []).forEach((f) => {
+      if (choices[f.path] !== "mine") next = setLeaf(next, f.path, f.theirs);
+    });
+    conflictRef.current = null;
+    setConflict(null);
+    pendingRef.current = next;
+    setValue(next);
+    clearTimeout(timerRef.current);
+    flushPending();
+  };
+
+  // Rebase a pending leaf-mode edit onto a remote change
+  const mergeRemote = (data) => {
+    const base = syncedRef.current;
+    const before = flatten(base);
+    const mine = flatten(pendingRef.current);
+    const theirs = flatten(data);
+    let merged = data;
+    const fields = [...(conflictRef.current || [])].map((f) => ({ ...f, theirs: theirs[f.path] }));
+    changedLeaves(base, pendingRef.current).forEach((p) => {
+      merged = setLeaf(merged, p, mine[p]);
+      if (!same(before[p], theirs[p]) && !same(mine[p], theirs[p]) && !fields.some((f) => f.path === p)) {
+        fields.push({ path: p, mine: mine[p], theirs: theirs[p] });
+      }
+    });
+    pendingRef.current = merged;
+    if (fields.length > 0) {
+      conflictRef.current = fields;
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+      setConflict({ fields, resolve });
+    }
+    return merged;
+  };
 
   // Listen for real-time updates from Firebase
   useEffect(() => {
-    const unsubscribe = onValue(fbRef, (snapshot) => {
-      const data = snapshot.val();
+    // Open from the cache if it answers before the server does
+    readCache(cacheKey).then((cached) => {
+      if (cached === undefined || cached === null || !isInitialLoad.current) return;
+      syncedRef.current = cached;
+      setValue(cached);
+      setLoading(false);
+    });
+
+    const receive = (data) => {
+      const local = granular === "leaf" && pendingRef.current !== undefined && data !== null ? mergeRemote(data) : data;
+      syncedRef.current = data;
       if (data !== null) {
-        setValue(data);
+        setValue(local);
+        writeCache(cacheKey, data);
       } else if (isInitialLoad.current) {
         // First load and nothing in Firebase — seed it with defaults
-        set(fbRef, defaultValue);
+        write(defaultValue, { notify: false });
       }
       isInitialLoad.current = false;
       setLoading(false);
-    });
+    };
+    const fail = (err) => {
+      reportSyncError(path, err);
+      setLoading(false);
+    };
 
-    return () => unsubscribe();
+    if (!scope) return onValue(fbRef, (snapshot) => receive(snapshot.val()), fail);
+
+    // One listener per part; the value is put together once every part has
+    // answered, and is never null so nothing is seeded
+    const sources = scope.by
+      ? scope.keys.flatMap((k) => scope.by.map((child) => [`${child}=${k}`, query(fbRef, orderByChild(child), equalTo(k))]))
+      : scope.keys.map((k) => [k, ref(db, `${path}/${k}`)]);
+    if (sources.length === 0) {
+      receive({});
+      return undefined;
+    }
+    const parts = {};
+    const combine = () => (scope.by
+      ? Object.assign({}, ...Object.values(parts))
+      : Object.fromEntries(Object.entries(parts).filter(([, v]) => v !== null)));
+    const unsubscribes = sources.map(([key, source]) => onValue(source, (snapshot) => {
+      parts[key] = scope.by ? snapshot.val() || {} : snapshot.val();
+      if (Object.keys(parts).length === sources.length) receive(combine());
+    }, fail));
+    return () => unsubscribes.forEach((u) => u());
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [path]);
+  }, [path, scopeKey]);
 
   // Write to Firebase (with optional debounce)
   const setAndSync = useCallback(
     (updater) => {
-      setValue((prev) => {
-        const next = typeof updater === "function" ? updater(prev) : updater;
-
-        if (debounce > 0) {
-          clearTimeout(timerRef.current);
-          timerRef.current = setTimeout(() => set(fbRef, next), debounce);
-        } else {
-          set(fbRef, next);
-        }
+      const next = typeof updater === "function" ? updater(valueRef.current) : updater;
+      setValue(next);
 
-        return next;
-      });
+      if (debounce > 0) {
+        pendingRef.current = next;
+        schedule();
+      } else {
+        write(next);
+      }
     },
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    [path, debounce]
+    [path, debounce, granular]
   );
 
-  // Cleanup timer on unmount
+  // Flush a pending debounced write on sign-out and on unmount rather than
+  // dropping it; unresolved conflicts keep the remote value
   useEffect(() => {
-    return () => clearTimeout(timerRef.current);
+    const flushNow = () => {
+      clearTimeout(timerRef.current);
+      if (conflictRef.current) {
+        conflictRef.current.forEach((f) => { pendingRef.current = setLeaf(pendingRef.current, f.path, f.theirs); });
+        conflictRef.current = null;
+        setConflict(null);
+      }
+      flushPending();
+    };
+    flushers.add(flushNow);
+    return () => {
+      flushers.delete(flushNow);
+      flushNow();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  return [value, setAndSync, loading];
+  return [value, setAndSync, loading, conflict];
 }
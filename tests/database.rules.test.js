@@ -0,0 +1,92 @@
+// Checks database.rules.json against the Realtime Database emulator.
+// Run with `npm run test:rules`; the Firebase CLI is a dev dependency, but
+// its emulator needs Java 21 or later.
+import { readFileSync } from "node:fs";
+import { after, before, beforeEach, test } from "node:test";
+import { initializeTestEnvironment, assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { ref, get, set, query, orderByChild, equalTo } from "firebase/database";
+
+let env;
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: "corn-hedging-tracker",
+    database: { rules: readFileSync("database.rules.json", "utf8"), host: "127.0.0.1", port: 9000 },
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+  await env.clearDatabase();
+  await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), "/"), {
+    roles: {
+      admin: { admin: true },
+      feedlotViewer: { entities: { Feedlot: "viewer" } },
+      feedlotTrader: { entities: { Feedlot: "trader" } },
+    },
+    hedges: {
+      h1: { entity: "Feedlot", commodity: "Corn", quantity: 5000 },
+      h2: { entity: "Farming", commodity: "Corn", quantity: 10000 },
+    },
+    transfers: { t1: { from: "Farming", to: "Feedlot", quantity: 2000 } },
+    consumption: { Feedlot: { Corn: { 2025: 100000 } } },
+    production: { Farming: { 2025: { "Yellow Corn": 200000 } } },
+    auditLog: { a1: { timestamp: "2025-06-01T12:00:00.000Z", uid: "admin", action: "Hedge Created", entity: "Farming", hedgeId: "h2" } },
+  }));
+});
+
+const db = (uid) => env.authenticatedContext(uid).database();
+
+test("a Feedlot-only viewer cannot read Farming hedges", async () => {
+  const viewer = db("feedlotViewer");
+  await assertFails(get(ref(viewer, "hedges")));
+  await assertFails(get(query(ref(viewer, "hedges"), orderByChild("entity"), equalTo("Farming"))));
+  await assertFails(get(ref(viewer, "hedges/h2")));
+  const own = await assertSucceeds(get(query(ref(viewer, "hedges"), orderByChild("entity"), equalTo("Feedlot"))));
+  if (Object.keys(own.val()).join() !== "h1") throw new Error("expected only the Feedlot hedge");
+});
+
+test("a Feedlot-only viewer reads only Feedlot's per-entity data", async () => {
+  const viewer = db("feedlotViewer");
+  await assertSucceeds(get(ref(viewer, "consumption/Feedlot")));
+  await assertFails(get(ref(viewer, "consumption")));
+  await assertFails(get(ref(viewer, "production/Farming")));
+});
+
+test("transfers are read by either side", async () => {
+  const viewer = db("feedlotViewer");
+  await assertSucceeds(get(query(ref(viewer, "transfers"), orderByChild("to"), equalTo("Feedlot"))));
+  await assertFails(get(query(ref(viewer, "transfers"), orderByChild("from"), equalTo("Farming"))));
+});
+
+test("only admins read the audit log", async () => {
+  await assertFails(get(ref(db("feedlotViewer"), "auditLog")));
+  await assertSucceeds(get(ref(db("admin"), "auditLog")));
+});
+
+const auditEntry = (uid, extra) => ({
+  timestamp: "2025-06-02T12:00:00.000Z", uid, user: uid, action: "Hedge Created", entity: "Feedlot", details: "",
+  hedgeId: "h3", diff: { quantity: { from: null, to: 5000 } }, ...extra,
+});
+
+test("traders append audit entries only for entities they trade", async () => {
+  const trader = db("feedlotTrader");
+  await assertSucceeds(set(ref(trader, "auditLog/a2"), auditEntry("feedlotTrader")));
+  await assertFails(set(ref(trader, "auditLog/a3"), auditEntry("feedlotTrader", { entity: "Farming", hedgeId: "h2" })));
+  await assertFails(set(ref(db("feedlotViewer"), "auditLog/a4"), auditEntry("feedlotViewer")));
+});
+
+test("hedge audit entries need a hedge id and diff, and can't be rewritten", async () => {
+  const trader = db("feedlotTrader");
+  await assertFails(set(ref(trader, "auditLog/a5"), auditEntry("feedlotTrader", { action: "Hedge Modified", diff: null })));
+  await assertFails(set(ref(trader, "auditLog/a6"), auditEntry("feedlotTrader", { hedgeId: null })));
+  await assertFails(set(ref(trader, "auditLog/a7"), auditEntry("admin")));
+  await assertFails(set(ref(trader, "auditLog/a1"), auditEntry("feedlotTrader")));
+});
+
+test("admins read whole paths", async () => {
+  const admin = db("admin");
+  await assertSucceeds(get(ref(admin, "hedges")));
+  await assertSucceeds(get(ref(admin, "production")));
+});